@@ -0,0 +1,20 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Currencies we invoice and accept payment in. Tariffs, rate cards and insurance are priced in the base currency.
+export const currencies = {
+  USD: { name: 'US dollar', symbol: '$', decimals: 2, paypal: true },
+  // PayPal does not settle in Liberian dollars
+  LRD: { name: 'Liberian dollar', symbol: 'L$', decimals: 2, paypal: false }
+};
+
+export const CURRENCY_CODES = Object.keys(currencies);
+
+export const BASE_CURRENCY = 'USD';
+
+// Reports total revenue in this currency unless another is asked for
+export const DEFAULT_REPORTING_CURRENCY = process.env.REPORTING_CURRENCY || BASE_CURRENCY;
+
+// A rate older than this many days is still used, but flagged as stale
+export const RATE_STALE_DAYS = parseInt(process.env.EXCHANGE_RATE_STALE_DAYS) || 3;
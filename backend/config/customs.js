@@ -0,0 +1,23 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Customs duty and tax settings (rates are percentages)
+export const customsConfig = {
+  // ECOWAS Common External Tariff bands
+  cetBands: {
+    0: 0,
+    1: 5,
+    2: 10,
+    3: 20,
+    4: 35
+  },
+  // Band applied when a cargo line has no HS code yet (e.g. instant quotes)
+  defaultCetBand: parseInt(process.env.DEFAULT_CET_BAND) || 2,
+  gstRate: parseFloat(process.env.GST_RATE || '10'),
+  ecowasLevyRate: parseFloat(process.env.ECOWAS_LEVY_RATE || '0.5'),
+  inspectionFeeRate: parseFloat(process.env.INSPECTION_FEE_RATE || '1.5'),
+  minimumInspectionFee: parseFloat(process.env.MINIMUM_INSPECTION_FEE || '50'),
+  // Tax on our own service charges (freight, handling, clearing fees)
+  serviceTaxRate: parseFloat(process.env.SERVICE_TAX_RATE || '15')
+};
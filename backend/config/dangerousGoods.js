@@ -0,0 +1,81 @@
+// Dangerous goods classes (IMDG Code / IATA DGR)
+export const hazardClasses = {
+  '1.1': { label: 'Explosives - mass explosion hazard' },
+  '1.2': { label: 'Explosives - projection hazard' },
+  '1.3': { label: 'Explosives - fire hazard' },
+  '1.4': { label: 'Explosives - minor hazard' },
+  '1.5': { label: 'Very insensitive explosives' },
+  '1.6': { label: 'Extremely insensitive articles' },
+  '2.1': { label: 'Flammable gases' },
+  '2.2': { label: 'Non-flammable, non-toxic gases' },
+  '2.3': { label: 'Toxic gases' },
+  '3': { label: 'Flammable liquids' },
+  '4.1': { label: 'Flammable solids' },
+  '4.2': { label: 'Substances liable to spontaneous combustion' },
+  '4.3': { label: 'Substances which emit flammable gases in contact with water' },
+  '5.1': { label: 'Oxidizing substances' },
+  '5.2': { label: 'Organic peroxides' },
+  '6.1': { label: 'Toxic substances' },
+  '6.2': { label: 'Infectious substances' },
+  '7': { label: 'Radioactive material' },
+  '8': { label: 'Corrosive substances' },
+  '9': { label: 'Miscellaneous dangerous substances and articles' }
+};
+
+export const HAZARD_CLASSES = Object.keys(hazardClasses);
+
+export const PACKING_GROUPS = ['I', 'II', 'III'];
+
+export const TRANSPORT_MODES = ['sea', 'air', 'road'];
+
+// Classes never accepted for a mode, whatever the reference entry says
+export const forbiddenClassesByMode = {
+  air: ['1.1', '1.2', '1.3', '1.5', '1.6'],
+  sea: [],
+  road: []
+};
+
+// IMDG segregation table (7.2.4). Codes: 0 none required, 1 "away from",
+// 2 "separated from", 3 "separated by a complete compartment or hold from",
+// 4 "separated longitudinally by an intervening complete compartment or hold from".
+// null marks explosives against explosives, which depends on compatibility groups.
+const SEGREGATION_CLASSES = ['1.1', '1.3', '1.4', '2.1', '2.2', '2.3', '3', '4.1', '4.2', '4.3', '5.1', '5.2', '6.1', '6.2', '7', '8', '9'];
+const SEGREGATION_MATRIX = [
+  [null, null, null, 4, 2, 2, 4, 4, 4, 4, 4, 4, 2, 4, 2, 4, 0],
+  [null, null, null, 4, 2, 2, 4, 3, 3, 4, 4, 4, 2, 4, 2, 2, 0],
+  [null, null, null, 2, 1, 1, 2, 2, 2, 2, 2, 2, 0, 4, 2, 2, 0],
+  [4, 4, 2, 0, 0, 0, 2, 1, 2, 0, 2, 2, 0, 4, 2, 1, 0],
+  [2, 2, 1, 0, 0, 0, 1, 0, 1, 0, 0, 1, 0, 2, 1, 0, 0],
+  [2, 2, 1, 0, 0, 0, 2, 0, 2, 0, 0, 2, 0, 2, 1, 0, 0],
+  [4, 4, 2, 2, 1, 2, 0, 0, 2, 1, 2, 2, 0, 3, 2, 0, 0],
+  [4, 3, 2, 1, 0, 0, 0, 0, 1, 0, 1, 2, 0, 3, 2, 1, 0],
+  [4, 3, 2, 2, 1, 2, 2, 1, 0, 1, 2, 2, 1, 3, 2, 1, 0],
+  [4, 4, 2, 0, 0, 0, 1, 0, 1, 0, 2, 2, 0, 2, 2, 1, 0],
+  [4, 4, 2, 2, 0, 0, 2, 1, 2, 2, 0, 2, 1, 3, 1, 2, 0],
+  [4, 4, 2, 2, 1, 2, 2, 2, 2, 2, 2, 0, 1, 3, 2, 2, 0],
+  [2, 2, 0, 0, 0, 0, 0, 0, 1, 0, 1, 1, 0, 1, 0, 0, 0],
+  [4, 4, 4, 4, 2, 2, 3, 3, 3, 2, 3, 3, 1, 0, 3, 3, 0],
+  [2, 2, 2, 2, 1, 1, 2, 2, 2, 2, 1, 2, 0, 3, 0, 2, 0],
+  [4, 2, 2, 1, 0, 0, 0, 1, 1, 1, 2, 2, 0, 3, 2, 0, 0],
+  [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+];
+
+// Explosives divisions share rows in the table
+const SEGREGATION_ROW = { '1.2': '1.1', '1.5': '1.1', '1.6': '1.3' };
+
+export const segregationLabels = {
+  1: 'away from',
+  2: 'separated from',
+  3: 'separated by a complete compartment or hold from',
+  4: 'separated longitudinally by an intervening complete compartment or hold from'
+};
+
+// Lowest code that keeps two goods out of the same container
+export const containerSegregationLimit = 2;
+
+// @desc    IMDG segregation code between two hazard classes
+export const segregationCode = (classA, classB) => {
+  const row = SEGREGATION_CLASSES.indexOf(SEGREGATION_ROW[classA] || classA);
+  const column = SEGREGATION_CLASSES.indexOf(SEGREGATION_ROW[classB] || classB);
+  return row < 0 || column < 0 ? 0 : SEGREGATION_MATRIX[row][column];
+};
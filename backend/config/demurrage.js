@@ -0,0 +1,50 @@
+// Free time and daily charges after cargo lands at a Liberian port.
+//
+// demurrage: carrier charge per container from discharge until gate-out
+// detention: carrier charge per container from gate-out until the empty is returned
+// storage:   terminal charge from discharge until gate-out, counted in business days;
+//            per container for FCL, per revenue ton for loose (LCL) cargo
+//
+// Tiers give the daily rate from the nth chargeable day (1 = first day after free time).
+
+export const freeTimeTariffs = {
+  demurrage: {
+    freeDays: parseInt(process.env.DEMURRAGE_FREE_DAYS) || 14,
+    businessDays: false,
+    rates: {
+      20: [{ fromDay: 1, rate: 25 }, { fromDay: 8, rate: 50 }, { fromDay: 15, rate: 75 }],
+      40: [{ fromDay: 1, rate: 50 }, { fromDay: 8, rate: 100 }, { fromDay: 15, rate: 150 }]
+    }
+  },
+  detention: {
+    freeDays: parseInt(process.env.DETENTION_FREE_DAYS) || 7,
+    businessDays: false,
+    rates: {
+      20: [{ fromDay: 1, rate: 20 }, { fromDay: 8, rate: 40 }],
+      40: [{ fromDay: 1, rate: 40 }, { fromDay: 8, rate: 80 }]
+    }
+  },
+  storage: {
+    freeDays: parseInt(process.env.STORAGE_FREE_DAYS) || 7,
+    businessDays: true,
+    rates: {
+      20: [{ fromDay: 1, rate: 15 }, { fromDay: 11, rate: 30 }],
+      40: [{ fromDay: 1, rate: 30 }, { fromDay: 11, rate: 60 }],
+      revenueTon: [{ fromDay: 1, rate: 3 }, { fromDay: 11, rate: 6 }]
+    }
+  }
+};
+
+// Carrier-specific free days, keyed by carrier name as it appears on voyages/shipments
+export const carrierFreeDays = {
+  // 'MSC': { demurrage: 21, detention: 10 }
+};
+
+// Liberian public holidays on fixed dates (MM-DD); movable ones go in PORT_HOLIDAYS (YYYY-MM-DD list)
+export const portHolidays = {
+  fixed: ['01-01', '02-11', '03-15', '05-14', '07-26', '08-24', '11-29', '12-25'],
+  dates: (process.env.PORT_HOLIDAYS || '').split(',').map(date => date.trim()).filter(Boolean)
+};
+
+// Days before free time runs out that the client is warned
+export const FREE_TIME_WARNING_DAYS = parseInt(process.env.FREE_TIME_WARNING_DAYS) || 3;
@@ -0,0 +1,88 @@
+// Shipment document types accepted by the document vault
+export const documentTypes = {
+  commercial_invoice: { label: 'Commercial Invoice' },
+  bill_of_lading: { label: 'Bill of Lading/Air Waybill' },
+  packing_list: { label: 'Packing List' },
+  insurance_certificate: { label: 'Insurance Certificate' },
+  import_permit_declaration: { label: 'Import Permit Declaration (IPD)' },
+  certificate_of_origin: { label: 'Certificate of Origin' },
+  phytosanitary_certificate: { label: 'Phytosanitary Certificate' },
+  tax_clearance_certificate: { label: 'Tax Clearance Certificate' },
+  business_registration: { label: 'Business Registration Documents' },
+  export_license: { label: 'Export License' },
+  quality_certificate: { label: 'Quality Certificates' },
+  export_declaration: { label: 'Export Declaration Form' },
+  shipping_instructions: { label: 'Shipping Instructions' },
+  proof_of_delivery: { label: 'Proof of Delivery' },
+  msds: { label: 'Material Safety Data Sheet (MSDS/SDS)' },
+  dangerous_goods_declaration: { label: 'Dangerous Goods Declaration' },
+  // One per vehicle on the shipment, told apart by VIN
+  vehicle_title: { label: 'Vehicle Title', perVehicle: true },
+  vehicle_export_certificate: { label: 'Vehicle Export Certificate', perVehicle: true },
+  other: { label: 'Other' }
+};
+
+export const DOCUMENT_TYPES = Object.keys(documentTypes);
+
+// Required documents per trade direction (mirrors the checklist on the website).
+// `when` limits a document to shipments it applies to (by cargo type, or to shipments declaring dangerous goods).
+// Per-vehicle documents are required once for each vehicle recorded on the shipment.
+export const documentChecklists = {
+  import: [
+    { type: 'commercial_invoice' },
+    { type: 'bill_of_lading' },
+    { type: 'packing_list' },
+    { type: 'insurance_certificate' },
+    { type: 'import_permit_declaration' },
+    { type: 'certificate_of_origin' },
+    { type: 'phytosanitary_certificate', when: { cargoTypes: ['perishable'] } },
+    { type: 'msds', when: { dangerousGoods: true } },
+    { type: 'vehicle_title' },
+    { type: 'vehicle_export_certificate' },
+    { type: 'tax_clearance_certificate' },
+    { type: 'business_registration' }
+  ],
+  export: [
+    { type: 'commercial_invoice' },
+    { type: 'packing_list' },
+    { type: 'export_license' },
+    { type: 'certificate_of_origin' },
+    { type: 'bill_of_lading' },
+    { type: 'insurance_certificate' },
+    { type: 'quality_certificate' },
+    { type: 'export_declaration' },
+    { type: 'shipping_instructions' },
+    { type: 'msds', when: { dangerousGoods: true } }
+  ]
+};
+
+// Reminder cadence for outstanding documents: days to wait after each request, last value repeats
+export const documentRequestFollowUp = {
+  intervalDays: (process.env.DOCUMENT_REQUEST_INTERVAL_DAYS || '1,2,3')
+    .split(',')
+    .map(value => parseInt(value))
+    .filter(value => value > 0),
+  maxRequests: parseInt(process.env.DOCUMENT_REQUEST_MAX) || 10,
+  // Shipments in these statuses are still waiting on paperwork
+  statuses: ['pending', 'booked', 'in_transit', 'arrived']
+};
+
+export const documentUpload = {
+  directory: process.env.DOCUMENT_UPLOAD_DIR || 'uploads/documents',
+  maxFileSize: parseInt(process.env.DOCUMENT_MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10 MB
+  allowedMimeTypes: ['application/pdf', 'image/jpeg', 'image/png']
+};
+
+// Photos and signature captured by drivers when handing cargo over
+export const proofOfDeliveryUpload = {
+  maxPhotos: parseInt(process.env.POD_MAX_PHOTOS) || 10,
+  allowedMimeTypes: ['image/jpeg', 'image/png']
+};
+
+// Problems a driver can record against a delivery
+export const deliveryExceptions = {
+  short: { label: 'Short delivery' },
+  damaged: { label: 'Damaged cargo' }
+};
+
+export const DELIVERY_EXCEPTIONS = Object.keys(deliveryExceptions);
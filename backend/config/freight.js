@@ -0,0 +1,33 @@
+// Freight measurement settings used when pricing quotes
+
+// Volumetric divisors (cm³ per kg) by mode: IATA standard for air, 1 m³ = 1 tonne (W/M) for sea
+export const volumetricDivisors = {
+  air_freight: 6000,
+  sea_freight: 1000
+};
+
+// ISO container types we quote; reefers are required for perishable FCL cargo
+export const containerTypes = {
+  '20GP': { label: "20' General Purpose", maxPayloadKg: 28000, capacityCbm: 33, reefer: false },
+  '40GP': { label: "40' General Purpose", maxPayloadKg: 26700, capacityCbm: 67, reefer: false },
+  '40HC': { label: "40' High Cube", maxPayloadKg: 26500, capacityCbm: 76, reefer: false },
+  '20RF': { label: "20' Reefer", maxPayloadKg: 27400, capacityCbm: 28, reefer: true },
+  '40RF': { label: "40' Reefer", maxPayloadKg: 29000, capacityCbm: 59, reefer: true }
+};
+
+export const CONTAINER_TYPES = Object.keys(containerTypes);
+
+// Container movements recorded on a shipment's containers, in the order they normally happen
+export const containerEvents = {
+  empty_released: { label: 'Empty released to shipper' },
+  gate_in: { label: 'Gated in at terminal' },
+  loaded: { label: 'Loaded on vessel' },
+  departed: { label: 'Vessel departed' },
+  arrived: { label: 'Vessel arrived' },
+  discharged: { label: 'Discharged from vessel' },
+  gate_out: { label: 'Gated out of terminal' },
+  delivered: { label: 'Delivered to consignee' },
+  empty_returned: { label: 'Empty returned' }
+};
+
+export const CONTAINER_EVENTS = Object.keys(containerEvents);
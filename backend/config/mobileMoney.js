@@ -0,0 +1,43 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Mobile money collections (request-to-pay against the client's MSISDN)
+export const mobileMoneyConfig = {
+  // 'simulator' in development; 'mtn' or 'orange' forces one provider, 'auto' picks by number prefix
+  provider: process.env.MOBILE_MONEY_PROVIDER || (process.env.NODE_ENV === 'production' ? 'auto' : 'simulator'),
+  // A request the client has not approved on their handset within this time is failed
+  timeoutMinutes: parseInt(process.env.MOBILE_MONEY_TIMEOUT_MINUTES) || 10,
+  callbackBaseUrl: process.env.MOBILE_MONEY_CALLBACK_URL || `${process.env.API_URL || 'http://localhost:5000'}/api/payments/mobile-money/callback`
+};
+
+// Liberian network prefixes (after +231) for choosing a provider when the client does not
+export const networkPrefixes = {
+  mtn: ['88', '55'],
+  orange: ['77']
+};
+
+// Lonestar Cell MTN MoMo collection API
+export const mtnMomoConfig = {
+  baseUrl: process.env.MTN_MOMO_BASE_URL || 'https://sandbox.momodeveloper.mtn.com',
+  subscriptionKey: process.env.MTN_MOMO_SUBSCRIPTION_KEY,
+  apiUser: process.env.MTN_MOMO_API_USER,
+  apiKey: process.env.MTN_MOMO_API_KEY,
+  targetEnvironment: process.env.MTN_MOMO_TARGET_ENVIRONMENT || 'sandbox',
+  callbackSecret: process.env.MTN_MOMO_CALLBACK_SECRET
+};
+
+// Orange Money merchant payment API
+export const orangeMoneyConfig = {
+  baseUrl: process.env.ORANGE_MONEY_BASE_URL || 'https://api.orange.com',
+  clientId: process.env.ORANGE_MONEY_CLIENT_ID,
+  clientSecret: process.env.ORANGE_MONEY_CLIENT_SECRET,
+  merchantKey: process.env.ORANGE_MONEY_MERCHANT_KEY,
+  callbackSecret: process.env.ORANGE_MONEY_CALLBACK_SECRET
+};
+
+// Local simulator: numbers ending 1 are declined, 2 never answer (time out), others approve after the delay
+export const simulatorConfig = {
+  approvalDelaySeconds: parseInt(process.env.MOBILE_MONEY_SIMULATOR_DELAY_SECONDS) || 5,
+  callbackSecret: process.env.MOBILE_MONEY_SIMULATOR_SECRET || 'simulator-secret'
+};
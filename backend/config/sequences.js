@@ -0,0 +1,25 @@
+// Human-facing document numbers. Counters restart every year.
+//
+// format placeholders: {prefix}, {year}, {seq} (zero-padded to `padding`) and
+// {check}, a Luhn check digit over the year and sequence so mistyped numbers can be caught.
+// Prefixes and formats can be overridden with SEQUENCE_PREFIX_<KEY> / SEQUENCE_FORMAT_<KEY>,
+// e.g. SEQUENCE_PREFIX_INVOICE=LCL-INV.
+const sequence = (key, prefix, padding, format = '{prefix}-{year}-{seq}') => ({
+  prefix: process.env[`SEQUENCE_PREFIX_${key.toUpperCase()}`] || prefix,
+  format: process.env[`SEQUENCE_FORMAT_${key.toUpperCase()}`] || format,
+  padding
+});
+
+export const sequences = {
+  // Tracking numbers are typed in by consignees, so they carry a check digit
+  shipment: sequence('shipment', 'LCL', 4, '{prefix}-{year}-{seq}-{check}'),
+  invoice: sequence('invoice', 'INV', 5),
+  quote: sequence('quote', 'QUO', 5),
+  creditNote: sequence('creditNote', 'CN', 5),
+  receipt: sequence('receipt', 'RCPT', 5),
+  declaration: sequence('declaration', 'SAD', 5),
+  warehouseReceipt: sequence('warehouseReceipt', 'WR', 5),
+  consolidation: sequence('consolidation', 'CON', 4),
+  insurancePolicy: sequence('insurancePolicy', 'POL', 5),
+  insuranceClaim: sequence('insuranceClaim', 'CLM', 5)
+};
@@ -19,6 +19,9 @@ if (process.env.STRIPE_SECRET_KEY && process.env.STRIPE_SECRET_KEY.startsWith('s
                 client_secret: 'mock_client_secret_123'
             })
         },
+        refunds: {
+            create: ({ amount }) => Promise.resolve({ id: 'mock_re_123', status: 'succeeded', amount })
+        },
         // Add other methods you might use
         customers: {
             create: () => Promise.resolve({ id: 'mock_cus_123' })
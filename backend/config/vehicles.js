@@ -0,0 +1,74 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Duty rules for imported motor vehicles, on top of the HS tariff (rates are percentages of CIF value)
+export const vehicleDutyRules = {
+  // Additional import duty by age at import (years since the model year), oldest band first
+  ageSurcharges: [
+    { minAge: 15, rate: parseFloat(process.env.VEHICLE_AGE_SURCHARGE_15 || '25') },
+    { minAge: 10, rate: parseFloat(process.env.VEHICLE_AGE_SURCHARGE_10 || '15') },
+    { minAge: 5, rate: parseFloat(process.env.VEHICLE_AGE_SURCHARGE_5 || '5') }
+  ],
+  // Excise by engine capacity (cc), smallest band first; electric vehicles pay none
+  engineExcise: [
+    { maxCc: 1500, rate: 0 },
+    { maxCc: 2000, rate: 5 },
+    { maxCc: 3000, rate: 10 },
+    { maxCc: null, rate: 20 }
+  ],
+  // Vehicles older than this cannot be imported (unset: no limit)
+  maxAgeYears: parseInt(process.env.VEHICLE_MAX_AGE_YEARS) || null
+};
+
+export const FUEL_TYPES = ['petrol', 'diesel', 'hybrid', 'electric'];
+
+// Passenger car headings (HS 8703) by fuel and engine capacity, used when no HS code is given
+export const passengerCarHsCodes = {
+  petrol: [
+    { maxCc: 1000, hsCode: '870321' },
+    { maxCc: 1500, hsCode: '870322' },
+    { maxCc: 3000, hsCode: '870323' },
+    { maxCc: null, hsCode: '870324' }
+  ],
+  diesel: [
+    { maxCc: 1500, hsCode: '870331' },
+    { maxCc: 2500, hsCode: '870332' },
+    { maxCc: null, hsCode: '870333' }
+  ],
+  hybrid: [{ maxCc: null, hsCode: '870340' }],
+  electric: [{ maxCc: null, hsCode: '870380' }]
+};
+
+// Where a VIN was assigned, from its first character (ISO 3780)
+export const vinRegions = {
+  A: 'South Africa', B: 'Africa', C: 'Africa', D: 'Africa', E: 'Africa', F: 'Africa', G: 'Africa', H: 'Africa',
+  J: 'Japan', K: 'South Korea', L: 'China', M: 'India / South-East Asia', N: 'Turkey / Central Asia',
+  P: 'Philippines / Malaysia', R: 'Taiwan / Middle East',
+  S: 'United Kingdom', T: 'Central Europe', U: 'Europe', V: 'France / Spain', W: 'Germany',
+  X: 'Russia / Eastern Europe', Y: 'Scandinavia', Z: 'Italy',
+  1: 'United States', 2: 'Canada', 3: 'Mexico', 4: 'United States', 5: 'United States',
+  6: 'Australia', 7: 'New Zealand', 8: 'South America', 9: 'Brazil'
+};
+
+// Regions whose VINs must carry a valid check digit in position 9 (North America and China)
+export const checkDigitRegions = ['1', '2', '3', '4', '5', 'L'];
+
+// World manufacturer identifiers for the makes we see most at Freeport
+export const wmiManufacturers = {
+  JTD: 'Toyota', JTE: 'Toyota', JTM: 'Toyota', JTN: 'Toyota', JT2: 'Toyota', JT3: 'Toyota',
+  '2T1': 'Toyota', '4T1': 'Toyota', '5TD': 'Toyota', '5TF': 'Toyota', JTH: 'Lexus', JTJ: 'Lexus',
+  JHM: 'Honda', '1HG': 'Honda', '2HG': 'Honda', '5FN': 'Honda', '5J6': 'Honda', JHL: 'Honda',
+  JN1: 'Nissan', JN8: 'Nissan', '1N4': 'Nissan', '5N1': 'Nissan', '1N6': 'Nissan',
+  KMH: 'Hyundai', '5NP': 'Hyundai', MAL: 'Hyundai',
+  KNA: 'Kia', KND: 'Kia', '5XY': 'Kia',
+  '1FA': 'Ford', '1FD': 'Ford', '1FM': 'Ford', '1FT': 'Ford', LVS: 'Ford',
+  '1G1': 'Chevrolet', '1GC': 'Chevrolet', '1GN': 'Chevrolet', '1G6': 'Cadillac', '1GT': 'GMC', '1GK': 'GMC',
+  '1C4': 'Chrysler', '2C3': 'Chrysler', '1J4': 'Jeep', '1J8': 'Jeep', '1D7': 'Dodge', '2D3': 'Dodge',
+  WBA: 'BMW', WBS: 'BMW', '5UX': 'BMW',
+  WDB: 'Mercedes-Benz', WDC: 'Mercedes-Benz', WDD: 'Mercedes-Benz', '4JG': 'Mercedes-Benz',
+  WVW: 'Volkswagen', WV1: 'Volkswagen', WV2: 'Volkswagen', '3VW': 'Volkswagen', LSV: 'Volkswagen',
+  WAU: 'Audi', JM1: 'Mazda', JS2: 'Suzuki', JS3: 'Suzuki', MA3: 'Suzuki', JF1: 'Subaru', JF2: 'Subaru',
+  JA3: 'Mitsubishi', JA4: 'Mitsubishi', JMB: 'Mitsubishi',
+  '5YJ': 'Tesla', SAL: 'Land Rover', SAJ: 'Jaguar', YV1: 'Volvo', VF1: 'Renault', VF3: 'Peugeot', ZFA: 'Fiat'
+};
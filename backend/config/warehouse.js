@@ -0,0 +1,11 @@
+// Warehouse storage tariff. Charges accrue each day on the volume still in store once
+// the free days after intake have passed, and are invoiced to the client at month end.
+// A warehouse can override any of these values.
+export const warehouseStorageTariff = {
+  freeDays: parseInt(process.env.WAREHOUSE_FREE_DAYS) || 3,
+  ratePerCbmPerDay: parseFloat(process.env.WAREHOUSE_RATE_PER_CBM) || 1.5,
+  minimumDailyCharge: parseFloat(process.env.WAREHOUSE_MIN_DAILY_CHARGE) || 2
+};
+
+// Packaging units cargo is counted in when received
+export const WAREHOUSE_UNITS = ['pieces', 'cartons', 'pallets', 'crates', 'bags', 'drums', 'units'];
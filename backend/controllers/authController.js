@@ -2,6 +2,7 @@ const User = (await import('../models/User.js')).default;
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import { sendEmail } from '../utils/emailService.js';
+import { linkQuotesToClient } from '../services/quoteService.js';
 
 // Generate JWT Token
 const generateToken = (id) => {
@@ -109,6 +110,9 @@ export const verifyEmail = async (req, res) => {
     user.verificationToken = undefined;
     await user.save();
 
+    // Quotes requested with this email before the account existed now belong to it
+    await linkQuotesToClient(user);
+
     res.json({
       success: true,
       message: 'Email verified successfully! You can now login.'
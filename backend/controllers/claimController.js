@@ -0,0 +1,287 @@
+import fs from 'fs';
+import InsuranceClaim from '../models/InsuranceClaim.js';
+import InsurancePolicy from '../models/InsurancePolicy.js';
+import { changeClaimStatus } from '../services/insuranceService.js';
+import { sendEmail, emailTemplates } from '../utils/emailService.js';
+
+// Remove an uploaded file that was not stored against a claim
+const discardUpload = (file) => {
+  if (file) {
+    fs.unlink(file.path, () => {});
+  }
+};
+
+// Load the claim in req.params.id if the current user may see it (clients only see their own)
+const findAccessibleClaim = (req) => {
+  const query = { _id: req.params.id };
+
+  if (req.user.role === 'client') {
+    query.client = req.user.id;
+  }
+
+  return InsuranceClaim.findOne(query);
+};
+
+// @desc    List insurance claims
+// @route   GET /api/insurance/claims
+// @access  Private
+export const getClaims = async (req, res) => {
+  try {
+    const { policy, shipment, status, client } = req.query;
+
+    let filter = {};
+    if (policy) filter.policy = policy;
+    if (shipment) filter.shipment = shipment;
+    if (status) filter.status = status;
+
+    if (req.user.role === 'client') {
+      filter.client = req.user.id;
+    } else if (client) {
+      filter.client = client;
+    }
+
+    const claims = await InsuranceClaim.find(filter)
+      .populate('policy', 'policyNumber insuredValue currency')
+      .populate('shipment', 'trackingNumber')
+      .populate('client', 'companyName')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: claims.length,
+      data: claims
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get single insurance claim with its status history
+// @route   GET /api/insurance/claims/:id
+// @access  Private
+export const getClaim = async (req, res) => {
+  try {
+    const claim = await findAccessibleClaim(req)
+      .populate('policy', 'policyNumber insuredValue deductible currency coverage')
+      .populate('shipment', 'trackingNumber description')
+      .populate('client', 'companyName email phone')
+      .populate('statusHistory.changedBy', 'companyName');
+
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Insurance claim not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: claim
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Give notice of a claim under a policy
+// @route   POST /api/insurance/claims
+// @access  Private
+export const createClaim = async (req, res) => {
+  try {
+    const { policy: policyId, lossType, incidentDate, description, amountClaimed } = req.body;
+
+    const policyQuery = { _id: policyId };
+    if (req.user.role === 'client') {
+      policyQuery.client = req.user.id;
+    }
+    const policy = await InsurancePolicy.findOne(policyQuery);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Insurance policy not found'
+      });
+    }
+
+    if (policy.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Policy ${policy.policyNumber} is ${policy.status}; claims can only be made on active cover`
+      });
+    }
+
+    const claim = await InsuranceClaim.create({
+      policy: policy._id,
+      shipment: policy.shipment,
+      client: policy.client,
+      lossType,
+      incidentDate,
+      description,
+      amountClaimed,
+      filedBy: req.user.id,
+      statusHistory: [{ status: 'notified', note: 'Claim notified', changedBy: req.user.id }]
+    });
+
+    res.status(201).json({
+      success: true,
+      data: claim
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Attach evidence (photos, survey report, invoices) to a claim
+// @route   POST /api/insurance/claims/:id/evidence
+// @access  Private
+export const uploadClaimEvidence = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please attach a file'
+      });
+    }
+
+    const claim = await findAccessibleClaim(req);
+
+    if (!claim) {
+      discardUpload(req.file);
+      return res.status(404).json({
+        success: false,
+        message: 'Insurance claim not found'
+      });
+    }
+
+    // Evidence is closed once the claim has been decided
+    if (!['notified', 'under_assessment'].includes(claim.status)) {
+      discardUpload(req.file);
+      return res.status(400).json({
+        success: false,
+        message: `Claim is ${claim.status}; evidence can no longer be added`
+      });
+    }
+
+    claim.evidence.push({
+      name: req.body.name || req.file.originalname,
+      filePath: req.file.path,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      uploadedBy: req.user.id
+    });
+    await claim.save();
+
+    res.status(201).json({
+      success: true,
+      data: claim.evidence[claim.evidence.length - 1]
+    });
+  } catch (error) {
+    discardUpload(req.file);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Download a piece of claim evidence
+// @route   GET /api/insurance/claims/:id/evidence/:evidenceId/file
+// @access  Private
+export const downloadClaimEvidence = async (req, res) => {
+  try {
+    const claim = await findAccessibleClaim(req);
+    const evidence = claim?.evidence.id(req.params.evidenceId);
+
+    if (!evidence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Evidence not found'
+      });
+    }
+
+    res.download(evidence.filePath, evidence.originalName || evidence.name);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Move a claim through assessment, approval and settlement (clients may only withdraw)
+// @route   PUT /api/insurance/claims/:id/status
+// @access  Private
+export const updateClaimStatus = async (req, res) => {
+  try {
+    const { status, note, assessedLoss, findings, settlementAmount, settlementReference } = req.body;
+
+    if (req.user.role === 'client' && status !== 'withdrawn') {
+      return res.status(403).json({
+        success: false,
+        message: 'Clients can only withdraw a claim'
+      });
+    }
+
+    const claim = await findAccessibleClaim(req).populate('client');
+
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Insurance claim not found'
+      });
+    }
+
+    const policy = await InsurancePolicy.findById(claim.policy);
+    const problems = changeClaimStatus(claim, policy, {
+      status,
+      note,
+      assessedLoss,
+      findings,
+      settlementAmount,
+      settlementReference,
+      userId: req.user.id
+    });
+
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('; '),
+        errors: problems
+      });
+    }
+
+    await claim.save();
+
+    // The client hears about every decision staff make on their claim
+    if (req.user.role !== 'client' && claim.client?.email) {
+      try {
+        await sendEmail({
+          to: claim.client.email,
+          ...emailTemplates.insuranceClaimUpdate(claim, claim.client)
+        });
+      } catch (emailError) {
+        console.log('Claim update email failed:', emailError);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: claim
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
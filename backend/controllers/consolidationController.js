@@ -0,0 +1,400 @@
+import Consolidation from '../models/Consolidation.js';
+import Shipment from '../models/Shipment.js';
+import Voyage from '../models/Voyage.js';
+import {
+  addHouseBill,
+  removeHouseBill,
+  updateConsolidationStatus,
+  apportionCosts,
+  buildManifest,
+  generateManifestPDF
+} from '../services/consolidationService.js';
+import { applyVoyageToShipment } from '../services/voyageService.js';
+import { toCSV } from '../utils/csv.js';
+import { resolvePublicPath } from '../utils/pdfService.js';
+
+const MANIFEST_COLUMNS = [
+  ['houseBillNumber', 'House B/L'],
+  ['trackingNumber', 'Tracking Number'],
+  ['consignee', 'Consignee'],
+  ['description', 'Description'],
+  ['origin', 'Origin'],
+  ['packages', 'Packages'],
+  ['weight', 'Weight (kg)'],
+  ['volume', 'Volume (m3)']
+];
+
+// @desc    List consolidations
+// @route   GET /api/consolidations
+// @access  Private/Admin/Agent
+export const getConsolidations = async (req, res) => {
+  try {
+    const { status, voyage, masterBillNumber } = req.query;
+
+    let filter = {};
+    if (status) filter.status = status;
+    if (voyage) filter.voyage = voyage;
+    if (masterBillNumber) filter.masterBillNumber = masterBillNumber.toUpperCase();
+
+    const consolidations = await Consolidation.find(filter)
+      .populate({ path: 'voyage', select: 'voyageNumber eta', populate: { path: 'vessel', select: 'name' } })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: consolidations.length,
+      data: consolidations
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get single consolidation with its house shipments
+// @route   GET /api/consolidations/:id
+// @access  Private/Admin/Agent
+export const getConsolidation = async (req, res) => {
+  try {
+    const consolidation = await Consolidation.findById(req.params.id)
+      .populate({ path: 'voyage', populate: { path: 'vessel', select: 'name imoNumber' } })
+      .populate({ path: 'houseBills.shipment', select: 'trackingNumber description status client', populate: { path: 'client', select: 'companyName' } });
+
+    if (!consolidation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consolidation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: consolidation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Open a consolidation under a master B/L
+// @route   POST /api/consolidations
+// @access  Private/Admin/Agent
+export const createConsolidation = async (req, res) => {
+  try {
+    const { masterBillNumber, carrier, voyage, originPort, destinationPort, container, costs, notes } = req.body;
+
+    const consolidation = await Consolidation.create({
+      masterBillNumber,
+      carrier,
+      voyage,
+      originPort,
+      destinationPort,
+      container,
+      costs,
+      notes,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: consolidation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update master B/L, container, voyage or costs
+// @route   PUT /api/consolidations/:id
+// @access  Private/Admin/Agent
+export const updateConsolidation = async (req, res) => {
+  try {
+    const consolidation = await Consolidation.findById(req.params.id);
+
+    if (!consolidation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consolidation not found'
+      });
+    }
+
+    ['masterBillNumber', 'carrier', 'originPort', 'destinationPort', 'container', 'costs', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) consolidation[field] = req.body[field];
+    });
+
+    // A new voyage is carried to every house shipment, as when linking shipments to a voyage
+    if (req.body.voyage !== undefined && String(req.body.voyage) !== String(consolidation.voyage)) {
+      const voyage = await Voyage.findById(req.body.voyage).populate('vessel');
+
+      if (!voyage) {
+        return res.status(404).json({
+          success: false,
+          message: 'Voyage not found'
+        });
+      }
+
+      consolidation.voyage = voyage._id;
+      const shipments = await Shipment.find({ _id: { $in: consolidation.houseBills.map(house => house.shipment) } });
+      for (const shipment of shipments) {
+        applyVoyageToShipment(shipment, voyage);
+        await shipment.save();
+      }
+    }
+
+    await consolidation.save();
+
+    res.status(200).json({
+      success: true,
+      data: consolidation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Add a shipment to the consolidation as a house bill
+// @route   POST /api/consolidations/:id/house-bills
+// @access  Private/Admin/Agent
+export const createHouseBill = async (req, res) => {
+  try {
+    const { shipment: shipmentId, houseBillNumber, packages, weight, volume } = req.body;
+
+    const [consolidation, shipment] = await Promise.all([
+      Consolidation.findById(req.params.id).populate({ path: 'voyage', populate: { path: 'vessel' } }),
+      Shipment.findById(shipmentId)
+    ]);
+
+    if (!consolidation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consolidation not found'
+      });
+    }
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    const problems = await addHouseBill(consolidation, shipment, {
+      houseBillNumber,
+      packages,
+      weight,
+      volume,
+      userId: req.user.id
+    });
+
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('; '),
+        errors: problems
+      });
+    }
+
+    await consolidation.save();
+
+    res.status(201).json({
+      success: true,
+      data: consolidation.houseBills[consolidation.houseBills.length - 1]
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Correct a house bill's number or measurements
+// @route   PUT /api/consolidations/:id/house-bills/:houseBillId
+// @access  Private/Admin/Agent
+export const updateHouseBill = async (req, res) => {
+  try {
+    const consolidation = await Consolidation.findById(req.params.id);
+    const houseBill = consolidation?.houseBills.id(req.params.houseBillId);
+
+    if (!houseBill) {
+      return res.status(404).json({
+        success: false,
+        message: 'House bill not found'
+      });
+    }
+
+    ['packages', 'weight', 'volume'].forEach(field => {
+      if (req.body[field] !== undefined) houseBill[field] = req.body[field];
+    });
+
+    if (req.body.houseBillNumber) {
+      houseBill.houseBillNumber = req.body.houseBillNumber;
+      await Shipment.updateOne({ _id: houseBill.shipment }, { houseBillNumber: houseBill.houseBillNumber });
+    }
+
+    await consolidation.save();
+
+    res.status(200).json({
+      success: true,
+      data: houseBill
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Take a house bill off the consolidation
+// @route   DELETE /api/consolidations/:id/house-bills/:houseBillId
+// @access  Private/Admin/Agent
+export const deleteHouseBill = async (req, res) => {
+  try {
+    const consolidation = await Consolidation.findById(req.params.id);
+    const houseBill = consolidation?.houseBills.id(req.params.houseBillId);
+
+    if (!houseBill) {
+      return res.status(404).json({
+        success: false,
+        message: 'House bill not found'
+      });
+    }
+
+    const problems = await removeHouseBill(consolidation, houseBill, req.user.id);
+
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('; '),
+        errors: problems
+      });
+    }
+
+    await consolidation.save();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update the master status and cascade it to every house shipment
+// @route   PUT /api/consolidations/:id/status
+// @access  Private/Admin/Agent
+export const updateStatus = async (req, res) => {
+  try {
+    const { status, description, location, notifyClients } = req.body;
+
+    const consolidation = await Consolidation.findById(req.params.id);
+
+    if (!consolidation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consolidation not found'
+      });
+    }
+
+    const { problems, results } = await updateConsolidationStatus(consolidation, {
+      status,
+      description,
+      location,
+      userId: req.user.id,
+      notifyClients: notifyClients !== false
+    });
+
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('; '),
+        errors: problems
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: consolidation,
+      results
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Master costs apportioned to each house bill
+// @route   GET /api/consolidations/:id/apportionment
+// @access  Private/Admin/Agent
+export const getApportionment = async (req, res) => {
+  try {
+    const consolidation = await Consolidation.findById(req.params.id);
+
+    if (!consolidation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consolidation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: apportionCosts(consolidation)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Download the consolidated cargo manifest as PDF (default) or CSV
+// @route   GET /api/consolidations/:id/manifest
+// @access  Private/Admin/Agent
+export const getManifest = async (req, res) => {
+  try {
+    const consolidation = await Consolidation.findById(req.params.id)
+      .populate({ path: 'voyage', populate: { path: 'vessel', select: 'name' } })
+      .populate({ path: 'houseBills.shipment', populate: { path: 'client', select: 'companyName' } });
+
+    if (!consolidation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consolidation not found'
+      });
+    }
+
+    if (req.query.format === 'csv') {
+      res.attachment(`manifest-${consolidation.consolidationNumber}.csv`);
+      return res.type('text/csv').send(toCSV(buildManifest(consolidation), MANIFEST_COLUMNS));
+    }
+
+    // House bills change until the container sails, so the manifest is rendered on every request
+    const pdfUrl = await generateManifestPDF(consolidation);
+    res.download(resolvePublicPath(pdfUrl));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,229 @@
+import { CONTAINER_EVENTS } from '../config/freight.js';
+import { recordContainerEvent } from '../services/containerService.js';
+import { findAccessibleShipment } from '../utils/shipmentAccess.js';
+import { normalizeContainerNumber } from '../utils/iso6346.js';
+
+// A container number may only appear once on a shipment
+const isDuplicateContainer = (shipment, containerNumber, exceptId = null) => {
+  const normalized = normalizeContainerNumber(containerNumber);
+  return shipment.containers.some(container =>
+    container.containerNumber === normalized && (!exceptId || !container._id.equals(exceptId))
+  );
+};
+
+// @desc    List the containers on a shipment
+// @route   GET /api/shipments/:id/containers
+// @access  Private
+export const getContainers = async (req, res) => {
+  try {
+    const shipment = await findAccessibleShipment(req);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: shipment.containers.length,
+      booked: shipment.cargoDetails?.containers,
+      data: shipment.containers
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Add a container to a shipment
+// @route   POST /api/shipments/:id/containers
+// @access  Private/Admin/Agent
+export const addContainer = async (req, res) => {
+  try {
+    const { containerNumber, sealNumber, containerType, grossWeight } = req.body;
+
+    const shipment = await findAccessibleShipment(req);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    if (isDuplicateContainer(shipment, containerNumber)) {
+      return res.status(400).json({
+        success: false,
+        message: `Container ${normalizeContainerNumber(containerNumber)} is already on this shipment`
+      });
+    }
+
+    shipment.containers.push({
+      containerNumber,
+      sealNumber,
+      containerType: containerType || shipment.cargoDetails?.containerType,
+      grossWeight
+    });
+
+    const container = shipment.containers[shipment.containers.length - 1];
+    const validationError = container.validateSync();
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message
+      });
+    }
+
+    await shipment.save();
+
+    res.status(201).json({
+      success: true,
+      data: container
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update a container's number, seal, type or weight
+// @route   PUT /api/shipments/:id/containers/:containerId
+// @access  Private/Admin/Agent
+export const updateContainer = async (req, res) => {
+  try {
+    const { containerNumber, sealNumber, containerType, grossWeight } = req.body;
+
+    const shipment = await findAccessibleShipment(req);
+    const container = shipment?.containers.id(req.params.containerId);
+
+    if (!container) {
+      return res.status(404).json({
+        success: false,
+        message: 'Container not found'
+      });
+    }
+
+    if (containerNumber && isDuplicateContainer(shipment, containerNumber, container._id)) {
+      return res.status(400).json({
+        success: false,
+        message: `Container ${normalizeContainerNumber(containerNumber)} is already on this shipment`
+      });
+    }
+
+    if (containerNumber) container.containerNumber = containerNumber;
+    if (sealNumber !== undefined) container.sealNumber = sealNumber;
+    if (containerType) container.containerType = containerType;
+    if (grossWeight !== undefined) container.grossWeight = grossWeight;
+
+    const validationError = container.validateSync();
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message
+      });
+    }
+
+    await shipment.save();
+
+    res.status(200).json({
+      success: true,
+      data: container
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Remove a container entered in error
+// @route   DELETE /api/shipments/:id/containers/:containerId
+// @access  Private/Admin/Agent
+export const removeContainer = async (req, res) => {
+  try {
+    const shipment = await findAccessibleShipment(req);
+    const container = shipment?.containers.id(req.params.containerId);
+
+    if (!container) {
+      return res.status(404).json({
+        success: false,
+        message: 'Container not found'
+      });
+    }
+
+    // Containers with recorded movements are part of the shipment's history
+    if (container.events.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Container ${container.containerNumber} has recorded movements and cannot be removed`
+      });
+    }
+
+    container.deleteOne();
+    await shipment.save();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Record a container movement (gate-in, loaded, discharged, gate-out...)
+// @route   POST /api/shipments/:id/containers/:containerId/events
+// @access  Private/Admin/Agent
+export const addContainerEvent = async (req, res) => {
+  try {
+    const { event, description, location, timestamp } = req.body;
+
+    if (!CONTAINER_EVENTS.includes(event)) {
+      return res.status(400).json({
+        success: false,
+        message: `Event must be one of: ${CONTAINER_EVENTS.join(', ')}`
+      });
+    }
+
+    const shipment = await findAccessibleShipment(req);
+    const container = shipment?.containers.id(req.params.containerId);
+
+    if (!container) {
+      return res.status(404).json({
+        success: false,
+        message: 'Container not found'
+      });
+    }
+
+    recordContainerEvent(container, {
+      event,
+      description,
+      location,
+      timestamp,
+      userId: req.user.id
+    });
+    await shipment.save();
+
+    res.status(201).json({
+      success: true,
+      data: container
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
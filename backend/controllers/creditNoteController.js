@@ -0,0 +1,172 @@
+import CreditNote from '../models/CreditNote.js';
+import Payment from '../models/Payment.js';
+import PaymentTransaction from '../models/PaymentTransaction.js';
+import {
+  creditableAmount,
+  defaultRefundTransaction,
+  checkCreditNote,
+  issueCreditNote,
+  getClientCreditBalance
+} from '../services/creditNoteService.js';
+
+// @desc    Refund (part of) a paid invoice, or credit it to the client's account, issuing a credit note.
+//          Card payments are refunded through Stripe; other methods are refunded by staff and recorded here.
+// @route   POST /api/payments/:id/refunds
+// @access  Private/Admin
+export const createRefund = async (req, res) => {
+  try {
+    const { amount, reason, settlement = 'refund', transactionId, reference } = req.body;
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    // Without an amount the whole of what is left is credited back
+    const creditAmount = amount !== undefined ? Number(amount) : creditableAmount(payment);
+
+    let transaction = null;
+    if (settlement === 'refund') {
+      transaction = transactionId
+        ? await PaymentTransaction.findById(transactionId)
+        : await defaultRefundTransaction(payment, creditAmount);
+    }
+
+    const problems = await checkCreditNote(payment, { amount: creditAmount, reason, settlement, transaction });
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('; '),
+        errors: problems
+      });
+    }
+
+    const { problems: issueProblems, creditNote, payment: updated } = await issueCreditNote(payment, {
+      amount: creditAmount,
+      reason,
+      settlement,
+      transaction,
+      reference,
+      issuedBy: req.user.id
+    });
+    if (issueProblems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: issueProblems.join('; '),
+        errors: issueProblems
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        creditNote,
+        payment: updated
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    List credit notes (clients see their own; admins can filter by client or payment)
+// @route   GET /api/payments/credit-notes
+// @access  Private
+export const getCreditNotes = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const { status, payment, client } = req.query;
+
+    const filter = req.user.role === 'admin' ? {} : { client: req.user.id };
+    if (req.user.role === 'admin' && client) filter.client = client;
+    if (payment) filter.payment = payment;
+    if (status) filter.status = status;
+
+    const creditNotes = await CreditNote.find(filter)
+      .populate('client', 'companyName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await CreditNote.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: creditNotes,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get a credit note
+// @route   GET /api/payments/credit-notes/:id
+// @access  Private
+export const getCreditNote = async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findById(req.params.id)
+      .populate('client', 'companyName email phone')
+      .populate('invoice', 'invoiceNumber totalAmount currency pdfUrl');
+
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+
+    // Check authorization
+    if (creditNote.client._id.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this credit note'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: creditNote
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Credit held on account, per currency (admins can ask for any client)
+// @route   GET /api/payments/credit-balance
+// @access  Private
+export const getCreditBalance = async (req, res) => {
+  try {
+    const clientId = req.user.role === 'admin' && req.query.client ? req.query.client : req.user.id;
+
+    res.status(200).json({
+      success: true,
+      data: await getClientCreditBalance(clientId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,191 @@
+import CustomsDeclaration from '../models/CustomsDeclaration.js';
+import {
+  buildDeclarationFromShipment,
+  generateDeclarationPDF
+} from '../services/customsDeclarationService.js';
+import { resolvePublicPath } from '../utils/pdfService.js';
+import { findAccessibleShipment } from '../utils/shipmentAccess.js';
+
+// @desc    Get customs declaration for a shipment
+// @route   GET /api/shipments/:id/declaration
+// @access  Private
+export const getDeclaration = async (req, res) => {
+  try {
+    const shipment = await findAccessibleShipment(req);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    const declaration = await CustomsDeclaration.findOne({ shipment: shipment._id })
+      .populate('preparedBy', 'companyName email');
+
+    if (!declaration) {
+      return res.status(404).json({
+        success: false,
+        message: 'No customs declaration has been prepared for this shipment'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: declaration
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Build (or rebuild) the customs declaration from the shipment record
+// @route   POST /api/shipments/:id/declaration
+// @access  Private (Admin/Agent only)
+export const buildDeclaration = async (req, res) => {
+  try {
+    const shipment = await findAccessibleShipment(req);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    const hasItems = Array.isArray(req.body.items) && req.body.items.length > 0;
+    if (!hasItems && shipment.vehicles.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one HS-coded line item is required'
+      });
+    }
+
+    let declaration = await CustomsDeclaration.findOne({ shipment: shipment._id });
+
+    if (declaration && declaration.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: `Declaration ${declaration.declarationNumber} is ${declaration.status} and can no longer be rebuilt`
+      });
+    }
+
+    const fields = buildDeclarationFromShipment(shipment, shipment.client, req.body);
+
+    if (declaration) {
+      declaration.set(fields);
+    } else {
+      declaration = new CustomsDeclaration(fields);
+    }
+
+    const created = declaration.isNew;
+    declaration.preparedBy = req.user.id;
+    declaration.pdfUrl = undefined;
+    await declaration.save();
+
+    shipment.customsDeclaration = declaration._id;
+    await shipment.save();
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: declaration
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update declaration lines or status
+// @route   PUT /api/shipments/:id/declaration
+// @access  Private (Admin/Agent only)
+export const updateDeclaration = async (req, res) => {
+  try {
+    const declaration = await CustomsDeclaration.findOne({ shipment: req.params.id });
+
+    if (!declaration) {
+      return res.status(404).json({
+        success: false,
+        message: 'No customs declaration has been prepared for this shipment'
+      });
+    }
+
+    const { items, regime, exporter, declarant, status, notes } = req.body;
+
+    if (declaration.status !== 'draft' && (items || regime || exporter || declarant)) {
+      return res.status(400).json({
+        success: false,
+        message: `Declaration ${declaration.declarationNumber} is ${declaration.status}; only its status can change`
+      });
+    }
+
+    if (items) declaration.items = items;
+    if (regime) declaration.regime = regime;
+    if (exporter) declaration.exporter = exporter;
+    if (declarant) declaration.declarant = declarant;
+    if (notes !== undefined) declaration.notes = notes;
+
+    if (status && status !== declaration.status) {
+      declaration.status = status;
+      if (status === 'submitted') {
+        declaration.submittedAt = new Date();
+      }
+    }
+
+    // Any change invalidates the previously printed document
+    declaration.pdfUrl = undefined;
+    await declaration.save();
+
+    res.status(200).json({
+      success: true,
+      data: declaration
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Download the customs declaration as a PDF
+// @route   GET /api/shipments/:id/declaration/pdf
+// @access  Private
+export const getDeclarationPDF = async (req, res) => {
+  try {
+    const shipment = await findAccessibleShipment(req);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    const declaration = await CustomsDeclaration.findOne({ shipment: shipment._id });
+
+    if (!declaration) {
+      return res.status(404).json({
+        success: false,
+        message: 'No customs declaration has been prepared for this shipment'
+      });
+    }
+
+    if (!declaration.pdfUrl) {
+      declaration.pdfUrl = await generateDeclarationPDF(declaration, shipment);
+      await declaration.save();
+    }
+
+    res.download(resolvePublicPath(declaration.pdfUrl));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,318 @@
+import DangerousGood from '../models/DangerousGood.js';
+import {
+  completeDangerousGoodsLines,
+  checkDangerousGoods,
+  checkDangerousGoodsForBooking,
+  generateDangerousGoodsDeclarationPDF
+} from '../services/dangerousGoodsService.js';
+import { findAccessibleShipment } from '../utils/shipmentAccess.js';
+import { resolvePublicPath } from '../utils/pdfService.js';
+import { parseCSV } from '../utils/csv.js';
+
+// Shipments whose dangerous goods may still be changed
+const EDITABLE_STATUSES = ['pending', 'booked'];
+
+// List columns in the CSV hold several values separated by semicolons
+const splitList = (value) => (value || '').split(';').map(item => item.trim()).filter(Boolean);
+
+// Map a CSV row (un_number, proper_shipping_name, class, packing_groups, ...) onto reference fields
+const rowToDangerousGood = (row) => {
+  const unNumber = (row.un_number || row.un || '').replace(/\s/g, '').toUpperCase();
+
+  return {
+    unNumber: /^\d{4}$/.test(unNumber) ? `UN${unNumber}` : unNumber,
+    properShippingName: row.proper_shipping_name || row.name,
+    hazardClass: row.class || row.hazard_class,
+    subsidiaryRisks: splitList(row.subsidiary_risks),
+    packingGroups: splitList(row.packing_groups).map(group => group.toUpperCase()),
+    forbiddenModes: splitList(row.forbidden_modes).map(mode => mode.toLowerCase()),
+    marinePollutant: ['true', 'yes', 'p'].includes((row.marine_pollutant || '').toLowerCase()),
+    emsCode: row.ems || row.ems_code || undefined,
+    isActive: true
+  };
+};
+
+// @desc    List the dangerous goods reference table
+// @route   GET /api/admin/dangerous-goods
+// @access  Private/Admin
+export const getDangerousGoods = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+    const { search, hazardClass } = req.query;
+
+    let filter = {};
+    if (hazardClass) filter.hazardClass = hazardClass;
+    if (search) {
+      filter = /^(UN)?\d+$/i.test(search)
+        ? { ...filter, unNumber: { $regex: `^UN${search.replace(/^UN/i, '')}` } }
+        : { ...filter, $text: { $search: search } };
+    }
+
+    const entries = await DangerousGood.find(filter)
+      .sort({ unNumber: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await DangerousGood.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Add a UN number to the reference table
+// @route   POST /api/admin/dangerous-goods
+// @access  Private/Admin
+export const createDangerousGood = async (req, res) => {
+  try {
+    const entry = await DangerousGood.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update a reference table entry
+// @route   PUT /api/admin/dangerous-goods/:id
+// @access  Private/Admin
+export const updateDangerousGood = async (req, res) => {
+  try {
+    const entry = await DangerousGood.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dangerous goods entry not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Import reference entries from CSV (upserts by UN number)
+// @route   POST /api/admin/dangerous-goods/import
+// @access  Private/Admin
+export const importDangerousGoods = async (req, res) => {
+  try {
+    const csvText = typeof req.body === 'string' ? req.body : req.body.csv;
+
+    if (!csvText) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV content is required'
+      });
+    }
+
+    const rows = parseCSV(csvText);
+    const errors = [];
+    const operations = [];
+
+    rows.forEach((row, index) => {
+      const entry = new DangerousGood(rowToDangerousGood(row));
+      const validationError = entry.validateSync();
+
+      if (validationError) {
+        // +2 accounts for the header row and 1-based line numbers
+        errors.push({ line: index + 2, error: validationError.message });
+        return;
+      }
+
+      const { _id, ...fields } = entry.toObject();
+      operations.push({
+        updateOne: {
+          filter: { unNumber: fields.unNumber },
+          update: { $set: fields },
+          upsert: true
+        }
+      });
+    });
+
+    const result = operations.length > 0
+      ? await DangerousGood.bulkWrite(operations)
+      : { upsertedCount: 0, modifiedCount: 0 };
+
+    res.status(200).json({
+      success: true,
+      data: {
+        totalRows: rows.length,
+        created: result.upsertedCount,
+        updated: result.modifiedCount,
+        errors
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Dangerous goods declared on a shipment and what still blocks booking
+// @route   GET /api/shipments/:id/dangerous-goods
+// @access  Private
+export const getShipmentDangerousGoods = async (req, res) => {
+  try {
+    const shipment = await findAccessibleShipment(req);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        transportMode: shipment.transportMode,
+        lines: shipment.dangerousGoods,
+        bookingProblems: await checkDangerousGoodsForBooking(shipment)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Declare (replace) the dangerous goods lines on a shipment
+// @route   PUT /api/shipments/:id/dangerous-goods
+// @access  Private
+export const updateShipmentDangerousGoods = async (req, res) => {
+  try {
+    const { lines, transportMode } = req.body;
+
+    if (!Array.isArray(lines)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please list the dangerous goods lines (an empty list clears them)'
+      });
+    }
+
+    const shipment = await findAccessibleShipment(req);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    if (!EDITABLE_STATUSES.includes(shipment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Shipment is ${shipment.status}; dangerous goods can no longer be changed`
+      });
+    }
+
+    if (transportMode) shipment.transportMode = transportMode;
+    shipment.dangerousGoods = await completeDangerousGoodsLines(lines);
+
+    const validationError = shipment.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message
+      });
+    }
+
+    // Lines are only stored once they pass the reference, mode and segregation checks
+    const problems = await checkDangerousGoods(shipment);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('; '),
+        errors: problems
+      });
+    }
+
+    if (shipment.dangerousGoods.length > 0) {
+      shipment.set('cargoDetails.type', 'hazardous');
+    }
+    await shipment.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        transportMode: shipment.transportMode,
+        lines: shipment.dangerousGoods,
+        bookingProblems: await checkDangerousGoodsForBooking(shipment)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Download the dangerous goods declaration
+// @route   GET /api/shipments/:id/dangerous-goods/declaration
+// @access  Private
+export const getDangerousGoodsDeclaration = async (req, res) => {
+  try {
+    const shipment = await findAccessibleShipment(req);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    if (shipment.dangerousGoods.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No dangerous goods are declared on this shipment'
+      });
+    }
+
+    // Lines can change until the cargo moves, so the declaration is rendered on every request
+    const pdfUrl = await generateDangerousGoodsDeclarationPDF(shipment);
+    res.download(resolvePublicPath(pdfUrl));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
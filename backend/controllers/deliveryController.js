@@ -0,0 +1,239 @@
+import fs from 'fs';
+import Shipment from '../models/Shipment.js';
+import User from '../models/User.js';
+import { DELIVERY_EXCEPTIONS } from '../config/documents.js';
+import { recordProofOfDelivery, sendDeliveryNotifications } from '../services/deliveryService.js';
+import { findAccessibleShipment } from '../utils/shipmentAccess.js';
+
+// Remove signature and photo uploads that were not stored against a shipment
+const discardUploads = (files) => {
+  Object.values(files || {}).flat().forEach(file => {
+    fs.unlink(file.path, () => {});
+  });
+};
+
+// Read GPS coordinates from the form; returns undefined when none were sent
+const parseLocation = ({ latitude, longitude, accuracy }) => {
+  if (latitude === undefined && longitude === undefined) return undefined;
+
+  const location = {
+    latitude: parseFloat(latitude),
+    longitude: parseFloat(longitude),
+    accuracy: accuracy !== undefined ? parseFloat(accuracy) : undefined
+  };
+
+  if (!(Math.abs(location.latitude) <= 90) || !(Math.abs(location.longitude) <= 180)) {
+    throw new Error('GPS coordinates are invalid');
+  }
+  return location;
+};
+
+// Exceptions arrive as JSON text in multipart forms
+const parseExceptions = (value) => {
+  if (!value) return [];
+
+  const exceptions = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(exceptions)) {
+    throw new Error('Exceptions must be a list');
+  }
+
+  return exceptions.map(exception => {
+    if (!DELIVERY_EXCEPTIONS.includes(exception.type)) {
+      throw new Error(`Exception type must be one of: ${DELIVERY_EXCEPTIONS.join(', ')}`);
+    }
+    return { type: exception.type, description: exception.description };
+  });
+};
+
+// @desc    Deliveries assigned to the current driver that are still open
+// @route   GET /api/shipments/deliveries
+// @access  Private/Admin/Agent
+export const getMyDeliveries = async (req, res) => {
+  try {
+    const shipments = await Shipment.find({
+      'delivery.assignedTo': req.user.id,
+      'delivery.status': 'assigned'
+    })
+      .select('trackingNumber description status destination containers.containerNumber delivery')
+      .populate('client', 'companyName phone')
+      .sort({ 'delivery.scheduledFor': 1 });
+
+    res.status(200).json({
+      success: true,
+      count: shipments.length,
+      data: shipments
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get delivery assignment and proof of delivery for a shipment
+// @route   GET /api/shipments/:id/delivery
+// @access  Private
+export const getDelivery = async (req, res) => {
+  try {
+    const shipment = await findAccessibleShipment(req);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    await shipment.populate('delivery.assignedTo', 'companyName contactPerson phone');
+
+    res.status(200).json({
+      success: true,
+      data: shipment.delivery || null
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Assign a shipment's delivery to a driver or agent
+// @route   PUT /api/shipments/:id/delivery
+// @access  Private/Admin/Agent
+export const assignDelivery = async (req, res) => {
+  try {
+    const { assignedTo, scheduledFor, address, instructions } = req.body;
+
+    const shipment = await findAccessibleShipment(req);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    if (shipment.delivery?.status === 'delivered' || ['delivered', 'cancelled'].includes(shipment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Shipment is ${shipment.status} and can no longer be assigned for delivery`
+      });
+    }
+
+    const driver = await User.findById(assignedTo);
+
+    if (!driver || !['agent', 'admin'].includes(driver.role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Deliveries can only be assigned to agents'
+      });
+    }
+
+    shipment.delivery = {
+      ...shipment.delivery?.toObject(),
+      assignedTo: driver._id,
+      assignedBy: req.user.id,
+      assignedAt: new Date(),
+      scheduledFor: scheduledFor !== undefined ? scheduledFor : shipment.delivery?.scheduledFor,
+      address: address !== undefined ? address : (shipment.delivery?.address || shipment.destination?.address),
+      instructions: instructions !== undefined ? instructions : shipment.delivery?.instructions,
+      status: 'assigned'
+    };
+    await shipment.save();
+
+    res.status(200).json({
+      success: true,
+      data: shipment.delivery
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Submit proof of delivery from the driver's phone and mark the shipment delivered
+// @route   POST /api/shipments/:id/delivery/proof
+// @access  Private/Admin/Agent
+export const submitProofOfDelivery = async (req, res) => {
+  try {
+    const { recipientName, notes } = req.body;
+    const signature = req.files?.signature?.[0];
+
+    if (!recipientName || !signature) {
+      discardUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the recipient name and signature'
+      });
+    }
+
+    let location;
+    let exceptions;
+    try {
+      location = parseLocation(req.body);
+      exceptions = parseExceptions(req.body.exceptions);
+    } catch (parseError) {
+      discardUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        message: parseError.message
+      });
+    }
+
+    const shipment = await findAccessibleShipment(req);
+
+    if (!shipment) {
+      discardUploads(req.files);
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    // Agents may only close deliveries assigned to them
+    const assignee = shipment.delivery?.assignedTo;
+    if (req.user.role !== 'admin' && (!assignee || assignee.toString() !== req.user.id)) {
+      discardUploads(req.files);
+      return res.status(403).json({
+        success: false,
+        message: 'This delivery is not assigned to you'
+      });
+    }
+
+    const problems = await recordProofOfDelivery(shipment, {
+      recipientName,
+      signature,
+      photos: req.files.photos || [],
+      location,
+      exceptions,
+      notes,
+      userId: req.user.id
+    });
+
+    if (problems.length > 0) {
+      discardUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        message: problems.join('; '),
+        errors: problems
+      });
+    }
+
+    await sendDeliveryNotifications(shipment);
+
+    res.status(201).json({
+      success: true,
+      data: shipment.delivery
+    });
+  } catch (error) {
+    discardUploads(req.files);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
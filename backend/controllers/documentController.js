@@ -0,0 +1,244 @@
+import fs from 'fs';
+import { DOCUMENT_TYPES, documentTypes } from '../config/documents.js';
+import {
+  buildDocumentChecklist,
+  getShipmentDirection,
+  addDocumentVersion
+} from '../services/documentService.js';
+import { requestMissingDocuments } from '../services/documentRequestService.js';
+import { findAccessibleShipment } from '../utils/shipmentAccess.js';
+import { resolvePublicPath } from '../utils/pdfService.js';
+import { normalizeVin } from '../utils/vin.js';
+
+// Remove an uploaded file that was not stored against a shipment
+const discardUpload = (file) => {
+  if (file) {
+    fs.unlink(file.path, () => {});
+  }
+};
+
+// @desc    List shipment documents and the required-document checklist
+// @route   GET /api/shipments/:id/documents
+// @access  Private
+export const getDocuments = async (req, res) => {
+  try {
+    const shipment = await findAccessibleShipment(req);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    // Older versions are only listed on request
+    const documents = req.query.history === 'true'
+      ? shipment.documents
+      : shipment.documents.filter(document => document.isCurrent !== false);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        direction: getShipmentDirection(shipment),
+        checklist: buildDocumentChecklist(shipment),
+        documents
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Upload a shipment document (a new version if the type already exists)
+// @route   POST /api/shipments/:id/documents
+// @access  Private
+export const uploadShipmentDocument = async (req, res) => {
+  try {
+    const { type, name } = req.body;
+    const vin = req.body.vin ? normalizeVin(req.body.vin) : undefined;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please attach a file'
+      });
+    }
+
+    if (!DOCUMENT_TYPES.includes(type)) {
+      discardUpload(req.file);
+      return res.status(400).json({
+        success: false,
+        message: `Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`
+      });
+    }
+
+    const shipment = await findAccessibleShipment(req);
+
+    if (!shipment) {
+      discardUpload(req.file);
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    // Titles and export certificates belong to one of the shipment's vehicles
+    if (documentTypes[type].perVehicle && !shipment.vehicles.some(vehicle => vehicle.vin === vin)) {
+      discardUpload(req.file);
+      return res.status(400).json({
+        success: false,
+        message: `Please give the VIN of the vehicle this ${documentTypes[type].label.toLowerCase()} is for`
+      });
+    }
+
+    const document = addDocumentVersion(shipment, {
+      type,
+      name,
+      vin: documentTypes[type].perVehicle ? vin : undefined,
+      file: req.file,
+      userId: req.user.id
+    });
+    await shipment.save();
+
+    res.status(201).json({
+      success: true,
+      data: {
+        document,
+        checklist: buildDocumentChecklist(shipment)
+      }
+    });
+  } catch (error) {
+    discardUpload(req.file);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Approve or reject a shipment document
+// @route   PUT /api/shipments/:id/documents/:documentId/review
+// @access  Private/Admin/Agent
+export const reviewDocument = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Review status must be approved or rejected'
+      });
+    }
+
+    if (status === 'rejected' && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please give a reason for rejecting the document'
+      });
+    }
+
+    const shipment = await findAccessibleShipment(req);
+    const document = shipment?.documents.id(req.params.documentId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (document.isCurrent === false) {
+      return res.status(400).json({
+        success: false,
+        message: `Version ${document.version} has been superseded; review the latest upload instead`
+      });
+    }
+
+    document.reviewStatus = status;
+    document.rejectionReason = status === 'rejected' ? reason : undefined;
+    document.reviewedBy = req.user.id;
+    document.reviewedAt = new Date();
+    await shipment.save();
+
+    // Tell the client straight away what needs replacing
+    if (status === 'rejected') {
+      try {
+        await requestMissingDocuments(shipment);
+      } catch (notifyError) {
+        console.log('Document request failed:', notifyError);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        document,
+        checklist: buildDocumentChecklist(shipment)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Send the client the list of missing or rejected documents now
+// @route   POST /api/shipments/:id/documents/request
+// @access  Private/Admin/Agent
+export const sendDocumentRequest = async (req, res) => {
+  try {
+    const shipment = await findAccessibleShipment(req);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    const result = await requestMissingDocuments(shipment);
+
+    res.status(200).json({
+      success: true,
+      message: result.sent
+        ? `Requested ${result.documents.length} document(s) from the client`
+        : 'No documents are missing or rejected for this shipment',
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Download a shipment document
+// @route   GET /api/shipments/:id/documents/:documentId/file
+// @access  Private
+export const downloadDocument = async (req, res) => {
+  try {
+    const shipment = await findAccessibleShipment(req);
+    const document = shipment?.documents.id(req.params.documentId);
+
+    if (!document || (!document.filePath && !document.fileUrl)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const filepath = document.filePath || resolvePublicPath(document.fileUrl);
+    res.download(filepath, document.originalName || document.name);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,204 @@
+import ExchangeRate from '../models/ExchangeRate.js';
+import { getExchangeRate } from '../services/currencyService.js';
+import { CURRENCY_CODES, currencies } from '../config/currencies.js';
+import { roundMoney } from '../utils/currency.js';
+import { parseCSV } from '../utils/csv.js';
+
+// Map a CSV row (date, base, quote, rate) onto rate fields
+const rowToExchangeRate = (row) => ({
+  date: row.date,
+  base: (row.base || row.from || '').trim().toUpperCase(),
+  quote: (row.quote || row.to || '').trim().toUpperCase(),
+  rate: parseFloat(row.rate),
+  source: 'csv'
+});
+
+// One rate per pair and day; a second entry for the same day replaces the first
+const upsertOperation = (entry) => {
+  const { _id, ...fields } = entry.toObject();
+  return {
+    updateOne: {
+      filter: { base: fields.base, quote: fields.quote, date: fields.date },
+      update: { $set: fields },
+      upsert: true
+    }
+  };
+};
+
+// @desc    List published exchange rates, newest first
+// @route   GET /api/admin/exchange-rates
+// @access  Private/Admin
+export const getExchangeRates = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+    const { base, quote, from, to } = req.query;
+
+    const filter = {};
+    if (base) filter.base = base.toUpperCase();
+    if (quote) filter.quote = quote.toUpperCase();
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = new Date(from);
+      if (to) filter.date.$lte = new Date(to);
+    }
+
+    const rates = await ExchangeRate.find(filter)
+      .sort({ date: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await ExchangeRate.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: rates,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Publish (or correct) the rate for a day
+// @route   POST /api/admin/exchange-rates
+// @access  Private/Admin
+export const setExchangeRate = async (req, res) => {
+  try {
+    const { base, quote, date, rate } = req.body;
+
+    const entry = new ExchangeRate({
+      base: base?.toUpperCase(),
+      quote: quote?.toUpperCase(),
+      date: date || new Date(),
+      rate,
+      source: 'manual',
+      updatedBy: req.user.id
+    });
+
+    const validationError = entry.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message
+      });
+    }
+
+    await ExchangeRate.bulkWrite([upsertOperation(entry)]);
+    const saved = await ExchangeRate.findOne({ base: entry.base, quote: entry.quote, date: entry.date });
+
+    res.status(200).json({
+      success: true,
+      data: saved
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Import daily rates from CSV (upserts by pair and date)
+// @route   POST /api/admin/exchange-rates/import
+// @access  Private/Admin
+export const importExchangeRates = async (req, res) => {
+  try {
+    const csvText = typeof req.body === 'string' ? req.body : req.body.csv;
+
+    if (!csvText) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV content is required'
+      });
+    }
+
+    const rows = parseCSV(csvText);
+    const errors = [];
+    const operations = [];
+
+    rows.forEach((row, index) => {
+      const entry = new ExchangeRate({ ...rowToExchangeRate(row), updatedBy: req.user.id });
+      const validationError = entry.validateSync();
+
+      if (validationError) {
+        // +2 accounts for the header row and 1-based line numbers
+        errors.push({ line: index + 2, error: validationError.message });
+        return;
+      }
+
+      operations.push(upsertOperation(entry));
+    });
+
+    const result = operations.length > 0
+      ? await ExchangeRate.bulkWrite(operations)
+      : { upsertedCount: 0, modifiedCount: 0 };
+
+    res.status(200).json({
+      success: true,
+      data: {
+        totalRows: rows.length,
+        created: result.upsertedCount,
+        updated: result.modifiedCount,
+        errors
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Current rate between two currencies and, given an amount, its conversion
+// @route   GET /api/payments/exchange-rate?from=USD&to=LRD&amount=100
+// @access  Private
+export const getCurrentExchangeRate = async (req, res) => {
+  try {
+    const from = (req.query.from || '').toUpperCase();
+    const to = (req.query.to || '').toUpperCase();
+
+    if (!CURRENCY_CODES.includes(from) || !CURRENCY_CODES.includes(to)) {
+      return res.status(400).json({
+        success: false,
+        message: `Currencies must be one of ${CURRENCY_CODES.join(', ')}`
+      });
+    }
+
+    const rate = await getExchangeRate(from, to);
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: `No ${from}/${to} exchange rate has been published`
+      });
+    }
+
+    const amount = req.query.amount !== undefined ? parseFloat(req.query.amount) : undefined;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...rate,
+        currencies: { [from]: currencies[from], [to]: currencies[to] },
+        converted: amount !== undefined && !isNaN(amount)
+          ? roundMoney(amount * rate.rate, to)
+          : undefined
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
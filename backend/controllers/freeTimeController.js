@@ -0,0 +1,100 @@
+import { calculateFreeTime, invoiceFreeTimeCharges } from '../services/freeTimeService.js';
+import { findAccessibleShipment } from '../utils/shipmentAccess.js';
+
+// @desc    Demurrage, detention and storage accrued and projected for a shipment
+// @route   GET /api/shipments/:id/free-time
+// @access  Private
+export const getFreeTime = async (req, res) => {
+  try {
+    const shipment = await findAccessibleShipment(req);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...calculateFreeTime(shipment, { asOf, projectTo: req.query.projectTo }),
+        invoiced: shipment.freeTimeInvoiced
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Set negotiated free days for a shipment
+// @route   PUT /api/shipments/:id/free-time
+// @access  Private/Admin/Agent
+export const updateFreeTime = async (req, res) => {
+  try {
+    const shipment = await findAccessibleShipment(req);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    // null clears an override so the carrier/tariff default applies again
+    ['demurrageDays', 'detentionDays', 'storageDays'].forEach(field => {
+      if (req.body[field] !== undefined) shipment.freeTime[field] = req.body[field];
+    });
+    await shipment.save();
+
+    res.status(200).json({
+      success: true,
+      data: calculateFreeTime(shipment)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Invoice demurrage, detention and storage accrued since the last invoice
+// @route   POST /api/shipments/:id/free-time/invoice
+// @access  Private/Admin/Agent
+export const invoiceFreeTime = async (req, res) => {
+  try {
+    const shipment = await findAccessibleShipment(req);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    const result = await invoiceFreeTimeCharges(shipment);
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'No uninvoiced demurrage, detention or storage charges for this shipment'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
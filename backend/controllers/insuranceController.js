@@ -0,0 +1,299 @@
+import InsuranceProduct from '../models/InsuranceProduct.js';
+import InsurancePolicy from '../models/InsurancePolicy.js';
+import { calculatePremium, checkInsurability, issuePolicy } from '../services/insuranceService.js';
+import { findAccessibleShipment } from '../utils/shipmentAccess.js';
+import { resolvePublicPath } from '../utils/pdfService.js';
+
+// Load the policy in req.params.id if the current user may see it (clients only see their own)
+const findAccessiblePolicy = (req) => {
+  const query = { _id: req.params.id };
+
+  if (req.user.role === 'client') {
+    query.client = req.user.id;
+  }
+
+  return InsurancePolicy.findOne(query);
+};
+
+// @desc    List insurance products
+// @route   GET /api/insurance/products
+// @access  Private
+export const getProducts = async (req, res) => {
+  try {
+    // Clients only see the cover they can buy
+    const filter = req.user.role === 'admin' && req.query.all === 'true' ? {} : { isActive: true };
+    const products = await InsuranceProduct.find(filter).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      data: products
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create an insurance product
+// @route   POST /api/insurance/products
+// @access  Private/Admin
+export const createProduct = async (req, res) => {
+  try {
+    const product = await InsuranceProduct.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update an insurance product's premium rules
+// @route   PUT /api/insurance/products/:id
+// @access  Private/Admin
+export const updateProduct = async (req, res) => {
+  try {
+    const product = await InsuranceProduct.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Insurance product not found'
+      });
+    }
+
+    [
+      'name', 'description', 'coverage', 'underwriter', 'premiumRate', 'cifUplift',
+      'minimumPremium', 'deductible', 'maxInsuredValue', 'excludedCargoTypes', 'currency', 'isActive'
+    ].forEach(field => {
+      if (req.body[field] !== undefined) product[field] = req.body[field];
+    });
+    await product.save();
+
+    res.status(200).json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Price cover for a cargo before buying it
+// @route   POST /api/insurance/premium
+// @access  Private
+export const getPremium = async (req, res) => {
+  try {
+    const { product: productId, cargoValue, freight, cargoType } = req.body;
+
+    const product = await InsuranceProduct.findById(productId);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Insurance product not found'
+      });
+    }
+
+    const figures = calculatePremium(product, { cargoValue, freight });
+    const problems = checkInsurability(product, { cargoType, ...figures });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...figures,
+        insurable: problems.length === 0,
+        problems
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    List insurance policies
+// @route   GET /api/insurance/policies
+// @access  Private
+export const getPolicies = async (req, res) => {
+  try {
+    const { shipment, status, client } = req.query;
+
+    let filter = {};
+    if (shipment) filter.shipment = shipment;
+    if (status) filter.status = status;
+
+    if (req.user.role === 'client') {
+      filter.client = req.user.id;
+    } else if (client) {
+      filter.client = client;
+    }
+
+    const policies = await InsurancePolicy.find(filter)
+      .populate('product', 'name code')
+      .populate('shipment', 'trackingNumber')
+      .populate('client', 'companyName')
+      .sort({ issuedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      data: policies
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get single insurance policy
+// @route   GET /api/insurance/policies/:id
+// @access  Private
+export const getPolicy = async (req, res) => {
+  try {
+    const policy = await findAccessiblePolicy(req)
+      .populate('product')
+      .populate('shipment', 'trackingNumber description status')
+      .populate('client', 'companyName email phone')
+      .populate('payment', 'invoiceNumber status amount');
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Insurance policy not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Insure a shipment, invoicing the premium and issuing the certificate
+// @route   POST /api/shipments/:id/insurance
+// @access  Private/Admin/Agent
+export const insureShipment = async (req, res) => {
+  try {
+    const [shipment, product] = await Promise.all([
+      findAccessibleShipment(req),
+      InsuranceProduct.findById(req.body.product)
+    ]);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Insurance product not found'
+      });
+    }
+
+    const { problems, policy } = await issuePolicy(shipment, product, { userId: req.user.id });
+
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('; '),
+        errors: problems
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Cancel a policy
+// @route   PUT /api/insurance/policies/:id/cancel
+// @access  Private/Admin
+export const cancelPolicy = async (req, res) => {
+  try {
+    const policy = await InsurancePolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Insurance policy not found'
+      });
+    }
+
+    if (policy.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Policy is already cancelled'
+      });
+    }
+
+    policy.status = 'cancelled';
+    policy.cancelledAt = new Date();
+    policy.cancellationReason = req.body.reason;
+    await policy.save();
+
+    res.status(200).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Download the certificate of insurance
+// @route   GET /api/insurance/policies/:id/certificate
+// @access  Private
+export const downloadCertificate = async (req, res) => {
+  try {
+    const policy = await findAccessiblePolicy(req);
+
+    if (!policy || !policy.certificateUrl) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate not found'
+      });
+    }
+
+    res.download(resolvePublicPath(policy.certificateUrl), `insurance-certificate-${policy.policyNumber}.pdf`);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
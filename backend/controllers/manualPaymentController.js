@@ -0,0 +1,270 @@
+import fs from 'fs';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import PaymentTransaction from '../models/PaymentTransaction.js';
+import {
+  MANUAL_METHODS,
+  checkManualPayment,
+  submitManualPayment,
+  getApprovalQueue,
+  approveManualPayment,
+  rejectManualPayment
+} from '../services/manualPaymentService.js';
+
+// Remove an uploaded slip that was not stored against a transaction
+const discardUpload = (file) => {
+  if (file) {
+    fs.unlink(file.path, () => {});
+  }
+};
+
+// Load a manual payment still awaiting review, answering 404/400 when there is none
+const findPendingSubmission = async (req, res) => {
+  const transaction = await PaymentTransaction.findById(req.params.transactionId);
+  if (!transaction || !transaction.review?.status) {
+    res.status(404).json({
+      success: false,
+      message: 'Payment submission not found'
+    });
+    return null;
+  }
+
+  if (transaction.review.status !== 'pending') {
+    res.status(400).json({
+      success: false,
+      message: `This submission has already been ${transaction.review.status}`
+    });
+    return null;
+  }
+  return transaction;
+};
+
+// @desc    Submit proof of a bank transfer (slip upload, reference, date and amount) for finance approval
+// @route   POST /api/payments/:id/bank-transfer
+// @access  Private
+export const submitBankTransfer = async (req, res) => {
+  try {
+    const { amount, reference, transferDate, bankName, notes } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please attach the transfer slip'
+      });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      discardUpload(req.file);
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    // Verify payment belongs to user
+    if (payment.client.toString() !== req.user.id && req.user.role !== 'admin') {
+      discardUpload(req.file);
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this payment'
+      });
+    }
+
+    const problems = await checkManualPayment(payment, {
+      amount: Number(amount),
+      method: 'bank_transfer',
+      reference,
+      date: transferDate
+    });
+    if (!transferDate) {
+      problems.push('The transfer date is required');
+    }
+    if (problems.length > 0) {
+      discardUpload(req.file);
+      return res.status(400).json({
+        success: false,
+        message: problems.join('; '),
+        errors: problems
+      });
+    }
+
+    const { transaction, payment: updated } = await submitManualPayment(payment, {
+      amount: Number(amount),
+      method: 'bank_transfer',
+      reference,
+      date: transferDate,
+      bankName,
+      file: req.file,
+      recordedBy: req.user.id,
+      notes
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        transaction,
+        payment: updated
+      }
+    });
+  } catch (error) {
+    discardUpload(req.file);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Bank transfers and cash receipts awaiting finance approval, oldest first
+// @route   GET /api/payments/approvals
+// @access  Private/Admin/Finance
+export const getPendingApprovals = async (req, res) => {
+  try {
+    const { method, client } = req.query;
+
+    if (method && !MANUAL_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Method must be one of ${MANUAL_METHODS.join(', ')}`
+      });
+    }
+
+    if (client && !mongoose.isValidObjectId(client)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid client id'
+      });
+    }
+
+    const transactions = await getApprovalQueue({
+      method,
+      client: client && new mongoose.Types.ObjectId(String(client))
+    });
+
+    res.status(200).json({
+      success: true,
+      count: transactions.length,
+      data: transactions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Confirm a bank transfer or cash receipt, optionally for the amount actually received
+// @route   PUT /api/payments/transactions/:transactionId/approve
+// @access  Private/Admin/Finance
+export const approvePaymentSubmission = async (req, res) => {
+  try {
+    const { amount, note } = req.body;
+
+    const transaction = await findPendingSubmission(req, res);
+    if (!transaction) return;
+
+    const payment = await Payment.findById(transaction.payment);
+    const { problems, transaction: approved, payment: updated } = await approveManualPayment(transaction, payment, {
+      amount,
+      note,
+      reviewedBy: req.user.id
+    });
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('; '),
+        errors: problems
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        transaction: approved,
+        payment: updated
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Reject a bank transfer or cash receipt; the client is emailed the reason
+// @route   PUT /api/payments/transactions/:transactionId/reject
+// @access  Private/Admin/Finance
+export const rejectPaymentSubmission = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required'
+      });
+    }
+
+    const transaction = await findPendingSubmission(req, res);
+    if (!transaction) return;
+
+    const { problems, transaction: rejected, payment } = await rejectManualPayment(transaction, {
+      reason,
+      reviewedBy: req.user.id
+    });
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('; '),
+        errors: problems
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        transaction: rejected,
+        payment
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Download the slip attached to a bank transfer submission
+// @route   GET /api/payments/transactions/:transactionId/proof
+// @access  Private
+export const downloadPaymentProof = async (req, res) => {
+  try {
+    const transaction = await PaymentTransaction.findById(req.params.transactionId);
+
+    if (!transaction?.proof?.filePath) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer slip not found'
+      });
+    }
+
+    // Clients only see their own slips
+    if (req.user.role === 'client' && transaction.client.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this payment'
+      });
+    }
+
+    res.download(transaction.proof.filePath, transaction.proof.originalName);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
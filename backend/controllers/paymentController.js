@@ -1,26 +1,61 @@
 import Payment from '../models/Payment.js';
 import Invoice from '../models/Invoice.js';
+import PaymentTransaction from '../models/PaymentTransaction.js';
+import CreditNote from '../models/CreditNote.js';
 import User from '../models/User.js';
 import Shipment from '../models/Shipment.js';
 import Quote from '../models/Quote.js';
 import stripe from '../config/stripe.js';
 import { getPayPalAccessToken, paypalConfig } from '../config/paypal.js';
 import { sendEmail, emailTemplates } from '../utils/emailService.js';
-import PDFDocument from 'pdfkit';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { sendPaymentSMS } from '../services/smsNotificationService.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { issueInvoice } from '../services/invoiceService.js';
+import { settleStripeRefund } from '../services/creditNoteService.js';
+import { convertAmount, getExchangeRate } from '../services/currencyService.js';
+import { currencies, CURRENCY_CODES, BASE_CURRENCY } from '../config/currencies.js';
+import {
+  defaultPayableAmount,
+  checkPayableAmount,
+  startTransaction,
+  completeTransaction,
+  failTransaction,
+  findGatewayTransaction,
+  checkInstallmentPlan,
+  setInstallmentPlan
+} from '../services/paymentAllocationService.js';
+import { checkManualPayment, submitManualPayment } from '../services/manualPaymentService.js';
+import {
+  normalizeMsisdn,
+  resolveProvider,
+  verifyCallbackSignature,
+  requestMobileMoneyPayment,
+  refreshMobileMoneyTransaction,
+  handleMobileMoneyCallback,
+  mobileMoneyProviders
+} from '../services/mobileMoneyService.js';
+
+// Amount for a charge: the part-payment the client asked for, else what is due next.
+// Sends the 400 and returns null when it cannot be paid.
+const payableAmountOrReject = (payment, requested, res) => {
+  const amount = requested !== undefined ? Number(requested) : defaultPayableAmount(payment);
+  const problems = checkPayableAmount(payment, amount);
+
+  if (problems.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: problems.join('; '),
+      errors: problems
+    });
+    return null;
+  }
+  return amount;
+};
 
 // @desc    Create payment and invoice
 // @route   POST /api/payments/create
 // @access  Private
 export const createPayment = async (req, res) => {
   try {
-    const { shipmentId, quoteId, items, dueDate, notes } = req.body;
+    const { shipmentId, quoteId, items, customsLines, dueDate, notes, currency } = req.body;
 
     // Validate required fields
     if (!items || !Array.isArray(items) || items.length === 0) {
@@ -30,6 +65,13 @@ export const createPayment = async (req, res) => {
       });
     }
 
+    if (currency && !CURRENCY_CODES.includes(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency must be one of ${CURRENCY_CODES.join(', ')}`
+      });
+    }
+
     const client = await User.findById(req.user.id);
     if (!client) {
       return res.status(404).json({
@@ -38,56 +80,20 @@ export const createPayment = async (req, res) => {
       });
     }
 
-    // Calculate totals
-    const subtotal = items.reduce((sum, item) => sum + (item.quantity * item.unitPrice), 0);
-    const taxRate = 0.15; // 15% tax for Liberia
-    const taxAmount = subtotal * taxRate;
-    const totalAmount = subtotal + taxAmount;
-
-    // Create payment record
-    const payment = await Payment.create({
-      client: req.user.id,
-      shipment: shipmentId,
-      quote: quoteId,
-      amount: totalAmount,
-      description: `Payment for ${shipmentId ? 'shipment' : 'quote'} services`,
-      items: items,
-      dueDate: dueDate || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days default
+    const { payment, invoice } = await issueInvoice({
+      client,
+      shipmentId,
+      quoteId,
+      items,
+      customsLines,
+      dueDate,
       notes,
-      paymentMethod: 'pending'
-    });
-
-    // Create invoice
-    const invoice = await Invoice.create({
-      payment: payment._id,
-      client: req.user.id,
-      dueDate: payment.dueDate,
-      items: items,
-      subtotal: subtotal,
-      taxRate: taxRate * 100, // Convert to percentage
-      taxAmount: taxAmount,
-      totalAmount: totalAmount,
-      notes: notes,
-      status: 'draft'
+      // Items priced in a named currency are invoiced in it; otherwise they are in the base
+      // currency and converted to the client's preferred one
+      currency,
+      priceCurrency: currency || BASE_CURRENCY
     });
 
-    // Generate PDF invoice
-    const pdfUrl = await generateInvoicePDF(invoice, client);
-
-    // Update invoice with PDF URL
-    invoice.pdfUrl = pdfUrl;
-    await invoice.save();
-
-    // Send invoice email
-    try {
-      await sendInvoiceEmail(invoice, client, pdfUrl);
-      invoice.status = 'sent';
-      invoice.sentAt = new Date();
-      await invoice.save();
-    } catch (emailError) {
-      console.log('Invoice email failed:', emailError);
-    }
-
     res.status(201).json({
       success: true,
       data: {
@@ -108,7 +114,7 @@ export const createPayment = async (req, res) => {
 // @access  Private
 export const createStripePaymentIntent = async (req, res) => {
   try {
-    const { paymentId } = req.body;
+    const { paymentId, amount: requestedAmount } = req.body;
 
     const payment = await Payment.findById(paymentId).populate('client');
     if (!payment) {
@@ -126,9 +132,12 @@ export const createStripePaymentIntent = async (req, res) => {
       });
     }
 
+    const amount = payableAmountOrReject(payment, requestedAmount, res);
+    if (amount === null) return;
+
     // Create Stripe payment intent
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(payment.amount * 100), // Convert to cents
+      amount: Math.round(amount * 100), // Convert to cents
       currency: payment.currency.toLowerCase(),
       metadata: {
         paymentId: payment._id.toString(),
@@ -141,17 +150,20 @@ export const createStripePaymentIntent = async (req, res) => {
       },
     });
 
-    // Update payment with Stripe intent ID
-    payment.paymentGatewayId = paymentIntent.id;
-    payment.paymentMethod = 'stripe';
-    payment.status = 'processing';
-    await payment.save();
+    // Track the intent as a transaction until Stripe reports on it
+    const transaction = await startTransaction(payment, {
+      amount,
+      method: 'stripe',
+      gatewayId: paymentIntent.id
+    });
 
     res.status(200).json({
       success: true,
       data: {
         clientSecret: paymentIntent.client_secret,
-        paymentIntentId: paymentIntent.id
+        paymentIntentId: paymentIntent.id,
+        transactionId: transaction._id,
+        amount
       }
     });
   } catch (error) {
@@ -167,7 +179,7 @@ export const createStripePaymentIntent = async (req, res) => {
 // @access  Private
 export const createPayPalOrder = async (req, res) => {
   try {
-    const { paymentId } = req.body;
+    const { paymentId, amount: requestedAmount } = req.body;
 
     const payment = await Payment.findById(paymentId).populate('client');
     if (!payment) {
@@ -185,6 +197,16 @@ export const createPayPalOrder = async (req, res) => {
       });
     }
 
+    if (!currencies[payment.currency]?.paypal) {
+      return res.status(400).json({
+        success: false,
+        message: `PayPal cannot be used for ${payment.currency} invoices`
+      });
+    }
+
+    const amount = payableAmountOrReject(payment, requestedAmount, res);
+    if (amount === null) return;
+
     const accessToken = await getPayPalAccessToken();
 
     const orderData = {
@@ -193,7 +215,7 @@ export const createPayPalOrder = async (req, res) => {
         {
           amount: {
             currency_code: payment.currency,
-            value: payment.amount.toFixed(2)
+            value: amount.toFixed(2)
           },
           description: payment.description,
           custom_id: payment._id.toString(),
@@ -224,16 +246,19 @@ export const createPayPalOrder = async (req, res) => {
       throw new Error(order.error_description);
     }
 
-    // Update payment with PayPal order ID
-    payment.paymentGatewayId = order.id;
-    payment.paymentMethod = 'paypal';
-    payment.status = 'processing';
-    await payment.save();
+    // Track the order as a transaction until it is captured
+    const transaction = await startTransaction(payment, {
+      amount,
+      method: 'paypal',
+      gatewayId: order.id
+    });
 
     res.status(200).json({
       success: true,
       data: {
         orderId: order.id,
+        transactionId: transaction._id,
+        amount,
         approvalUrl: order.links.find(link => link.rel === 'approve').href
       }
     });
@@ -267,6 +292,10 @@ export const handleStripeWebhook = async (req, res) => {
       case 'payment_intent.payment_failed':
         await handlePaymentIntentFailed(event.data.object);
         break;
+      case 'refund.updated':
+      case 'charge.refund.updated':
+        await settleStripeRefund(event.data.object);
+        break;
       default:
         console.log(`Unhandled event type: ${event.type}`);
     }
@@ -304,9 +333,9 @@ export const capturePayPalOrder = async (req, res) => {
       throw new Error(captureData.error_description);
     }
 
-    // Find payment by order ID
-    const payment = await Payment.findOne({ paymentGatewayId: orderId }).populate('client');
-    if (!payment) {
+    // Find the transaction opened for this order
+    const transaction = await findGatewayTransaction(orderId);
+    if (!transaction) {
       return res.status(404).json({
         success: false,
         message: 'Payment not found'
@@ -314,31 +343,20 @@ export const capturePayPalOrder = async (req, res) => {
     }
 
     if (captureData.status === 'COMPLETED') {
-      // Update payment status
-      payment.status = 'completed';
-      payment.paidAt = new Date();
-      payment.paymentDetails = captureData;
-      await payment.save();
-
-      // Update invoice status
-      await Invoice.findOneAndUpdate(
-        { payment: payment._id },
-        { status: 'paid', paidAt: new Date() }
-      );
-
-      // Send receipt
-      await sendPaymentReceipt(payment);
+      // Applies the amount, updates the invoice and sends the receipt
+      const settled = await completeTransaction(transaction, { details: captureData });
+      const payment = settled?.payment || await Payment.findById(transaction.payment);
 
       res.status(200).json({
         success: true,
         data: {
-          status: 'completed',
-          payment
+          status: payment.status,
+          payment,
+          transaction: settled?.transaction || transaction
         }
       });
     } else {
-      payment.status = 'failed';
-      await payment.save();
+      await failTransaction(transaction, `PayPal capture ${captureData.status || 'failed'}`, captureData);
 
       res.status(400).json({
         success: false,
@@ -353,6 +371,165 @@ export const capturePayPalOrder = async (req, res) => {
   }
 };
 
+// @desc    Send a mobile money request-to-pay to the client's handset
+// @route   POST /api/payments/mobile-money/request-to-pay
+// @access  Private
+export const createMobileMoneyRequest = async (req, res) => {
+  try {
+    const { paymentId, phone, provider: requestedProvider, amount: requestedAmount } = req.body;
+
+    let payment = await Payment.findById(paymentId).populate('client');
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    // Verify payment belongs to user
+    if (payment.client._id.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this payment'
+      });
+    }
+
+    // A failed or timed-out request can be sent again; one awaiting approval cannot
+    const waiting = await PaymentTransaction.findOne({
+      payment: payment._id,
+      method: 'mobile_money',
+      status: 'processing'
+    });
+    if (waiting) {
+      const refreshed = await refreshMobileMoneyTransaction(waiting);
+      if (refreshed.status === 'processing') {
+        return res.status(400).json({
+          success: false,
+          message: `A request is already waiting for approval on ${refreshed.details.msisdn}`
+        });
+      }
+      payment = await Payment.findById(paymentId).populate('client');
+    }
+
+    const amount = payableAmountOrReject(payment, requestedAmount, res);
+    if (amount === null) return;
+
+    const msisdn = normalizeMsisdn(phone || payment.client.phone);
+    if (!msisdn) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please give a valid Liberian mobile money number'
+      });
+    }
+
+    const provider = resolveProvider(msisdn, requestedProvider);
+    if (!provider) {
+      return res.status(400).json({
+        success: false,
+        message: `No mobile money provider serves ${msisdn}; please choose MTN or Orange`
+      });
+    }
+
+    const transaction = await requestMobileMoneyPayment(payment, { msisdn, provider, amount });
+
+    res.status(202).json({
+      success: true,
+      message: `Approve the payment on ${msisdn} to complete it`,
+      data: {
+        paymentId: payment._id,
+        transactionId: transaction._id,
+        amount,
+        status: transaction.status,
+        provider,
+        msisdn,
+        expiresAt: transaction.details.expiresAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.response?.data?.message || error.message
+    });
+  }
+};
+
+// @desc    Current state of the latest mobile money request on a payment (checks the provider while it is awaiting approval)
+// @route   GET /api/payments/mobile-money/:paymentId/status
+// @access  Private
+export const getMobileMoneyStatus = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.paymentId);
+    const transaction = payment && await PaymentTransaction.findOne({
+      payment: payment._id,
+      method: 'mobile_money'
+    }).sort({ createdAt: -1 });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mobile money payment not found'
+      });
+    }
+
+    if (payment.client.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this payment'
+      });
+    }
+
+    const refreshed = await refreshMobileMoneyTransaction(transaction);
+    const updated = await Payment.findById(payment._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        paymentId: updated._id,
+        paymentStatus: updated.status,
+        amountOutstanding: updated.amountOutstanding,
+        transactionId: refreshed._id,
+        status: refreshed.status,
+        amount: refreshed.amount,
+        provider: refreshed.details?.provider,
+        msisdn: refreshed.details?.msisdn,
+        expiresAt: refreshed.details?.expiresAt,
+        failureReason: refreshed.failureReason,
+        receiptNumber: refreshed.receiptNumber,
+        paidAt: refreshed.paidAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Handle a mobile money provider callback
+// @route   POST /api/payments/mobile-money/callback/:provider
+// @access  Public (signed)
+export const handleMobileMoneyWebhook = async (req, res) => {
+  const { provider } = req.params;
+
+  if (!mobileMoneyProviders[provider]) {
+    return res.status(404).json({ error: 'Unknown provider' });
+  }
+
+  if (!verifyCallbackSignature(provider, req.rawBody, req.headers['x-callback-signature'])) {
+    console.log(`❌ Mobile money callback signature verification failed (${provider})`);
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  try {
+    const transaction = await handleMobileMoneyCallback(provider, req);
+    res.json({ received: true, status: transaction?.status });
+  } catch (error) {
+    console.log('Mobile money callback processing error:', error);
+    res.status(500).json({ error: 'Callback processing failed' });
+  }
+};
+
 // @desc    Get client payments
 // @route   GET /api/payments
 // @access  Private
@@ -410,8 +587,8 @@ export const getPayment = async (req, res) => {
       });
     }
 
-    // Check authorization
-    if (payment.client._id.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check authorization (finance and cashiers look payments up to take and confirm money against them)
+    if (payment.client._id.toString() !== req.user.id && !['admin', 'finance', 'cashier'].includes(req.user.role)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this payment'
@@ -419,12 +596,16 @@ export const getPayment = async (req, res) => {
     }
 
     const invoice = await Invoice.findOne({ payment: payment._id });
+    const transactions = await PaymentTransaction.find({ payment: payment._id }).sort({ createdAt: 1 });
+    const creditNotes = await CreditNote.find({ payment: payment._id }).sort({ createdAt: 1 });
 
     res.status(200).json({
       success: true,
       data: {
         payment,
-        invoice
+        invoice,
+        transactions,
+        creditNotes
       }
     });
   } catch (error) {
@@ -435,217 +616,148 @@ export const getPayment = async (req, res) => {
   }
 };
 
-// Helper Functions
-const handlePaymentIntentSucceeded = async (paymentIntent) => {
-  const payment = await Payment.findOne({ paymentGatewayId: paymentIntent.id }).populate('client');
-  if (payment) {
-    payment.status = 'completed';
-    payment.paidAt = new Date();
-    payment.paymentDetails = paymentIntent;
-    await payment.save();
-
-    // Update invoice
-    await Invoice.findOneAndUpdate(
-      { payment: payment._id },
-      { status: 'paid', paidAt: new Date() }
-    );
+// @desc    Record money received outside the gateways (e.g. cash at the counter or the balance by bank transfer).
+//          Cashiers' entries wait for finance approval; admin and finance entries complete at once.
+// @route   POST /api/payments/:id/transactions
+// @access  Private/Admin/Finance/Cashier
+export const recordPaymentTransaction = async (req, res) => {
+  try {
+    const { amount, currency, method, reference, paidAt, bankName, notes } = req.body;
+
+    if (req.user.role === 'cashier' && method !== 'cash') {
+      return res.status(403).json({
+        success: false,
+        message: 'Cashiers can only record cash payments'
+      });
+    }
 
-    // Send receipt email
-    await sendPaymentReceipt(payment);
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
 
-    // Send SMS notification
-    if (process.env.SMS_ENABLED === 'true') {
-      try {
-        await sendPaymentSMS(payment._id, 'received');
-      } catch (smsError) {
-        console.log('Payment SMS notification failed:', smsError);
+    if (currency && !CURRENCY_CODES.includes(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency must be one of ${CURRENCY_CODES.join(', ')}`
+      });
+    }
+
+    // Cash handed over in the other currency is credited at the rate of the day it was received
+    const receivedAt = paidAt ? new Date(paidAt) : new Date();
+    let applied = { amount: Number(amount), exchangeRate: null };
+    if (currency && currency !== payment.currency) {
+      if (!(await getExchangeRate(currency, payment.currency, receivedAt))) {
+        return res.status(400).json({
+          success: false,
+          message: `No ${currency}/${payment.currency} exchange rate has been published`
+        });
       }
+      applied = await convertAmount(Number(amount), currency, payment.currency, receivedAt);
     }
 
-    console.log(`✅ Payment ${payment.invoiceNumber} completed successfully`);
-  }
-};
+    const problems = await checkManualPayment(payment, { amount: applied.amount, method, reference, date: paidAt });
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('; '),
+        errors: problems
+      });
+    }
 
-const handlePaymentIntentFailed = async (paymentIntent) => {
-  const payment = await Payment.findOne({ paymentGatewayId: paymentIntent.id });
-  if (payment) {
-    payment.status = 'failed';
-    await payment.save();
+    const { transaction, payment: updated } = await submitManualPayment(payment, {
+      amount: applied.amount,
+      tendered: applied.exchangeRate
+        ? { amount: Number(amount), currency, exchangeRate: applied.exchangeRate }
+        : undefined,
+      method,
+      reference,
+      date: receivedAt,
+      bankName,
+      recordedBy: req.user.id,
+      notes,
+      approved: req.user.role !== 'cashier'
+    });
 
-    console.log(`❌ Payment ${payment.invoiceNumber} failed`);
+    res.status(201).json({
+      success: true,
+      data: {
+        transaction,
+        payment: updated
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
   }
 };
 
-const generateInvoicePDF = async (invoice, client) => {
-  return new Promise((resolve, reject) => {
-    try {
-      const doc = new PDFDocument({ margin: 50 });
-      const filename = `invoice-${invoice.invoiceNumber}.pdf`;
-      const filepath = path.join(__dirname, '../public/invoices', filename);
-      
-      // Ensure directory exists
-      const dir = path.dirname(filepath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
+// @desc    Set (replace) a payment's installment plan; an empty list removes it
+// @route   PUT /api/payments/:id/installments
+// @access  Private/Admin
+export const updateInstallmentPlan = async (req, res) => {
+  try {
+    const { installments } = req.body;
 
-      const stream = fs.createWriteStream(filepath);
-      doc.pipe(stream);
-
-      // Header
-      doc.fontSize(20).fillColor('#0056b3').text('LIBERIACLEARLOGISTICS', 50, 50);
-      doc.fontSize(10).fillColor('#666').text('Professional Clearing & Forwarding Services', 50, 75);
-      doc.fontSize(8).text('Freeport of Monrovia Area, Monrovia, Liberia', 50, 90);
-      doc.text('Phone: +231-88-123-4567 | Email: info@liberiacclearlogistics.com', 50, 102);
-
-      // Invoice title
-      doc.fontSize(16).fillColor('#000').text('INVOICE', 400, 50);
-      doc.fontSize(10).fillColor('#666').text(`Invoice #: ${invoice.invoiceNumber}`, 400, 70);
-      doc.text(`Issue Date: ${new Date(invoice.issueDate).toLocaleDateString()}`, 400, 82);
-      doc.text(`Due Date: ${new Date(invoice.dueDate).toLocaleDateString()}`, 400, 94);
-
-      // Client info
-      doc.fontSize(12).fillColor('#000').text('Bill To:', 50, 130);
-      doc.fontSize(10).fillColor('#666').text(client.companyName, 50, 145);
-      doc.text(client.contactPerson?.name || 'N/A', 50, 157);
-      doc.text(client.email, 50, 169);
-      doc.text(client.phone, 50, 181);
-
-      // Items table
-      let yPosition = 220;
-      
-      // Table header
-      doc.fontSize(10).fillColor('#fff');
-      doc.rect(50, yPosition, 500, 20).fill('#0056b3');
-      doc.text('Description', 60, yPosition + 5);
-      doc.text('Qty', 350, yPosition + 5);
-      doc.text('Unit Price', 400, yPosition + 5);
-      doc.text('Total', 470, yPosition + 5);
-      
-      yPosition += 20;
-
-      // Table rows
-      doc.fillColor('#000');
-      invoice.items.forEach(item => {
-        doc.text(item.description, 60, yPosition + 5, { width: 280 });
-        doc.text(item.quantity.toString(), 350, yPosition + 5);
-        doc.text(`$${item.unitPrice.toFixed(2)}`, 400, yPosition + 5);
-        doc.text(`$${item.total.toFixed(2)}`, 470, yPosition + 5);
-        yPosition += 20;
+    if (!Array.isArray(installments)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please list the installments (an empty list removes the plan)'
       });
+    }
 
-      // Totals
-      yPosition += 10;
-      doc.text(`Subtotal: $${invoice.subtotal.toFixed(2)}`, 400, yPosition);
-      yPosition += 15;
-      doc.text(`Tax (${invoice.taxRate}%): $${invoice.taxAmount.toFixed(2)}`, 400, yPosition);
-      yPosition += 15;
-      doc.fontSize(12).fillColor('#0056b3').text(`Total: $${invoice.totalAmount.toFixed(2)}`, 400, yPosition);
-
-      // Notes
-      if (invoice.notes) {
-        yPosition += 40;
-        doc.fontSize(10).fillColor('#000').text('Notes:', 50, yPosition);
-        doc.text(invoice.notes, 50, yPosition + 15, { width: 500 });
-      }
-
-      // Footer
-      yPosition += 60;
-      doc.fontSize(8).fillColor('#666').text('Thank you for your business!', 50, yPosition);
-      doc.text('LiberiaClearLogistics - Your trusted partner in Liberia', 50, yPosition + 12);
-
-      doc.end();
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
 
-      stream.on('finish', () => {
-        resolve(`/invoices/${filename}`);
+    const problems = checkInstallmentPlan(payment, installments);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('; '),
+        errors: problems
       });
+    }
 
-      stream.on('error', reject);
+    await setInstallmentPlan(payment, installments);
 
-    } catch (error) {
-      reject(error);
-    }
-  });
+    res.status(200).json({
+      success: true,
+      data: payment
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
 };
 
-const sendInvoiceEmail = async (invoice, client, pdfUrl) => {
-  const invoiceUrl = `${process.env.CLIENT_URL}${pdfUrl}`;
-  
-  await sendEmail({
-    to: client.email,
-    subject: `Invoice ${invoice.invoiceNumber} - LiberiaClearLogistics`,
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <div style="background: linear-gradient(135deg, #0056b3, #28a745); padding: 30px; text-align: center; color: white;">
-          <h1>INVOICE</h1>
-        </div>
-        <div style="padding: 30px; background: #f8f9fa;">
-          <h2>Dear ${client.companyName},</h2>
-          <p>Please find your invoice attached. The payment is due by <strong>${new Date(invoice.dueDate).toLocaleDateString()}</strong>.</p>
-          
-          <div style="background: white; padding: 20px; border-radius: 10px; margin: 20px 0;">
-            <h3>Invoice Summary:</h3>
-            <p><strong>Invoice Number:</strong> ${invoice.invoiceNumber}</p>
-            <p><strong>Amount Due:</strong> $${invoice.totalAmount.toFixed(2)} ${invoice.currency}</p>
-            <p><strong>Due Date:</strong> ${new Date(invoice.dueDate).toLocaleDateString()}</p>
-          </div>
-
-          <div style="text-align: center; margin-top: 30px;">
-            <a href="${invoiceUrl}" 
-               style="background: #0056b3; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block; margin: 10px;">
-              Download Invoice
-            </a>
-            <a href="${process.env.CLIENT_URL}/payments" 
-               style="background: #28a745; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block; margin: 10px;">
-              Pay Online
-            </a>
-          </div>
-
-          <p style="margin-top: 30px;">If you have any questions about this invoice, please contact our accounts team.</p>
-        </div>
-      </div>
-    `
-  });
+// Helper Functions
+// Receipt email, invoice update and SMS are handled when the transaction completes
+const handlePaymentIntentSucceeded = async (paymentIntent) => {
+  const transaction = await findGatewayTransaction(paymentIntent.id);
+  if (transaction) {
+    await completeTransaction(transaction, { details: paymentIntent });
+  }
 };
 
-const sendPaymentReceipt = async (payment) => {
-  const client = await User.findById(payment.client);
-  const invoice = await Invoice.findOne({ payment: payment._id });
-
-  await sendEmail({
-    to: client.email,
-    subject: `Payment Receipt - ${payment.invoiceNumber}`,
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <div style="background: linear-gradient(135deg, #28a745, #0056b3); padding: 30px; text-align: center; color: white;">
-          <h1>PAYMENT RECEIPT</h1>
-        </div>
-        <div style="padding: 30px; background: #f8f9fa;">
-          <h2>Thank you for your payment!</h2>
-          <p>Your payment has been successfully processed.</p>
-          
-          <div style="background: white; padding: 20px; border-radius: 10px; margin: 20px 0;">
-            <h3>Payment Details:</h3>
-            <p><strong>Receipt Number:</strong> ${payment.invoiceNumber}</p>
-            <p><strong>Amount Paid:</strong> $${payment.amount.toFixed(2)} ${payment.currency}</p>
-            <p><strong>Payment Date:</strong> ${new Date(payment.paidAt).toLocaleDateString()}</p>
-            <p><strong>Payment Method:</strong> ${payment.paymentMethod}</p>
-            <p><strong>Description:</strong> ${payment.description}</p>
-          </div>
-
-          <p>This email serves as your receipt. Please keep it for your records.</p>
-          
-          <div style="text-align: center; margin-top: 30px;">
-            <a href="${process.env.CLIENT_URL}/payments" 
-               style="background: #0056b3; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
-              View Payment History
-            </a>
-          </div>
-        </div>
-      </div>
-    `
-  });
-
-  payment.receiptSent = true;
-  await payment.save();
-};
\ No newline at end of file
+const handlePaymentIntentFailed = async (paymentIntent) => {
+  const transaction = await findGatewayTransaction(paymentIntent.id);
+  if (transaction) {
+    await failTransaction(
+      transaction,
+      paymentIntent.last_payment_error?.message || 'Card payment failed',
+      paymentIntent
+    );
+  }
+};
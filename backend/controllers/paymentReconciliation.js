@@ -1,29 +1,74 @@
 import Payment from '../models/Payment.js';
+import PaymentTransaction from '../models/PaymentTransaction.js';
+import CreditNote from '../models/CreditNote.js';
 import { sendEmail } from '../utils/emailService.js';
+import { getExchangeRate } from '../services/currencyService.js';
+import { BASE_CURRENCY, CURRENCY_CODES, DEFAULT_REPORTING_CURRENCY } from '../config/currencies.js';
+import { formatMoney, roundMoney } from '../utils/currency.js';
+
+// Value of a payment or transaction in the base currency; records from before
+// multi-currency support have no baseAmount and were all in the base currency
+const BASE_AMOUNT = { $ifNull: ['$baseAmount', '$amount'] };
+
+// Reporting currency from ?currency= and today's rate into it from the base currency.
+// Sends the 400 and returns null when it cannot be reported in.
+const reportingCurrencyOrReject = async (req, res) => {
+  const currency = (req.query.currency || DEFAULT_REPORTING_CURRENCY).toUpperCase();
+  if (!CURRENCY_CODES.includes(currency)) {
+    res.status(400).json({
+      success: false,
+      message: `Currency must be one of ${CURRENCY_CODES.join(', ')}`
+    });
+    return null;
+  }
+
+  const exchangeRate = await getExchangeRate(BASE_CURRENCY, currency);
+  if (!exchangeRate) {
+    res.status(400).json({
+      success: false,
+      message: `No ${BASE_CURRENCY}/${currency} exchange rate has been published`
+    });
+    return null;
+  }
+  return { currency, rate: exchangeRate.rate, rateDate: exchangeRate.date };
+};
 
 // @desc    Daily payment reconciliation
 // @route   POST /api/payments/reconcile
 // @access  Private/Admin
 export const dailyReconciliation = async (req, res) => {
   try {
+    const reporting = await reportingCurrencyOrReject(req, res);
+    if (!reporting) return;
+
     const today = new Date();
     const startOfDay = new Date(today.setHours(0, 0, 0, 0));
     const endOfDay = new Date(today.setHours(23, 59, 59, 999));
 
-    // Get payments for today
-    const todaysPayments = await Payment.find({
+    // Money received today, one entry per transaction so part-payments count on the day they arrive
+    const todaysTransactions = await PaymentTransaction.find({
       paidAt: {
         $gte: startOfDay,
         $lte: endOfDay
       },
       status: 'completed'
-    }).populate('client');
-
-    // Calculate daily totals
+    }).populate('client').populate('payment', 'invoiceNumber');
+
+    const todaysPayments = todaysTransactions.map(transaction => ({
+      invoiceNumber: transaction.payment.invoiceNumber,
+      client: transaction.client,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      reportingAmount: (transaction.baseAmount ?? transaction.amount) * reporting.rate,
+      paymentMethod: transaction.method
+    }));
+
+    // Calculate daily totals in the reporting currency
     const dailySummary = {
       date: startOfDay,
+      reportingCurrency: reporting.currency,
       totalPayments: todaysPayments.length,
-      totalAmount: todaysPayments.reduce((sum, payment) => sum + payment.amount, 0),
+      totalAmount: roundMoney(todaysPayments.reduce((sum, payment) => sum + payment.reportingAmount, 0), reporting.currency),
       paymentMethods: {},
       failedPayments: 0
     };
@@ -33,12 +78,15 @@ export const dailyReconciliation = async (req, res) => {
       if (!dailySummary.paymentMethods[payment.paymentMethod]) {
         dailySummary.paymentMethods[payment.paymentMethod] = 0;
       }
-      dailySummary.paymentMethods[payment.paymentMethod] += payment.amount;
+      dailySummary.paymentMethods[payment.paymentMethod] = roundMoney(
+        dailySummary.paymentMethods[payment.paymentMethod] + payment.reportingAmount,
+        reporting.currency
+      );
     });
 
     // Get failed payments
-    const failedPayments = await Payment.find({
-      createdAt: {
+    const failedPayments = await PaymentTransaction.find({
+      updatedAt: {
         $gte: startOfDay,
         $lte: endOfDay
       },
@@ -68,7 +116,7 @@ export const dailyReconciliation = async (req, res) => {
 export const sendOverdueReminders = async (req, res) => {
   try {
     const overduePayments = await Payment.find({
-      status: 'pending',
+      status: { $in: ['pending', 'partially_paid'] },
       dueDate: { $lt: new Date() }
     }).populate('client');
 
@@ -108,6 +156,10 @@ export const sendOverdueReminders = async (req, res) => {
 // @access  Private/Admin
 export const getMonthlyRevenueReport = async (req, res) => {
   try {
+    const reporting = await reportingCurrencyOrReject(req, res);
+    if (!reporting) return;
+    const reportingAmount = { $multiply: [BASE_AMOUNT, reporting.rate] };
+
     const { year, month } = req.query;
     const targetYear = parseInt(year) || new Date().getFullYear();
     const targetMonth = parseInt(month) || new Date().getMonth() + 1;
@@ -123,7 +175,8 @@ export const getMonthlyRevenueReport = async (req, res) => {
             $gte: startDate,
             $lte: endDate
           },
-          status: 'completed'
+          // Refunded payments were revenue when paid; their credit notes are netted off below
+          status: { $in: ['completed', 'refunded'] }
         }
       },
       {
@@ -132,7 +185,7 @@ export const getMonthlyRevenueReport = async (req, res) => {
             day: { $dayOfMonth: '$paidAt' },
             paymentMethod: '$paymentMethod'
           },
-          totalAmount: { $sum: '$amount' },
+          totalAmount: { $sum: reportingAmount },
           count: { $sum: 1 }
         }
       },
@@ -149,7 +202,7 @@ export const getMonthlyRevenueReport = async (req, res) => {
             $gte: startDate,
             $lte: endDate
           },
-          status: 'completed'
+          status: { $in: ['completed', 'refunded'] }
         }
       },
       {
@@ -157,7 +210,7 @@ export const getMonthlyRevenueReport = async (req, res) => {
           _id: {
             day: { $dayOfMonth: '$paidAt' }
           },
-          totalAmount: { $sum: '$amount' },
+          totalAmount: { $sum: reportingAmount },
           paymentCount: { $sum: 1 }
         }
       },
@@ -174,15 +227,15 @@ export const getMonthlyRevenueReport = async (req, res) => {
             $gte: startDate,
             $lte: endDate
           },
-          status: 'completed'
+          status: { $in: ['completed', 'refunded'] }
         }
       },
       {
         $group: {
           _id: '$paymentMethod',
-          totalAmount: { $sum: '$amount' },
+          totalAmount: { $sum: reportingAmount },
           count: { $sum: 1 },
-          averageAmount: { $avg: '$amount' }
+          averageAmount: { $avg: reportingAmount }
         }
       }
     ]);
@@ -195,13 +248,13 @@ export const getMonthlyRevenueReport = async (req, res) => {
             $gte: startDate,
             $lte: endDate
           },
-          status: 'completed'
+          status: { $in: ['completed', 'refunded'] }
         }
       },
       {
         $group: {
           _id: '$client',
-          totalPaid: { $sum: '$amount' },
+          totalPaid: { $sum: reportingAmount },
           paymentCount: { $sum: 1 }
         }
       },
@@ -224,6 +277,29 @@ export const getMonthlyRevenueReport = async (req, res) => {
       }
     ]);
 
+    // Credit notes issued in the month, whether refunded or kept on account
+    const creditNoteSummary = await CreditNote.aggregate([
+      {
+        $match: {
+          createdAt: {
+            $gte: startDate,
+            $lte: endDate
+          },
+          status: { $nin: ['refund_failed', 'cancelled'] }
+        }
+      },
+      {
+        $group: {
+          _id: '$settlement',
+          totalAmount: { $sum: reportingAmount },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const totalRevenue = monthlyPayments.reduce((sum, day) => sum + day.totalAmount, 0);
+    const totalCredited = creditNoteSummary.reduce((sum, settlement) => sum + settlement.totalAmount, 0);
+
     res.status(200).json({
       success: true,
       data: {
@@ -233,8 +309,13 @@ export const getMonthlyRevenueReport = async (req, res) => {
           month: targetMonth,
           year: targetYear
         },
+        reportingCurrency: reporting.currency,
+        exchangeRate: { from: BASE_CURRENCY, to: reporting.currency, rate: reporting.rate, date: reporting.rateDate },
         summary: {
-          totalRevenue: monthlyPayments.reduce((sum, day) => sum + day.totalAmount, 0),
+          totalRevenue,
+          totalRefunded: creditNoteSummary.find(settlement => settlement._id === 'refund')?.totalAmount || 0,
+          totalCredited,
+          netRevenue: totalRevenue - totalCredited,
           totalTransactions: monthlyPayments.reduce((sum, day) => sum + day.count, 0),
           averageTransaction: monthlyPayments.length > 0 ? 
             monthlyPayments.reduce((sum, day) => sum + day.totalAmount, 0) / 
@@ -242,6 +323,7 @@ export const getMonthlyRevenueReport = async (req, res) => {
         },
         dailyBreakdown,
         paymentMethodSummary,
+        creditNoteSummary,
         topClients: topClients.map(client => ({
           companyName: client.clientInfo.companyName,
           totalPaid: client.totalPaid,
@@ -265,7 +347,7 @@ export const exportPaymentsToCSV = async (req, res) => {
     const { startDate, endDate, format = 'csv' } = req.query;
 
     const filter = {
-      status: 'completed'
+      status: { $in: ['completed', 'refunded'] }
     };
 
     if (startDate && endDate) {
@@ -281,7 +363,11 @@ export const exportPaymentsToCSV = async (req, res) => {
       .sort({ paidAt: -1 });
 
     if (format === 'csv') {
-      const csvData = convertPaymentsToCSV(payments);
+      const creditNotes = await CreditNote.find({
+        payment: { $in: payments.map(payment => payment._id) },
+        status: { $nin: ['refund_failed', 'cancelled'] }
+      }).select('payment creditNoteNumber');
+      const csvData = convertPaymentsToCSV(payments, creditNotes);
       
       res.setHeader('Content-Type', 'text/csv');
       res.setHeader('Content-Disposition', `attachment; filename=payments-${new Date().toISOString().split('T')[0]}.csv`);
@@ -305,6 +391,10 @@ export const exportPaymentsToCSV = async (req, res) => {
 // @access  Private/Admin
 export const getPaymentAnalytics = async (req, res) => {
   try {
+    const reporting = await reportingCurrencyOrReject(req, res);
+    if (!reporting) return;
+    const reportingAmount = { $multiply: [BASE_AMOUNT, reporting.rate] };
+
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
@@ -323,7 +413,7 @@ export const getPaymentAnalytics = async (req, res) => {
             month: { $month: '$paidAt' },
             day: { $dayOfMonth: '$paidAt' }
           },
-          dailyRevenue: { $sum: '$amount' },
+          dailyRevenue: { $sum: reportingAmount },
           transactionCount: { $sum: 1 }
         }
       },
@@ -343,7 +433,7 @@ export const getPaymentAnalytics = async (req, res) => {
       {
         $group: {
           _id: '$paymentMethod',
-          totalAmount: { $sum: '$amount' },
+          totalAmount: { $sum: reportingAmount },
           count: { $sum: 1 }
         }
       }
@@ -386,14 +476,23 @@ export const getPaymentAnalytics = async (req, res) => {
     const overdueSummary = await Payment.aggregate([
       {
         $match: {
-          status: 'pending',
+          status: { $in: ['pending', 'partially_paid'] },
           dueDate: { $lt: new Date() }
         }
       },
       {
         $group: {
           _id: null,
-          totalOverdueAmount: { $sum: '$amount' },
+          // Outstanding share of the invoice, valued at the rate it was issued at
+          totalOverdueAmount: {
+            $sum: {
+              $multiply: [
+                { $subtract: ['$amount', { $ifNull: ['$amountPaid', 0] }] },
+                { $divide: [BASE_AMOUNT, '$amount'] },
+                reporting.rate
+              ]
+            }
+          },
           overdueCount: { $sum: 1 },
           averageDaysOverdue: { $avg: '$daysOverdue' }
         }
@@ -403,6 +502,7 @@ export const getPaymentAnalytics = async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
+        reportingCurrency: reporting.currency,
         revenueTrends,
         methodDistribution,
         successRates,
@@ -451,7 +551,7 @@ const sendReconciliationReport = async (summary, payments, failedPayments) => {
             </tr>
             <tr>
               <td style="padding: 10px; border-bottom: 1px solid #eee;"><strong>Total Amount:</strong></td>
-              <td style="padding: 10px; border-bottom: 1px solid #eee;">$${summary.totalAmount.toFixed(2)}</td>
+              <td style="padding: 10px; border-bottom: 1px solid #eee;">${formatMoney(summary.totalAmount, summary.reportingCurrency)} ${summary.reportingCurrency}</td>
             </tr>
             <tr>
               <td style="padding: 10px; border-bottom: 1px solid #eee;"><strong>Failed Payments:</strong></td>
@@ -467,7 +567,7 @@ const sendReconciliationReport = async (summary, payments, failedPayments) => {
             ${Object.entries(summary.paymentMethods).map(([method, amount]) => `
               <tr>
                 <td style="padding: 10px; border-bottom: 1px solid #eee; text-transform: capitalize;">${method}:</td>
-                <td style="padding: 10px; border-bottom: 1px solid #eee;">$${amount.toFixed(2)}</td>
+                <td style="padding: 10px; border-bottom: 1px solid #eee;">${formatMoney(amount, summary.reportingCurrency)}</td>
               </tr>
             `).join('')}
           </table>
@@ -487,7 +587,7 @@ const sendReconciliationReport = async (summary, payments, failedPayments) => {
               <tr>
                 <td style="padding: 10px; border-bottom: 1px solid #eee;">${payment.invoiceNumber}</td>
                 <td style="padding: 10px; border-bottom: 1px solid #eee;">${payment.client.companyName}</td>
-                <td style="padding: 10px; border-bottom: 1px solid #eee;">$${payment.amount.toFixed(2)}</td>
+                <td style="padding: 10px; border-bottom: 1px solid #eee;">${formatMoney(payment.amount, payment.currency)}</td>
                 <td style="padding: 10px; border-bottom: 1px solid #eee; text-transform: capitalize;">${payment.paymentMethod}</td>
               </tr>
             `).join('')}
@@ -521,7 +621,7 @@ const sendOverdueReminder = async (payment) => {
           
           <div style="background: white; padding: 20px; border-radius: 10px; margin: 20px 0;">
             <h3>Invoice Details:</h3>
-            <p><strong>Amount Due:</strong> $${payment.amount.toFixed(2)}</p>
+            <p><strong>Amount Due:</strong> ${formatMoney(payment.amountOutstanding, payment.currency)} ${payment.currency}</p>
             <p><strong>Due Date:</strong> ${new Date(payment.dueDate).toLocaleDateString()}</p>
             <p><strong>Days Overdue:</strong> ${daysOverdue}</p>
           </div>
@@ -544,8 +644,8 @@ const sendOverdueReminder = async (payment) => {
   });
 };
 
-const convertPaymentsToCSV = (payments) => {
-  const headers = ['Invoice Number', 'Client', 'Amount', 'Currency', 'Payment Method', 'Status', 'Paid Date', 'Description'];
+const convertPaymentsToCSV = (payments, creditNotes = []) => {
+  const headers = ['Invoice Number', 'Client', 'Amount', 'Currency', `Amount (${BASE_CURRENCY})`, 'Refunded', 'Credit Notes', 'Payment Method', 'Status', 'Paid Date', 'Description'];
   
   const csvRows = [
     headers.join(','),
@@ -554,6 +654,12 @@ const convertPaymentsToCSV = (payments) => {
       `"${payment.client.companyName}"`,
       payment.amount,
       payment.currency,
+      payment.baseAmount ?? payment.amount,
+      payment.amountRefunded || 0,
+      creditNotes
+        .filter(creditNote => creditNote.payment.toString() === payment._id.toString())
+        .map(creditNote => creditNote.creditNoteNumber)
+        .join(' '),
       payment.paymentMethod,
       payment.status,
       payment.paidAt ? new Date(payment.paidAt).toISOString().split('T')[0] : '',
@@ -1,35 +1,114 @@
-const Quote = require('../models/Quote');
+import mongoose from 'mongoose';
+import Quote from '../models/Quote.js';
+import User from '../models/User.js';
+import InsuranceProduct from '../models/InsuranceProduct.js';
+import InsurancePolicy from '../models/InsurancePolicy.js';
+import { resolvePublicPath } from '../utils/pdfService.js';
+import { calculateDuties, calculateServiceTax } from '../services/dutyService.js';
+import { getActiveRateCard, checkPricingRequest, priceWithRateCard } from '../services/pricingService.js';
+import {
+  buildInitialLineItems,
+  expireQuoteIfLapsed,
+  generateQuotePDF,
+  createShipmentFromQuote,
+  invoiceAcceptedQuote
+} from '../services/quoteService.js';
+import { calculatePremium, checkInsurability, issuePolicy } from '../services/insuranceService.js';
 
 // @desc    Calculate instant quote
 // @route   POST /api/quotes/calculate
 // @access  Public
-exports.calculateQuote = async (req, res) => {
+export const calculateQuote = async (req, res) => {
   try {
-    const { serviceType, origin, cargoType, weight, volume, value, description } = req.body;
-
-    // Base calculation logic
-    let baseCost = 0;
-    const serviceMultipliers = {
-      'clearing': 1,
-      'sea_freight': 2.5,
-      'air_freight': 4,
-      'full_logistics': 3
-    };
-    
-    baseCost = serviceMultipliers[serviceType] * 500;
-    
-    const weightCost = weight * 2.5;
-    const volumeCost = volume * 150;
-    
-    const cargoMultipliers = {
-      'general': 1,
-      'construction': 1.2,
-      'vehicles': 1.5,
-      'perishable': 1.8,
-      'hazardous': 2.2
-    };
-    
-    const calculatedAmount = (baseCost + weightCost + volumeCost) * cargoMultipliers[cargoType];
+    const {
+      serviceType,
+      origin,
+      cargoType,
+      weight,
+      volume,
+      value,
+      description,
+      items,
+      loadType,
+      containerType,
+      containers,
+      insuranceProduct
+    } = req.body;
+
+    const rateCard = await getActiveRateCard();
+
+    if (!rateCard) {
+      return res.status(503).json({
+        success: false,
+        message: 'No active rate card is configured. Please contact us for a quote.'
+      });
+    }
+
+    const pricingProblems = checkPricingRequest(rateCard, { serviceType, origin, cargoType, loadType, containerType });
+    if (pricingProblems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: pricingProblems.join('; '),
+        errors: pricingProblems
+      });
+    }
+
+    const pricing = priceWithRateCard(rateCard, {
+      serviceType,
+      origin,
+      cargoType,
+      weight: Number(weight) || 0,
+      volume: Number(volume) || 0,
+      loadType,
+      containerType,
+      containers
+    });
+    const freight = pricing.freight;
+
+    // Customs duties use the same engine as invoicing: per HS line when known,
+    // otherwise the declared cargo value at the default CET band
+    const customsLines = items && items.length > 0
+      ? items
+      : [{ description, customsValue: value }];
+    const customsDuties = await calculateDuties(customsLines);
+
+    // Optional cargo insurance, insured on CIF (declared value plus this freight)
+    let insurance;
+    if (insuranceProduct) {
+      if (!mongoose.isValidObjectId(insuranceProduct)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid insurance product id'
+        });
+      }
+
+      const product = await InsuranceProduct.findById(insuranceProduct);
+
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Insurance product not found'
+        });
+      }
+
+      const figures = calculatePremium(product, { cargoValue: Number(value) || 0, freight });
+      const problems = checkInsurability(product, { cargoType, ...figures });
+
+      if (problems.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: problems.join('; '),
+          errors: problems
+        });
+      }
+
+      insurance = { product: product._id, ...figures };
+    }
+
+    // Service tax is charged on freight, not on duties or the premium
+    const serviceTax = calculateServiceTax(freight);
+    const subtotal = freight + customsDuties.totals.total + (insurance?.premium || 0);
+    const calculatedAmount = Math.round((subtotal + serviceTax.amount) * 100) / 100;
 
     // Save calculated quote
     const quote = await Quote.create({
@@ -40,9 +119,28 @@ exports.calculateQuote = async (req, res) => {
         description,
         weight,
         volume,
-        value
+        value,
+        loadType: pricing.measurement.loadType,
+        containerType: pricing.measurement.containerType,
+        containers: pricing.measurement.containers,
+        chargeableWeight: pricing.measurement.chargeableWeight
       },
+      amount: calculatedAmount,
       calculatedAmount,
+      subtotal,
+      taxRate: serviceTax.rate,
+      taxAmount: serviceTax.amount,
+      breakdown: {
+        freight,
+        customs: customsDuties.totals.total,
+        insurance: insurance?.premium
+      },
+      insurance,
+      customsDuties,
+      freightPricing: pricing,
+      rateCard: rateCard._id,
+      rateCardVersion: rateCard.version,
+      currency: rateCard.currency,
       status: 'calculated'
     });
 
@@ -50,6 +148,21 @@ exports.calculateQuote = async (req, res) => {
       success: true,
       data: {
         calculatedAmount: calculatedAmount.toFixed(2),
+        breakdown: {
+          baseFee: pricing.baseCharge.toFixed(2),
+          weightCharge: pricing.weightCharge.toFixed(2),
+          volumeCharge: pricing.volumeCharge.toFixed(2),
+          containerCharge: pricing.containerCharge.toFixed(2),
+          cargoSurcharge: pricing.cargoMultiplier,
+          freight: freight.toFixed(2),
+          customs: customsDuties.totals.total.toFixed(2),
+          insurance: insurance ? insurance.premium.toFixed(2) : undefined,
+          serviceTax: serviceTax.amount.toFixed(2)
+        },
+        pricing,
+        customsDuties,
+        insurance,
+        currency: rateCard.currency,
         quoteId: quote._id
       }
     });
@@ -61,21 +174,68 @@ exports.calculateQuote = async (req, res) => {
   }
 };
 
+// @desc    Get the rate card currently used for instant quotes
+// @route   GET /api/quotes/rate-card
+// @access  Public
+export const getCurrentRateCard = async (req, res) => {
+  try {
+    const rateCard = await getActiveRateCard();
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active rate card is configured'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: rateCard._id,
+        name: rateCard.name,
+        version: rateCard.version,
+        currency: rateCard.currency,
+        effectiveFrom: rateCard.effectiveFrom,
+        lines: rateCard.lines,
+        cargoMultipliers: rateCard.cargoMultipliers
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // @desc    Request detailed quote
 // @route   POST /api/quotes/request-detailed
 // @access  Public
-exports.requestDetailedQuote = async (req, res) => {
+export const requestDetailedQuote = async (req, res) => {
   try {
     const { quoteId, companyName, email, phone } = req.body;
 
-    const quote = await Quote.findByIdAndUpdate(
-      quoteId,
-      {
-        clientInfo: { companyName, email, phone },
-        status: 'requested'
-      },
-      { new: true }
-    );
+    const quote = await Quote.findById(quoteId);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    if (quote.status !== 'calculated') {
+      return res.status(400).json({
+        success: false,
+        message: `A detailed quote has already been requested for this quote (status: ${quote.status})`
+      });
+    }
+
+    quote.clientInfo = { companyName, email: email?.trim().toLowerCase(), phone };
+    quote.status = 'requested';
+    // Seed the admin's editable pricing from the instant calculation
+    quote.lineItems = buildInitialLineItems(quote);
+    await quote.save();
 
     // Here you would typically send an email notification to admin
 
@@ -95,7 +255,7 @@ exports.requestDetailedQuote = async (req, res) => {
 // @desc    Get all quotes (for admin) or client quotes
 // @route   GET /api/quotes
 // @access  Private
-exports.getQuotes = async (req, res) => {
+export const getQuotes = async (req, res) => {
   try {
     let query = {};
     
@@ -116,4 +276,259 @@ exports.getQuotes = async (req, res) => {
       message: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// Clients see the quotes linked to their account
+const canAccessQuote = (quote, user) => {
+  if (user.role === 'admin' || user.role === 'agent') return true;
+
+  const clientId = quote.client?._id || quote.client;
+  return !!clientId && clientId.toString() === user.id;
+};
+
+// @desc    Get single quote
+// @route   GET /api/quotes/:id
+// @access  Private
+export const getQuote = async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id)
+      .populate('shipment', 'trackingNumber status')
+      .populate('payment', 'invoiceNumber amount status');
+
+    if (!quote || !canAccessQuote(quote, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    await expireQuoteIfLapsed(quote);
+
+    res.status(200).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Download the quotation PDF
+// @route   GET /api/quotes/:id/pdf
+// @access  Private
+export const getQuotePDF = async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id).populate('client');
+
+    if (!quote || !canAccessQuote(quote, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    if (!quote.sentAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This quote has not been issued yet'
+      });
+    }
+
+    if (!quote.pdfUrl) {
+      quote.pdfUrl = await generateQuotePDF(quote);
+      await quote.save();
+    }
+
+    res.download(resolvePublicPath(quote.pdfUrl));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Accept a sent quote with an e-signature; opens the shipment and invoice
+// @route   POST /api/quotes/:id/accept
+// @access  Private
+export const acceptQuote = async (req, res) => {
+  try {
+    const { signatureName } = req.body;
+
+    if (!signatureName || !signatureName.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please type your full name to sign the quote'
+      });
+    }
+
+    const quote = await Quote.findById(req.params.id);
+
+    if (!quote || !canAccessQuote(quote, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    if (await expireQuoteIfLapsed(quote)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This quote has expired. Please request a new quote.'
+      });
+    }
+
+    if (quote.status !== 'sent') {
+      return res.status(400).json({
+        success: false,
+        message: `Only sent quotes can be accepted (status: ${quote.status})`
+      });
+    }
+
+    const client = quote.client && await User.findById(quote.client);
+    if (!client) {
+      return res.status(400).json({
+        success: false,
+        message: 'Link this quote to a client account before accepting it'
+      });
+    }
+
+    // Quoted cover must still be available, or the client would be invoiced a premium for nothing
+    const insured = !!(quote.insurance?.product && quote.breakdown?.insurance);
+    const product = insured && await InsuranceProduct.findById(quote.insurance.product);
+    if (insured) {
+      const problems = product
+        ? checkInsurability(product, { cargoType: quote.cargoType, ...quote.toObject().insurance })
+        : ['The insurance quoted is no longer offered'];
+
+      if (problems.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${problems.join('; ')}. Please ask us to re-quote.`,
+          errors: problems
+        });
+      }
+    }
+
+    // Claim the quote so a double submit cannot open a second shipment and invoice
+    const accepted = await Quote.findOneAndUpdate(
+      { _id: quote._id, status: 'sent' },
+      {
+        $set: {
+          status: 'accepted',
+          acceptance: {
+            acceptedBy: req.user.id,
+            signatureName: signatureName.trim(),
+            signedAt: new Date(),
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!accepted) {
+      return res.status(409).json({
+        success: false,
+        message: 'This quote has already been accepted'
+      });
+    }
+
+    let shipment;
+    let payment;
+    let invoice;
+    let policy;
+    try {
+      shipment = await createShipmentFromQuote(accepted);
+      ({ payment, invoice } = await invoiceAcceptedQuote(accepted, client));
+
+      // Cover quoted with the freight is issued with it; its premium is already on the quote invoice
+      if (insured) {
+        policy = await InsurancePolicy.findOne({ shipment: shipment._id, status: 'active' });
+        if (!policy) {
+          const result = await issuePolicy(shipment, product, {
+            client,
+            userId: req.user.id,
+            terms: { ...accepted.toObject().insurance, premium: accepted.breakdown.insurance },
+            payment: payment._id
+          });
+          if (result.problems.length > 0) {
+            throw new Error(`Insurance on quote ${accepted.quoteNumber} could not be issued: ${result.problems.join('; ')}`);
+          }
+          policy = result.policy;
+        }
+      }
+
+      await accepted.save();
+    } catch (error) {
+      // Reopen the quote so the client can accept again; anything already raised is reused then
+      await Quote.updateOne(
+        { _id: accepted._id, status: 'accepted' },
+        { $set: { status: 'sent', shipment: accepted.shipment, payment: accepted.payment }, $unset: { acceptance: 1 } }
+      );
+      throw error;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Quote accepted. Your shipment has been opened and the invoice sent to your email.',
+      data: {
+        quote: accepted,
+        shipment,
+        payment,
+        invoice,
+        policy
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Decline a sent quote
+// @route   POST /api/quotes/:id/reject
+// @access  Private
+export const rejectQuote = async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id);
+
+    if (!quote || !canAccessQuote(quote, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    if (quote.status !== 'sent') {
+      return res.status(400).json({
+        success: false,
+        message: `Only sent quotes can be rejected (status: ${quote.status})`
+      });
+    }
+
+    quote.status = 'rejected';
+    quote.rejection = {
+      rejectedBy: req.user.id,
+      reason: req.body.reason,
+      rejectedAt: new Date()
+    };
+    await quote.save();
+
+    res.status(200).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
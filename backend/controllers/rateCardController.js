@@ -0,0 +1,211 @@
+import RateCard from '../models/RateCard.js';
+import { activateRateCard } from '../services/pricingService.js';
+
+// @desc    List rate cards (all versions)
+// @route   GET /api/admin/rate-cards
+// @access  Private/Admin
+export const getRateCards = async (req, res) => {
+  try {
+    const { name, status } = req.query;
+
+    let filter = {};
+    if (name) filter.name = name;
+    if (status) filter.status = status;
+
+    const rateCards = await RateCard.find(filter)
+      .populate('createdBy', 'companyName email')
+      .populate('activatedBy', 'companyName email')
+      .sort({ name: 1, version: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: rateCards.length,
+      data: rateCards
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get single rate card
+// @route   GET /api/admin/rate-cards/:id
+// @access  Private/Admin
+export const getRateCard = async (req, res) => {
+  try {
+    const rateCard = await RateCard.findById(req.params.id)
+      .populate('createdBy', 'companyName email')
+      .populate('activatedBy', 'companyName email');
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rateCard
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create a new draft rate card
+// @route   POST /api/admin/rate-cards
+// @access  Private/Admin
+export const createRateCard = async (req, res) => {
+  try {
+    const { name, currency, lines, cargoMultipliers, notes } = req.body;
+
+    const rateCard = await RateCard.create({
+      name,
+      currency,
+      lines,
+      cargoMultipliers,
+      notes,
+      status: 'draft',
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rateCard
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Edit a draft rate card
+// @route   PUT /api/admin/rate-cards/:id
+// @access  Private/Admin
+export const updateRateCard = async (req, res) => {
+  try {
+    const rateCard = await RateCard.findById(req.params.id);
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    // Published versions are immutable so past quotes stay reproducible
+    if (rateCard.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: `Rate card v${rateCard.version} is ${rateCard.status}; create a new version to make changes`
+      });
+    }
+
+    const { currency, lines, cargoMultipliers, notes } = req.body;
+
+    if (currency) rateCard.currency = currency;
+    if (lines) rateCard.lines = lines;
+    if (cargoMultipliers) rateCard.cargoMultipliers = cargoMultipliers;
+    if (notes !== undefined) rateCard.notes = notes;
+
+    await rateCard.save();
+
+    res.status(200).json({
+      success: true,
+      data: rateCard
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Start a new draft version from an existing rate card
+// @route   POST /api/admin/rate-cards/:id/revise
+// @access  Private/Admin
+export const reviseRateCard = async (req, res) => {
+  try {
+    const source = await RateCard.findById(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    const rateCard = await RateCard.create({
+      name: source.name,
+      currency: source.currency,
+      lines: source.lines.map(line => line.toObject()),
+      cargoMultipliers: source.cargoMultipliers.map(entry => entry.toObject()),
+      notes: req.body.notes,
+      previousVersion: source._id,
+      status: 'draft',
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rateCard
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Activate a draft rate card from a given date
+// @route   POST /api/admin/rate-cards/:id/activate
+// @access  Private/Admin
+export const activateRateCardVersion = async (req, res) => {
+  try {
+    const rateCard = await RateCard.findById(req.params.id);
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    if (rateCard.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: `Rate card v${rateCard.version} is already ${rateCard.status}`
+      });
+    }
+
+    if (rateCard.lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rate card needs at least one rate line before it can be activated'
+      });
+    }
+
+    const effectiveFrom = req.body.effectiveFrom ? new Date(req.body.effectiveFrom) : new Date();
+    await activateRateCard(rateCard, effectiveFrom, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: rateCard
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,165 @@
+import Shipment from '../models/Shipment.js';
+import {
+  toSharedTracking,
+  signShareLink,
+  verifyShareLink,
+  shareLinkUrl,
+  DEFAULT_SHARE_LINK_DAYS,
+  MAX_SHARE_LINK_DAYS
+} from '../services/trackingService.js';
+import { findAccessibleShipment } from '../utils/shipmentAccess.js';
+
+// @desc    Create an expiring read-only tracking link for a consignee
+// @route   POST /api/shipments/:id/share-links
+// @access  Private
+export const createShareLink = async (req, res) => {
+  try {
+    const { recipient } = req.body;
+    const expiresInDays = parseInt(req.body.expiresInDays) || DEFAULT_SHARE_LINK_DAYS;
+
+    if (expiresInDays < 1 || expiresInDays > MAX_SHARE_LINK_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Share links can last between 1 and ${MAX_SHARE_LINK_DAYS} days`
+      });
+    }
+
+    const shipment = await findAccessibleShipment(req);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    shipment.shareLinks.push({
+      recipient,
+      createdBy: req.user.id,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+    const link = shipment.shareLinks[shipment.shareLinks.length - 1];
+    await shipment.save();
+
+    const token = signShareLink(shipment, link);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: link._id,
+        recipient: link.recipient,
+        expiresAt: link.expiresAt,
+        token,
+        url: shareLinkUrl(token)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    List share links for a shipment
+// @route   GET /api/shipments/:id/share-links
+// @access  Private
+export const getShareLinks = async (req, res) => {
+  try {
+    const shipment = await findAccessibleShipment(req);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: shipment.shareLinks.length,
+      data: shipment.shareLinks
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Revoke a share link before it expires
+// @route   DELETE /api/shipments/:id/share-links/:linkId
+// @access  Private
+export const revokeShareLink = async (req, res) => {
+  try {
+    const shipment = await findAccessibleShipment(req);
+    const link = shipment?.shareLinks.id(req.params.linkId);
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    link.revokedAt = link.revokedAt || new Date();
+    await shipment.save();
+
+    res.status(200).json({
+      success: true,
+      data: link
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Read-only tracking through a share link
+// @route   GET /api/shipments/shared/:token
+// @access  Public (signed link)
+export const getSharedShipment = async (req, res) => {
+  try {
+    let payload;
+    try {
+      payload = verifyShareLink(req.params.token);
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        message: tokenError.name === 'TokenExpiredError'
+          ? 'This tracking link has expired'
+          : 'Invalid tracking link'
+      });
+    }
+
+    const shipment = await Shipment.findById(payload.shipment);
+    const link = shipment?.shareLinks.id(payload.link);
+
+    if (!link || link.revokedAt) {
+      return res.status(401).json({
+        success: false,
+        message: 'This tracking link is no longer valid'
+      });
+    }
+
+    link.lastAccessedAt = new Date();
+    link.accessCount += 1;
+    await shipment.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...toSharedTracking(shipment),
+        linkExpiresAt: link.expiresAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
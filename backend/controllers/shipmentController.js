@@ -1,10 +1,20 @@
-const Shipment = require('..models/Shipment');
+import Shipment from '../models/Shipment.js';
 import { sendShipmentUpdateSMS } from '../services/smsNotificationService.js';
+import { sendEmail, emailTemplates } from '../utils/emailService.js';
+import { transitionShipmentStatus } from '../services/shipmentStatusService.js';
+import { findShipmentByReference } from '../services/containerService.js';
+import { calculateFreeTime } from '../services/freeTimeService.js';
+import { hasValidCheckDigit } from '../services/sequenceService.js';
+import {
+  toPublicTracking,
+  toVerifiedTracking,
+  verifyConsigneePhone
+} from '../services/trackingService.js';
 
 // @desc    Get all shipments for client
 // @route   GET /api/shipments
 // @access  Private
-exports.getShipments = async (req, res) => {
+export const getShipments = async (req, res) => {
   try {
     let query = {};
     
@@ -33,7 +43,7 @@ exports.getShipments = async (req, res) => {
 // @desc    Get single shipment
 // @route   GET /api/shipments/:id
 // @access  Private
-exports.getShipment = async (req, res) => {
+export const getShipment = async (req, res) => {
   try {
     let query = { _id: req.params.id };
     
@@ -52,9 +62,16 @@ exports.getShipment = async (req, res) => {
       });
     }
 
+    // Port charges once the cargo has landed
+    const freeTime = shipment.actualArrival ? calculateFreeTime(shipment) : null;
+
     res.status(200).json({
       success: true,
-      data: shipment
+      data: shipment,
+      freeTime: freeTime && {
+        totals: freeTime.totals,
+        warnings: freeTime.warnings
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -64,25 +81,45 @@ exports.getShipment = async (req, res) => {
   }
 };
 
-// @desc    Track shipment by tracking number
-// @route   GET /api/shipments/track/:trackingNumber
+// @desc    Track shipment by tracking number or container number
+// @route   GET /api/shipments/track/:trackingNumber?verify=<last digits of consignee phone>
 // @access  Public
-exports.trackShipment = async (req, res) => {
+export const trackShipment = async (req, res) => {
   try {
-    const shipment = await Shipment.findOne({ 
-      trackingNumber: req.params.trackingNumber 
-    }).populate('client', 'companyName');
+    const { shipment, container } = await findShipmentByReference(
+      req.params.trackingNumber,
+      { path: 'client', select: 'phone' }
+    );
 
     if (!shipment) {
       return res.status(404).json({
         success: false,
-        message: 'Shipment not found'
+        message: hasValidCheckDigit('shipment', req.params.trackingNumber)
+          ? 'Shipment not found'
+          : 'Tracking number check digit does not match; please check the number for typos'
       });
     }
 
+    const { verify } = req.query;
+    const verification = verify !== undefined ? verifyConsigneePhone(shipment, verify, req.ip) : null;
+
+    if (verification === 'locked') {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many verification attempts. Please try again in 15 minutes.'
+      });
+    }
+
+    const verified = verification === 'verified';
+
     res.status(200).json({
       success: true,
-      data: shipment
+      data: verified
+        ? toVerifiedTracking(shipment, container)
+        : toPublicTracking(shipment, container),
+      ...(verify !== undefined && !verified && {
+        message: 'Verification failed; showing public tracking only'
+      })
     });
   } catch (error) {
     res.status(500).json({
@@ -92,15 +129,31 @@ exports.trackShipment = async (req, res) => {
   }
 };
 
+// Booking details a client supplies when opening a shipment
+const CLIENT_SHIPMENT_FIELDS = ['description', 'origin', 'destination', 'cargoDetails', 'transportMode', 'notes'];
+
 // @desc    Create new shipment
 // @route   POST /api/shipments
 // @access  Private
-exports.createShipment = async (req, res) => {
+export const createShipment = async (req, res) => {
   try {
-    // Add client to request body
-    req.body.client = req.user.id;
+    // Status, documents, containers, vehicles and charges are set through their own endpoints
+    const booking = {};
+    CLIENT_SHIPMENT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) booking[field] = req.body[field];
+    });
 
-    const shipment = await Shipment.create(req.body);
+    const shipment = await Shipment.create({
+      ...booking,
+      client: req.user.id,
+      status: 'pending',
+      timeline: [{
+        status: 'pending',
+        description: 'Shipment booked',
+        location: 'LiberiaClearLogistics',
+        updatedBy: req.user.id
+      }]
+    });
 
     res.status(201).json({
       success: true,
@@ -117,43 +170,6 @@ exports.createShipment = async (req, res) => {
 // @desc    Update shipment status
 // @route   PUT /api/shipments/:id/status
 // @access  Private (Admin/Agent only)
-exports.updateStatus = async (req, res) => {
-  try {
-    const { status, description, location } = req.body;
-
-    const shipment = await Shipment.findById(req.params.id);
-
-    if (!shipment) {
-      return res.status(404).json({
-        success: false,
-        message: 'Shipment not found'
-      });
-    }
-
-    // Update status
-    shipment.status = status;
-
-    // Add to timeline
-    shipment.timeline.push({
-      status,
-      description: description || `Status updated to ${status}`,
-      location: location || 'Freeport of Monrovia'
-    });
-
-    await shipment.save();
-
-    res.status(200).json({
-      success: true,
-      data: shipment
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message
-    });
-  }
-};
-// Add to the updateStatus function in shipmentController.js
 export const updateStatus = async (req, res) => {
   try {
     const { status, description, location, notifyClient } = req.body;
@@ -167,18 +183,20 @@ export const updateStatus = async (req, res) => {
       });
     }
 
-    // Update status
-    shipment.status = status;
-
-    // Add to timeline
-    shipment.timeline.push({
+    const problems = await transitionShipmentStatus(shipment, {
       status,
-      description: description || `Status updated to ${status}`,
-      location: location || 'Freeport of Monrovia',
-      timestamp: new Date()
+      description,
+      location,
+      userId: req.user.id
     });
 
-    await shipment.save();
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('; '),
+        errors: problems
+      });
+    }
 
     // Send SMS notification if enabled and requested
     if (notifyClient && shipment.client && process.env.SMS_ENABLED === 'true') {
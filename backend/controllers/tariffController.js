@@ -0,0 +1,198 @@
+import Tariff from '../models/Tariff.js';
+import { calculateDuties } from '../services/dutyService.js';
+import { parseCSV } from '../utils/csv.js';
+
+const optionalNumber = (value) => (value === undefined || value === '' ? undefined : parseFloat(value));
+
+// Map a CSV row (hs_code, description, cet_band, duty_rate, ...) onto tariff fields
+const rowToTariff = (row) => ({
+  hsCode: (row.hs_code || row.hscode || '').replace(/\D/g, ''),
+  description: row.description,
+  cetBand: parseInt(row.cet_band ?? row.cetband),
+  dutyRate: optionalNumber(row.duty_rate),
+  exciseRate: optionalNumber(row.excise_rate) ?? 0,
+  gstRate: optionalNumber(row.gst_rate),
+  ecowasLevyRate: optionalNumber(row.ecowas_levy_rate),
+  inspectionFeeRate: optionalNumber(row.inspection_fee_rate),
+  unit: row.unit || undefined,
+  isActive: true
+});
+
+// @desc    List HS tariff entries
+// @route   GET /api/admin/tariffs
+// @access  Private/Admin
+export const getTariffs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+    const { search, cetBand } = req.query;
+
+    let filter = {};
+    if (cetBand !== undefined) filter.cetBand = parseInt(cetBand);
+    if (search) {
+      filter = /^\d+$/.test(search)
+        ? { ...filter, hsCode: { $regex: `^${search}` } }
+        : { ...filter, $text: { $search: search } };
+    }
+
+    const tariffs = await Tariff.find(filter)
+      .sort({ hsCode: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Tariff.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: tariffs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create HS tariff entry
+// @route   POST /api/admin/tariffs
+// @access  Private/Admin
+export const createTariff = async (req, res) => {
+  try {
+    const tariff = await Tariff.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: tariff
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update HS tariff entry
+// @route   PUT /api/admin/tariffs/:id
+// @access  Private/Admin
+export const updateTariff = async (req, res) => {
+  try {
+    const tariff = await Tariff.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!tariff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tariff not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: tariff
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Import HS tariff entries from CSV (upserts by HS code)
+// @route   POST /api/admin/tariffs/import
+// @access  Private/Admin
+export const importTariffs = async (req, res) => {
+  try {
+    const csvText = typeof req.body === 'string' ? req.body : req.body.csv;
+
+    if (!csvText) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV content is required'
+      });
+    }
+
+    const rows = parseCSV(csvText);
+    const errors = [];
+    const operations = [];
+
+    rows.forEach((row, index) => {
+      const tariff = new Tariff(rowToTariff(row));
+      const validationError = tariff.validateSync();
+
+      if (validationError) {
+        // +2 accounts for the header row and 1-based line numbers
+        errors.push({ line: index + 2, error: validationError.message });
+        return;
+      }
+
+      const { _id, ...fields } = tariff.toObject();
+      operations.push({
+        updateOne: {
+          filter: { hsCode: fields.hsCode },
+          update: { $set: fields },
+          upsert: true
+        }
+      });
+    });
+
+    const result = operations.length > 0
+      ? await Tariff.bulkWrite(operations)
+      : { upsertedCount: 0, modifiedCount: 0 };
+
+    res.status(200).json({
+      success: true,
+      data: {
+        totalRows: rows.length,
+        created: result.upsertedCount,
+        updated: result.modifiedCount,
+        errors
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Estimate landed duties for cargo lines
+// @route   POST /api/admin/tariffs/calculate
+// @access  Private/Admin
+export const estimateDuties = async (req, res) => {
+  try {
+    const { lines } = req.body;
+
+    if (!lines || !Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cargo lines are required'
+      });
+    }
+
+    const duties = await calculateDuties(lines);
+
+    res.status(200).json({
+      success: true,
+      data: duties
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,7 +1,8 @@
 import SMSLog from '../models/SMSLog.js';
-import Shipment from '../models/Shipment.js';
 import User from '../models/User.js';
 import SMSService, { smsTemplates } from '../services/smsService.js';
+import { findShipmentByReference } from '../services/containerService.js';
+import { containerEvents } from '../config/freight.js';
 
 // @desc    Handle incoming SMS (webhook)
 // @route   POST /api/sms/incoming
@@ -96,13 +97,14 @@ const handleStatusCheck = async (phoneNumber, message) => {
   const trackingNumber = trackingMatch[1].toUpperCase();
   
   try {
-    // Find shipment by tracking number
-    const shipment = await Shipment.findOne({ 
-      trackingNumber: trackingNumber 
-    }).populate('client', 'companyName phone');
+    // Find shipment by tracking number or container number
+    const { shipment, container } = await findShipmentByReference(
+      trackingNumber,
+      { path: 'client', select: 'companyName phone' }
+    );
 
     if (!shipment) {
-      return `No shipment found with tracking number: ${trackingNumber}. Please check the number and try again.`;
+      return `No shipment found with tracking or container number: ${trackingNumber}. Please check the number and try again.`;
     }
 
     // Verify the phone number matches the client's number
@@ -125,6 +127,11 @@ const handleStatusCheck = async (phoneNumber, message) => {
     const eta = shipment.estimatedArrival ? 
       new Date(shipment.estimatedArrival).toLocaleDateString() : 'To be confirmed';
 
+    if (container) {
+      const containerStatus = container.status ? containerEvents[container.status].label : 'Awaiting first movement';
+      return `Container ${container.containerNumber} (${shipment.trackingNumber}): ${containerStatus}. Shipment: ${statusText}. ETA: ${eta}.`;
+    }
+
     return `Shipment ${trackingNumber}: ${statusText}. ETA: ${eta}. For details: ${process.env.CLIENT_URL}/tracking`;
 
   } catch (error) {
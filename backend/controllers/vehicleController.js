@@ -0,0 +1,227 @@
+import { buildVehicleRecord, checkVehicle, suggestVehicleHsCode } from '../services/vehicleService.js';
+import { calculateDuties, vehicleToCustomsLine } from '../services/dutyService.js';
+import { buildDocumentChecklist } from '../services/documentService.js';
+import { findAccessibleShipment } from '../utils/shipmentAccess.js';
+import { normalizeVin, isValidVin, requiresCheckDigit, calculateVinCheckDigit, decodeVin } from '../utils/vin.js';
+
+// Vehicles can be recorded until the shipment enters customs clearance
+const EDITABLE_STATUSES = ['pending', 'booked', 'in_transit', 'arrived'];
+
+const rejectIfLocked = (shipment, res) => {
+  if (EDITABLE_STATUSES.includes(shipment.status)) return false;
+
+  res.status(400).json({
+    success: false,
+    message: `Shipment is ${shipment.status}; vehicles can no longer be changed`
+  });
+  return true;
+};
+
+const vehicleChecklist = (shipment) =>
+  buildDocumentChecklist(shipment).filter(entry => entry.vin);
+
+// @desc    Validate and decode a VIN without saving it
+// @route   GET /api/shipments/vin/:vin
+// @access  Private
+export const decodeVinNumber = async (req, res) => {
+  try {
+    const vin = normalizeVin(req.params.vin);
+    const decoded = decodeVin(vin);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        vin,
+        valid: isValidVin(vin),
+        checkDigit: {
+          required: requiresCheckDigit(vin),
+          expected: vin.length === 17 ? calculateVinCheckDigit(vin) : undefined,
+          actual: vin[8]
+        },
+        decoded,
+        suggestedHsCode: suggestVehicleHsCode({
+          fuelType: req.query.fuelType,
+          engineCapacity: Number(req.query.engineCapacity) || undefined
+        })
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Add a vehicle to a shipment
+// @route   POST /api/shipments/:id/vehicles
+// @access  Private
+export const addVehicle = async (req, res) => {
+  try {
+    const shipment = await findAccessibleShipment(req);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    if (rejectIfLocked(shipment, res)) return;
+
+    const vehicle = buildVehicleRecord(req.body);
+    const problems = checkVehicle(vehicle, shipment);
+
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('; '),
+        errors: problems
+      });
+    }
+
+    shipment.vehicles.push(vehicle);
+    if (!shipment.cargoDetails?.type || shipment.cargoDetails.type === 'general') {
+      shipment.set('cargoDetails.type', 'vehicles');
+    }
+    await shipment.save();
+
+    res.status(201).json({
+      success: true,
+      data: {
+        vehicle: shipment.vehicles[shipment.vehicles.length - 1],
+        documents: vehicleChecklist(shipment)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Correct a vehicle's details
+// @route   PUT /api/shipments/:id/vehicles/:vehicleId
+// @access  Private
+export const updateVehicle = async (req, res) => {
+  try {
+    const shipment = await findAccessibleShipment(req);
+    const existing = shipment?.vehicles.id(req.params.vehicleId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    if (rejectIfLocked(shipment, res)) return;
+
+    // The HS code is re-suggested when the engine or fuel changes, unless one is given
+    const { _id, decoded, ...current } = existing.toObject();
+    if ((req.body.engineCapacity !== undefined || req.body.fuelType !== undefined) && !req.body.hsCode) {
+      delete current.hsCode;
+    }
+    // A corrected VIN is decoded afresh
+    if (req.body.vin && normalizeVin(req.body.vin) !== existing.vin) {
+      delete current.make;
+      delete current.year;
+    }
+
+    const vehicle = buildVehicleRecord(req.body, current);
+    const problems = checkVehicle(vehicle, shipment, existing._id);
+
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('; '),
+        errors: problems
+      });
+    }
+
+    existing.set(vehicle);
+    await shipment.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        vehicle: existing,
+        documents: vehicleChecklist(shipment)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Take a vehicle off a shipment
+// @route   DELETE /api/shipments/:id/vehicles/:vehicleId
+// @access  Private
+export const deleteVehicle = async (req, res) => {
+  try {
+    const shipment = await findAccessibleShipment(req);
+    const vehicle = shipment?.vehicles.id(req.params.vehicleId);
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    if (rejectIfLocked(shipment, res)) return;
+
+    shipment.vehicles.pull(vehicle._id);
+    await shipment.save();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Estimated duties for the vehicles on a shipment, with age and engine-size rules applied
+// @route   GET /api/shipments/:id/vehicles/duties
+// @access  Private
+export const getVehicleDuties = async (req, res) => {
+  try {
+    const shipment = await findAccessibleShipment(req);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    const missingValue = shipment.vehicles.filter(vehicle => !vehicle.value).map(vehicle => vehicle.vin);
+    if (missingValue.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Please give the customs value of: ${missingValue.join(', ')}`
+      });
+    }
+
+    const duties = await calculateDuties(shipment.vehicles.map(vehicleToCustomsLine));
+
+    res.status(200).json({
+      success: true,
+      data: duties
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,352 @@
+import Vessel from '../models/Vessel.js';
+import Voyage from '../models/Voyage.js';
+import Shipment from '../models/Shipment.js';
+import { applyVoyageToShipment, updateVoyageSchedule } from '../services/voyageService.js';
+
+// @desc    List vessels
+// @route   GET /api/vessels
+// @access  Private/Admin/Agent
+export const getVessels = async (req, res) => {
+  try {
+    const { search, active } = req.query;
+
+    let filter = {};
+    if (active !== undefined) filter.isActive = active === 'true';
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { imoNumber: search.replace(/^IMO\s*/i, '') }
+      ];
+    }
+
+    const vessels = await Vessel.find(filter).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: vessels.length,
+      data: vessels
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Register a vessel
+// @route   POST /api/vessels
+// @access  Private/Admin/Agent
+export const createVessel = async (req, res) => {
+  try {
+    const { name, imoNumber, callSign, flag, carrier, vesselType } = req.body;
+
+    const vessel = await Vessel.create({ name, imoNumber, callSign, flag, carrier, vesselType });
+
+    res.status(201).json({
+      success: true,
+      data: vessel
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update a vessel
+// @route   PUT /api/vessels/:id
+// @access  Private/Admin/Agent
+export const updateVessel = async (req, res) => {
+  try {
+    const { name, callSign, flag, carrier, vesselType, isActive } = req.body;
+
+    const vessel = await Vessel.findByIdAndUpdate(
+      req.params.id,
+      { name, callSign, flag, carrier, vesselType, isActive },
+      { new: true, runValidators: true }
+    );
+
+    if (!vessel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vessel not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: vessel
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    List voyages
+// @route   GET /api/voyages
+// @access  Private/Admin/Agent
+export const getVoyages = async (req, res) => {
+  try {
+    const { vessel, status, port } = req.query;
+
+    let filter = {};
+    if (vessel) filter.vessel = vessel;
+    if (status) filter.status = status;
+    if (port) filter.liberianPort = port;
+
+    const voyages = await Voyage.find(filter)
+      .populate('vessel', 'name imoNumber carrier')
+      .sort({ eta: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: voyages.length,
+      data: voyages
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get a voyage with its linked shipments
+// @route   GET /api/voyages/:id
+// @access  Private/Admin/Agent
+export const getVoyage = async (req, res) => {
+  try {
+    const voyage = await Voyage.findById(req.params.id)
+      .populate('vessel')
+      .populate('etaHistory.changedBy', 'companyName email');
+
+    if (!voyage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voyage not found'
+      });
+    }
+
+    const shipments = await Shipment.find({ voyage: voyage._id })
+      .select('trackingNumber status estimatedArrival actualArrival client')
+      .populate('client', 'companyName');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...voyage.toObject(),
+        shipments
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create a voyage
+// @route   POST /api/voyages
+// @access  Private/Admin/Agent
+export const createVoyage = async (req, res) => {
+  try {
+    const { vessel, voyageNumber, carrier, portRotation, liberianPort, eta, notes } = req.body;
+
+    if (!await Vessel.exists({ _id: vessel })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vessel not found'
+      });
+    }
+
+    const voyage = await Voyage.create({
+      vessel,
+      voyageNumber,
+      carrier,
+      portRotation,
+      liberianPort,
+      eta,
+      etaHistory: eta ? [{ eta, reason: 'Initial schedule', changedBy: req.user.id }] : [],
+      notes
+    });
+
+    res.status(201).json({
+      success: true,
+      data: voyage
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update voyage details (use the schedule route to change ETA/ATA)
+// @route   PUT /api/voyages/:id
+// @access  Private/Admin/Agent
+export const updateVoyage = async (req, res) => {
+  try {
+    const { carrier, portRotation, liberianPort, status, notes } = req.body;
+
+    const voyage = await Voyage.findById(req.params.id);
+
+    if (!voyage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voyage not found'
+      });
+    }
+
+    if (carrier !== undefined) voyage.carrier = carrier;
+    if (portRotation) voyage.portRotation = portRotation;
+    if (liberianPort) voyage.liberianPort = liberianPort;
+    if (status) voyage.status = status;
+    if (notes !== undefined) voyage.notes = notes;
+
+    await voyage.save();
+
+    res.status(200).json({
+      success: true,
+      data: voyage
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update a voyage's ETA/ATA and every linked shipment
+// @route   PUT /api/voyages/:id/schedule
+// @access  Private/Admin/Agent
+export const updateSchedule = async (req, res) => {
+  try {
+    const { eta, ata, reason, notifyClients } = req.body;
+
+    if (!eta && !ata) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a new ETA or the actual time of arrival'
+      });
+    }
+
+    const voyage = await Voyage.findById(req.params.id).populate('vessel');
+
+    if (!voyage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voyage not found'
+      });
+    }
+
+    const results = await updateVoyageSchedule(voyage, {
+      eta,
+      ata,
+      reason,
+      userId: req.user.id,
+      notifyClients: notifyClients !== false
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        voyage,
+        shipments: results
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Link shipments to a voyage
+// @route   POST /api/voyages/:id/shipments
+// @access  Private/Admin/Agent
+export const linkShipments = async (req, res) => {
+  try {
+    const { shipmentIds } = req.body;
+
+    if (!Array.isArray(shipmentIds) || shipmentIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the shipments to link'
+      });
+    }
+
+    const voyage = await Voyage.findById(req.params.id).populate('vessel');
+
+    if (!voyage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voyage not found'
+      });
+    }
+
+    const shipments = await Shipment.find({ _id: { $in: shipmentIds } });
+
+    for (const shipment of shipments) {
+      applyVoyageToShipment(shipment, voyage);
+      shipment.timeline.push({
+        status: shipment.status,
+        description: `Booked on ${voyage.vessel.name} voy. ${voyage.voyageNumber}`,
+        location: voyage.liberianPort,
+        updatedBy: req.user.id
+      });
+      await shipment.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      count: shipments.length,
+      data: shipments.map(shipment => shipment.trackingNumber)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Unlink a shipment from a voyage (e.g. rolled to a later sailing)
+// @route   DELETE /api/voyages/:id/shipments/:shipmentId
+// @access  Private/Admin/Agent
+export const unlinkShipment = async (req, res) => {
+  try {
+    const shipment = await Shipment.findOne({
+      _id: req.params.shipmentId,
+      voyage: req.params.id
+    });
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment is not linked to this voyage'
+      });
+    }
+
+    shipment.voyage = undefined;
+    await shipment.save();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
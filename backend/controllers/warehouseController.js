@@ -0,0 +1,436 @@
+import Warehouse from '../models/Warehouse.js';
+import WarehouseReceipt from '../models/WarehouseReceipt.js';
+import Shipment from '../models/Shipment.js';
+import {
+  checkItemLocations,
+  releaseCargo,
+  buildStockReport,
+  invoiceStorageCharges
+} from '../services/warehouseService.js';
+
+// Load the receipt in req.params.id if the current user may see it (clients only see their own)
+const findAccessibleReceipt = (req) => {
+  const query = { _id: req.params.id };
+
+  if (req.user.role === 'client') {
+    query.client = req.user.id;
+  }
+
+  return WarehouseReceipt.findOne(query);
+};
+
+// Record a warehouse movement on the shipment's timeline without changing its status
+const noteOnShipment = async (shipmentId, description, location, userId) => {
+  const shipment = await Shipment.findById(shipmentId);
+  if (!shipment) return;
+
+  shipment.timeline.push({
+    status: shipment.status,
+    description,
+    location,
+    timestamp: new Date(),
+    updatedBy: userId
+  });
+  await shipment.save();
+};
+
+// @desc    List warehouses
+// @route   GET /api/warehouses
+// @access  Private/Admin/Agent
+export const getWarehouses = async (req, res) => {
+  try {
+    const filter = req.query.all === 'true' ? {} : { isActive: true };
+    const warehouses = await Warehouse.find(filter).sort({ code: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: warehouses.length,
+      data: warehouses
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get single warehouse with its locations
+// @route   GET /api/warehouses/:id
+// @access  Private/Admin/Agent
+export const getWarehouse = async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findById(req.params.id);
+
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warehouse not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: warehouse
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create a warehouse
+// @route   POST /api/warehouses
+// @access  Private/Admin
+export const createWarehouse = async (req, res) => {
+  try {
+    const { name, code, address, locations, storageTariff, notes } = req.body;
+
+    const warehouse = await Warehouse.create({
+      name,
+      code,
+      address,
+      locations,
+      storageTariff,
+      notes
+    });
+
+    res.status(201).json({
+      success: true,
+      data: warehouse
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update a warehouse, its locations or its storage tariff
+// @route   PUT /api/warehouses/:id
+// @access  Private/Admin
+export const updateWarehouse = async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findById(req.params.id);
+
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warehouse not found'
+      });
+    }
+
+    ['name', 'address', 'locations', 'storageTariff', 'isActive', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) warehouse[field] = req.body[field];
+    });
+    await warehouse.save();
+
+    res.status(200).json({
+      success: true,
+      data: warehouse
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    List warehouse receipts
+// @route   GET /api/warehouses/receipts
+// @access  Private
+export const getReceipts = async (req, res) => {
+  try {
+    const { warehouse, shipment, status, client } = req.query;
+
+    let filter = {};
+    if (warehouse) filter.warehouse = warehouse;
+    if (shipment) filter.shipment = shipment;
+    if (status) filter.status = status;
+
+    if (req.user.role === 'client') {
+      filter.client = req.user.id;
+    } else if (client) {
+      filter.client = client;
+    }
+
+    const receipts = await WarehouseReceipt.find(filter)
+      .populate('warehouse', 'name code')
+      .populate('shipment', 'trackingNumber')
+      .populate('client', 'companyName')
+      .sort({ receivedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: receipts.length,
+      data: receipts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get single warehouse receipt
+// @route   GET /api/warehouses/receipts/:id
+// @access  Private
+export const getReceipt = async (req, res) => {
+  try {
+    const receipt = await findAccessibleReceipt(req)
+      .populate('warehouse', 'name code address')
+      .populate('shipment', 'trackingNumber description')
+      .populate('client', 'companyName email phone')
+      .populate('receivedBy', 'companyName')
+      .populate('releases.releasedBy', 'companyName');
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warehouse receipt not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: receipt
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Receive cargo into a warehouse against a shipment
+// @route   POST /api/warehouses/receipts
+// @access  Private/Admin/Agent
+export const createReceipt = async (req, res) => {
+  try {
+    const { warehouse: warehouseId, shipment: shipmentId, items, receivedAt, notes } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please list the items received'
+      });
+    }
+
+    const [warehouse, shipment] = await Promise.all([
+      Warehouse.findById(warehouseId),
+      Shipment.findById(shipmentId)
+    ]);
+
+    if (!warehouse || !warehouse.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warehouse not found'
+      });
+    }
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    const problems = checkItemLocations(warehouse, items);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('; '),
+        errors: problems
+      });
+    }
+
+    const receipt = await WarehouseReceipt.create({
+      warehouse: warehouse._id,
+      shipment: shipment._id,
+      client: shipment.client,
+      receivedAt,
+      receivedBy: req.user.id,
+      items: items.map(({ description, marks, quantity, unit, weight, volume, location, condition }) =>
+        ({ description, marks, quantity, unit, weight, volume, location, condition })),
+      notes
+    });
+
+    await noteOnShipment(
+      shipment._id,
+      `Received into ${warehouse.name} under warehouse receipt ${receipt.receiptNumber}`,
+      warehouse.name,
+      req.user.id
+    );
+
+    res.status(201).json({
+      success: true,
+      data: receipt
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Move a receipt line to another bin in the same warehouse
+// @route   PUT /api/warehouses/receipts/:id/items/:itemId/location
+// @access  Private/Admin/Agent
+export const moveReceiptItem = async (req, res) => {
+  try {
+    const receipt = await WarehouseReceipt.findById(req.params.id).populate('warehouse');
+    const item = receipt?.items.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt item not found'
+      });
+    }
+
+    const { location } = req.body;
+    const problems = checkItemLocations(receipt.warehouse, [{ location }]);
+
+    if (!location || problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems[0] || 'Please provide a location'
+      });
+    }
+
+    item.location = location;
+    await receipt.save();
+
+    res.status(200).json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Release some or all cargo on a receipt
+// @route   POST /api/warehouses/receipts/:id/releases
+// @access  Private/Admin/Agent
+export const releaseReceiptCargo = async (req, res) => {
+  try {
+    const receipt = await WarehouseReceipt.findById(req.params.id).populate('warehouse', 'name');
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warehouse receipt not found'
+      });
+    }
+
+    const { items, releasedTo, reference, notes } = req.body;
+    const problems = releaseCargo(receipt, {
+      items,
+      releasedTo,
+      reference,
+      notes,
+      userId: req.user.id
+    });
+
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('; '),
+        errors: problems
+      });
+    }
+
+    await receipt.save();
+
+    await noteOnShipment(
+      receipt.shipment,
+      `${receipt.status === 'released' ? 'All' : 'Part of the'} cargo on ${receipt.receiptNumber} released from ${receipt.warehouse.name}${releasedTo ? ` to ${releasedTo}` : ''}`,
+      receipt.warehouse.name,
+      req.user.id
+    );
+
+    res.status(201).json({
+      success: true,
+      data: receipt
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Stock on hand per client
+// @route   GET /api/warehouses/stock
+// @access  Private
+export const getStockOnHand = async (req, res) => {
+  try {
+    const { warehouse, client } = req.query;
+
+    let filter = { status: { $ne: 'released' } };
+    if (warehouse) filter.warehouse = warehouse;
+
+    if (req.user.role === 'client') {
+      filter.client = req.user.id;
+    } else if (client) {
+      filter.client = client;
+    }
+
+    const receipts = await WarehouseReceipt.find(filter)
+      .populate('warehouse', 'code')
+      .populate('shipment', 'trackingNumber')
+      .populate('client', 'companyName')
+      .sort({ receivedAt: 1 });
+
+    const report = buildStockReport(receipts);
+
+    res.status(200).json({
+      success: true,
+      count: report.length,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Invoice storage accrued before a date (month-end run)
+// @route   POST /api/warehouses/storage/invoice
+// @access  Private/Admin
+export const invoiceStorage = async (req, res) => {
+  try {
+    const before = req.body.before ? new Date(req.body.before) : undefined;
+    const invoiced = await invoiceStorageCharges(before);
+
+    res.status(200).json({
+      success: true,
+      count: invoiced.length,
+      data: invoiced.map(({ client, payment, invoice }) => ({
+        client,
+        payment: payment._id,
+        invoiceNumber: invoice.invoiceNumber,
+        totalAmount: invoice.totalAmount
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,78 @@
+import multer from 'multer';
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { documentUpload, proofOfDeliveryUpload } from '../config/documents.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Uploaded documents are kept outside the public folder and served through access-checked routes
+export const DOCUMENT_ROOT = path.resolve(__dirname, '..', documentUpload.directory);
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    // The shipment (or claim) id becomes a folder name, so never let it be anything else
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return cb(new Error('Invalid id'));
+    }
+    const dir = path.join(DOCUMENT_ROOT, req.params.id);
+    fs.mkdir(dir, { recursive: true }, (error) => cb(error, dir));
+  },
+  filename: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    cb(null, `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${extension}`);
+  }
+});
+
+const documentUploader = multer({
+  storage,
+  limits: { fileSize: documentUpload.maxFileSize },
+  fileFilter: (req, file, cb) => {
+    if (!documentUpload.allowedMimeTypes.includes(file.mimetype)) {
+      return cb(new Error('Only PDF, JPEG and PNG files can be uploaded'));
+    }
+    cb(null, true);
+  }
+});
+
+const proofOfDeliveryUploader = multer({
+  storage,
+  limits: { fileSize: documentUpload.maxFileSize },
+  fileFilter: (req, file, cb) => {
+    if (!proofOfDeliveryUpload.allowedMimeTypes.includes(file.mimetype)) {
+      return cb(new Error('Signatures and photos must be JPEG or PNG images'));
+    }
+    cb(null, true);
+  }
+});
+
+// Run a multer handler, answering upload errors with 400
+const handleUpload = (upload) => (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    let message = error.message;
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      message = `File is too large (max ${Math.round(documentUpload.maxFileSize / 1024 / 1024)} MB)`;
+    } else if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      message = `Unexpected file in field ${error.field}`;
+    }
+
+    res.status(400).json({
+      success: false,
+      message
+    });
+  });
+};
+
+// Accept a single document in the `file` field
+export const uploadDocument = handleUpload(documentUploader.single('file'));
+
+// Accept a delivery signature in `signature` and cargo photos in `photos`
+export const uploadProofOfDelivery = handleUpload(proofOfDeliveryUploader.fields([
+  { name: 'signature', maxCount: 1 },
+  { name: 'photos', maxCount: proofOfDeliveryUpload.maxPhotos }
+]));
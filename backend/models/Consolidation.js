@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+import { CONTAINER_TYPES } from '../config/freight.js';
+import { isValidContainerNumber, normalizeContainerNumber } from '../utils/iso6346.js';
+import { nextSequenceNumber } from '../services/sequenceService.js';
+
+// Master moves; the ones that also exist on shipments cascade to every house bill
+export const CONSOLIDATION_TRANSITIONS = {
+  open: ['booked', 'cancelled'],
+  booked: ['in_transit', 'cancelled'],
+  in_transit: ['arrived'],
+  arrived: ['deconsolidated'],
+  deconsolidated: [],
+  cancelled: []
+};
+
+const houseBillSchema = new mongoose.Schema({
+  shipment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment',
+    required: true
+  },
+  houseBillNumber: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  packages: Number,
+  // Measured at stuffing; used for cost apportionment and the manifest
+  weight: {
+    type: Number, // kg
+    default: 0,
+    min: 0
+  },
+  volume: {
+    type: Number, // m³
+    default: 0,
+    min: 0
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const consolidationSchema = new mongoose.Schema({
+  consolidationNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  masterBillNumber: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  carrier: String,
+  voyage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voyage'
+  },
+  originPort: String,
+  destinationPort: {
+    type: String,
+    default: 'Freeport of Monrovia'
+  },
+  container: {
+    containerNumber: {
+      type: String,
+      set: normalizeContainerNumber,
+      validate: {
+        validator: isValidContainerNumber,
+        message: props => `${props.value} is not a valid ISO 6346 container number`
+      }
+    },
+    sealNumber: String,
+    containerType: {
+      type: String,
+      enum: CONTAINER_TYPES
+    }
+  },
+  houseBills: [houseBillSchema],
+  // Master-level costs (ocean freight, CFS, THC...) shared across the house bills
+  costs: [{
+    description: {
+      type: String,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // revenue_ton: the greater of tonnes and m³ (W/M)
+    basis: {
+      type: String,
+      enum: ['weight', 'volume', 'revenue_ton'],
+      default: 'revenue_ton'
+    }
+  }],
+  status: {
+    type: String,
+    enum: Object.keys(CONSOLIDATION_TRANSITIONS),
+    default: 'open'
+  },
+  statusHistory: [{
+    status: String,
+    description: String,
+    location: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+consolidationSchema.index({ masterBillNumber: 1 });
+consolidationSchema.index({ 'houseBills.shipment': 1 });
+
+// Generate consolidation number before validation (it is a required field)
+consolidationSchema.pre('validate', async function(next) {
+  if (!this.consolidationNumber) {
+    this.consolidationNumber = await nextSequenceNumber('consolidation', {
+      model: mongoose.model('Consolidation'),
+      field: 'consolidationNumber'
+    });
+  }
+  next();
+});
+
+export default mongoose.model('Consolidation', consolidationSchema);
@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+
+// One document per sequence and year, e.g. { _id: 'invoice:2026', seq: 42 }
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+export default mongoose.model('Counter', counterSchema);
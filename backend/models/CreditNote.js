@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+import { nextSequenceNumber } from '../services/sequenceService.js';
+import { PAYMENT_METHODS } from './Payment.js';
+import { exchangeRateSnapshotSchema } from './ExchangeRate.js';
+import { CURRENCY_CODES, BASE_CURRENCY } from '../config/currencies.js';
+
+// Where a credit has been used to pay a later invoice
+const creditApplicationSchema = new mongoose.Schema({
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  invoiceNumber: String,
+  // In the credit note's currency
+  amount: {
+    type: Number,
+    required: true
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Reverses (part of) a paid invoice. The money is either returned to the client (refund)
+// or kept on account and applied to their next invoices (credit).
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: {
+    type: String,
+    unique: true
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  invoiceNumber: String,
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    index: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  // Always the invoice's currency
+  currency: {
+    type: String,
+    enum: CURRENCY_CODES,
+    default: BASE_CURRENCY
+  },
+  // Valued at the rate the invoice was issued at, so it nets off the same revenue
+  baseAmount: Number,
+  exchangeRate: exchangeRateSnapshotSchema,
+  reason: {
+    type: String,
+    required: true
+  },
+  settlement: {
+    type: String,
+    enum: ['refund', 'credit'],
+    required: true
+  },
+  // cancelled: withdrawn on issue because another credit note took the same balance first
+  status: {
+    type: String,
+    enum: ['pending_refund', 'refunded', 'refund_failed', 'open', 'applied', 'cancelled'],
+    required: true
+  },
+  refund: {
+    method: {
+      type: String,
+      enum: PAYMENT_METHODS
+    },
+    // The transaction whose money is being returned
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaymentTransaction'
+    },
+    // Stripe refund id, or the bank / mobile money reference of a manual refund
+    gatewayId: String,
+    refundedAt: Date,
+    failureReason: String
+  },
+  amountApplied: {
+    type: Number,
+    default: 0
+  },
+  applications: [creditApplicationSchema],
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  pdfUrl: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+creditNoteSchema.index({ 'refund.gatewayId': 1 });
+
+// Generate the credit note number before validation
+creditNoteSchema.pre('validate', async function(next) {
+  if (!this.creditNoteNumber) {
+    this.creditNoteNumber = await nextSequenceNumber('creditNote', {
+      model: mongoose.model('CreditNote'),
+      field: 'creditNoteNumber'
+    });
+  }
+  next();
+});
+
+// Virtual for creditRemaining: what is left to apply to future invoices
+creditNoteSchema.virtual('creditRemaining').get(function() {
+  if (this.settlement !== 'credit') return 0;
+  return Math.round((this.amount - (this.amountApplied || 0)) * 100) / 100;
+});
+
+export default mongoose.model('CreditNote', creditNoteSchema);
@@ -0,0 +1,167 @@
+import mongoose from 'mongoose';
+import { nextSequenceNumber } from '../services/sequenceService.js';
+import { normalizeVin } from '../utils/vin.js';
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  taxIdentificationNumber: String,
+  address: String,
+  country: String,
+  phone: String,
+  email: String,
+  contactPerson: String
+}, { _id: false });
+
+const customsDeclarationSchema = new mongoose.Schema({
+  declarationNumber: {
+    type: String,
+    unique: true
+  },
+  shipment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment',
+    required: true,
+    unique: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  preparedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Customs procedure, e.g. IM4 (import for home use), EX1 (permanent export)
+  regime: {
+    type: String,
+    enum: ['IM4', 'IM5', 'IM7', 'EX1', 'EX3'],
+    default: 'IM4'
+  },
+  exporter: partySchema,
+  consignee: partySchema,
+  declarant: partySchema,
+  transport: {
+    mode: {
+      type: String,
+      enum: ['sea', 'air', 'road'],
+      default: 'sea'
+    },
+    carrierName: String,
+    vessel: String,
+    bookingReference: String
+  },
+  origin: {
+    country: String,
+    port: String
+  },
+  destination: {
+    country: String,
+    port: String
+  },
+  officeOfEntry: {
+    type: String,
+    default: 'Freeport of Monrovia'
+  },
+  items: [{
+    lineNumber: Number,
+    hsCode: {
+      type: String,
+      required: true,
+      match: [/^\d{6,10}$/, 'HS code must be 6 to 10 digits']
+    },
+    description: {
+      type: String,
+      required: true
+    },
+    countryOfOrigin: String,
+    // Links a vehicle line to the shipment's vehicle record, for age and engine-size duty rules
+    vin: {
+      type: String,
+      set: (vin) => (vin ? normalizeVin(vin) : vin)
+    },
+    packages: {
+      count: {
+        type: Number,
+        default: 1,
+        min: 0
+      },
+      kind: {
+        type: String,
+        default: 'PK'
+      }
+    },
+    grossWeight: {
+      type: Number,
+      min: 0
+    },
+    netWeight: {
+      type: Number,
+      min: 0
+    },
+    quantity: {
+      type: Number,
+      min: 0
+    },
+    unit: String,
+    customsValue: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  totals: {
+    packages: {
+      type: Number,
+      default: 0
+    },
+    grossWeight: {
+      type: Number,
+      default: 0
+    },
+    customsValue: {
+      type: Number,
+      default: 0
+    }
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'submitted', 'assessed', 'released', 'cancelled'],
+    default: 'draft'
+  },
+  submittedAt: Date,
+  pdfUrl: String,
+  notes: String
+}, {
+  timestamps: true
+});
+
+// Generate declaration number before validation
+customsDeclarationSchema.pre('validate', async function(next) {
+  if (!this.declarationNumber) {
+    this.declarationNumber = await nextSequenceNumber('declaration', {
+      model: mongoose.model('CustomsDeclaration'),
+      field: 'declarationNumber'
+    });
+  }
+  next();
+});
+
+// Recalculate totals before saving
+customsDeclarationSchema.pre('save', function(next) {
+  this.items.forEach((item, index) => {
+    item.lineNumber = index + 1;
+  });
+
+  this.totals.packages = this.items.reduce((sum, item) => sum + (item.packages?.count || 0), 0);
+  this.totals.grossWeight = this.items.reduce((sum, item) => sum + (item.grossWeight || 0), 0);
+  this.totals.customsValue = this.items.reduce((sum, item) => sum + item.customsValue, 0);
+
+  next();
+});
+
+export default mongoose.model('CustomsDeclaration', customsDeclarationSchema);
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import { HAZARD_CLASSES, PACKING_GROUPS, TRANSPORT_MODES } from '../config/dangerousGoods.js';
+
+// Local dangerous goods list (one entry per UN number), maintained by admins from the IMDG Code / IATA DGR
+const dangerousGoodSchema = new mongoose.Schema({
+  unNumber: {
+    type: String,
+    required: [true, 'UN number is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^UN\d{4}$/, 'UN number must look like UN1203']
+  },
+  properShippingName: {
+    type: String,
+    required: [true, 'Proper shipping name is required']
+  },
+  hazardClass: {
+    type: String,
+    enum: HAZARD_CLASSES,
+    required: [true, 'Hazard class is required']
+  },
+  subsidiaryRisks: [{
+    type: String,
+    enum: HAZARD_CLASSES
+  }],
+  // Packing groups the entry may be shipped under (empty for classes without packing groups)
+  packingGroups: [{
+    type: String,
+    enum: PACKING_GROUPS
+  }],
+  // Modes the entry is forbidden on, on top of the class rules in config/dangerousGoods.js
+  forbiddenModes: [{
+    type: String,
+    enum: TRANSPORT_MODES
+  }],
+  marinePollutant: {
+    type: Boolean,
+    default: false
+  },
+  emsCode: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+dangerousGoodSchema.index({ properShippingName: 'text' });
+
+export default mongoose.model('DangerousGood', dangerousGoodSchema);
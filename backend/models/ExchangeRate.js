@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import { CURRENCY_CODES } from '../config/currencies.js';
+
+// Daily rate: one unit of `base` buys `rate` units of `quote` (e.g. 1 USD = 192.5 LRD)
+const exchangeRateSchema = new mongoose.Schema({
+  base: {
+    type: String,
+    enum: CURRENCY_CODES,
+    required: true
+  },
+  quote: {
+    type: String,
+    enum: CURRENCY_CODES,
+    required: true
+  },
+  // Midnight UTC of the day the rate applies from
+  date: {
+    type: Date,
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: [0.000001, 'Rate must be greater than zero']
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'csv'],
+    default: 'manual'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// The rate a document was priced or settled at, kept so later rate changes do not alter it
+export const exchangeRateSnapshotSchema = new mongoose.Schema({
+  from: String,
+  to: String,
+  rate: Number,
+  date: Date
+}, { _id: false });
+
+exchangeRateSchema.index({ base: 1, quote: 1, date: -1 }, { unique: true });
+
+exchangeRateSchema.pre('validate', function(next) {
+  if (this.base && this.base === this.quote) {
+    this.invalidate('quote', 'Base and quote currencies must differ');
+  }
+  if (this.date) {
+    const day = new Date(this.date);
+    day.setUTCHours(0, 0, 0, 0);
+    this.date = day;
+  }
+  next();
+});
+
+export default mongoose.model('ExchangeRate', exchangeRateSchema);
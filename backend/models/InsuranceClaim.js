@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+import { nextSequenceNumber } from '../services/sequenceService.js';
+
+// Claim workflow; clients may only withdraw, staff make every other move
+export const CLAIM_TRANSITIONS = {
+  notified: ['under_assessment', 'withdrawn'],
+  under_assessment: ['approved', 'rejected', 'withdrawn'],
+  approved: ['settled'],
+  rejected: [],
+  settled: [],
+  withdrawn: []
+};
+
+const insuranceClaimSchema = new mongoose.Schema({
+  claimNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  policy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InsurancePolicy',
+    required: true
+  },
+  shipment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment',
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lossType: {
+    type: String,
+    enum: ['damage', 'loss', 'shortage', 'theft', 'contamination', 'other'],
+    required: [true, 'Type of loss is required']
+  },
+  incidentDate: Date,
+  description: {
+    type: String,
+    required: [true, 'Please describe what happened']
+  },
+  amountClaimed: {
+    type: Number,
+    required: [true, 'Amount claimed is required'],
+    min: 0
+  },
+  // Photos, survey reports, delivery notes and invoices supporting the claim
+  evidence: [{
+    name: String,
+    filePath: String,
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  status: {
+    type: String,
+    enum: Object.keys(CLAIM_TRANSITIONS),
+    default: 'notified'
+  },
+  statusHistory: [{
+    status: String,
+    note: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  assessment: {
+    assessedLoss: Number,
+    deductibleApplied: Number,
+    approvedAmount: Number,
+    findings: String,
+    assessedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assessedAt: Date
+  },
+  settlement: {
+    amount: Number,
+    reference: String,
+    settledAt: Date,
+    settledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  filedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+insuranceClaimSchema.index({ client: 1, status: 1 });
+insuranceClaimSchema.index({ policy: 1 });
+
+// Generate claim number before validation (it is a required field)
+insuranceClaimSchema.pre('validate', async function(next) {
+  if (!this.claimNumber) {
+    this.claimNumber = await nextSequenceNumber('insuranceClaim', {
+      model: mongoose.model('InsuranceClaim'),
+      field: 'claimNumber'
+    });
+  }
+  next();
+});
+
+export default mongoose.model('InsuranceClaim', insuranceClaimSchema);
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import { nextSequenceNumber } from '../services/sequenceService.js';
+
+const insurancePolicySchema = new mongoose.Schema({
+  policyNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InsuranceProduct',
+    required: true
+  },
+  shipment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment',
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Terms are copied from the product so later product changes do not alter issued cover
+  coverage: String,
+  cargoValue: Number,
+  freight: Number,
+  cifValue: Number,
+  insuredValue: {
+    type: Number,
+    required: true
+  },
+  premiumRate: Number,
+  premium: {
+    type: Number,
+    required: true
+  },
+  deductible: Number,
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancellationReason: String,
+  certificateUrl: String,
+  // Invoice the premium was charged on (the quote invoice when cover was quoted)
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }
+}, {
+  timestamps: true
+});
+
+insurancePolicySchema.index({ shipment: 1, status: 1 });
+insurancePolicySchema.index({ client: 1 });
+
+// Generate policy number before validation (it is a required field)
+insurancePolicySchema.pre('validate', async function(next) {
+  if (!this.policyNumber) {
+    this.policyNumber = await nextSequenceNumber('insurancePolicy', {
+      model: mongoose.model('InsurancePolicy'),
+      field: 'policyNumber'
+    });
+  }
+  next();
+});
+
+export default mongoose.model('InsurancePolicy', insurancePolicySchema);
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+const insuranceProductSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Product name is required'],
+    trim: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Product code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  coverage: {
+    type: String,
+    enum: ['all_risks', 'named_perils', 'total_loss_only'],
+    default: 'all_risks'
+  },
+  underwriter: String,
+  // Premium = insured value x premiumRate %, never below minimumPremium
+  premiumRate: {
+    type: Number,
+    required: [true, 'Premium rate is required'],
+    min: 0
+  },
+  // Insured value is CIF (cargo value + freight) plus this uplift, 10% by market convention
+  cifUplift: {
+    type: Number,
+    default: 10,
+    min: 0
+  },
+  minimumPremium: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Deducted from every approved claim
+  deductible: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxInsuredValue: Number,
+  excludedCargoTypes: [{
+    type: String,
+    enum: ['general', 'construction', 'vehicles', 'perishable', 'hazardous']
+  }],
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('InsuranceProduct', insuranceProductSchema);
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import { nextSequenceNumber } from '../services/sequenceService.js';
+import { exchangeRateSnapshotSchema } from './ExchangeRate.js';
+import { CURRENCY_CODES, BASE_CURRENCY } from '../config/currencies.js';
 
 const invoiceSchema = new mongoose.Schema({
   invoiceNumber: {
@@ -43,7 +46,14 @@ const invoiceSchema = new mongoose.Schema({
       type: Number,
       required: true,
       min: 0
-    }
+    },
+    // Customs duties and other disbursements are passed through without service tax
+    taxable: {
+      type: Boolean,
+      default: true
+    },
+    // 'customs' marks duty lines
+    category: String
   }],
   subtotal: {
     type: Number,
@@ -68,8 +78,10 @@ const invoiceSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    default: 'USD'
+    enum: CURRENCY_CODES,
+    default: BASE_CURRENCY
   },
+  exchangeRate: exchangeRateSnapshotSchema,
   notes: String,
   terms: {
     type: String,
@@ -77,9 +89,21 @@ const invoiceSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'sent', 'viewed', 'paid', 'overdue', 'cancelled'],
+    enum: ['draft', 'sent', 'viewed', 'partially_paid', 'paid', 'overdue', 'refunded', 'cancelled'],
     default: 'draft'
   },
+  // Mirrors the payment's amount paid so far
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Mirrors the payment's amount credited back by credit notes
+  amountCredited: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   sentAt: Date,
   viewedAt: Date,
   paidAt: Date,
@@ -88,6 +112,17 @@ const invoiceSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Invoices normally share their payment's number; number any created on their own
+invoiceSchema.pre('validate', async function(next) {
+  if (!this.invoiceNumber) {
+    this.invoiceNumber = await nextSequenceNumber('invoice', {
+      model: mongoose.model('Payment'),
+      field: 'invoiceNumber'
+    });
+  }
+  next();
+});
+
 // Calculate totals before saving
 invoiceSchema.pre('save', function(next) {
   // Calculate item totals
@@ -98,8 +133,11 @@ invoiceSchema.pre('save', function(next) {
   // Calculate subtotal
   this.subtotal = this.items.reduce((sum, item) => sum + item.total, 0);
 
-  // Calculate tax
-  this.taxAmount = this.subtotal * (this.taxRate / 100);
+  // Calculate tax on taxable items only
+  const taxableSubtotal = this.items
+    .filter(item => item.taxable !== false)
+    .reduce((sum, item) => sum + item.total, 0);
+  this.taxAmount = taxableSubtotal * (this.taxRate / 100);
 
   // Calculate total
   this.totalAmount = this.subtotal + this.taxAmount;
@@ -1,4 +1,34 @@
 import mongoose from 'mongoose';
+import { nextSequenceNumber } from '../services/sequenceService.js';
+import { exchangeRateSnapshotSchema } from './ExchangeRate.js';
+import { CURRENCY_CODES, BASE_CURRENCY } from '../config/currencies.js';
+
+// credit_note: credit held on the client's account (see CreditNote) applied to this payment
+export const PAYMENT_METHODS = ['stripe', 'paypal', 'bank_transfer', 'cash', 'mobile_money', 'credit_note'];
+
+// One due date in an installment plan; amountPaid is allocated from completed transactions, earliest first
+const installmentSchema = new mongoose.Schema({
+  label: String,
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'partially_paid', 'paid'],
+    default: 'pending'
+  },
+  paidAt: Date
+});
 
 const paymentSchema = new mongoose.Schema({
   invoiceNumber: {
@@ -25,8 +55,12 @@ const paymentSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    default: 'USD'
+    enum: CURRENCY_CODES,
+    default: BASE_CURRENCY
   },
+  // Amount in the base currency, and the rate the invoice was converted at when issued in another currency
+  baseAmount: Number,
+  exchangeRate: exchangeRateSnapshotSchema,
   description: {
     type: String,
     required: true
@@ -35,20 +69,40 @@ const paymentSchema = new mongoose.Schema({
     description: String,
     quantity: Number,
     unitPrice: Number,
-    total: Number
+    total: Number,
+    taxable: {
+      type: Boolean,
+      default: true
+    },
+    // 'customs' marks duty lines, which must be paid before delivery
+    category: String
   }],
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'cancelled'],
+    enum: ['pending', 'processing', 'partially_paid', 'completed', 'failed', 'refunded', 'cancelled'],
     default: 'pending'
   },
+  // Sum of completed transactions (see PaymentTransaction)
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Credited back by credit notes, whether refunded or kept on account
+  amountRefunded: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Admin-defined schedule; the final due date becomes the payment's due date
+  installments: [installmentSchema],
+  // Method of the most recent transaction
   paymentMethod: {
     type: String,
-    enum: ['stripe', 'paypal', 'bank_transfer', 'cash', 'mobile_money'],
-    required: true
+    enum: PAYMENT_METHODS
   },
   paymentGatewayId: {
-    type: String // Stripe payment intent ID or PayPal order ID
+    type: String // Gateway reference from before payments were split into transactions
   },
   paymentDetails: {
     // Store gateway-specific response data
@@ -68,29 +122,49 @@ const paymentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true }
 });
 
-// Generate invoice number before saving
-paymentSchema.pre('save', async function(next) {
+// Generate invoice number before validation (it is a required field)
+paymentSchema.pre('validate', async function(next) {
   if (!this.invoiceNumber) {
-    const count = await mongoose.model('Payment').countDocuments();
-    const year = new Date().getFullYear();
-    this.invoiceNumber = `INV-${year}-${(count + 1).toString().padStart(5, '0')}`;
+    this.invoiceNumber = await nextSequenceNumber('invoice', {
+      model: mongoose.model('Payment'),
+      field: 'invoiceNumber'
+    });
   }
   next();
 });
 
+// Virtual for amountOutstanding (payments settled before partial payments existed count as fully paid)
+paymentSchema.virtual('amountOutstanding').get(function() {
+  if (this.status === 'completed') return 0;
+  return Math.round((this.amount - (this.amountPaid || 0)) * 100) / 100;
+});
+
+// Virtual for amountOverpaid: received beyond the invoice amount (e.g. a card and a mobile money payment
+// completing for the same balance) and not yet refunded or credited with a credit note
+paymentSchema.virtual('amountOverpaid').get(function() {
+  return Math.max(0, Math.round(((this.amountPaid || 0) - (this.amountRefunded || 0) - this.amount) * 100) / 100);
+});
+
+// Virtual for nextDueDate: the earliest unpaid installment, or the payment's due date
+paymentSchema.virtual('nextDueDate').get(function() {
+  const next = (this.installments || []).find(installment => installment.status !== 'paid');
+  return next ? next.dueDate : this.dueDate;
+});
+
 // Virtual for isOverdue
 paymentSchema.virtual('isOverdue').get(function() {
-  return this.status === 'pending' && new Date() > this.dueDate;
+  return ['pending', 'partially_paid'].includes(this.status) && new Date() > this.nextDueDate;
 });
 
 // Virtual for daysOverdue
 paymentSchema.virtual('daysOverdue').get(function() {
-  if (this.status !== 'pending' || !this.isOverdue) return 0;
+  if (!this.isOverdue) return 0;
   const today = new Date();
-  const dueDate = new Date(this.dueDate);
+  const dueDate = new Date(this.nextDueDate);
   return Math.floor((today - dueDate) / (1000 * 60 * 60 * 24));
 });
 
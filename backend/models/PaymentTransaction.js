@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+import { PAYMENT_METHODS } from './Payment.js';
+import { exchangeRateSnapshotSchema } from './ExchangeRate.js';
+import { CURRENCY_CODES, BASE_CURRENCY } from '../config/currencies.js';
+
+// One attempt to pay (part of) a payment: a gateway charge, a mobile money request or a recorded transfer
+const paymentTransactionSchema = new mongoose.Schema({
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    index: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Issued from the receipt sequence when the transaction completes
+  receiptNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // In the payment's currency; this is what is allocated against the invoice
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    enum: CURRENCY_CODES,
+    default: BASE_CURRENCY
+  },
+  // Money handed over in another currency, and the rate it was converted at
+  tendered: {
+    amount: Number,
+    currency: {
+      type: String,
+      enum: CURRENCY_CODES
+    },
+    exchangeRate: exchangeRateSnapshotSchema
+  },
+  // Value in the base currency on the day it was received, for reporting
+  baseAmount: Number,
+  exchangeRate: exchangeRateSnapshotSchema,
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'failed', 'cancelled'],
+    default: 'processing'
+  },
+  // Stripe payment intent, PayPal order, mobile money reference or bank reference
+  gatewayId: {
+    type: String,
+    index: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Bank transfer slip (or cash receipt details) submitted for finance approval
+  proof: {
+    reference: String,
+    // Date on the slip, or when the cash was taken
+    date: Date,
+    bankName: String,
+    filePath: String,
+    originalName: String,
+    mimeType: String,
+    size: Number
+  },
+  // Finance review of a manual payment; it stays processing until approved or rejected
+  review: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected']
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    note: String
+  },
+  failureReason: String,
+  // Part of the amount that went beyond the invoice balance when it completed
+  overpayment: Number,
+  paidAt: Date,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+paymentTransactionSchema.index({ 'review.status': 1, createdAt: 1 });
+
+export default mongoose.model('PaymentTransaction', paymentTransactionSchema);
@@ -1,25 +1,103 @@
 import mongoose from 'mongoose';
+import { CONTAINER_TYPES } from '../config/freight.js';
+import { nextSequenceNumber } from '../services/sequenceService.js';
+import { calculateServiceTax } from '../services/dutyService.js';
+
+const QUOTE_CATEGORIES = ['freight', 'customs', 'handling', 'insurance', 'other'];
+
+// Duties and insurance premiums are passed through at cost, without service tax
+export const UNTAXED_CATEGORIES = ['customs', 'insurance'];
+
+const lineItemSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: QUOTE_CATEGORIES,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amount: Number
+}, { _id: false });
 
 const quoteSchema = new mongoose.Schema({
-  // Add your actual schema fields here
+  // Issued once a quote is requested or drafted; instant calculations are not numbered
+  quoteNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Instant quotes are calculated before a shipment or client account exists
   shipment: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Shipment',
-    required: true
+    ref: 'Shipment'
   },
   client: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
+  },
+  // Contact details captured when a visitor requests a detailed quote
+  clientInfo: {
+    companyName: String,
+    email: String,
+    phone: String
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  serviceType: {
+    type: String,
+    enum: ['clearing', 'sea_freight', 'air_freight', 'full_logistics']
+  },
+  origin: String,
+  cargoType: {
+    type: String,
+    enum: ['general', 'construction', 'vehicles', 'perishable', 'hazardous']
+  },
+  cargoDetails: {
+    description: String,
+    weight: Number,
+    volume: Number,
+    value: Number,
+    loadType: {
+      type: String,
+      enum: ['LCL', 'FCL']
+    },
+    containerType: {
+      type: String,
+      enum: CONTAINER_TYPES
+    },
+    containers: Number,
+    chargeableWeight: Number
   },
+  // Total the client signs for, service tax included; the invoice on acceptance comes to the same
   amount: {
     type: Number,
     required: true
   },
+  calculatedAmount: Number,
+  subtotal: Number,
+  // Service tax on our own charges, as the invoice adds it
+  taxRate: Number,
+  taxAmount: Number,
   currency: {
     type: String,
     default: 'USD'
   },
+  // Editable pricing lines; amount and breakdown are derived from these when present
+  lineItems: [lineItemSchema],
   breakdown: {
     freight: Number,
     customs: Number,
@@ -27,15 +105,136 @@ const quoteSchema = new mongoose.Schema({
     insurance: Number,
     other: Number
   },
+  // Cargo insurance terms priced with the quote; the policy is issued on acceptance
+  insurance: {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InsuranceProduct'
+    },
+    cargoValue: Number,
+    freight: Number,
+    cifValue: Number,
+    insuredValue: Number,
+    premiumRate: Number,
+    premium: Number
+  },
+  // Rate card version that priced this quote
+  rateCard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RateCard'
+  },
+  rateCardVersion: Number,
+  // How freight was measured and priced (chargeable weight, revenue tons or containers)
+  freightPricing: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Per-line duty figures from the duty engine, kept so invoicing can match them
+  customsDuties: {
+    type: mongoose.Schema.Types.Mixed
+  },
   status: {
     type: String,
-    enum: ['draft', 'sent', 'accepted', 'rejected'],
+    enum: ['calculated', 'requested', 'draft', 'sent', 'accepted', 'rejected', 'expired'],
     default: 'draft'
   },
+  revision: {
+    type: Number,
+    default: 0
+  },
+  // Snapshots of earlier pricing, newest last
+  revisions: [{
+    revision: Number,
+    amount: Number,
+    breakdown: {
+      freight: Number,
+      customs: Number,
+      handling: Number,
+      insurance: Number,
+      other: Number
+    },
+    lineItems: [lineItemSchema],
+    validUntil: Date,
+    notes: String,
+    reason: String,
+    revisedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    revisedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   validUntil: Date,
+  sentAt: Date,
+  // Quotation document generated when the quote was last sent
+  pdfUrl: String,
+  // E-signature captured when the client accepts
+  acceptance: {
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    signatureName: String,
+    signedAt: Date,
+    ipAddress: String,
+    userAgent: String
+  },
+  rejection: {
+    rejectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    rejectedAt: Date
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
   notes: String
 }, {
   timestamps: true
 });
 
-export default mongoose.model('Quote', quoteSchema);
\ No newline at end of file
+// Number the quote once it becomes a real quotation
+quoteSchema.pre('validate', async function(next) {
+  if (!this.quoteNumber && this.status !== 'calculated') {
+    this.quoteNumber = await nextSequenceNumber('quote', {
+      model: mongoose.model('Quote'),
+      field: 'quoteNumber'
+    });
+  }
+  next();
+});
+
+// Derive amount, category breakdown and service tax from line items before validation
+quoteSchema.pre('validate', function(next) {
+  if (this.lineItems && this.lineItems.length > 0) {
+    const breakdown = QUOTE_CATEGORIES.reduce((totals, category) => ({ ...totals, [category]: 0 }), {});
+
+    this.lineItems.forEach(item => {
+      item.amount = Math.round(item.quantity * item.unitPrice * 100) / 100;
+      breakdown[item.category] += item.amount;
+    });
+
+    const taxable = QUOTE_CATEGORIES
+      .filter(category => !UNTAXED_CATEGORIES.includes(category))
+      .reduce((sum, category) => sum + breakdown[category], 0);
+    const { rate, amount: tax } = calculateServiceTax(taxable);
+
+    this.breakdown = breakdown;
+    this.subtotal = Math.round(Object.values(breakdown).reduce((sum, value) => sum + value, 0) * 100) / 100;
+    this.taxRate = rate;
+    this.taxAmount = tax;
+    this.amount = Math.round((this.subtotal + tax) * 100) / 100;
+  }
+  next();
+});
+
+// Virtual for isExpired
+quoteSchema.virtual('isExpired').get(function() {
+  return this.status === 'sent' && !!this.validUntil && new Date() > this.validUntil;
+});
+
+export default mongoose.model('Quote', quoteSchema);
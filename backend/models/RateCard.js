@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+import { CONTAINER_TYPES } from '../config/freight.js';
+
+const breakSchema = new mongoose.Schema({
+  // Rate applies once the measured quantity reaches this threshold
+  from: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const rateLineSchema = new mongoose.Schema({
+  serviceType: {
+    type: String,
+    enum: ['clearing', 'sea_freight', 'air_freight', 'full_logistics'],
+    required: true
+  },
+  // 'any' matches every origin region / cargo type; specific entries win over 'any'
+  originRegion: {
+    type: String,
+    enum: ['any', 'china', 'usa', 'europe', 'uae', 'south_africa', 'other'],
+    default: 'any'
+  },
+  cargoType: {
+    type: String,
+    enum: ['any', 'general', 'construction', 'vehicles', 'perishable', 'hazardous'],
+    default: 'any'
+  },
+  // weight_plus_volume: kg and m³ charged separately
+  // chargeable_weight: greater of actual and volumetric kg (air)
+  // revenue_ton: greater of tonnes and m³, priced from volumeBreaks (sea LCL)
+  pricingBasis: {
+    type: String,
+    enum: ['weight_plus_volume', 'chargeable_weight', 'revenue_ton']
+  },
+  // Overrides the mode default in config/freight.js (cm³ per kg)
+  volumetricDivisor: {
+    type: Number,
+    min: 1
+  },
+  baseCharge: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  weightBreaks: [breakSchema], // per kg
+  volumeBreaks: [breakSchema], // per cubic metre or revenue ton
+  // Per-container rates for FCL sea freight
+  containerRates: [{
+    _id: false,
+    containerType: {
+      type: String,
+      enum: CONTAINER_TYPES,
+      required: true
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  minimumCharge: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const rateCardSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rate card name is required'],
+    trim: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'retired'],
+    default: 'draft'
+  },
+  effectiveFrom: Date,
+  effectiveTo: Date,
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  lines: [rateLineSchema],
+  cargoMultipliers: [{
+    _id: false,
+    cargoType: {
+      type: String,
+      enum: ['general', 'construction', 'vehicles', 'perishable', 'hazardous'],
+      required: true
+    },
+    multiplier: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  previousVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RateCard'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  activatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+rateCardSchema.index({ name: 1, version: 1 }, { unique: true });
+rateCardSchema.index({ status: 1, effectiveFrom: -1 });
+
+// Assign the next version number for this card name
+rateCardSchema.pre('validate', async function(next) {
+  if (!this.version) {
+    const latest = await mongoose.model('RateCard')
+      .findOne({ name: this.name })
+      .sort({ version: -1 });
+    this.version = latest ? latest.version + 1 : 1;
+  }
+  next();
+});
+
+export default mongoose.model('RateCard', rateCardSchema);
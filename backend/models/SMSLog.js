@@ -24,6 +24,8 @@ const smsLogSchema = new mongoose.Schema({
       'QUOTE_READY',
       'URGENT_ACTION_REQUIRED',
       'DOCUMENT_REQUEST',
+      'ETA_UPDATE',
+      'FREE_TIME_WARNING',
       'WELCOME_MESSAGE',
       'HELP_RESPONSE',
       'STATUS_HELP',
@@ -1,4 +1,228 @@
 import mongoose from 'mongoose';
+import { CONTAINER_TYPES, CONTAINER_EVENTS } from '../config/freight.js';
+import { isValidContainerNumber, normalizeContainerNumber } from '../utils/iso6346.js';
+import { DOCUMENT_TYPES, DELIVERY_EXCEPTIONS } from '../config/documents.js';
+import { HAZARD_CLASSES, PACKING_GROUPS, TRANSPORT_MODES } from '../config/dangerousGoods.js';
+import { FUEL_TYPES } from '../config/vehicles.js';
+import { isValidVin, normalizeVin } from '../utils/vin.js';
+import { nextSequenceNumber } from '../services/sequenceService.js';
+
+const documentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: DOCUMENT_TYPES,
+    default: 'other'
+  },
+  name: String,
+  // Vehicle the document belongs to, for per-vehicle documents such as titles
+  vin: String,
+  // Older documents were stored as public URLs; uploads are kept in filePath
+  fileUrl: String,
+  filePath: String,
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  // Re-uploading a document type adds a new version and supersedes the old one
+  version: {
+    type: Number,
+    default: 1
+  },
+  isCurrent: {
+    type: Boolean,
+    default: true
+  },
+  reviewStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  rejectionReason: String,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const containerSchema = new mongoose.Schema({
+  containerNumber: {
+    type: String,
+    required: [true, 'Container number is required'],
+    set: normalizeContainerNumber,
+    validate: {
+      validator: isValidContainerNumber,
+      message: props => `${props.value} is not a valid ISO 6346 container number`
+    }
+  },
+  sealNumber: String,
+  containerType: {
+    type: String,
+    enum: CONTAINER_TYPES
+  },
+  grossWeight: Number, // kg
+  status: {
+    type: String,
+    enum: CONTAINER_EVENTS
+  },
+  // Terminal gate movements at Freeport of Monrovia
+  gateInAt: Date,
+  gateOutAt: Date,
+  events: [{
+    event: {
+      type: String,
+      enum: CONTAINER_EVENTS,
+      required: true
+    },
+    description: String,
+    location: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }]
+});
+
+// Image captured at delivery, kept alongside the shipment's uploaded documents
+const deliveryFileSchema = new mongoose.Schema({
+  filePath: String,
+  originalName: String,
+  mimeType: String,
+  size: Number
+}, { _id: false });
+
+const deliverySchema = new mongoose.Schema({
+  // Driver or agent responsible for the last mile
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: Date,
+  scheduledFor: Date,
+  address: String,
+  instructions: String,
+  status: {
+    type: String,
+    enum: ['assigned', 'delivered'],
+    default: 'assigned'
+  },
+  // Proof of delivery submitted from the driver's phone
+  proof: {
+    recipientName: String,
+    signature: deliveryFileSchema,
+    photos: [deliveryFileSchema],
+    location: {
+      latitude: Number,
+      longitude: Number,
+      accuracy: Number // metres
+    },
+    exceptions: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: DELIVERY_EXCEPTIONS
+      },
+      description: String
+    }],
+    notes: String,
+    deliveredAt: Date,
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Generated POD PDF in the shipment's documents
+    document: mongoose.Schema.Types.ObjectId
+  }
+}, { _id: false });
+
+// A vehicle imported on the shipment; decoded holds what the VIN itself says
+const vehicleSchema = new mongoose.Schema({
+  vin: {
+    type: String,
+    required: [true, 'VIN is required'],
+    set: normalizeVin,
+    validate: {
+      validator: isValidVin,
+      message: props => `${props.value} is not a valid VIN`
+    }
+  },
+  make: String,
+  model: String,
+  year: Number, // model year
+  engineCapacity: Number, // cc
+  fuelType: {
+    type: String,
+    enum: FUEL_TYPES,
+    default: 'petrol'
+  },
+  bodyType: String,
+  color: String,
+  mileage: Number, // km
+  value: Number, // CIF value for customs
+  hsCode: String,
+  decoded: {
+    wmi: String,
+    manufacturer: String,
+    region: String,
+    modelYear: Number
+  }
+});
+
+// A dangerous goods line as declared by the shipper (IMDG / IATA)
+const dangerousGoodsLineSchema = new mongoose.Schema({
+  unNumber: {
+    type: String,
+    required: [true, 'UN number is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^UN\d{4}$/, 'UN number must look like UN1203']
+  },
+  properShippingName: String,
+  technicalName: String,
+  hazardClass: {
+    type: String,
+    enum: HAZARD_CLASSES
+  },
+  subsidiaryRisks: [{
+    type: String,
+    enum: HAZARD_CLASSES
+  }],
+  packingGroup: {
+    type: String,
+    enum: PACKING_GROUPS
+  },
+  packages: Number,
+  packageType: String,
+  netQuantity: Number,
+  quantityUnit: {
+    type: String,
+    enum: ['kg', 'L'],
+    default: 'kg'
+  },
+  grossWeight: Number, // kg
+  flashPoint: Number, // °C
+  marinePollutant: Boolean,
+  limitedQuantity: {
+    type: Boolean,
+    default: false
+  },
+  emsCode: String
+});
 
 const shipmentSchema = new mongoose.Schema({
   trackingNumber: {
@@ -26,17 +250,50 @@ const shipmentSchema = new mongoose.Schema({
     address: String
   },
   cargoDetails: {
-    type: String,
+    type: { type: String },
     weight: Number,
     volume: Number,
     value: Number,
+    loadType: {
+      type: String,
+      enum: ['LCL', 'FCL']
+    },
+    containerType: {
+      type: String,
+      enum: CONTAINER_TYPES
+    },
     containers: Number
   },
+  transportMode: {
+    type: String,
+    enum: TRANSPORT_MODES,
+    default: 'sea'
+  },
+  dangerousGoods: [dangerousGoodsLineSchema],
+  vehicles: {
+    type: [vehicleSchema],
+    validate: {
+      validator: vehicles => new Set(vehicles.map(vehicle => vehicle.vin)).size === vehicles.length,
+      message: 'Each VIN can only be listed once on a shipment'
+    }
+  },
+  containers: [containerSchema],
   carrier: {
     name: String,
     vessel: String,
     bookingReference: String
   },
+  // Scheduled sailing; its ETA drives estimatedArrival
+  voyage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voyage'
+  },
+  // Groupage shipments travel as a house bill under a consolidation's master B/L
+  consolidation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consolidation'
+  },
+  houseBillNumber: String,
   status: {
     type: String,
     enum: ['pending', 'booked', 'in_transit', 'arrived', 'customs_clearance', 'delivered', 'cancelled'],
@@ -49,16 +306,23 @@ const shipmentSchema = new mongoose.Schema({
     timestamp: {
       type: Date,
       default: Date.now
+    },
+    // User who made the change (empty for automatic entries)
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     }
   }],
-  documents: [{
-    name: String,
-    fileUrl: String,
-    uploadedAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  documents: [documentSchema],
+  // Automatic requests sent to the client for outstanding documents
+  documentRequests: {
+    count: {
+      type: Number,
+      default: 0
+    },
+    lastSentAt: Date,
+    documents: [String]
+  },
   quotes: [{
     amount: Number,
     currency: {
@@ -79,18 +343,73 @@ const shipmentSchema = new mongoose.Schema({
       default: 'pending'
     }
   }],
+  customsDeclaration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomsDeclaration'
+  },
+  // Expiring read-only tracking links the client has shared with consignees
+  shareLinks: [{
+    recipient: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: Date,
+    lastAccessedAt: Date,
+    accessCount: {
+      type: Number,
+      default: 0
+    }
+  }],
   estimatedArrival: Date,
   actualArrival: Date,
+  delivery: deliverySchema,
+  // Negotiated free days; unset values fall back to carrier and tariff defaults
+  freeTime: {
+    demurrageDays: Number,
+    detentionDays: Number,
+    storageDays: Number
+  },
+  // Free-time expiry warnings already sent, so each period is only warned once
+  freeTimeAlerts: [{
+    _id: false,
+    chargeType: String,
+    containerNumber: String,
+    freeTimeEndsAt: Date,
+    sentAt: Date
+  }],
+  // Demurrage/detention/storage already billed, so later invoices only charge the difference
+  freeTimeInvoiced: [{
+    _id: false,
+    chargeType: String,
+    containerNumber: String,
+    amount: Number,
+    throughDate: Date,
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    }
+  }],
   notes: String
 }, {
   timestamps: true
 });
 
-// Generate tracking number before saving
-shipmentSchema.pre('save', async function(next) {
+shipmentSchema.index({ 'containers.containerNumber': 1 });
+shipmentSchema.index({ voyage: 1 });
+shipmentSchema.index({ 'delivery.assignedTo': 1, 'delivery.status': 1 });
+
+// Generate tracking number before validation (it is a required field)
+shipmentSchema.pre('validate', async function(next) {
   if (!this.trackingNumber) {
-    const count = await mongoose.model('Shipment').countDocuments();
-    this.trackingNumber = `LCL-${new Date().getFullYear()}-${(count + 1).toString().padStart(4, '0')}`;
+    this.trackingNumber = await nextSequenceNumber('shipment', {
+      model: mongoose.model('Shipment'),
+      field: 'trackingNumber'
+    });
   }
   next();
 });
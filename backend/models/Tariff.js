@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+const tariffSchema = new mongoose.Schema({
+  hsCode: {
+    type: String,
+    required: [true, 'HS code is required'],
+    unique: true,
+    trim: true,
+    match: [/^\d{4,10}$/, 'HS code must be 4 to 10 digits']
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required']
+  },
+  cetBand: {
+    type: Number,
+    enum: [0, 1, 2, 3, 4],
+    required: [true, 'ECOWAS CET band is required']
+  },
+  // Optional overrides (percentages); when unset the CET band / global defaults apply
+  dutyRate: {
+    type: Number,
+    min: 0
+  },
+  exciseRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  gstRate: {
+    type: Number,
+    min: 0
+  },
+  ecowasLevyRate: {
+    type: Number,
+    min: 0
+  },
+  inspectionFeeRate: {
+    type: Number,
+    min: 0
+  },
+  unit: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+tariffSchema.index({ description: 'text' });
+
+export default mongoose.model('Tariff', tariffSchema);
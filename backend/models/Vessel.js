@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// IMO numbers are 7 digits; the last is a check digit over the first six weighted 7..2
+const isValidImoNumber = (value) => {
+  if (!/^\d{7}$/.test(value)) return false;
+  const digits = value.split('').map(Number);
+  const sum = digits.slice(0, 6).reduce((total, digit, index) => total + digit * (7 - index), 0);
+  return sum % 10 === digits[6];
+};
+
+const vesselSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Vessel name is required'],
+    trim: true
+  },
+  imoNumber: {
+    type: String,
+    required: [true, 'IMO number is required'],
+    unique: true,
+    // Accept "IMO 9321483" as well as the bare number
+    set: value => String(value).replace(/^IMO\s*/i, '').trim(),
+    validate: {
+      validator: isValidImoNumber,
+      message: props => `${props.value} is not a valid IMO number`
+    }
+  },
+  callSign: String,
+  flag: String,
+  // Shipping line operating the vessel
+  carrier: String,
+  vesselType: {
+    type: String,
+    enum: ['container', 'general_cargo', 'ro_ro', 'bulk', 'tanker', 'other'],
+    default: 'container'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Vessel', vesselSchema);
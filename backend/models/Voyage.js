@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+export const LIBERIAN_PORTS = ['Freeport of Monrovia', 'Port of Buchanan'];
+
+const voyageSchema = new mongoose.Schema({
+  vessel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vessel',
+    required: [true, 'Vessel is required']
+  },
+  voyageNumber: {
+    type: String,
+    required: [true, 'Voyage number is required'],
+    trim: true,
+    uppercase: true
+  },
+  carrier: String,
+  // Ports of call in rotation order
+  portRotation: [{
+    _id: false,
+    port: {
+      type: String,
+      required: true
+    },
+    country: String,
+    eta: Date,
+    etd: Date,
+    ata: Date,
+    atd: Date
+  }],
+  // The Liberian port this voyage discharges our cargo at
+  liberianPort: {
+    type: String,
+    enum: LIBERIAN_PORTS,
+    default: 'Freeport of Monrovia'
+  },
+  eta: Date,
+  ata: Date,
+  status: {
+    type: String,
+    enum: ['scheduled', 'sailing', 'arrived', 'completed', 'cancelled'],
+    default: 'scheduled'
+  },
+  // Every ETA change, for reporting on schedule reliability
+  etaHistory: [{
+    _id: false,
+    eta: Date,
+    previousEta: Date,
+    reason: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  notes: String
+}, {
+  timestamps: true
+});
+
+voyageSchema.index({ vessel: 1, voyageNumber: 1 }, { unique: true });
+
+// Keep the Liberian port call in the rotation in step with the voyage ETA/ATA
+voyageSchema.pre('save', function(next) {
+  const portCall = this.portRotation.find(call => call.port === this.liberianPort);
+  if (portCall) {
+    portCall.eta = this.eta;
+    portCall.ata = this.ata;
+  }
+  next();
+});
+
+export default mongoose.model('Voyage', voyageSchema);
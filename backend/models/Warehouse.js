@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+const locationSchema = new mongoose.Schema({
+  // Bin code as painted on the racking, e.g. A-01-03
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  zone: String,
+  description: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const warehouseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Warehouse name is required'],
+    trim: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Warehouse code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  address: String,
+  locations: [locationSchema],
+  // Overrides config/warehouse.js for this warehouse
+  storageTariff: {
+    freeDays: Number,
+    ratePerCbmPerDay: Number,
+    minimumDailyCharge: Number
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+// Bin codes must be unique within a warehouse
+warehouseSchema.path('locations').validate(function(locations) {
+  const codes = locations.map(location => location.code);
+  return new Set(codes).size === codes.length;
+}, 'Location codes must be unique within a warehouse');
+
+export default mongoose.model('Warehouse', warehouseSchema);
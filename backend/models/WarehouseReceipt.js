@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+import { WAREHOUSE_UNITS } from '../config/warehouse.js';
+import { nextSequenceNumber } from '../services/sequenceService.js';
+
+const receiptItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  marks: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unit: {
+    type: String,
+    enum: WAREHOUSE_UNITS,
+    default: 'pieces'
+  },
+  // Totals for the full quantity received
+  weight: Number, // kg
+  volume: {
+    type: Number, // m³
+    default: 0,
+    min: 0
+  },
+  // Bin code in the receipt's warehouse
+  location: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  quantityReleased: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  condition: String
+});
+
+const warehouseReceiptSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  shipment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment',
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  items: [receiptItemSchema],
+  // Partial or full releases of cargo out of the warehouse
+  releases: [{
+    items: [{
+      _id: false,
+      item: mongoose.Schema.Types.ObjectId,
+      quantity: Number
+    }],
+    releasedTo: String,
+    reference: String, // e.g. delivery order or truck plate
+    releasedAt: {
+      type: Date,
+      default: Date.now
+    },
+    releasedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String
+  }],
+  status: {
+    type: String,
+    enum: ['in_store', 'partially_released', 'released'],
+    default: 'in_store'
+  },
+  // One entry per chargeable day; payment is set once the day has been invoiced
+  storageAccruals: [{
+    _id: false,
+    date: Date,
+    volume: Number,
+    amount: Number,
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    }
+  }],
+  // Start of the first day not yet accrued (days before it have been charged or were free)
+  storageAccruedUntil: Date,
+  notes: String
+}, {
+  timestamps: true
+});
+
+warehouseReceiptSchema.index({ client: 1, status: 1 });
+warehouseReceiptSchema.index({ shipment: 1 });
+
+// Generate receipt number before validation (it is a required field)
+warehouseReceiptSchema.pre('validate', async function(next) {
+  if (!this.receiptNumber) {
+    this.receiptNumber = await nextSequenceNumber('warehouseReceipt', {
+      model: mongoose.model('WarehouseReceipt'),
+      field: 'receiptNumber'
+    });
+  }
+  next();
+});
+
+export default mongoose.model('WarehouseReceipt', warehouseReceiptSchema);
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { CURRENCY_CODES, BASE_CURRENCY } from '../config/currencies.js';
 
 const userSchema = new mongoose.Schema({
   companyName: {
@@ -18,6 +19,10 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Phone number is required']
   },
+  taxIdentificationNumber: {
+    type: String,
+    trim: true
+  },
   password: {
     type: String,
     required: [true, 'Password is required'],
@@ -25,7 +30,8 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['client', 'admin', 'agent'],
+    // cashier: records cash taken at the counter; finance: approves manual payments
+    enum: ['client', 'admin', 'agent', 'cashier', 'finance'],
     default: 'client'
   },
   address: {
@@ -37,6 +43,12 @@ const userSchema = new mongoose.Schema({
     name: String,
     position: String
   },
+  // Currency new invoices are issued in
+  preferredCurrency: {
+    type: String,
+    enum: CURRENCY_CODES,
+    default: BASE_CURRENCY
+  },
   isActive: {
     type: Boolean,
     default: true
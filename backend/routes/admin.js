@@ -4,6 +4,38 @@ import User from '../models/User.js';
 import Shipment from '../models/Shipment.js';
 import Quote from '../models/Quote.js';
 import { sendEmail, emailTemplates } from '../utils/emailService.js';
+import {
+  getTariffs,
+  createTariff,
+  updateTariff,
+  importTariffs,
+  estimateDuties
+} from '../controllers/tariffController.js';
+import {
+  getRateCards,
+  getRateCard,
+  createRateCard,
+  updateRateCard,
+  reviseRateCard,
+  activateRateCardVersion
+} from '../controllers/rateCardController.js';
+import {
+  getDangerousGoods,
+  createDangerousGood,
+  updateDangerousGood,
+  importDangerousGoods
+} from '../controllers/dangerousGoodsController.js';
+import {
+  getExchangeRates,
+  setExchangeRate,
+  importExchangeRates
+} from '../controllers/exchangeRateController.js';
+import {
+  EDITABLE_STATUSES,
+  snapshotRevision,
+  sendQuoteToClient
+} from '../services/quoteService.js';
+import { transitionShipmentStatus } from '../services/shipmentStatusService.js';
 
 const router = express.Router();
 
@@ -175,18 +207,20 @@ router.put('/shipments/:id/status', async (req, res) => {
       });
     }
 
-    // Update status
-    shipment.status = status;
-
-    // Add to timeline
-    shipment.timeline.push({
+    const problems = await transitionShipmentStatus(shipment, {
       status,
-      description: description || `Status updated to ${status}`,
-      location: location || 'Freeport of Monrovia',
-      timestamp: new Date()
+      description,
+      location,
+      userId: req.user.id
     });
 
-    await shipment.save();
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('; '),
+        errors: problems
+      });
+    }
 
     // Notify client if requested
     if (notifyClient && shipment.client) {
@@ -251,18 +285,14 @@ router.get('/quotes', async (req, res) => {
   }
 });
 
-// @desc    Update quote status
+// @desc    Revise a quote's pricing and/or send it to the client
 // @route   PUT /api/admin/quotes/:id
 // @access  Private/Admin
 router.put('/quotes/:id', async (req, res) => {
   try {
-    const { status, finalAmount, notes, assignedTo } = req.body;
+    const { status, lineItems, validUntil, notes, assignedTo, client, reason } = req.body;
 
-    const quote = await Quote.findByIdAndUpdate(
-      req.params.id,
-      { status, finalAmount, notes, assignedTo },
-      { new: true, runValidators: true }
-    ).populate('client');
+    const quote = await Quote.findById(req.params.id);
 
     if (!quote) {
       return res.status(404).json({
@@ -271,16 +301,41 @@ router.put('/quotes/:id', async (req, res) => {
       });
     }
 
-    // Notify client if quote is accepted
-    if (status === 'accepted' && quote.client) {
-      try {
-        await sendEmail({
-          to: quote.client.email,
-          ...emailTemplates.quoteResponse(quote, quote.client)
-        });
-      } catch (emailError) {
-        console.log('Quote notification email failed:', emailError);
-      }
+    if (!EDITABLE_STATUSES.includes(quote.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Quote is ${quote.status} and can no longer be changed`
+      });
+    }
+
+    // Clients accept or reject quotes themselves
+    if (status && !['draft', 'sent'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quotes can only be saved as draft or sent to the client'
+      });
+    }
+
+    const pricingChanged = lineItems !== undefined ||
+      (validUntil !== undefined && quote.status === 'sent');
+
+    // Keep what the client was last shown before changing it
+    if (pricingChanged && quote.sentAt) {
+      snapshotRevision(quote, req.user.id, reason);
+    }
+
+    if (lineItems !== undefined) quote.lineItems = lineItems;
+    if (validUntil !== undefined) quote.validUntil = validUntil;
+    if (notes !== undefined) quote.notes = notes;
+    if (assignedTo !== undefined) quote.assignedTo = assignedTo;
+    if (client !== undefined) quote.client = client;
+
+    if (status === 'sent') {
+      await quote.populate('client');
+      await sendQuoteToClient(quote);
+    } else {
+      if (status) quote.status = status;
+      await quote.save();
     }
 
     res.status(200).json({
@@ -366,6 +421,37 @@ router.put('/users/:id', async (req, res) => {
   }
 });
 
+// HS tariff catalogue and duty engine
+router.route('/tariffs')
+  .get(getTariffs)
+  .post(createTariff);
+router.post('/tariffs/import', express.text({ type: 'text/csv', limit: '5mb' }), importTariffs);
+router.post('/tariffs/calculate', estimateDuties);
+router.put('/tariffs/:id', updateTariff);
+
+// Versioned rate cards used to price quotes
+router.route('/rate-cards')
+  .get(getRateCards)
+  .post(createRateCard);
+router.route('/rate-cards/:id')
+  .get(getRateCard)
+  .put(updateRateCard);
+router.post('/rate-cards/:id/revise', reviseRateCard);
+router.post('/rate-cards/:id/activate', activateRateCardVersion);
+
+// Dangerous goods reference table (UN numbers)
+router.route('/dangerous-goods')
+  .get(getDangerousGoods)
+  .post(createDangerousGood);
+router.post('/dangerous-goods/import', express.text({ type: 'text/csv', limit: '5mb' }), importDangerousGoods);
+router.put('/dangerous-goods/:id', updateDangerousGood);
+
+// Daily exchange rates
+router.route('/exchange-rates')
+  .get(getExchangeRates)
+  .post(setExchangeRate);
+router.post('/exchange-rates/import', express.text({ type: 'text/csv', limit: '5mb' }), importExchangeRates);
+
 // Helper function to generate random password
 const generateRandomPassword = () => {
   return Math.random().toString(36).slice(-8);
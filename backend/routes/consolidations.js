@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  getConsolidations,
+  getConsolidation,
+  createConsolidation,
+  updateConsolidation,
+  createHouseBill,
+  updateHouseBill,
+  deleteHouseBill,
+  updateStatus,
+  getApportionment,
+  getManifest
+} from '../controllers/consolidationController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('admin', 'agent'));
+
+router.route('/')
+  .get(getConsolidations)
+  .post(createConsolidation);
+router.route('/:id')
+  .get(getConsolidation)
+  .put(updateConsolidation);
+router.put('/:id/status', updateStatus);
+router.post('/:id/house-bills', createHouseBill);
+router.route('/:id/house-bills/:houseBillId')
+  .put(updateHouseBill)
+  .delete(deleteHouseBill);
+router.get('/:id/apportionment', getApportionment);
+router.get('/:id/manifest', getManifest);
+
+export default router;
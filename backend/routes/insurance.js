@@ -0,0 +1,47 @@
+import express from 'express';
+import {
+  getProducts,
+  createProduct,
+  updateProduct,
+  getPremium,
+  getPolicies,
+  getPolicy,
+  cancelPolicy,
+  downloadCertificate
+} from '../controllers/insuranceController.js';
+import {
+  getClaims,
+  getClaim,
+  createClaim,
+  uploadClaimEvidence,
+  downloadClaimEvidence,
+  updateClaimStatus
+} from '../controllers/claimController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { uploadDocument } from '../middleware/upload.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/products')
+  .get(getProducts)
+  .post(authorize('admin'), createProduct);
+router.put('/products/:id', authorize('admin'), updateProduct);
+router.post('/premium', getPremium);
+
+// Clients can follow their own policies and claims
+router.get('/policies', getPolicies);
+router.get('/policies/:id', getPolicy);
+router.get('/policies/:id/certificate', downloadCertificate);
+router.put('/policies/:id/cancel', authorize('admin'), cancelPolicy);
+
+router.route('/claims')
+  .get(getClaims)
+  .post(createClaim);
+router.get('/claims/:id', getClaim);
+router.put('/claims/:id/status', updateClaimStatus);
+router.post('/claims/:id/evidence', uploadDocument, uploadClaimEvidence);
+router.get('/claims/:id/evidence/:evidenceId/file', downloadClaimEvidence);
+
+export default router;
@@ -6,9 +6,29 @@ import {
   handleStripeWebhook,
   capturePayPalOrder,
   getClientPayments,
-  getPayment
+  getPayment,
+  createMobileMoneyRequest,
+  getMobileMoneyStatus,
+  handleMobileMoneyWebhook,
+  recordPaymentTransaction,
+  updateInstallmentPlan
 } from '../controllers/paymentController.js';
+import { getCurrentExchangeRate } from '../controllers/exchangeRateController.js';
+import {
+  createRefund,
+  getCreditNotes,
+  getCreditNote,
+  getCreditBalance
+} from '../controllers/creditNoteController.js';
+import {
+  submitBankTransfer,
+  getPendingApprovals,
+  approvePaymentSubmission,
+  rejectPaymentSubmission,
+  downloadPaymentProof
+} from '../controllers/manualPaymentController.js';
 import { protect, authorize } from '../middleware/auth.js';
+import { uploadDocument } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -18,6 +38,9 @@ router.post('/stripe/webhook', express.raw({ type: 'application/json' }), handle
 // All other routes use JSON parser
 router.use(express.json());
 
+// Mobile money provider callbacks (signed, checked against the raw body)
+router.post('/mobile-money/callback/:provider', handleMobileMoneyWebhook);
+
 // Client routes
 router.use(protect);
 
@@ -25,8 +48,25 @@ router.post('/create', createPayment);
 router.post('/stripe/create-intent', createStripePaymentIntent);
 router.post('/paypal/create-order', createPayPalOrder);
 router.post('/paypal/capture-order', capturePayPalOrder);
+router.post('/mobile-money/request-to-pay', createMobileMoneyRequest);
+router.get('/mobile-money/:paymentId/status', getMobileMoneyStatus);
+router.get('/exchange-rate', getCurrentExchangeRate);
+router.get('/credit-notes', getCreditNotes);
+router.get('/credit-notes/:id', getCreditNote);
+router.get('/credit-balance', getCreditBalance);
+
+// Finance approval queue for bank transfers and cash receipts
+router.get('/approvals', authorize('admin', 'finance'), getPendingApprovals);
+router.put('/transactions/:transactionId/approve', authorize('admin', 'finance'), approvePaymentSubmission);
+router.put('/transactions/:transactionId/reject', authorize('admin', 'finance'), rejectPaymentSubmission);
+router.get('/transactions/:transactionId/proof', downloadPaymentProof);
+
 router.get('/', getClientPayments);
 router.get('/:id', getPayment);
+router.post('/:id/transactions', authorize('admin', 'finance', 'cashier'), recordPaymentTransaction);
+router.post('/:id/bank-transfer', uploadDocument, submitBankTransfer);
+router.put('/:id/installments', authorize('admin'), updateInstallmentPlan);
+router.post('/:id/refunds', authorize('admin'), createRefund);
 
 // Admin routes for payment management
 router.get('/admin/all', authorize('admin'), async (req, res) => {
@@ -1,11 +1,25 @@
 import express from 'express';
-import { register, login, getMe } from '../controllers/authController.js';
+import {
+  calculateQuote,
+  getCurrentRateCard,
+  requestDetailedQuote,
+  getQuotes,
+  getQuote,
+  getQuotePDF,
+  acceptQuote,
+  rejectQuote
+} from '../controllers/quoteController.js';
 import { protect } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.post('/register', register);
-router.post('/login', login);
-router.get('/me', protect, getMe);
+router.post('/calculate', calculateQuote);
+router.get('/rate-card', getCurrentRateCard);
+router.post('/request-detailed', requestDetailedQuote);
+router.get('/', protect, getQuotes);
+router.get('/:id', protect, getQuote);
+router.get('/:id/pdf', protect, getQuotePDF);
+router.post('/:id/accept', protect, acceptQuote);
+router.post('/:id/reject', protect, rejectQuote);
 
-export default router;
\ No newline at end of file
+export default router;
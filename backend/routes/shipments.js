@@ -1,11 +1,137 @@
 import express from 'express';
-import { register, login, getMe } from '../controllers/authController.js';
-import { protect } from '../middleware/auth.js';
+import {
+  getShipments,
+  getShipment,
+  trackShipment,
+  createShipment,
+  updateStatus
+} from '../controllers/shipmentController.js';
+import {
+  getDeclaration,
+  buildDeclaration,
+  updateDeclaration,
+  getDeclarationPDF
+} from '../controllers/customsDeclarationController.js';
+import {
+  getDocuments,
+  uploadShipmentDocument,
+  reviewDocument,
+  sendDocumentRequest,
+  downloadDocument
+} from '../controllers/documentController.js';
+import {
+  getContainers,
+  addContainer,
+  updateContainer,
+  removeContainer,
+  addContainerEvent
+} from '../controllers/containerController.js';
+import {
+  getFreeTime,
+  updateFreeTime,
+  invoiceFreeTime
+} from '../controllers/freeTimeController.js';
+import {
+  createShareLink,
+  getShareLinks,
+  revokeShareLink,
+  getSharedShipment
+} from '../controllers/shareLinkController.js';
+import {
+  getMyDeliveries,
+  getDelivery,
+  assignDelivery,
+  submitProofOfDelivery
+} from '../controllers/deliveryController.js';
+import { insureShipment } from '../controllers/insuranceController.js';
+import {
+  getShipmentDangerousGoods,
+  updateShipmentDangerousGoods,
+  getDangerousGoodsDeclaration
+} from '../controllers/dangerousGoodsController.js';
+import {
+  decodeVinNumber,
+  addVehicle,
+  updateVehicle,
+  deleteVehicle,
+  getVehicleDuties
+} from '../controllers/vehicleController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { uploadDocument, uploadProofOfDelivery } from '../middleware/upload.js';
 
 const router = express.Router();
 
-router.post('/register', register);
-router.post('/login', login);
-router.get('/me', protect, getMe);
+// Public tracking by LCL tracking number or container number
+router.get('/track/:trackingNumber', trackShipment);
+router.get('/shared/:token', getSharedShipment);
 
-export default router;
\ No newline at end of file
+router.use(protect);
+
+router.route('/')
+  .get(getShipments)
+  .post(createShipment);
+
+router.get('/deliveries', authorize('admin', 'agent'), getMyDeliveries);
+router.get('/vin/:vin', decodeVinNumber);
+router.get('/:id', getShipment);
+router.put('/:id/status', authorize('admin', 'agent'), updateStatus);
+
+// Customs declaration
+router.route('/:id/declaration')
+  .get(getDeclaration)
+  .post(authorize('admin', 'agent'), buildDeclaration)
+  .put(authorize('admin', 'agent'), updateDeclaration);
+router.get('/:id/declaration/pdf', getDeclarationPDF);
+
+// Document vault
+router.route('/:id/documents')
+  .get(getDocuments)
+  .post(uploadDocument, uploadShipmentDocument);
+router.post('/:id/documents/request', authorize('admin', 'agent'), sendDocumentRequest);
+router.put('/:id/documents/:documentId/review', authorize('admin', 'agent'), reviewDocument);
+router.get('/:id/documents/:documentId/file', downloadDocument);
+
+// Containers
+router.route('/:id/containers')
+  .get(getContainers)
+  .post(authorize('admin', 'agent'), addContainer);
+router.route('/:id/containers/:containerId')
+  .put(authorize('admin', 'agent'), updateContainer)
+  .delete(authorize('admin', 'agent'), removeContainer);
+router.post('/:id/containers/:containerId/events', authorize('admin', 'agent'), addContainerEvent);
+
+// Demurrage, detention and storage
+router.route('/:id/free-time')
+  .get(getFreeTime)
+  .put(authorize('admin', 'agent'), updateFreeTime);
+router.post('/:id/free-time/invoice', authorize('admin', 'agent'), invoiceFreeTime);
+
+// Share links for consignees
+router.route('/:id/share-links')
+  .get(getShareLinks)
+  .post(createShareLink);
+router.delete('/:id/share-links/:linkId', revokeShareLink);
+
+// Last-mile delivery and proof of delivery
+router.route('/:id/delivery')
+  .get(getDelivery)
+  .put(authorize('admin', 'agent'), assignDelivery);
+router.post('/:id/delivery/proof', authorize('admin', 'agent'), uploadProofOfDelivery, submitProofOfDelivery);
+
+// Cargo insurance
+router.post('/:id/insurance', authorize('admin', 'agent'), insureShipment);
+
+// Dangerous goods lines and declaration
+router.route('/:id/dangerous-goods')
+  .get(getShipmentDangerousGoods)
+  .put(updateShipmentDangerousGoods);
+router.get('/:id/dangerous-goods/declaration', getDangerousGoodsDeclaration);
+
+// Vehicle imports
+router.post('/:id/vehicles', addVehicle);
+router.get('/:id/vehicles/duties', getVehicleDuties);
+router.route('/:id/vehicles/:vehicleId')
+  .put(updateVehicle)
+  .delete(deleteVehicle);
+
+export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+  getVessels,
+  createVessel,
+  updateVessel
+} from '../controllers/voyageController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('admin', 'agent'));
+
+router.route('/')
+  .get(getVessels)
+  .post(createVessel);
+router.put('/:id', updateVessel);
+
+export default router;
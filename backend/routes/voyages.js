@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  getVoyages,
+  getVoyage,
+  createVoyage,
+  updateVoyage,
+  updateSchedule,
+  linkShipments,
+  unlinkShipment
+} from '../controllers/voyageController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('admin', 'agent'));
+
+router.route('/')
+  .get(getVoyages)
+  .post(createVoyage);
+router.route('/:id')
+  .get(getVoyage)
+  .put(updateVoyage);
+router.put('/:id/schedule', updateSchedule);
+router.post('/:id/shipments', linkShipments);
+router.delete('/:id/shipments/:shipmentId', unlinkShipment);
+
+export default router;
@@ -0,0 +1,39 @@
+import express from 'express';
+import {
+  getWarehouses,
+  getWarehouse,
+  createWarehouse,
+  updateWarehouse,
+  getReceipts,
+  getReceipt,
+  createReceipt,
+  moveReceiptItem,
+  releaseReceiptCargo,
+  getStockOnHand,
+  invoiceStorage
+} from '../controllers/warehouseController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Clients can follow their own receipts and stock
+router.get('/stock', getStockOnHand);
+router.route('/receipts')
+  .get(getReceipts)
+  .post(authorize('admin', 'agent'), createReceipt);
+router.get('/receipts/:id', getReceipt);
+router.post('/receipts/:id/releases', authorize('admin', 'agent'), releaseReceiptCargo);
+router.put('/receipts/:id/items/:itemId/location', authorize('admin', 'agent'), moveReceiptItem);
+
+router.post('/storage/invoice', authorize('admin'), invoiceStorage);
+
+router.route('/')
+  .get(authorize('admin', 'agent'), getWarehouses)
+  .post(authorize('admin'), createWarehouse);
+router.route('/:id')
+  .get(authorize('admin', 'agent'), getWarehouse)
+  .put(authorize('admin'), updateWarehouse);
+
+export default router;
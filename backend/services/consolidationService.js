@@ -0,0 +1,302 @@
+import Shipment from '../models/Shipment.js';
+import { CONSOLIDATION_TRANSITIONS } from '../models/Consolidation.js';
+import { transitionShipmentStatus } from './shipmentStatusService.js';
+import { applyVoyageToShipment } from './voyageService.js';
+import { checkSegregation } from './dangerousGoodsService.js';
+import { sendShipmentUpdateSMS } from './smsNotificationService.js';
+import { sendEmail, emailTemplates } from '../utils/emailService.js';
+import { createPDF, drawLetterhead, drawTable } from '../utils/pdfService.js';
+
+// Master statuses that move every house shipment to the same status
+const CASCADING_STATUSES = ['booked', 'in_transit', 'arrived'];
+
+// House bills can only be changed before the container sails
+const OPEN_STATUSES = ['open', 'booked'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const notifyClient = async (shipment, status) => {
+  if (!shipment.client) return;
+
+  if (process.env.SMS_ENABLED === 'true') {
+    try {
+      await sendShipmentUpdateSMS(shipment._id, status);
+    } catch (smsError) {
+      console.log('SMS notification failed:', smsError);
+    }
+  }
+
+  try {
+    await sendEmail({
+      to: shipment.client.email,
+      ...emailTemplates.shipmentUpdate(shipment, shipment.client)
+    });
+  } catch (emailError) {
+    console.log('Notification email failed:', emailError);
+  }
+};
+
+const masterLabel = (consolidation) =>
+  `consolidation ${consolidation.consolidationNumber}${consolidation.masterBillNumber ? ` (MB/L ${consolidation.masterBillNumber})` : ''}`;
+
+// @desc    Add a shipment to a consolidation as a house bill; returns the reasons if not allowed
+export const addHouseBill = async (consolidation, shipment, { houseBillNumber, packages, weight, volume, userId }) => {
+  if (!OPEN_STATUSES.includes(consolidation.status)) {
+    return [`Consolidation is ${consolidation.status}; house bills can no longer be changed`];
+  }
+
+  if (shipment.consolidation && shipment.consolidation.toString() !== consolidation._id.toString()) {
+    return [`Shipment ${shipment.trackingNumber} is already on another consolidation`];
+  }
+
+  if (consolidation.houseBills.some(house => house.shipment.toString() === shipment._id.toString())) {
+    return [`Shipment ${shipment.trackingNumber} is already on this consolidation`];
+  }
+
+  if (shipment.cargoDetails?.loadType === 'FCL') {
+    return [`Shipment ${shipment.trackingNumber} is a full container load and cannot be consolidated`];
+  }
+
+  if (!['pending', 'booked'].includes(shipment.status)) {
+    return [`Shipment ${shipment.trackingNumber} is ${shipment.status} and cannot be consolidated`];
+  }
+
+  // Dangerous goods from different house bills share the container, so they must be segregable
+  if (shipment.dangerousGoods?.length > 0) {
+    const others = await Shipment.find({
+      _id: { $in: consolidation.houseBills.map(house => house.shipment) },
+      'dangerousGoods.0': { $exists: true }
+    }).select('trackingNumber dangerousGoods');
+
+    const conflicts = others.flatMap(other => checkSegregation(shipment.dangerousGoods, other.dangerousGoods)
+      .map(problem => `${problem} (house shipment ${other.trackingNumber})`));
+    if (conflicts.length > 0) {
+      return conflicts;
+    }
+  }
+
+  const number = houseBillNumber ||
+    `${consolidation.consolidationNumber}-H${(consolidation.houseBills.length + 1).toString().padStart(2, '0')}`;
+
+  consolidation.houseBills.push({
+    shipment: shipment._id,
+    houseBillNumber: number,
+    packages,
+    weight: weight ?? shipment.cargoDetails?.weight ?? 0,
+    volume: volume ?? shipment.cargoDetails?.volume ?? 0
+  });
+
+  shipment.consolidation = consolidation._id;
+  shipment.houseBillNumber = consolidation.houseBills[consolidation.houseBills.length - 1].houseBillNumber;
+  if (consolidation.voyage?.vessel) {
+    applyVoyageToShipment(shipment, consolidation.voyage);
+  }
+  shipment.timeline.push({
+    status: shipment.status,
+    description: `Consolidated as house bill ${shipment.houseBillNumber} on ${masterLabel(consolidation)}`,
+    location: consolidation.originPort,
+    updatedBy: userId
+  });
+
+  // Joining a booked master books the house shipment too
+  if (consolidation.status === 'booked' && shipment.status === 'pending') {
+    return transitionShipmentStatus(shipment, {
+      status: 'booked',
+      description: `Booked on ${masterLabel(consolidation)}`,
+      location: consolidation.originPort,
+      userId
+    });
+  }
+
+  await shipment.save();
+  return [];
+};
+
+// @desc    Take a house bill off a consolidation and release its shipment
+export const removeHouseBill = async (consolidation, houseBill, userId) => {
+  if (!OPEN_STATUSES.includes(consolidation.status)) {
+    return [`Consolidation is ${consolidation.status}; house bills can no longer be changed`];
+  }
+
+  const shipment = await Shipment.findById(houseBill.shipment);
+  if (shipment) {
+    shipment.consolidation = undefined;
+    shipment.houseBillNumber = undefined;
+    shipment.timeline.push({
+      status: shipment.status,
+      description: `Removed from ${masterLabel(consolidation)}`,
+      updatedBy: userId
+    });
+    await shipment.save();
+  }
+
+  consolidation.houseBills.pull(houseBill._id);
+  return [];
+};
+
+// @desc    Move a consolidation to a new status and cascade it to the house shipments
+export const updateConsolidationStatus = async (consolidation, { status, description, location, userId, notifyClients = true }) => {
+  const allowed = CONSOLIDATION_TRANSITIONS[consolidation.status] || [];
+
+  if (!allowed.includes(status)) {
+    return {
+      problems: [allowed.length > 0
+        ? `Cannot change consolidation from ${consolidation.status} to ${status} (allowed: ${allowed.join(', ')})`
+        : `Consolidation is ${consolidation.status} and can no longer change status`]
+    };
+  }
+
+  if (status !== 'cancelled' && consolidation.houseBills.length === 0) {
+    return { problems: ['Add at least one house bill first'] };
+  }
+
+  const note = description || `Status of ${masterLabel(consolidation)} updated to ${status}`;
+  consolidation.status = status;
+  consolidation.statusHistory.push({ status, description: note, location, updatedBy: userId });
+  await consolidation.save();
+
+  const shipments = await Shipment.find({
+    _id: { $in: consolidation.houseBills.map(house => house.shipment) }
+  }).populate('client');
+
+  // notMoved: house shipments the state machine would not move, left for ops to review
+  const results = { moved: 0, notMoved: [] };
+
+  for (const shipment of shipments) {
+    if (CASCADING_STATUSES.includes(status) && shipment.status !== status) {
+      if (status === 'arrived') shipment.actualArrival = new Date();
+
+      const problems = await transitionShipmentStatus(shipment, { status, description: note, location, userId });
+
+      if (problems.length > 0) {
+        results.notMoved.push({ trackingNumber: shipment.trackingNumber, status: shipment.status, reasons: problems });
+        continue;
+      }
+
+      results.moved++;
+      if (notifyClients) await notifyClient(shipment, status);
+      continue;
+    }
+
+    // Deconsolidation and cancellation are noted without changing the house shipment's status
+    if (status === 'cancelled') {
+      shipment.consolidation = undefined;
+      shipment.houseBillNumber = undefined;
+    }
+    shipment.timeline.push({
+      status: shipment.status,
+      description: status === 'deconsolidated'
+        ? `Cargo unpacked from ${consolidation.container?.containerNumber || 'the consolidated container'}`
+        : note,
+      location,
+      updatedBy: userId
+    });
+    await shipment.save();
+  }
+
+  return { problems: [], results };
+};
+
+// @desc    Share each master cost across the house bills by weight, volume or revenue ton
+export const apportionCosts = (consolidation) => {
+  const measure = {
+    weight: house => house.weight || 0,
+    volume: house => house.volume || 0,
+    revenue_ton: house => Math.max((house.weight || 0) / 1000, house.volume || 0)
+  };
+
+  const houses = consolidation.houseBills.map(house => ({
+    houseBillNumber: house.houseBillNumber,
+    shipment: house.shipment,
+    weight: house.weight,
+    volume: house.volume,
+    revenueTons: round(measure.revenue_ton(house)),
+    shares: [],
+    total: 0
+  }));
+
+  consolidation.costs.forEach(cost => {
+    const measures = consolidation.houseBills.map(measure[cost.basis]);
+    const totalMeasure = measures.reduce((sum, value) => sum + value, 0);
+    // With nothing measured the cost is split evenly
+    const shares = measures.map(value =>
+      round(totalMeasure > 0 ? cost.amount * value / totalMeasure : cost.amount / measures.length));
+
+    // Put the rounding difference on the largest share so the shares add up to the cost
+    const difference = round(cost.amount - shares.reduce((sum, value) => sum + value, 0));
+    if (difference !== 0 && shares.length > 0) {
+      const largest = shares.indexOf(Math.max(...shares));
+      shares[largest] = round(shares[largest] + difference);
+    }
+
+    shares.forEach((amount, index) => {
+      houses[index].shares.push({ description: cost.description, basis: cost.basis, amount });
+      houses[index].total = round(houses[index].total + amount);
+    });
+  });
+
+  return {
+    houses,
+    totalCost: round(consolidation.costs.reduce((sum, cost) => sum + cost.amount, 0))
+  };
+};
+
+// @desc    Manifest lines for a consolidation (house bills populated with shipment and client)
+export const buildManifest = (consolidation) =>
+  consolidation.houseBills.map(house => ({
+    houseBillNumber: house.houseBillNumber,
+    trackingNumber: house.shipment?.trackingNumber,
+    consignee: house.shipment?.client?.companyName,
+    description: house.shipment?.description,
+    origin: house.shipment?.origin?.country,
+    packages: house.packages,
+    weight: house.weight,
+    volume: house.volume
+  }));
+
+// @desc    Render the consolidated cargo manifest PDF
+export const generateManifestPDF = async (consolidation) => {
+  const rows = buildManifest(consolidation);
+  const filename = `manifest-${consolidation.consolidationNumber}.pdf`;
+
+  const { url } = await createPDF('manifests', filename, (doc) => {
+    drawLetterhead(doc, 'CARGO MANIFEST');
+
+    doc.fontSize(10).fillColor('#666');
+    doc.text(`Consolidation #: ${consolidation.consolidationNumber}`, 300, 72, { width: 250, align: 'right' });
+    doc.text(`Master B/L: ${consolidation.masterBillNumber || 'N/A'}`, 300, 84, { width: 250, align: 'right' });
+    doc.text(`Date: ${new Date().toLocaleDateString()}`, 300, 96, { width: 250, align: 'right' });
+
+    doc.fontSize(10).fillColor('#000');
+    doc.text(`Carrier: ${consolidation.carrier || 'N/A'}`, 50, 130);
+    doc.text(`Vessel/Voyage: ${consolidation.voyage?.vessel ? `${consolidation.voyage.vessel.name} / ${consolidation.voyage.voyageNumber}` : 'N/A'}`, 50, 145);
+    doc.text(`Container: ${consolidation.container?.containerNumber || 'N/A'}${consolidation.container?.containerType ? ` (${consolidation.container.containerType})` : ''}`, 300, 130);
+    doc.text(`Seal: ${consolidation.container?.sealNumber || 'N/A'}`, 300, 145);
+    doc.text(`Port of Loading: ${consolidation.originPort || 'N/A'}`, 50, 160);
+    doc.text(`Port of Discharge: ${consolidation.destinationPort || 'N/A'}`, 300, 160);
+
+    const columns = [
+      { key: 'houseBillNumber', label: 'House B/L', x: 55, width: 85 },
+      { key: 'consignee', label: 'Consignee', x: 145, width: 95 },
+      { key: 'description', label: 'Description', x: 245, width: 140 },
+      { key: 'packages', label: 'Pkgs', x: 390, width: 35 },
+      { key: 'weight', label: 'Weight (kg)', x: 430, width: 60 },
+      { key: 'volume', label: 'CBM', x: 495, width: 50 }
+    ];
+
+    const yPosition = drawTable(doc, 185, columns, rows);
+
+    const totals = rows.reduce((sum, row) => ({
+      packages: sum.packages + (row.packages || 0),
+      weight: sum.weight + (row.weight || 0),
+      volume: sum.volume + (row.volume || 0)
+    }), { packages: 0, weight: 0, volume: 0 });
+
+    doc.fontSize(10).fillColor('#000').text(
+      `Totals: ${rows.length} house bill(s), ${totals.packages} package(s), ${round(totals.weight)} kg, ${round(totals.volume)} m³`,
+      50, yPosition + 15
+    );
+  });
+
+  return url;
+};
@@ -0,0 +1,55 @@
+import Shipment from '../models/Shipment.js';
+import { containerEvents } from '../config/freight.js';
+import { isValidContainerNumber, normalizeContainerNumber } from '../utils/iso6346.js';
+
+const FREEPORT = 'Freeport of Monrovia';
+
+// Shipments a container has finished with
+const CLOSED_STATUSES = ['delivered', 'cancelled'];
+
+// @desc    Find a shipment by LCL tracking number or by the number of one of its containers.
+//          Containers are reused across shipments, so the open one wins, then the most recent.
+export const findShipmentByReference = async (reference, populate = 'client') => {
+  const normalized = normalizeContainerNumber(reference);
+
+  if (isValidContainerNumber(normalized)) {
+    const shipments = await Shipment.find({ 'containers.containerNumber': normalized })
+      .sort({ createdAt: -1 })
+      .populate(populate);
+    const shipment = shipments.find(candidate => !CLOSED_STATUSES.includes(candidate.status)) || shipments[0];
+    if (shipment) {
+      return {
+        shipment,
+        container: shipment.containers.find(container => container.containerNumber === normalized)
+      };
+    }
+  }
+
+  const shipment = await Shipment.findOne({ trackingNumber: String(reference).trim().toUpperCase() }).populate(populate);
+  return { shipment, container: null };
+};
+
+// @desc    Record a movement on a container, updating its status and gate times
+export const recordContainerEvent = (container, { event, description, location, timestamp, userId }) => {
+  const eventLocation = location || FREEPORT;
+  const eventTime = timestamp ? new Date(timestamp) : new Date();
+
+  container.events.push({
+    event,
+    description: description || containerEvents[event].label,
+    location: eventLocation,
+    timestamp: eventTime,
+    updatedBy: userId
+  });
+
+  // Status follows the most recent movement, even if events are entered out of order
+  const latest = [...container.events].sort((a, b) => a.timestamp - b.timestamp).pop();
+  container.status = latest.event;
+
+  if (eventLocation === FREEPORT) {
+    if (event === 'gate_in') container.gateInAt = eventTime;
+    if (event === 'gate_out') container.gateOutAt = eventTime;
+  }
+
+  return container;
+};
@@ -0,0 +1,363 @@
+import CreditNote from '../models/CreditNote.js';
+import Payment from '../models/Payment.js';
+import PaymentTransaction from '../models/PaymentTransaction.js';
+import Invoice from '../models/Invoice.js';
+import User from '../models/User.js';
+import stripe from '../config/stripe.js';
+import { recordTransaction } from './paymentAllocationService.js';
+import { convertAmount } from './currencyService.js';
+import { sendEmail, emailTemplates } from '../utils/emailService.js';
+import { createPDF, resolvePublicPath, drawLetterhead, drawTable } from '../utils/pdfService.js';
+import { formatMoney } from '../utils/currency.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Credit notes that count against their invoice (a failed refund gave nothing back)
+const ACTIVE_STATUSES = ['pending_refund', 'refunded', 'open', 'applied'];
+
+const METHOD_LABELS = {
+  stripe: 'card',
+  paypal: 'PayPal',
+  bank_transfer: 'bank transfer',
+  cash: 'cash',
+  mobile_money: 'mobile money'
+};
+
+// @desc    Amount paid on a payment that has not been credited back yet
+export const creditableAmount = (payment) => round((payment.amountPaid || 0) - (payment.amountRefunded || 0));
+
+// @desc    Amount of a transaction that has not been refunded yet
+export const refundableTransactionAmount = async (transaction) => {
+  const refunds = await CreditNote.find({
+    'refund.transaction': transaction._id,
+    status: { $in: ACTIVE_STATUSES }
+  });
+  return round(transaction.amount - refunds.reduce((sum, creditNote) => sum + creditNote.amount, 0));
+};
+
+// @desc    Transaction to refund when staff do not name one: the latest completed one with enough left on it
+export const defaultRefundTransaction = async (payment, amount) => {
+  const transactions = await PaymentTransaction.find({
+    payment: payment._id,
+    status: 'completed',
+    method: { $ne: 'credit_note' }
+  }).sort({ paidAt: -1 });
+
+  for (const transaction of transactions) {
+    if (await refundableTransactionAmount(transaction) >= round(amount)) return transaction;
+  }
+  return null;
+};
+
+// @desc    Reasons a credit note cannot be issued against a payment (empty when it can)
+export const checkCreditNote = async (payment, { amount, reason, settlement, transaction }) => {
+  const available = creditableAmount(payment);
+  if (available <= 0) {
+    return [`Nothing has been paid on ${payment.invoiceNumber} that has not already been credited`];
+  }
+
+  const problems = [];
+  if (!reason) {
+    problems.push('A reason is required');
+  }
+  if (!['refund', 'credit'].includes(settlement)) {
+    problems.push('Settlement must be refund or credit');
+  }
+  if (!(amount > 0)) {
+    problems.push('Amount must be greater than zero');
+  } else if (round(amount) > available) {
+    problems.push(`Amount exceeds the ${available.toFixed(2)} ${payment.currency} paid and not yet credited`);
+  }
+
+  if (settlement === 'refund') {
+    if (!transaction) {
+      problems.push('No single payment received on this invoice covers the amount; refund it in parts');
+    } else if (transaction.payment.toString() !== payment._id.toString() || transaction.status !== 'completed') {
+      problems.push('Only money received on this invoice can be refunded');
+    } else if (transaction.method === 'credit_note') {
+      problems.push('Credit applied from another credit note cannot be refunded; issue the credit instead');
+    } else if (amount > 0) {
+      const refundable = await refundableTransactionAmount(transaction);
+      if (round(amount) > refundable) {
+        problems.push(`Only ${refundable.toFixed(2)} ${payment.currency} of receipt ${transaction.receiptNumber} is left to refund`);
+      }
+    }
+  }
+
+  return problems;
+};
+
+// Map a Stripe refund status onto the credit note
+const applyStripeRefundStatus = (creditNote, refund) => {
+  if (refund.status === 'succeeded') {
+    creditNote.status = 'refunded';
+    creditNote.refund.refundedAt = new Date();
+  } else if (['failed', 'canceled'].includes(refund.status)) {
+    creditNote.status = 'refund_failed';
+    creditNote.refund.failureReason = refund.failure_reason || `Stripe refund ${refund.status}`;
+  }
+};
+
+// @desc    Re-derive a payment's amount credited (and refunded status) from its credit notes, and mirror it on the invoice.
+//          A payment is refunded once everything paid on a settled invoice has been credited back.
+export const syncPaymentCredits = async (paymentId) => {
+  const payment = await Payment.findById(paymentId);
+  const creditNotes = await CreditNote.find({ payment: paymentId, status: { $in: ACTIVE_STATUSES } });
+
+  payment.amountRefunded = round(creditNotes.reduce((sum, creditNote) => sum + creditNote.amount, 0));
+  const fullyCredited = payment.amountRefunded > 0 && payment.amountRefunded >= payment.amountPaid;
+
+  if (payment.status === 'completed' && fullyCredited) {
+    payment.status = 'refunded';
+  } else if (payment.status === 'refunded' && !fullyCredited) {
+    payment.status = 'completed';
+  }
+  await payment.save();
+
+  const invoiceUpdate = { amountCredited: payment.amountRefunded };
+  if (payment.status === 'refunded') {
+    invoiceUpdate.status = 'refunded';
+  } else if (payment.status === 'completed') {
+    invoiceUpdate.status = 'paid';
+  }
+  await Invoice.findOneAndUpdate({ payment: payment._id }, invoiceUpdate);
+
+  return payment;
+};
+
+// @desc    Render the credit note PDF
+export const generateCreditNotePDF = async (creditNote, client) => {
+  const filename = `credit-note-${creditNote.creditNoteNumber}.pdf`;
+  const money = (value) => formatMoney(value, creditNote.currency);
+
+  const { url } = await createPDF('credit-notes', filename, (doc) => {
+    drawLetterhead(doc, 'CREDIT NOTE');
+
+    doc.fontSize(10).fillColor('#666');
+    doc.text(`Credit Note #: ${creditNote.creditNoteNumber}`, 300, 72, { width: 250, align: 'right' });
+    doc.text(`Issue Date: ${new Date(creditNote.createdAt || Date.now()).toLocaleDateString()}`, 300, 84, { width: 250, align: 'right' });
+    doc.text(`Original Invoice: ${creditNote.invoiceNumber}`, 300, 96, { width: 250, align: 'right' });
+
+    doc.fontSize(12).fillColor('#000').text('Credit To:', 50, 130);
+    doc.fontSize(10).fillColor('#666').text(client?.companyName || 'N/A', 50, 145);
+    doc.text(client?.contactPerson?.name || 'N/A', 50, 157);
+    doc.text(client?.email || '', 50, 169);
+
+    let yPosition = drawTable(doc, 210, [
+      { key: 'description', label: 'Description', x: 60, width: 380 },
+      { key: 'amount', label: 'Amount', x: 460, width: 85 }
+    ], [{
+      description: `Credit against invoice ${creditNote.invoiceNumber}: ${creditNote.reason}`,
+      amount: money(creditNote.amount)
+    }]);
+
+    yPosition += 10;
+    doc.fontSize(12).fillColor('#0056b3').text(`Total Credit: ${money(creditNote.amount)} ${creditNote.currency}`, 350, yPosition);
+    yPosition += 30;
+
+    const method = METHOD_LABELS[creditNote.refund?.method] || creditNote.refund?.method;
+    const settlement = creditNote.settlement === 'refund'
+      ? `Refunded by ${method}${creditNote.refund.gatewayId ? ` (ref ${creditNote.refund.gatewayId})` : ''}.`
+      : 'Held on your account and applied automatically to your next invoices.';
+    doc.fontSize(10).fillColor('#000').text('Settlement:', 50, yPosition);
+    doc.fillColor('#666').text(settlement, 50, yPosition + 15, { width: 500 });
+
+    doc.moveDown(3);
+    doc.fontSize(8).text('LiberiaClearLogistics - Your trusted partner in Liberia', { width: 500 });
+  });
+
+  return url;
+};
+
+// Reasons a credit note just recorded takes more than is left on its invoice or receipt. It already
+// counts against both, so of two issued at once at least one sees the other.
+const checkClaimedCredit = async (creditNote, transaction) => {
+  const payment = await Payment.findById(creditNote.payment);
+  const creditNotes = await CreditNote.find({ payment: creditNote.payment, status: { $in: ACTIVE_STATUSES } });
+  const credited = round(creditNotes.reduce((sum, entry) => sum + entry.amount, 0));
+
+  if (credited > round(payment.amountPaid || 0)) {
+    return [`Another credit note was issued on ${payment.invoiceNumber} at the same time; check what is left and try again`];
+  }
+  if (transaction && await refundableTransactionAmount(transaction) < 0) {
+    return [`Another refund of receipt ${transaction.receiptNumber} was issued at the same time; check what is left and try again`];
+  }
+  return [];
+};
+
+// @desc    Issue a credit note against a paid invoice, refunding it through Stripe or recording a manual
+//          refund, or keeping it as credit on account. Renders the PDF and emails it to the client.
+//          The note is recorded before any money moves, so concurrent refunds cannot both take the same balance.
+export const issueCreditNote = async (payment, { amount, reason, settlement, transaction, reference, issuedBy }) => {
+  const invoice = await Invoice.findOne({ payment: payment._id });
+  const snapshot = payment.toObject();
+
+  const creditNote = new CreditNote({
+    invoice: invoice._id,
+    invoiceNumber: payment.invoiceNumber,
+    payment: payment._id,
+    client: payment.client._id || payment.client,
+    amount: round(amount),
+    currency: payment.currency,
+    baseAmount: payment.baseAmount ? round(amount * payment.baseAmount / payment.amount) : round(amount),
+    exchangeRate: snapshot.exchangeRate,
+    reason,
+    settlement,
+    status: settlement === 'credit' ? 'open' : 'pending_refund',
+    issuedBy
+  });
+  if (settlement === 'refund') {
+    creditNote.refund = { method: transaction.method, transaction: transaction._id };
+  }
+  await creditNote.save();
+
+  const problems = await checkClaimedCredit(creditNote, settlement === 'refund' ? transaction : null);
+  if (problems.length > 0) {
+    creditNote.status = 'cancelled';
+    await creditNote.save();
+    await syncPaymentCredits(payment._id);
+    return { problems };
+  }
+
+  if (settlement === 'refund') {
+    if (transaction.method === 'stripe') {
+      let refund;
+      try {
+        // Keyed on the credit note so a retried request cannot refund twice
+        refund = await stripe.refunds.create({
+          payment_intent: transaction.gatewayId,
+          amount: Math.round(amount * 100),
+          metadata: {
+            creditNoteNumber: creditNote.creditNoteNumber,
+            invoiceNumber: payment.invoiceNumber,
+            receiptNumber: transaction.receiptNumber
+          }
+        }, { idempotencyKey: `credit-note-${creditNote.creditNoteNumber}` });
+      } catch (error) {
+        creditNote.status = 'refund_failed';
+        creditNote.refund.failureReason = error.message;
+        await creditNote.save();
+        await syncPaymentCredits(payment._id);
+        return { problems: [`Stripe did not accept the refund: ${error.message}`] };
+      }
+      creditNote.refund.gatewayId = refund.id;
+      applyStripeRefundStatus(creditNote, refund);
+    } else {
+      // Staff pay manual refunds out before recording them
+      creditNote.refund.gatewayId = reference;
+      creditNote.status = 'refunded';
+      creditNote.refund.refundedAt = new Date();
+    }
+  }
+
+  await creditNote.save();
+  const updated = await syncPaymentCredits(payment._id);
+
+  const client = await User.findById(creditNote.client);
+  creditNote.pdfUrl = await generateCreditNotePDF(creditNote, client);
+  await creditNote.save();
+
+  if (client?.email) {
+    try {
+      await sendEmail({
+        to: client.email,
+        ...emailTemplates.creditNote(creditNote, client),
+        attachments: [{
+          filename: `credit-note-${creditNote.creditNoteNumber}.pdf`,
+          path: resolvePublicPath(creditNote.pdfUrl)
+        }]
+      });
+    } catch (emailError) {
+      console.log('Credit note email failed:', emailError);
+    }
+  }
+
+  console.log(`🧾 ${creditNote.creditNoteNumber}: ${creditNote.amount} ${creditNote.currency} credited on ${payment.invoiceNumber} (${creditNote.status})`);
+  return { problems: [], creditNote, payment: updated };
+};
+
+// @desc    Settle a credit note from a Stripe refund update (refunds can complete or fail after they are created)
+export const settleStripeRefund = async (refund) => {
+  const creditNote = await CreditNote.findOne({ 'refund.gatewayId': refund.id });
+  if (!creditNote || creditNote.status !== 'pending_refund') return null;
+
+  applyStripeRefundStatus(creditNote, refund);
+  await creditNote.save();
+
+  // A failed refund no longer counts against the invoice
+  if (creditNote.status === 'refund_failed') {
+    await syncPaymentCredits(creditNote.payment);
+  }
+  return creditNote;
+};
+
+// @desc    A client's credit held on account, per currency
+export const getClientCreditBalance = async (clientId) => {
+  const creditNotes = await CreditNote.find({ client: clientId, settlement: 'credit', status: 'open' });
+
+  return creditNotes.reduce((balance, creditNote) => {
+    balance[creditNote.currency] = round((balance[creditNote.currency] || 0) + creditNote.creditRemaining);
+    return balance;
+  }, {});
+};
+
+// @desc    Pay a new invoice from the client's credit on account, oldest credit note first.
+//          Credit in another currency is converted at today's rate (and skipped when there is none).
+//          Returns the payment as it now stands and the amount applied.
+export const applyClientCredit = async (payment) => {
+  const creditNotes = await CreditNote.find({
+    client: payment.client._id || payment.client,
+    settlement: 'credit',
+    status: 'open'
+  }).sort({ createdAt: 1 });
+
+  let current = payment;
+  let applied = 0;
+
+  for (const creditNote of creditNotes) {
+    const outstanding = current.amountOutstanding;
+    if (outstanding <= 0) break;
+
+    let rate = 1;
+    if (creditNote.currency !== current.currency) {
+      try {
+        rate = (await convertAmount(1, creditNote.currency, current.currency)).exchangeRate.rate;
+      } catch (error) {
+        console.log(`Credit note ${creditNote.creditNoteNumber} not applied:`, error.message);
+        continue;
+      }
+    }
+
+    const amount = round(Math.min(creditNote.creditRemaining * rate, outstanding));
+    const used = round(Math.min(amount / rate, creditNote.creditRemaining));
+    if (amount <= 0) continue;
+
+    // Claim the credit first so two invoices issued together cannot both spend it
+    const claimed = await CreditNote.findOneAndUpdate(
+      { _id: creditNote._id, status: 'open', amountApplied: creditNote.amountApplied },
+      {
+        $inc: { amountApplied: used },
+        $push: { applications: { payment: current._id, invoiceNumber: current.invoiceNumber, amount: used } }
+      },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    if (claimed.creditRemaining <= 0) {
+      claimed.status = 'applied';
+      await claimed.save();
+    }
+
+    const settled = await recordTransaction(current, {
+      amount,
+      method: 'credit_note',
+      gatewayId: creditNote.creditNoteNumber,
+      notes: `Credit note ${creditNote.creditNoteNumber} against invoice ${creditNote.invoiceNumber}`,
+      notify: false
+    });
+    current = settled.payment;
+    applied = round(applied + amount);
+  }
+
+  return { payment: current, applied };
+};
@@ -0,0 +1,60 @@
+import ExchangeRate from '../models/ExchangeRate.js';
+import { BASE_CURRENCY, RATE_STALE_DAYS } from '../config/currencies.js';
+import { roundMoney } from '../utils/currency.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const latestOnOrBefore = (base, quote, date) =>
+  ExchangeRate.findOne({ base, quote, date: { $lte: date } }).sort({ date: -1 });
+
+// @desc    Rate converting `from` into `to` on a date: the latest published on or before it, stored either way round.
+//          Returns { from, to, rate, date, stale }, or null when no rate has been published.
+export const getExchangeRate = async (from, to, date = new Date()) => {
+  if (from === to) {
+    return { from, to, rate: 1, date: null, stale: false };
+  }
+
+  const [direct, inverse] = await Promise.all([
+    latestOnOrBefore(from, to, date),
+    latestOnOrBefore(to, from, date)
+  ]);
+
+  const entry = direct && (!inverse || direct.date >= inverse.date) ? direct : inverse;
+  if (!entry) return null;
+
+  return {
+    from,
+    to,
+    rate: entry === direct ? entry.rate : 1 / entry.rate,
+    date: entry.date,
+    stale: new Date(date) - entry.date > RATE_STALE_DAYS * DAY_MS
+  };
+};
+
+// @desc    Convert an amount, returning it with a snapshot of the rate used (null when no conversion was needed)
+export const convertAmount = async (amount, from, to, date = new Date()) => {
+  if (from === to) {
+    return { amount: roundMoney(amount, to), exchangeRate: null };
+  }
+
+  const exchangeRate = await getExchangeRate(from, to, date);
+  if (!exchangeRate) {
+    throw new Error(`No ${from}/${to} exchange rate has been published on or before ${new Date(date).toISOString().slice(0, 10)}`);
+  }
+
+  const { rate, date: rateDate } = exchangeRate;
+  return {
+    amount: roundMoney(amount * rate, to),
+    exchangeRate: { from, to, rate, date: rateDate }
+  };
+};
+
+// @desc    Amount in the base currency, using a stored snapshot when there is one
+export const toBaseAmount = async (amount, currency, { exchangeRate, date } = {}) => {
+  if (currency === BASE_CURRENCY) return roundMoney(amount);
+
+  if (exchangeRate?.from === BASE_CURRENCY && exchangeRate.to === currency) {
+    return roundMoney(amount / exchangeRate.rate);
+  }
+  return (await convertAmount(amount, currency, BASE_CURRENCY, date)).amount;
+};
@@ -0,0 +1,145 @@
+import { createPDF, drawLetterhead, drawTable } from '../utils/pdfService.js';
+
+const formatAddress = (address = {}) =>
+  [address.street, address.city, address.country].filter(Boolean).join(', ');
+
+// @desc    Assemble declaration fields from a shipment and its client
+export const buildDeclarationFromShipment = (shipment, client, input = {}) => {
+  const cargo = shipment.cargoDetails || {};
+
+  // Vehicle shipments default to one line per vehicle, linked by VIN for the vehicle duty rules
+  const items = input.items?.length
+    ? input.items
+    : (shipment.vehicles || []).map(vehicle => ({
+      hsCode: vehicle.hsCode,
+      description: [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' '),
+      vin: vehicle.vin,
+      customsValue: vehicle.value
+    }));
+
+  return {
+    shipment: shipment._id,
+    client: client._id,
+    regime: input.regime,
+    exporter: input.exporter,
+    declarant: input.declarant,
+    consignee: {
+      name: client.companyName,
+      taxIdentificationNumber: client.taxIdentificationNumber,
+      address: formatAddress(client.address),
+      country: client.address?.country || shipment.destination?.country,
+      phone: client.phone,
+      email: client.email,
+      contactPerson: client.contactPerson?.name
+    },
+    transport: {
+      mode: input.transportMode,
+      carrierName: shipment.carrier?.name,
+      vessel: shipment.carrier?.vessel,
+      bookingReference: shipment.carrier?.bookingReference
+    },
+    origin: {
+      country: shipment.origin?.country,
+      port: shipment.origin?.port
+    },
+    destination: {
+      country: shipment.destination?.country,
+      port: shipment.destination?.port
+    },
+    officeOfEntry: input.officeOfEntry || shipment.destination?.port,
+    // A single line covering the whole consignment inherits the shipment's weight and value
+    items: items.map(item => ({
+      ...item,
+      countryOfOrigin: item.countryOfOrigin || shipment.origin?.country,
+      grossWeight: item.grossWeight ?? (items.length === 1 ? cargo.weight : undefined),
+      customsValue: item.customsValue ?? (items.length === 1 ? cargo.value : undefined)
+    })),
+    currency: input.currency,
+    notes: input.notes
+  };
+};
+
+// @desc    Render a customs declaration as a printable PDF
+export const generateDeclarationPDF = async (declaration, shipment) => {
+  const filename = `declaration-${declaration.declarationNumber}.pdf`;
+
+  const { url } = await createPDF('declarations', filename, (doc) => {
+    drawLetterhead(doc, 'CUSTOMS DECLARATION');
+
+    doc.fontSize(10).fillColor('#666');
+    doc.text(`Declaration #: ${declaration.declarationNumber}`, 350, 72, { width: 200, align: 'right' });
+    doc.text(`Regime: ${declaration.regime}`, 350, 84, { width: 200, align: 'right' });
+    doc.text(`Tracking #: ${shipment.trackingNumber}`, 350, 96, { width: 200, align: 'right' });
+
+    // Parties
+    const parties = [
+      ['Exporter', declaration.exporter],
+      ['Consignee / Importer', declaration.consignee],
+      ['Declarant', declaration.declarant]
+    ];
+
+    parties.forEach(([label, party], index) => {
+      const x = 50 + index * 170;
+      doc.fontSize(11).fillColor('#000').text(label, x, 130);
+      doc.fontSize(9).fillColor('#666');
+      doc.text(party?.name || 'N/A', x, 145, { width: 160 });
+      if (party?.taxIdentificationNumber) doc.text(`TIN: ${party.taxIdentificationNumber}`, { width: 160 });
+      if (party?.address) doc.text(party.address, { width: 160 });
+      if (party?.phone) doc.text(party.phone, { width: 160 });
+    });
+
+    // Transport
+    doc.fontSize(11).fillColor('#000').text('Transport', 50, 215);
+    doc.fontSize(9).fillColor('#666');
+    doc.text(`Mode: ${declaration.transport?.mode || 'N/A'}`, 50, 230);
+    doc.text(`Carrier: ${declaration.transport?.carrierName || 'N/A'}`, 50, 242);
+    doc.text(`Vessel: ${declaration.transport?.vessel || 'N/A'}`, 50, 254);
+    doc.text(`Booking Ref: ${declaration.transport?.bookingReference || 'N/A'}`, 50, 266);
+    doc.text(`From: ${[declaration.origin?.port, declaration.origin?.country].filter(Boolean).join(', ') || 'N/A'}`, 300, 230);
+    doc.text(`To: ${[declaration.destination?.port, declaration.destination?.country].filter(Boolean).join(', ') || 'N/A'}`, 300, 242);
+    doc.text(`Office of Entry: ${declaration.officeOfEntry || 'N/A'}`, 300, 254);
+
+    // Goods
+    const columns = [
+      { key: 'lineNumber', label: '#', x: 55, width: 20 },
+      { key: 'hsCode', label: 'HS Code', x: 80, width: 70 },
+      { key: 'description', label: 'Description', x: 155, width: 150 },
+      { key: 'countryOfOrigin', label: 'Origin', x: 310, width: 60 },
+      { key: 'packages', label: 'Pkgs', x: 375, width: 40 },
+      { key: 'grossWeight', label: 'Gross kg', x: 420, width: 50 },
+      { key: 'customsValue', label: 'Value', x: 475, width: 70 }
+    ];
+
+    const rows = declaration.items.map(item => ({
+      lineNumber: item.lineNumber,
+      hsCode: item.hsCode,
+      description: item.description,
+      countryOfOrigin: item.countryOfOrigin,
+      packages: `${item.packages?.count ?? ''} ${item.packages?.kind ?? ''}`.trim(),
+      grossWeight: item.grossWeight,
+      customsValue: item.customsValue.toFixed(2)
+    }));
+
+    let yPosition = drawTable(doc, 295, columns, rows);
+
+    // Totals
+    yPosition += 10;
+    doc.fontSize(10).fillColor('#000');
+    doc.text(`Total Packages: ${declaration.totals.packages}`, 350, yPosition);
+    yPosition += 15;
+    doc.text(`Total Gross Weight: ${declaration.totals.grossWeight} kg`, 350, yPosition);
+    yPosition += 15;
+    doc.fontSize(12).fillColor('#0056b3')
+      .text(`Customs Value: ${declaration.totals.customsValue.toFixed(2)} ${declaration.currency}`, 350, yPosition);
+
+    // Declaration statement
+    yPosition += 40;
+    doc.fontSize(8).fillColor('#666').text(
+      'I, the undersigned, declare that the particulars given in this declaration are true and complete.',
+      50, yPosition, { width: 500 }
+    );
+    doc.text('Signature: ______________________    Date: ______________', 50, yPosition + 30);
+  });
+
+  return url;
+};
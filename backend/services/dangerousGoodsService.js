@@ -0,0 +1,197 @@
+import DangerousGood from '../models/DangerousGood.js';
+import {
+  hazardClasses,
+  forbiddenClassesByMode,
+  segregationCode,
+  segregationLabels,
+  containerSegregationLimit
+} from '../config/dangerousGoods.js';
+import { getCurrentDocuments } from './documentService.js';
+import { createPDF, drawLetterhead, drawTable } from '../utils/pdfService.js';
+
+const classesOf = (line) => [line.hazardClass, ...(line.subsidiaryRisks || [])].filter(Boolean);
+
+const lineLabel = (line) => `${line.unNumber} (class ${line.hazardClass || '?'})`;
+
+// Reference entries for the UN numbers on a set of lines, keyed by UN number
+const loadReferences = async (lines) => {
+  const unNumbers = [...new Set(lines.map(line => (line.unNumber || '').toUpperCase().trim()))];
+  const entries = await DangerousGood.find({ unNumber: { $in: unNumbers } });
+  return new Map(entries.map(entry => [entry.unNumber, entry]));
+};
+
+// @desc    Fill shipping name, class and other reference details the shipper left blank
+export const completeDangerousGoodsLines = async (lines) => {
+  const references = await loadReferences(lines);
+
+  return lines.map(line => {
+    const reference = references.get((line.unNumber || '').toUpperCase().trim());
+    if (!reference) return line;
+
+    return {
+      ...line,
+      properShippingName: line.properShippingName || reference.properShippingName,
+      hazardClass: line.hazardClass || reference.hazardClass,
+      subsidiaryRisks: line.subsidiaryRisks?.length ? line.subsidiaryRisks : reference.subsidiaryRisks,
+      // A single permitted packing group needs no choice from the shipper
+      packingGroup: line.packingGroup || (reference.packingGroups.length === 1 ? reference.packingGroups[0] : undefined),
+      marinePollutant: line.marinePollutant ?? reference.marinePollutant,
+      emsCode: line.emsCode || reference.emsCode
+    };
+  });
+};
+
+// @desc    Pairs of lines that may not share a container under the IMDG segregation table.
+//          With `otherLines`, only pairs across the two sets are checked.
+//          Explosives against explosives depend on compatibility groups and are left to the DG desk.
+export const checkSegregation = (lines, otherLines) => {
+  const pairs = otherLines
+    ? lines.flatMap(line => otherLines.map(other => [line, other]))
+    : lines.flatMap((line, index) => lines.slice(index + 1).map(other => [line, other]));
+
+  return pairs
+    .map(([line, other]) => {
+      const code = Math.max(0, ...classesOf(line).flatMap(classA =>
+        classesOf(other).map(classB => segregationCode(classA, classB) || 0)));
+
+      return code >= containerSegregationLimit
+        ? `${lineLabel(line)} must be ${segregationLabels[code]} ${lineLabel(other)} and cannot share a container`
+        : null;
+    })
+    .filter(Boolean);
+};
+
+// @desc    Reasons a shipment's dangerous goods lines are not acceptable (empty when they are)
+export const checkDangerousGoods = async (shipment) => {
+  const lines = shipment.dangerousGoods || [];
+  const mode = shipment.transportMode || 'sea';
+  const references = await loadReferences(lines);
+  const problems = [];
+
+  lines.forEach(line => {
+    const reference = references.get(line.unNumber);
+
+    if (!reference || !reference.isActive) {
+      problems.push(`${line.unNumber} is not on the dangerous goods list; contact us before shipping it`);
+      return;
+    }
+
+    if (line.hazardClass && line.hazardClass !== reference.hazardClass) {
+      problems.push(`${line.unNumber} is class ${reference.hazardClass}, not class ${line.hazardClass}`);
+    }
+
+    if (reference.packingGroups.length > 0) {
+      if (!line.packingGroup) {
+        problems.push(`${line.unNumber} needs a packing group (${reference.packingGroups.join(', ')})`);
+      } else if (!reference.packingGroups.includes(line.packingGroup)) {
+        problems.push(`${line.unNumber} cannot be shipped in packing group ${line.packingGroup} (allowed: ${reference.packingGroups.join(', ')})`);
+      }
+    }
+
+    const forbiddenClass = classesOf(reference).find(hazardClass => forbiddenClassesByMode[mode]?.includes(hazardClass));
+    if (forbiddenClass || reference.forbiddenModes.includes(mode)) {
+      problems.push(`${line.unNumber} ${reference.properShippingName}${forbiddenClass ? ` (class ${forbiddenClass})` : ''} is forbidden for ${mode} transport`);
+    }
+  });
+
+  return [...problems, ...checkSegregation(lines)];
+};
+
+// @desc    Reasons a shipment cannot be booked for its dangerous goods (empty when it can)
+export const checkDangerousGoodsForBooking = async (shipment) => {
+  const lines = shipment.dangerousGoods || [];
+
+  if (lines.length === 0) {
+    return shipment.cargoDetails?.type === 'hazardous'
+      ? ['Declare the dangerous goods (UN number, class and packing group) before booking hazardous cargo']
+      : [];
+  }
+
+  const problems = await checkDangerousGoods(shipment);
+
+  const msds = getCurrentDocuments(shipment).find(document => document.type === 'msds');
+  if (!msds || msds.reviewStatus === 'rejected') {
+    problems.push('Upload the Material Safety Data Sheet (MSDS/SDS) before booking dangerous goods');
+  }
+
+  return problems;
+};
+
+// @desc    Render the dangerous goods declaration PDF (shipment client populated)
+export const generateDangerousGoodsDeclarationPDF = async (shipment) => {
+  const filename = `dgd-${shipment.trackingNumber}.pdf`;
+
+  const { url } = await createPDF('dangerous-goods', filename, (doc) => {
+    drawLetterhead(doc, 'DANGEROUS GOODS DECLARATION');
+
+    doc.fontSize(10).fillColor('#666');
+    doc.text(`Tracking #: ${shipment.trackingNumber}`, 300, 72, { width: 250, align: 'right' });
+    doc.text(`Mode: ${(shipment.transportMode || 'sea').toUpperCase()} (${shipment.transportMode === 'air' ? 'IATA DGR' : 'IMDG Code'})`, 300, 84, { width: 250, align: 'right' });
+    doc.text(`Date: ${new Date().toLocaleDateString()}`, 300, 96, { width: 250, align: 'right' });
+
+    doc.fontSize(12).fillColor('#000').text('Shipper / Consignee:', 50, 130);
+    doc.fontSize(10).fillColor('#666');
+    doc.text(shipment.client?.companyName || 'N/A', 50, 145);
+    doc.text([shipment.client?.address?.street, shipment.client?.address?.city, shipment.client?.address?.country]
+      .filter(Boolean).join(', '), 50, 157, { width: 230 });
+
+    doc.fontSize(12).fillColor('#000').text('Transport:', 300, 130);
+    doc.fontSize(10).fillColor('#666');
+    doc.text(`From: ${shipment.origin?.country || 'N/A'}${shipment.origin?.port ? ` (${shipment.origin.port})` : ''}`, 300, 145);
+    doc.text(`To: ${shipment.destination?.port || shipment.destination?.country || 'Liberia'}`, 300, 157);
+    doc.text(`Vessel/Flight: ${shipment.carrier?.vessel || 'To be advised'}`, 300, 169);
+    doc.text(`Booking Ref: ${shipment.carrier?.bookingReference || 'N/A'}`, 300, 181);
+
+    const columns = [
+      { key: 'unNumber', label: 'UN No.', x: 55, width: 45 },
+      { key: 'name', label: 'Proper Shipping Name', x: 105, width: 150 },
+      { key: 'hazardClass', label: 'Class', x: 260, width: 45 },
+      { key: 'packingGroup', label: 'PG', x: 310, width: 25 },
+      { key: 'packages', label: 'Packages', x: 340, width: 80 },
+      { key: 'quantity', label: 'Net / Gross', x: 425, width: 70 },
+      { key: 'emsCode', label: 'EmS', x: 500, width: 45 }
+    ];
+
+    const rows = shipment.dangerousGoods.map(line => ({
+      unNumber: line.unNumber,
+      name: [
+        line.properShippingName,
+        line.technicalName ? `(${line.technicalName})` : '',
+        line.marinePollutant ? 'MARINE POLLUTANT' : '',
+        line.limitedQuantity ? 'LTD QTY' : '',
+        line.flashPoint != null ? `FP ${line.flashPoint}°C` : ''
+      ].filter(Boolean).join(' '),
+      hazardClass: [line.hazardClass, ...(line.subsidiaryRisks || []).map(risk => `(${risk})`)].join(' '),
+      packingGroup: line.packingGroup || '-',
+      packages: `${line.packages || ''} ${line.packageType || ''}`.trim() || '-',
+      quantity: `${line.netQuantity ?? '-'} ${line.quantityUnit} / ${line.grossWeight ?? '-'} kg`,
+      emsCode: line.emsCode || '-'
+    }));
+
+    let yPosition = drawTable(doc, 210, columns, rows);
+
+    yPosition += 15;
+    doc.fontSize(8).fillColor('#666');
+    [...new Set(shipment.dangerousGoods.map(line => line.hazardClass))].forEach(hazardClass => {
+      doc.text(`Class ${hazardClass}: ${hazardClasses[hazardClass]?.label || ''}`, 50, yPosition);
+      yPosition += 11;
+    });
+
+    yPosition += 20;
+    doc.fontSize(10).fillColor('#000').text('Shipper\'s Declaration', 50, yPosition);
+    doc.fontSize(9).fillColor('#666').text(
+      'I hereby declare that the contents of this consignment are fully and accurately described above by the proper ' +
+      'shipping name, and are classified, packaged, marked and labelled/placarded, and are in all respects in proper ' +
+      'condition for transport according to the applicable international and national governmental regulations.',
+      50, yPosition + 15, { width: 500 }
+    );
+
+    yPosition = doc.y + 30;
+    doc.text('Name of signatory: ______________________________', 50, yPosition);
+    doc.text('Place and date: ______________________________', 300, yPosition);
+    doc.text('Signature: ______________________________', 50, yPosition + 25);
+    doc.text('24-hour emergency contact: ______________________________', 300, yPosition + 25, { width: 250 });
+  });
+
+  return url;
+};
@@ -0,0 +1,187 @@
+import fs from 'fs';
+import path from 'path';
+import { deliveryExceptions } from '../config/documents.js';
+import { DOCUMENT_ROOT } from '../middleware/upload.js';
+import { addDocumentVersion } from './documentService.js';
+import { checkStatusTransition, transitionShipmentStatus } from './shipmentStatusService.js';
+import { sendShipmentUpdateSMS } from './smsNotificationService.js';
+import { sendEmail, emailTemplates } from '../utils/emailService.js';
+import { writePDF, drawLetterhead } from '../utils/pdfService.js';
+
+// Keep the parts of a multer file worth storing
+const toDeliveryFile = (file) => ({
+  filePath: file.path,
+  originalName: file.originalname,
+  mimeType: file.mimetype,
+  size: file.size
+});
+
+// @desc    Render the proof of delivery PDF into the shipment's document folder
+export const generateProofOfDeliveryPDF = async (shipment) => {
+  const proof = shipment.delivery.proof;
+  const filepath = path.join(DOCUMENT_ROOT, shipment._id.toString(), `pod-${shipment.trackingNumber}-${Date.now()}.pdf`);
+
+  await writePDF(filepath, (doc) => {
+    drawLetterhead(doc, 'PROOF OF DELIVERY');
+
+    doc.fontSize(10).fillColor('#666');
+    doc.text(`Tracking #: ${shipment.trackingNumber}`, 300, 72, { width: 250, align: 'right' });
+    doc.text(`Delivered: ${new Date(proof.deliveredAt).toLocaleString()}`, 300, 84, { width: 250, align: 'right' });
+
+    // Consignee and cargo
+    doc.fontSize(12).fillColor('#000').text('Consignee:', 50, 130);
+    doc.fontSize(10).fillColor('#666').text(shipment.client?.companyName || 'N/A', 50, 145);
+    doc.text(shipment.delivery.address || shipment.destination?.address || '', 50, 157, { width: 230 });
+
+    doc.fontSize(12).fillColor('#000').text('Cargo:', 300, 130);
+    doc.fontSize(10).fillColor('#666').text(shipment.description || 'N/A', 300, 145, { width: 250 });
+    if (shipment.containers.length > 0) {
+      doc.text(`Containers: ${shipment.containers.map(container => container.containerNumber).join(', ')}`, { width: 250 });
+    }
+
+    // Receipt
+    let yPosition = Math.max(doc.y, 185) + 15;
+    doc.fontSize(12).fillColor('#000').text('Received By:', 50, yPosition);
+    doc.fontSize(10).fillColor('#666').text(proof.recipientName, 150, yPosition + 2);
+    yPosition += 20;
+
+    if (proof.location?.latitude !== undefined && proof.location?.longitude !== undefined) {
+      doc.text(`GPS: ${proof.location.latitude.toFixed(6)}, ${proof.location.longitude.toFixed(6)}` +
+        (proof.location.accuracy ? ` (within ${Math.round(proof.location.accuracy)} m)` : ''), 50, yPosition);
+      yPosition += 15;
+    }
+
+    doc.fillColor('#000').text(proof.exceptions.length > 0 ? 'Exceptions:' : 'Delivered in good order, no exceptions noted.', 50, yPosition);
+    yPosition += 15;
+    proof.exceptions.forEach(exception => {
+      doc.fillColor('#c00').text(`- ${deliveryExceptions[exception.type].label}${exception.description ? `: ${exception.description}` : ''}`, 60, yPosition, { width: 490 });
+      yPosition = doc.y + 3;
+    });
+
+    if (proof.notes) {
+      doc.fillColor('#666').text(`Notes: ${proof.notes}`, 50, yPosition + 5, { width: 500 });
+      yPosition = doc.y;
+    }
+
+    // Signature
+    yPosition += 20;
+    doc.fontSize(12).fillColor('#000').text('Signature:', 50, yPosition);
+    doc.image(proof.signature.filePath, 50, yPosition + 18, { fit: [220, 90] });
+    doc.moveTo(50, yPosition + 112).lineTo(270, yPosition + 112).stroke('#999');
+    doc.fontSize(8).fillColor('#666').text(proof.recipientName, 50, yPosition + 116);
+
+    // Cargo photos, two per row
+    if (proof.photos.length > 0) {
+      doc.addPage();
+      doc.fontSize(12).fillColor('#000').text('Cargo Photos', 50, 50);
+
+      let photoY = 75;
+      proof.photos.forEach((photo, index) => {
+        if (index > 0 && index % 2 === 0) {
+          photoY += 250;
+          if (photoY > 500) {
+            doc.addPage();
+            photoY = 50;
+          }
+        }
+        doc.image(photo.filePath, index % 2 === 0 ? 50 : 305, photoY, { fit: [245, 240] });
+      });
+    }
+  });
+
+  return filepath;
+};
+
+// @desc    Record proof of delivery and mark the shipment delivered; returns the reasons if not allowed
+export const recordProofOfDelivery = async (shipment, {
+  recipientName,
+  signature,
+  photos = [],
+  location,
+  exceptions = [],
+  notes,
+  userId
+}) => {
+  if (shipment.delivery?.proof?.deliveredAt) {
+    return ['Proof of delivery has already been recorded for this shipment'];
+  }
+
+  const problems = await checkStatusTransition(shipment, 'delivered');
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  if (!shipment.delivery) {
+    shipment.delivery = {};
+  }
+
+  shipment.delivery.status = 'delivered';
+  shipment.delivery.proof = {
+    recipientName,
+    signature: toDeliveryFile(signature),
+    photos: photos.map(toDeliveryFile),
+    location,
+    exceptions,
+    notes,
+    deliveredAt: new Date(),
+    submittedBy: userId
+  };
+
+  const filepath = await generateProofOfDeliveryPDF(shipment);
+  const document = addDocumentVersion(shipment, {
+    type: 'proof_of_delivery',
+    file: {
+      path: filepath,
+      originalname: `POD-${shipment.trackingNumber}.pdf`,
+      mimetype: 'application/pdf',
+      size: fs.statSync(filepath).size
+    },
+    userId
+  });
+  // Generated by us from the driver's submission, so there is nothing to review
+  document.reviewStatus = 'approved';
+  document.reviewedBy = userId;
+  document.reviewedAt = new Date();
+  shipment.delivery.proof.document = document._id;
+
+  const exceptionNote = exceptions.length > 0
+    ? ` with exceptions: ${exceptions.map(exception => deliveryExceptions[exception.type].label.toLowerCase()).join(', ')}`
+    : '';
+
+  return transitionShipmentStatus(shipment, {
+    status: 'delivered',
+    description: `Delivered to ${recipientName}${exceptionNote}`,
+    location: shipment.delivery.address || shipment.destination?.address || 'Consignee premises',
+    userId
+  });
+};
+
+// @desc    Send the delivery email (with the POD attached) and SMS to the client
+export const sendDeliveryNotifications = async (shipment) => {
+  if (!shipment.client) return;
+
+  const document = shipment.documents.id(shipment.delivery.proof.document);
+
+  if (shipment.client.email) {
+    try {
+      await sendEmail({
+        to: shipment.client.email,
+        ...emailTemplates.shipmentDelivered(shipment, shipment.client),
+        attachments: document ? [{
+          filename: document.originalName,
+          path: document.filePath
+        }] : []
+      });
+    } catch (emailError) {
+      console.log('Delivery email failed:', emailError);
+    }
+  }
+
+  if (process.env.SMS_ENABLED === 'true') {
+    try {
+      await sendShipmentUpdateSMS(shipment._id, 'delivered');
+    } catch (smsError) {
+      console.log('Delivery SMS failed:', smsError);
+    }
+  }
+};
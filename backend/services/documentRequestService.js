@@ -0,0 +1,92 @@
+import Shipment from '../models/Shipment.js';
+import { documentRequestFollowUp } from '../config/documents.js';
+import { getDocumentsToRequest } from './documentService.js';
+import { sendDocumentRequestSMS } from './smsNotificationService.js';
+import { sendEmail, emailTemplates } from '../utils/emailService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// @desc    Whether the follow-up cadence says another request is due. Counted in calendar days, so the
+//          daily run sends a 1-day follow-up the day after the last request whatever time it went out.
+export const isDocumentRequestDue = (shipment, now = new Date()) => {
+  const { count = 0, lastSentAt } = shipment.documentRequests || {};
+  const { intervalDays, maxRequests } = documentRequestFollowUp;
+
+  if (count >= maxRequests) return false;
+  if (!lastSentAt) return true;
+
+  const waitDays = intervalDays[Math.min(count - 1, intervalDays.length - 1)] || 1;
+  return Math.round((startOfDay(now) - startOfDay(lastSentAt)) / DAY) >= waitDays;
+};
+
+// @desc    Email (and SMS, when enabled) the client the documents a shipment still needs
+export const requestMissingDocuments = async (shipment) => {
+  if (!shipment.client?.email) {
+    await shipment.populate('client');
+  }
+
+  const outstanding = getDocumentsToRequest(shipment);
+
+  if (outstanding.length === 0) {
+    return { sent: false, documents: [] };
+  }
+
+  const labels = outstanding.map(entry => entry.label);
+
+  try {
+    await sendEmail({
+      to: shipment.client.email,
+      ...emailTemplates.documentRequest(shipment, shipment.client, outstanding)
+    });
+  } catch (emailError) {
+    console.log('Document request email failed:', emailError);
+  }
+
+  if (process.env.SMS_ENABLED === 'true') {
+    try {
+      await sendDocumentRequestSMS(shipment._id, labels);
+    } catch (smsError) {
+      console.log('Document request SMS failed:', smsError);
+    }
+  }
+
+  shipment.documentRequests = {
+    count: (shipment.documentRequests?.count || 0) + 1,
+    lastSentAt: new Date(),
+    documents: labels
+  };
+  await shipment.save();
+
+  return { sent: true, documents: labels };
+};
+
+// @desc    Send due follow-ups for every open shipment with outstanding documents
+export const sendDocumentRequestFollowUps = async () => {
+  const shipments = await Shipment.find({
+    status: { $in: documentRequestFollowUp.statuses },
+    'documentRequests.count': { $not: { $gte: documentRequestFollowUp.maxRequests } }
+  }).populate('client');
+
+  let sentCount = 0;
+  let errorCount = 0;
+
+  for (const shipment of shipments) {
+    if (!shipment.client || !isDocumentRequestDue(shipment)) continue;
+
+    try {
+      const result = await requestMissingDocuments(shipment);
+      if (result.sent) sentCount++;
+    } catch (error) {
+      console.error(`Failed to request documents for shipment ${shipment.trackingNumber}:`, error);
+      errorCount++;
+    }
+  }
+
+  return { sentCount, errorCount };
+};
@@ -0,0 +1,75 @@
+import { documentTypes, documentChecklists } from '../config/documents.js';
+
+// Shipments leaving Liberia follow the exporter checklist; everything else is an import
+export const getShipmentDirection = (shipment) =>
+  shipment.origin?.country?.toLowerCase() === 'liberia' ? 'export' : 'import';
+
+// Versions of the same document share a type ("other" documents are told apart by name,
+// per-vehicle documents by VIN)
+const isSameDocument = (document, type, name, vin) =>
+  document.type === type &&
+  (type !== 'other' || document.name === name) &&
+  (!documentTypes[type].perVehicle || document.vin === vin);
+
+// @desc    Latest version of each document on a shipment
+export const getCurrentDocuments = (shipment) =>
+  shipment.documents.filter(document => document.isCurrent !== false);
+
+// @desc    Required documents for a shipment with the review status of their latest upload
+export const buildDocumentChecklist = (shipment) => {
+  const direction = getShipmentDirection(shipment);
+  const currentDocuments = getCurrentDocuments(shipment);
+
+  return documentChecklists[direction]
+    .filter(entry => !entry.when?.cargoTypes || entry.when.cargoTypes.includes(shipment.cargoDetails?.type))
+    .filter(entry => !entry.when?.dangerousGoods || shipment.dangerousGoods?.length > 0)
+    .flatMap(entry => (documentTypes[entry.type].perVehicle
+      ? (shipment.vehicles || []).map(vehicle => ({ ...entry, vin: vehicle.vin }))
+      : [entry]))
+    .map(entry => {
+      const document = currentDocuments.find(doc => doc.type === entry.type && (!entry.vin || doc.vin === entry.vin));
+
+      return {
+        type: entry.type,
+        vin: entry.vin,
+        label: entry.vin ? `${documentTypes[entry.type].label} (${entry.vin})` : documentTypes[entry.type].label,
+        status: document ? document.reviewStatus : 'missing',
+        rejectionReason: document?.reviewStatus === 'rejected' ? document.rejectionReason : undefined,
+        document: document?._id
+      };
+    });
+};
+
+// @desc    Checklist entries that are not yet approved
+export const getOutstandingDocuments = (shipment) =>
+  buildDocumentChecklist(shipment).filter(entry => entry.status !== 'approved');
+
+// @desc    Checklist entries the client still has to provide (missing or rejected; pending ones await review)
+export const getDocumentsToRequest = (shipment) =>
+  buildDocumentChecklist(shipment).filter(entry => ['missing', 'rejected'].includes(entry.status));
+
+// @desc    Add an uploaded file as the next version of its document
+export const addDocumentVersion = (shipment, { type, name, vin, file, userId }) => {
+  const documentName = name || (vin ? `${documentTypes[type].label} (${vin})` : documentTypes[type].label);
+  const previous = shipment.documents.filter(document => isSameDocument(document, type, documentName, vin));
+
+  previous.forEach(document => {
+    document.isCurrent = false;
+  });
+
+  shipment.documents.push({
+    type,
+    name: documentName,
+    vin,
+    filePath: file.path,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    version: previous.reduce((latest, document) => Math.max(latest, document.version || 1), 0) + 1,
+    isCurrent: true,
+    reviewStatus: 'pending',
+    uploadedBy: userId
+  });
+
+  return shipment.documents[shipment.documents.length - 1];
+};
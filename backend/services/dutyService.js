@@ -0,0 +1,192 @@
+import Tariff from '../models/Tariff.js';
+import CustomsDeclaration from '../models/CustomsDeclaration.js';
+import Shipment from '../models/Shipment.js';
+import { customsConfig } from '../config/customs.js';
+import { vehicleDutyRules } from '../config/vehicles.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Candidate headings for an HS code, most specific first (e.g. 8703231900 -> 87032319, 870323, 8703)
+const hsCodeCandidates = (hsCode) => {
+  const code = String(hsCode).replace(/\D/g, '');
+  return [10, 8, 6, 4]
+    .filter(length => code.length >= length)
+    .map(length => code.slice(0, length));
+};
+
+// @desc    Find the most specific active tariff entry for an HS code
+export const findTariff = async (hsCode) => {
+  if (!hsCode) return null;
+
+  const candidates = hsCodeCandidates(hsCode);
+  const tariffs = await Tariff.find({ hsCode: { $in: candidates }, isActive: true });
+
+  return tariffs.sort((a, b) => b.hsCode.length - a.hsCode.length)[0] || null;
+};
+
+// @desc    Resolve the effective rates for a tariff entry (or the defaults when none is known)
+export const resolveRates = (tariff) => {
+  const cetBand = tariff ? tariff.cetBand : customsConfig.defaultCetBand;
+
+  return {
+    cetBand,
+    duty: tariff?.dutyRate ?? customsConfig.cetBands[cetBand],
+    excise: tariff?.exciseRate ?? 0,
+    gst: tariff?.gstRate ?? customsConfig.gstRate,
+    ecowasLevy: tariff?.ecowasLevyRate ?? customsConfig.ecowasLevyRate,
+    inspection: tariff?.inspectionFeeRate ?? customsConfig.inspectionFeeRate
+  };
+};
+
+// @desc    Age surcharge and engine excise for a vehicle line ({ year, engineCapacity, fuelType }).
+//          A vehicle of unknown age pays the oldest band's surcharge.
+export const resolveVehicleRates = (vehicle, now = new Date()) => {
+  const age = vehicle.year ? Math.max(0, now.getFullYear() - vehicle.year) : null;
+  const ageBand = age === null
+    ? [...vehicleDutyRules.ageSurcharges].sort((a, b) => b.minAge - a.minAge)[0]
+    : vehicleDutyRules.ageSurcharges.find(band => age >= band.minAge);
+  const engineBand = vehicle.fuelType === 'electric' || !vehicle.engineCapacity
+    ? null
+    : vehicleDutyRules.engineExcise.find(band => band.maxCc === null || vehicle.engineCapacity <= band.maxCc);
+
+  return {
+    age,
+    ageSurcharge: ageBand?.rate || 0,
+    engineExcise: engineBand?.rate || 0
+  };
+};
+
+// @desc    Compute landed duties for one cargo line from its CIF value.
+//          Vehicle lines (line.vehicle) add the age surcharge and engine-size excise.
+export const calculateLineDuties = (line, tariff = null) => {
+  const customsValue = Number(line.customsValue) || 0;
+  const rates = resolveRates(tariff);
+
+  if (line.vehicle) {
+    const vehicleRates = resolveVehicleRates(line.vehicle);
+    rates.vehicleAge = vehicleRates.age;
+    rates.vehicleSurcharge = vehicleRates.ageSurcharge;
+    rates.excise += vehicleRates.engineExcise;
+  }
+
+  const importDuty = round(customsValue * rates.duty / 100);
+  const exciseDuty = round(customsValue * rates.excise / 100);
+  const vehicleSurcharge = round(customsValue * (rates.vehicleSurcharge || 0) / 100);
+  const ecowasLevy = round(customsValue * rates.ecowasLevy / 100);
+  // GST is levied on the duty-inclusive value
+  const gst = round((customsValue + importDuty + exciseDuty + vehicleSurcharge) * rates.gst / 100);
+  const inspectionFee = customsValue > 0
+    ? round(Math.max(customsValue * rates.inspection / 100, customsConfig.minimumInspectionFee))
+    : 0;
+
+  return {
+    hsCode: line.hsCode || null,
+    description: line.description || tariff?.description || 'General cargo',
+    customsValue,
+    tariffFound: !!tariff,
+    rates,
+    importDuty,
+    exciseDuty,
+    vehicleSurcharge,
+    ecowasLevy,
+    gst,
+    inspectionFee,
+    total: round(importDuty + exciseDuty + vehicleSurcharge + ecowasLevy + gst + inspectionFee)
+  };
+};
+
+// @desc    Compute landed duties for a set of cargo lines, looking up each HS code
+export const calculateDuties = async (lines) => {
+  const results = [];
+
+  for (const line of lines) {
+    const tariff = await findTariff(line.hsCode);
+    results.push(calculateLineDuties(line, tariff));
+  }
+
+  const sum = (key) => round(results.reduce((total, line) => total + line[key], 0));
+
+  return {
+    lines: results,
+    totals: {
+      customsValue: sum('customsValue'),
+      importDuty: sum('importDuty'),
+      exciseDuty: sum('exciseDuty'),
+      vehicleSurcharge: sum('vehicleSurcharge'),
+      ecowasLevy: sum('ecowasLevy'),
+      gst: sum('gst'),
+      inspectionFee: sum('inspectionFee'),
+      total: sum('total')
+    }
+  };
+};
+
+// @desc    Customs line for a vehicle record on a shipment
+export const vehicleToCustomsLine = (vehicle) => ({
+  hsCode: vehicle.hsCode,
+  description: [vehicle.year, vehicle.make, vehicle.model, `VIN ${vehicle.vin}`].filter(Boolean).join(' '),
+  customsValue: vehicle.value,
+  vehicle: {
+    year: vehicle.year,
+    engineCapacity: vehicle.engineCapacity,
+    fuelType: vehicle.fuelType
+  }
+});
+
+// @desc    Cargo lines declared for a shipment, in the shape calculateDuties expects.
+//          Declaration lines carrying a VIN pick up that vehicle's age and engine; without a
+//          declaration, the shipment's vehicle records are used.
+export const getDeclaredCustomsLines = async (shipmentId) => {
+  const [declaration, shipment] = await Promise.all([
+    CustomsDeclaration.findOne({ shipment: shipmentId }),
+    Shipment.findById(shipmentId).select('vehicles')
+  ]);
+  const vehicles = shipment?.vehicles || [];
+
+  if (!declaration) {
+    return vehicles.map(vehicleToCustomsLine);
+  }
+
+  return declaration.items.map(item => {
+    const vehicle = item.vin && vehicles.find(entry => entry.vin === item.vin);
+
+    return {
+      hsCode: item.hsCode,
+      description: item.description,
+      customsValue: item.customsValue,
+      vehicle: vehicle ? vehicleToCustomsLine(vehicle).vehicle : undefined
+    };
+  });
+};
+
+// Duty components and their invoice line labels
+export const DUTY_COMPONENTS = [
+  ['importDuty', 'Import duty'],
+  ['exciseDuty', 'Excise duty'],
+  ['vehicleSurcharge', 'Vehicle age surcharge'],
+  ['ecowasLevy', 'ECOWAS levy'],
+  ['gst', 'GST on imports'],
+  ['inspectionFee', 'Inspection fee']
+];
+
+// @desc    Turn computed duties into invoice line items (disbursements, not subject to service tax)
+export const dutiesToInvoiceItems = (duties, reference) =>
+  DUTY_COMPONENTS
+    .filter(([key]) => duties.totals[key] > 0)
+    .map(([key, label]) => ({
+      description: reference ? `${label} - ${reference}` : label,
+      quantity: 1,
+      unitPrice: duties.totals[key],
+      total: duties.totals[key],
+      taxable: false,
+      category: 'customs'
+    }));
+
+// @desc    Tax on our own service charges
+export const calculateServiceTax = (subtotal) => {
+  const rate = customsConfig.serviceTaxRate;
+  return {
+    rate,
+    amount: round(subtotal * rate / 100)
+  };
+};
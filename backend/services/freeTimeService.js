@@ -0,0 +1,292 @@
+import Shipment from '../models/Shipment.js';
+import {
+  freeTimeTariffs,
+  carrierFreeDays,
+  portHolidays,
+  FREE_TIME_WARNING_DAYS
+} from '../config/demurrage.js';
+import { issueInvoice } from './invoiceService.js';
+import { sendFreeTimeWarningSMS } from './smsNotificationService.js';
+import { sendEmail, emailTemplates } from '../utils/emailService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const round = (value) => Math.round(value * 100) / 100;
+
+// Liberia keeps UTC, so calendar days are UTC days
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const isBusinessDay = (date) => {
+  const weekday = date.getUTCDay();
+  if (weekday === 0 || weekday === 6) return false;
+
+  const isoDate = date.toISOString().slice(0, 10);
+  return !portHolidays.fixed.includes(isoDate.slice(5)) && !portHolidays.dates.includes(isoDate);
+};
+
+// Last free day when the day of arrival counts as day one
+const lastFreeDay = (start, freeDays, businessDays) => {
+  let day = startOfDay(start);
+
+  if (!businessDays) {
+    return new Date(day.getTime() + (freeDays - 1) * DAY);
+  }
+
+  let counted = isBusinessDay(day) ? 1 : 0;
+  while (counted < freeDays) {
+    day = new Date(day.getTime() + DAY);
+    if (isBusinessDay(day)) counted++;
+  }
+  return day;
+};
+
+// Sum of the daily tier rates for the first n chargeable days
+const tieredAmount = (tiers, chargeableDays) => {
+  const sorted = [...tiers].sort((a, b) => a.fromDay - b.fromDay);
+  let amount = 0;
+
+  for (let day = 1; day <= chargeableDays; day++) {
+    const tier = sorted.filter(entry => day >= entry.fromDay).pop();
+    amount += tier ? tier.rate : 0;
+  }
+  return amount;
+};
+
+// Charges for one free-time period, accrued at asOf and projected to projectTo
+const evaluatePeriod = ({ start, end, freeDays, tiers, businessDays, units = 1 }, asOf, projectTo) => {
+  const freeTimeEndsAt = lastFreeDay(start, freeDays, businessDays);
+
+  const chargeAt = (date) => {
+    const until = startOfDay(end && end < date ? end : date);
+    const chargeableDays = Math.max(0, Math.round((until - freeTimeEndsAt) / DAY));
+    return { chargeableDays, amount: round(tieredAmount(tiers, chargeableDays) * units) };
+  };
+
+  const accrued = chargeAt(asOf);
+  const projected = chargeAt(projectTo);
+
+  return {
+    startedAt: start,
+    endedAt: end || null,
+    open: !end,
+    freeDays,
+    freeTimeEndsAt,
+    daysRemaining: end ? null : Math.round((freeTimeEndsAt - startOfDay(asOf)) / DAY),
+    chargeableDays: accrued.chargeableDays,
+    accrued: accrued.amount,
+    projected: projected.amount
+  };
+};
+
+// Negotiated free days on the shipment win over carrier defaults, which win over the tariff
+const resolveFreeDays = (shipment, chargeType) =>
+  shipment.freeTime?.[`${chargeType}Days`] ??
+  carrierFreeDays[shipment.carrier?.name]?.[chargeType] ??
+  freeTimeTariffs[chargeType].freeDays;
+
+const latestEvent = (container, event) =>
+  container.events
+    .filter(entry => entry.event === event)
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .pop()?.timestamp;
+
+// First of these events on or after a date: what ends a period that started then
+const firstEventAfter = (container, events, after) =>
+  container.events
+    .filter(entry => events.includes(entry.event) && entry.timestamp >= after)
+    .sort((a, b) => a.timestamp - b.timestamp)[0]?.timestamp;
+
+const containerSize = (containerType) => (containerType?.startsWith('40') ? 40 : 20);
+
+const periodFor = (shipment, chargeType, start, end, rateKey, units) => ({
+  start,
+  end,
+  freeDays: resolveFreeDays(shipment, chargeType),
+  tiers: freeTimeTariffs[chargeType].rates[rateKey],
+  businessDays: freeTimeTariffs[chargeType].businessDays,
+  units
+});
+
+// @desc    Demurrage, detention and storage for a shipment, accrued now and projected ahead
+export const calculateFreeTime = (shipment, { asOf = new Date(), projectTo } = {}) => {
+  const projectionDate = projectTo ? new Date(projectTo) : new Date(asOf.getTime() + 7 * DAY);
+  const units = [];
+
+  if (shipment.containers.length > 0) {
+    shipment.containers.forEach(container => {
+      const dischargedAt = latestEvent(container, 'discharged') || shipment.actualArrival;
+      if (!dischargedAt) return;
+
+      // Time at the terminal ends when the box leaves full, or when it is stripped there and returned or gated in
+      const gateOutAt = container.gateOutAt || latestEvent(container, 'gate_out');
+      const leftTerminalAt = gateOutAt || firstEventAfter(container, ['empty_returned', 'gate_in'], dischargedAt);
+      // Time out with the consignee ends when the empty comes back
+      const returnedAt = gateOutAt && firstEventAfter(container, ['empty_returned', 'gate_in'], gateOutAt);
+      const size = containerSize(container.containerType || shipment.cargoDetails?.containerType);
+
+      const charges = {
+        demurrage: evaluatePeriod(periodFor(shipment, 'demurrage', dischargedAt, leftTerminalAt, size), asOf, projectionDate),
+        storage: evaluatePeriod(periodFor(shipment, 'storage', dischargedAt, leftTerminalAt, size), asOf, projectionDate)
+      };
+      if (gateOutAt) {
+        charges.detention = evaluatePeriod(periodFor(shipment, 'detention', gateOutAt, returnedAt, size), asOf, projectionDate);
+      }
+
+      units.push({ containerNumber: container.containerNumber, containerType: container.containerType, charges });
+    });
+  } else if (shipment.actualArrival) {
+    // Loose cargo only pays terminal storage, per revenue ton, until it is delivered
+    const deliveredAt = shipment.timeline.find(entry => entry.status === 'delivered')?.timestamp;
+    const revenueTons = Math.max(
+      (shipment.cargoDetails?.weight || 0) / 1000,
+      shipment.cargoDetails?.volume || 0,
+      1
+    );
+
+    units.push({
+      containerNumber: null,
+      revenueTons: round(revenueTons),
+      charges: {
+        storage: evaluatePeriod(
+          periodFor(shipment, 'storage', shipment.actualArrival, deliveredAt, 'revenueTon', revenueTons),
+          asOf,
+          projectionDate
+        )
+      }
+    });
+  }
+
+  const totals = { accrued: 0, projected: 0, demurrage: 0, detention: 0, storage: 0 };
+  const warnings = [];
+
+  units.forEach(unit => {
+    Object.entries(unit.charges).forEach(([chargeType, period]) => {
+      totals.accrued += period.accrued;
+      totals.projected += period.projected;
+      totals[chargeType] += period.accrued;
+
+      if (period.open && period.daysRemaining >= 0 && period.daysRemaining <= FREE_TIME_WARNING_DAYS) {
+        warnings.push({
+          chargeType,
+          containerNumber: unit.containerNumber,
+          freeTimeEndsAt: period.freeTimeEndsAt,
+          daysRemaining: period.daysRemaining
+        });
+      }
+    });
+  });
+
+  Object.keys(totals).forEach(key => {
+    totals[key] = round(totals[key]);
+  });
+
+  return {
+    asOf,
+    projectTo: projectionDate,
+    units,
+    totals,
+    warnings
+  };
+};
+
+const chargeLabels = {
+  demurrage: 'Demurrage',
+  detention: 'Detention',
+  storage: 'Port storage'
+};
+
+// @desc    Invoice accrued free-time charges not yet billed on this shipment
+export const invoiceFreeTimeCharges = async (shipment) => {
+  const { units } = calculateFreeTime(shipment);
+  const items = [];
+  const invoiced = [];
+
+  units.forEach(unit => {
+    Object.entries(unit.charges).forEach(([chargeType, period]) => {
+      const alreadyInvoiced = shipment.freeTimeInvoiced
+        .filter(entry => entry.chargeType === chargeType && entry.containerNumber === unit.containerNumber)
+        .reduce((sum, entry) => sum + entry.amount, 0);
+      const amount = round(period.accrued - alreadyInvoiced);
+
+      if (amount <= 0) return;
+
+      items.push({
+        description: `${chargeLabels[chargeType]} - ${unit.containerNumber || shipment.trackingNumber} (${period.chargeableDays} day(s) after free time)`,
+        quantity: 1,
+        unitPrice: amount,
+        // Carrier and terminal charges are passed through at cost
+        taxable: false
+      });
+      invoiced.push({ chargeType, containerNumber: unit.containerNumber, amount, throughDate: new Date() });
+    });
+  });
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  const { payment, invoice } = await issueInvoice({
+    client: shipment.client,
+    shipmentId: shipment._id,
+    items,
+    customsLines: [],
+    description: `Demurrage, detention and storage for shipment ${shipment.trackingNumber}`
+  });
+
+  invoiced.forEach(entry => shipment.freeTimeInvoiced.push({ ...entry, payment: payment._id }));
+  await shipment.save();
+
+  return { payment, invoice };
+};
+
+// @desc    Warn clients whose free time runs out within the warning window (once per period)
+export const sendFreeTimeWarnings = async () => {
+  // Only shipments with a clock still running: a container not yet back empty, or loose cargo not yet delivered
+  const shipments = Shipment.find({
+    actualArrival: { $ne: null },
+    status: { $ne: 'cancelled' },
+    $or: [
+      { containers: { $elemMatch: { status: { $ne: 'empty_returned' } } } },
+      { containers: { $size: 0 }, status: { $ne: 'delivered' } }
+    ]
+  }).populate('client').cursor();
+
+  let sentCount = 0;
+  let errorCount = 0;
+
+  for await (const shipment of shipments) {
+    if (!shipment.client) continue;
+
+    const { warnings } = calculateFreeTime(shipment);
+    const newWarnings = warnings.filter(warning => !shipment.freeTimeAlerts.some(alert =>
+      alert.chargeType === warning.chargeType &&
+      alert.containerNumber === warning.containerNumber &&
+      alert.freeTimeEndsAt?.getTime() === warning.freeTimeEndsAt.getTime()
+    ));
+
+    if (newWarnings.length === 0) continue;
+
+    try {
+      await sendEmail({
+        to: shipment.client.email,
+        ...emailTemplates.freeTimeWarning(shipment, shipment.client, newWarnings)
+      });
+
+      if (process.env.SMS_ENABLED === 'true') {
+        await sendFreeTimeWarningSMS(shipment._id, newWarnings);
+      }
+
+      newWarnings.forEach(warning => shipment.freeTimeAlerts.push({ ...warning, sentAt: new Date() }));
+      await shipment.save();
+      sentCount++;
+    } catch (error) {
+      console.error(`Failed to send free time warning for shipment ${shipment.trackingNumber}:`, error);
+      errorCount++;
+    }
+  }
+
+  return { sentCount, errorCount };
+};
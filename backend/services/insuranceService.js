@@ -0,0 +1,268 @@
+import InsurancePolicy from '../models/InsurancePolicy.js';
+import { CLAIM_TRANSITIONS } from '../models/InsuranceClaim.js';
+import { issueInvoice } from './invoiceService.js';
+import { sendEmail, emailTemplates } from '../utils/emailService.js';
+import { createPDF, resolvePublicPath, drawLetterhead } from '../utils/pdfService.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const COVERAGE_LABELS = {
+  all_risks: 'All risks of physical loss or damage from external causes',
+  named_perils: 'Named perils: fire, explosion, stranding, sinking, collision, jettison and general average',
+  total_loss_only: 'Total loss of the whole consignment only'
+};
+
+// @desc    Insured value and premium for a cargo under a product
+export const calculatePremium = (product, { cargoValue = 0, freight = 0 }) => {
+  const cifValue = round(Number(cargoValue) + Number(freight));
+  const insuredValue = round(cifValue * (1 + product.cifUplift / 100));
+  const calculated = insuredValue * product.premiumRate / 100;
+
+  return {
+    cargoValue: Number(cargoValue),
+    freight: Number(freight),
+    cifValue,
+    insuredValue,
+    premiumRate: product.premiumRate,
+    premium: round(Math.max(calculated, product.minimumPremium)),
+    minimumPremiumApplied: calculated < product.minimumPremium,
+    currency: product.currency
+  };
+};
+
+// @desc    Reasons a cargo cannot be covered by a product (empty when it can)
+export const checkInsurability = (product, { cargoType, cargoValue, insuredValue }) => {
+  const problems = [];
+
+  if (!product.isActive) {
+    problems.push(`${product.name} is no longer offered`);
+  }
+  if (!(cargoValue > 0)) {
+    problems.push('A declared cargo value is required for insurance');
+  }
+  if (cargoType && product.excludedCargoTypes.includes(cargoType)) {
+    problems.push(`${product.name} does not cover ${cargoType} cargo`);
+  }
+  if (product.maxInsuredValue && insuredValue > product.maxInsuredValue) {
+    problems.push(`Insured value ${insuredValue.toFixed(2)} exceeds the ${product.currency} ${product.maxInsuredValue.toFixed(2)} limit for ${product.name}`);
+  }
+
+  return problems;
+};
+
+// Freight on the shipment's accepted quote, which counts towards the CIF value
+const shipmentFreight = (shipment) =>
+  shipment.quotes?.find(quote => quote.status === 'accepted')?.breakdown?.freight || 0;
+
+// @desc    Render the insurance certificate PDF for a policy
+export const generatePolicyCertificatePDF = async (policy, shipment, product, client) => {
+  const filename = `certificate-${policy.policyNumber}.pdf`;
+  const money = (value) => `${policy.currency} ${(value || 0).toFixed(2)}`;
+
+  const { url } = await createPDF('insurance', filename, (doc) => {
+    drawLetterhead(doc, 'CERTIFICATE OF INSURANCE');
+
+    doc.fontSize(10).fillColor('#666');
+    doc.text(`Policy #: ${policy.policyNumber}`, 300, 72, { width: 250, align: 'right' });
+    doc.text(`Issued: ${new Date(policy.issuedAt).toLocaleDateString()}`, 300, 84, { width: 250, align: 'right' });
+
+    doc.fontSize(12).fillColor('#000').text('Assured:', 50, 130);
+    doc.fontSize(10).fillColor('#666').text(client?.companyName || 'N/A', 50, 145);
+    doc.text(client?.email || '', 50, 157);
+
+    doc.fontSize(12).fillColor('#000').text('Shipment:', 300, 130);
+    doc.fontSize(10).fillColor('#666');
+    doc.text(`Tracking #: ${shipment.trackingNumber}`, 300, 145);
+    doc.text(`From: ${shipment.origin?.country || 'N/A'}${shipment.origin?.port ? ` (${shipment.origin.port})` : ''}`, 300, 157);
+    doc.text(`To: ${shipment.destination?.port || shipment.destination?.country || 'Liberia'}`, 300, 169);
+    doc.text(`Vessel: ${shipment.carrier?.vessel || 'To be advised'}`, 300, 181);
+
+    let yPosition = 215;
+    doc.fontSize(12).fillColor('#000').text('Subject-matter Insured:', 50, yPosition);
+    doc.fontSize(10).fillColor('#666').text(shipment.description || 'N/A', 50, yPosition + 15, { width: 500 });
+    yPosition = doc.y + 15;
+
+    const rows = [
+      ['Cover', `${product.name} - ${COVERAGE_LABELS[policy.coverage] || policy.coverage}`],
+      ['Cargo value', money(policy.cargoValue)],
+      ['Freight', money(policy.freight)],
+      ['CIF value', money(policy.cifValue)],
+      ['Sum insured', `${money(policy.insuredValue)} (CIF + ${product.cifUplift}%)`],
+      ['Premium', `${money(policy.premium)} (${policy.premiumRate}%)`],
+      ['Deductible', `${money(policy.deductible)} per claim`]
+    ];
+    rows.forEach(([label, value]) => {
+      doc.fontSize(10).fillColor('#000').text(`${label}:`, 50, yPosition);
+      doc.fillColor('#666').text(value, 160, yPosition, { width: 390 });
+      yPosition = doc.y + 5;
+    });
+
+    yPosition += 20;
+    doc.fontSize(10).fillColor('#000').text('Claims', 50, yPosition);
+    doc.fontSize(8).fillColor('#666').text(
+      'In the event of loss or damage, notify LiberiaClearLogistics immediately and no later than 7 days after delivery. ' +
+      'Keep damaged goods and packing for inspection, note the damage on the delivery receipt and lodge your claim with ' +
+      'photos, the survey report and commercial invoice from your online account.',
+      50, yPosition + 15, { width: 500 }
+    );
+
+    if (product.underwriter) {
+      doc.moveDown();
+      doc.text(`Underwritten by ${product.underwriter}.`, { width: 500 });
+    }
+
+    doc.moveDown(2);
+    doc.text('LiberiaClearLogistics - Your trusted partner in Liberia', { width: 500 });
+  });
+
+  return url;
+};
+
+// @desc    Issue cover for a shipment (client populated). Pass `terms` and `payment` when the
+//          premium was already quoted and invoiced; otherwise it is priced and invoiced now.
+export const issuePolicy = async (shipment, product, { client = shipment.client, userId, terms, payment } = {}) => {
+  if (await InsurancePolicy.exists({ shipment: shipment._id, status: 'active' })) {
+    return { problems: [`Shipment ${shipment.trackingNumber} already has an active insurance policy`] };
+  }
+
+  const figures = terms || calculatePremium(product, {
+    cargoValue: shipment.cargoDetails?.value,
+    freight: shipmentFreight(shipment)
+  });
+
+  const problems = checkInsurability(product, { cargoType: shipment.cargoDetails?.type, ...figures });
+  if (problems.length > 0) {
+    return { problems };
+  }
+
+  const policy = new InsurancePolicy({
+    product: product._id,
+    shipment: shipment._id,
+    client: client._id,
+    coverage: product.coverage,
+    cargoValue: figures.cargoValue,
+    freight: figures.freight,
+    cifValue: figures.cifValue,
+    insuredValue: figures.insuredValue,
+    premiumRate: figures.premiumRate,
+    premium: figures.premium,
+    deductible: product.deductible,
+    currency: product.currency,
+    issuedBy: userId,
+    payment
+  });
+  // Numbers the policy so the invoice and certificate can show it
+  await policy.validate();
+
+  if (!payment) {
+    const { payment: premiumPayment } = await issueInvoice({
+      client,
+      shipmentId: shipment._id,
+      items: [{
+        description: `Cargo insurance premium - policy ${policy.policyNumber} (${product.name})`,
+        quantity: 1,
+        unitPrice: policy.premium,
+        // Premiums are collected for the underwriter and carry no service tax
+        taxable: false
+      }],
+      customsLines: [],
+      description: `Cargo insurance for shipment ${shipment.trackingNumber}`
+    });
+    policy.payment = premiumPayment._id;
+  }
+
+  policy.certificateUrl = await generatePolicyCertificatePDF(policy, shipment, product, client);
+  await policy.save();
+
+  // Cover details stay on the policy; the timeline is shown to anyone tracking the shipment
+  shipment.timeline.push({
+    status: shipment.status,
+    description: 'Cargo insured',
+    location: 'LiberiaClearLogistics',
+    updatedBy: userId
+  });
+  await shipment.save();
+
+  if (client.email) {
+    try {
+      await sendEmail({
+        to: client.email,
+        ...emailTemplates.insurancePolicy(policy, shipment, client),
+        attachments: [{
+          filename: `insurance-certificate-${policy.policyNumber}.pdf`,
+          path: resolvePublicPath(policy.certificateUrl)
+        }]
+      });
+    } catch (emailError) {
+      console.log('Insurance certificate email failed:', emailError);
+    }
+  }
+
+  return { problems: [], policy };
+};
+
+// @desc    Move a claim through its workflow; returns the reasons if not allowed
+export const changeClaimStatus = (claim, policy, {
+  status,
+  note,
+  assessedLoss,
+  findings,
+  settlementAmount,
+  settlementReference,
+  userId
+}) => {
+  const allowed = CLAIM_TRANSITIONS[claim.status] || [];
+
+  if (!allowed.includes(status)) {
+    return [allowed.length > 0
+      ? `Cannot change claim from ${claim.status} to ${status} (allowed: ${allowed.join(', ')})`
+      : `Claim is ${claim.status} and can no longer change status`];
+  }
+
+  if (status === 'approved') {
+    const loss = Number(assessedLoss);
+    if (!(loss >= 0)) {
+      return ['Please provide the assessed loss'];
+    }
+
+    // Cover never pays more than the sum insured, less the policy deductible
+    const deductible = policy.deductible || 0;
+    claim.assessment = {
+      assessedLoss: loss,
+      deductibleApplied: deductible,
+      approvedAmount: round(Math.max(0, Math.min(loss, policy.insuredValue) - deductible)),
+      findings,
+      assessedBy: userId,
+      assessedAt: new Date()
+    };
+  }
+
+  if (status === 'rejected') {
+    if (!findings && !note) {
+      return ['Please give the reason the claim is rejected'];
+    }
+    claim.assessment = {
+      findings: findings || note,
+      approvedAmount: 0,
+      assessedBy: userId,
+      assessedAt: new Date()
+    };
+  }
+
+  if (status === 'settled') {
+    const amount = settlementAmount !== undefined ? Number(settlementAmount) : claim.assessment.approvedAmount;
+    if (!(amount >= 0) || amount > claim.assessment.approvedAmount) {
+      return [`Settlement cannot exceed the approved amount of ${claim.assessment.approvedAmount.toFixed(2)}`];
+    }
+    claim.settlement = {
+      amount,
+      reference: settlementReference,
+      settledAt: new Date(),
+      settledBy: userId
+    };
+  }
+
+  claim.status = status;
+  claim.statusHistory.push({ status, note, changedBy: userId });
+  return [];
+};
@@ -0,0 +1,346 @@
+import Payment from '../models/Payment.js';
+import Invoice from '../models/Invoice.js';
+import User from '../models/User.js';
+import { sendEmail } from '../utils/emailService.js';
+import {
+  calculateDuties,
+  calculateServiceTax,
+  dutiesToInvoiceItems,
+  getDeclaredCustomsLines
+} from './dutyService.js';
+import { convertAmount, getExchangeRate } from './currencyService.js';
+import { BASE_CURRENCY } from '../config/currencies.js';
+import { formatMoney, roundMoney } from '../utils/currency.js';
+import { applyClientCredit } from './creditNoteService.js';
+import PDFDocument from 'pdfkit';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// @desc    Subtotal, service tax (on our charges, not on duties) and total of priced invoice lines
+export const calculateInvoiceTotals = (invoiceItems, currency) => {
+  const subtotal = invoiceItems.reduce((sum, item) => sum + item.total, 0);
+  const serviceSubtotal = invoiceItems
+    .filter(item => item.taxable !== false)
+    .reduce((sum, item) => sum + item.total, 0);
+  const { rate: taxRate, amount: taxAmount } = calculateServiceTax(serviceSubtotal);
+
+  return { subtotal, taxRate, taxAmount, totalAmount: roundMoney(subtotal + taxAmount, currency) };
+};
+
+// @desc    Create a payment and its invoice, render the PDF and email it to the client.
+//          Items are priced in `priceCurrency` (duties always in the base currency) and converted at
+//          today's rate when the invoice goes out in another currency (by default the client's preferred one).
+export const issueInvoice = async ({
+  client,
+  shipmentId,
+  quoteId,
+  items,
+  customsLines,
+  dueDate,
+  notes,
+  description,
+  currency,
+  priceCurrency = BASE_CURRENCY
+}) => {
+  let invoiceCurrency = currency || client.preferredCurrency || BASE_CURRENCY;
+
+  // A preference is not worth failing an automatic invoice over; an explicit currency is
+  if (!currency && invoiceCurrency !== priceCurrency && !(await getExchangeRate(priceCurrency, invoiceCurrency))) {
+    console.log(`No ${priceCurrency}/${invoiceCurrency} exchange rate published; invoicing ${client.companyName} in ${priceCurrency}`);
+    invoiceCurrency = priceCurrency;
+  }
+
+  // Rates are looked up once so every line is converted at the same snapshot
+  const priceConversion = priceCurrency === invoiceCurrency
+    ? null
+    : (await convertAmount(1, priceCurrency, invoiceCurrency)).exchangeRate;
+  let baseConversion = null;
+  if (invoiceCurrency !== BASE_CURRENCY) {
+    baseConversion = priceCurrency === BASE_CURRENCY
+      ? priceConversion
+      : (await convertAmount(1, BASE_CURRENCY, invoiceCurrency)).exchangeRate;
+  }
+  const convertItem = (item, conversion) => {
+    const unitPrice = conversion ? roundMoney(item.unitPrice * conversion.rate, invoiceCurrency) : item.unitPrice;
+    return { ...item, unitPrice, total: roundMoney(item.quantity * unitPrice, invoiceCurrency) };
+  };
+
+  // Customs duties come from the same engine that priced the quote,
+  // using explicit lines or whatever was declared for the shipment
+  const dutyLines = customsLines || (shipmentId ? await getDeclaredCustomsLines(shipmentId) : []);
+  let dutyItems = [];
+  if (dutyLines.length > 0) {
+    const duties = await calculateDuties(dutyLines);
+    dutyItems = dutiesToInvoiceItems(duties);
+  }
+
+  const invoiceItems = [
+    ...items.map(item => convertItem(item, priceConversion)),
+    ...dutyItems.map(item => convertItem(item, baseConversion))
+  ];
+
+  const { subtotal, taxRate, taxAmount, totalAmount } = calculateInvoiceTotals(invoiceItems, invoiceCurrency);
+  const exchangeRate = baseConversion || priceConversion;
+
+  // Create payment record (method is chosen when the client pays)
+  const payment = await Payment.create({
+    client: client._id,
+    shipment: shipmentId,
+    quote: quoteId,
+    amount: totalAmount,
+    currency: invoiceCurrency,
+    baseAmount: baseConversion ? roundMoney(totalAmount / baseConversion.rate) : totalAmount,
+    exchangeRate,
+    description: description || `Payment for ${shipmentId ? 'shipment' : 'quote'} services`,
+    items: invoiceItems,
+    dueDate: dueDate || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days default
+    notes
+  });
+
+  // Create invoice
+  let invoice = await Invoice.create({
+    invoiceNumber: payment.invoiceNumber,
+    payment: payment._id,
+    client: client._id,
+    dueDate: payment.dueDate,
+    items: invoiceItems,
+    subtotal: subtotal,
+    taxRate: taxRate,
+    taxAmount: taxAmount,
+    totalAmount: totalAmount,
+    currency: invoiceCurrency,
+    exchangeRate,
+    notes: notes,
+    status: 'draft'
+  });
+
+  // Credit the client holds on account goes towards the new invoice before it is sent
+  const { payment: credited, applied } = await applyClientCredit(payment);
+  if (applied > 0) {
+    invoice = await Invoice.findById(invoice._id);
+  }
+
+  // Generate PDF invoice
+  const pdfUrl = await generateInvoicePDF(invoice, client);
+
+  // Update invoice with PDF URL
+  invoice.pdfUrl = pdfUrl;
+  await invoice.save();
+
+  // Send invoice email
+  try {
+    await sendInvoiceEmail(invoice, client, pdfUrl);
+    if (invoice.status === 'draft') invoice.status = 'sent';
+    invoice.sentAt = new Date();
+    await invoice.save();
+  } catch (emailError) {
+    console.log('Invoice email failed:', emailError);
+  }
+
+  return { payment: credited, invoice };
+};
+
+export const generateInvoicePDF = async (invoice, client) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ margin: 50 });
+      const filename = `invoice-${invoice.invoiceNumber}.pdf`;
+      const filepath = path.join(__dirname, '../public/invoices', filename);
+      
+      // Ensure directory exists
+      const dir = path.dirname(filepath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const stream = fs.createWriteStream(filepath);
+      doc.pipe(stream);
+
+      // Header
+      doc.fontSize(20).fillColor('#0056b3').text('LIBERIACLEARLOGISTICS', 50, 50);
+      doc.fontSize(10).fillColor('#666').text('Professional Clearing & Forwarding Services', 50, 75);
+      doc.fontSize(8).text('Freeport of Monrovia Area, Monrovia, Liberia', 50, 90);
+      doc.text('Phone: +231-88-123-4567 | Email: info@liberiacclearlogistics.com', 50, 102);
+
+      // Invoice title
+      doc.fontSize(16).fillColor('#000').text('INVOICE', 400, 50);
+      doc.fontSize(10).fillColor('#666').text(`Invoice #: ${invoice.invoiceNumber}`, 400, 70);
+      doc.text(`Issue Date: ${new Date(invoice.issueDate).toLocaleDateString()}`, 400, 82);
+      doc.text(`Due Date: ${new Date(invoice.dueDate).toLocaleDateString()}`, 400, 94);
+
+      // Client info
+      doc.fontSize(12).fillColor('#000').text('Bill To:', 50, 130);
+      doc.fontSize(10).fillColor('#666').text(client.companyName, 50, 145);
+      doc.text(client.contactPerson?.name || 'N/A', 50, 157);
+      doc.text(client.email, 50, 169);
+      doc.text(client.phone, 50, 181);
+
+      // Items table
+      let yPosition = 220;
+      
+      // Table header
+      doc.fontSize(10).fillColor('#fff');
+      doc.rect(50, yPosition, 500, 20).fill('#0056b3');
+      doc.text('Description', 60, yPosition + 5);
+      doc.text('Qty', 350, yPosition + 5);
+      doc.text('Unit Price', 400, yPosition + 5);
+      doc.text('Total', 470, yPosition + 5);
+      
+      yPosition += 20;
+
+      // Table rows
+      doc.fillColor('#000');
+      invoice.items.forEach(item => {
+        doc.text(item.description, 60, yPosition + 5, { width: 280 });
+        doc.text(item.quantity.toString(), 350, yPosition + 5);
+        doc.text(formatMoney(item.unitPrice, invoice.currency), 400, yPosition + 5);
+        doc.text(formatMoney(item.total, invoice.currency), 470, yPosition + 5);
+        yPosition += 20;
+      });
+
+      // Totals
+      yPosition += 10;
+      doc.text(`Subtotal: ${formatMoney(invoice.subtotal, invoice.currency)}`, 400, yPosition);
+      yPosition += 15;
+      doc.text(`Tax (${invoice.taxRate}%): ${formatMoney(invoice.taxAmount, invoice.currency)}`, 400, yPosition);
+      yPosition += 15;
+      doc.fontSize(12).fillColor('#0056b3').text(`Total: ${formatMoney(invoice.totalAmount, invoice.currency)} ${invoice.currency}`, 400, yPosition);
+
+      // Converted invoices state the rate they were priced at
+      if (invoice.exchangeRate?.rate) {
+        const { from, to, rate, date } = invoice.exchangeRate;
+        yPosition += 15;
+        doc.fontSize(8).fillColor('#666').text(
+          `Converted at 1 ${from} = ${Number(rate.toFixed(4))} ${to} (rate of ${new Date(date).toLocaleDateString()})`,
+          350, yPosition
+        );
+      }
+
+      if (invoice.amountPaid > 0) {
+        yPosition += 15;
+        doc.fontSize(10).fillColor('#000').text(`Paid / credited: -${formatMoney(invoice.amountPaid, invoice.currency)}`, 400, yPosition);
+        yPosition += 15;
+        doc.fontSize(12).fillColor('#0056b3').text(
+          `Balance Due: ${formatMoney(Math.max(invoice.totalAmount - invoice.amountPaid, 0), invoice.currency)}`,
+          400, yPosition
+        );
+      }
+
+      // Notes
+      if (invoice.notes) {
+        yPosition += 40;
+        doc.fontSize(10).fillColor('#000').text('Notes:', 50, yPosition);
+        doc.text(invoice.notes, 50, yPosition + 15, { width: 500 });
+      }
+
+      // Footer
+      yPosition += 60;
+      doc.fontSize(8).fillColor('#666').text('Thank you for your business!', 50, yPosition);
+      doc.text('LiberiaClearLogistics - Your trusted partner in Liberia', 50, yPosition + 12);
+
+      doc.end();
+
+      stream.on('finish', () => {
+        resolve(`/invoices/${filename}`);
+      });
+
+      stream.on('error', reject);
+
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+export const sendInvoiceEmail = async (invoice, client, pdfUrl) => {
+  const invoiceUrl = `${process.env.CLIENT_URL}${pdfUrl}`;
+  
+  await sendEmail({
+    to: client.email,
+    subject: `Invoice ${invoice.invoiceNumber} - LiberiaClearLogistics`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #0056b3, #28a745); padding: 30px; text-align: center; color: white;">
+          <h1>INVOICE</h1>
+        </div>
+        <div style="padding: 30px; background: #f8f9fa;">
+          <h2>Dear ${client.companyName},</h2>
+          <p>Please find your invoice attached. The payment is due by <strong>${new Date(invoice.dueDate).toLocaleDateString()}</strong>.</p>
+          
+          <div style="background: white; padding: 20px; border-radius: 10px; margin: 20px 0;">
+            <h3>Invoice Summary:</h3>
+            <p><strong>Invoice Number:</strong> ${invoice.invoiceNumber}</p>
+            <p><strong>Amount Due:</strong> ${formatMoney(invoice.totalAmount - (invoice.amountPaid || 0), invoice.currency)} ${invoice.currency}</p>
+            ${invoice.amountPaid > 0 ? `<p><strong>Credit Applied:</strong> ${formatMoney(invoice.amountPaid, invoice.currency)} of ${formatMoney(invoice.totalAmount, invoice.currency)}</p>` : ''}
+            <p><strong>Due Date:</strong> ${new Date(invoice.dueDate).toLocaleDateString()}</p>
+          </div>
+
+          <div style="text-align: center; margin-top: 30px;">
+            <a href="${invoiceUrl}" 
+               style="background: #0056b3; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block; margin: 10px;">
+              Download Invoice
+            </a>
+            <a href="${process.env.CLIENT_URL}/payments" 
+               style="background: #28a745; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block; margin: 10px;">
+              Pay Online
+            </a>
+          </div>
+
+          <p style="margin-top: 30px;">If you have any questions about this invoice, please contact our accounts team.</p>
+        </div>
+      </div>
+    `
+  });
+};
+
+// @desc    Email the client a receipt for money received (one transaction, or the whole payment for older flows)
+export const sendPaymentReceipt = async (payment, transaction = null) => {
+  const client = await User.findById(payment.client);
+  const receiptNumber = transaction?.receiptNumber || payment.invoiceNumber;
+  const amountPaid = transaction ? transaction.amount : payment.amount;
+  const outstanding = payment.amountOutstanding || 0;
+
+  await sendEmail({
+    to: client.email,
+    subject: `Payment Receipt - ${receiptNumber}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #28a745, #0056b3); padding: 30px; text-align: center; color: white;">
+          <h1>PAYMENT RECEIPT</h1>
+        </div>
+        <div style="padding: 30px; background: #f8f9fa;">
+          <h2>Thank you for your payment!</h2>
+          <p>Your payment has been successfully processed.</p>
+          
+          <div style="background: white; padding: 20px; border-radius: 10px; margin: 20px 0;">
+            <h3>Payment Details:</h3>
+            <p><strong>Receipt Number:</strong> ${receiptNumber}</p>
+            <p><strong>Invoice Number:</strong> ${payment.invoiceNumber}</p>
+            <p><strong>Amount Paid:</strong> ${formatMoney(amountPaid, payment.currency)} ${payment.currency}</p>
+            ${transaction?.tendered?.currency ? `<p><strong>Amount Tendered:</strong> ${formatMoney(transaction.tendered.amount, transaction.tendered.currency)} ${transaction.tendered.currency}</p>` : ''}
+            <p><strong>Payment Date:</strong> ${new Date(transaction?.paidAt || payment.paidAt).toLocaleDateString()}</p>
+            <p><strong>Payment Method:</strong> ${transaction?.method || payment.paymentMethod}</p>
+            <p><strong>Description:</strong> ${payment.description}</p>
+            ${outstanding > 0 ? `<p><strong>Balance Outstanding:</strong> ${formatMoney(outstanding, payment.currency)} ${payment.currency} (next due ${new Date(payment.nextDueDate).toLocaleDateString()})</p>` : ''}
+          </div>
+
+          <p>This email serves as your receipt. Please keep it for your records.</p>
+          
+          <div style="text-align: center; margin-top: 30px;">
+            <a href="${process.env.CLIENT_URL}/payments" 
+               style="background: #0056b3; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              View Payment History
+            </a>
+          </div>
+        </div>
+      </div>
+    `
+  });
+
+  payment.receiptSent = true;
+  await payment.save();
+};
@@ -0,0 +1,151 @@
+import Payment from '../models/Payment.js';
+import PaymentTransaction from '../models/PaymentTransaction.js';
+import User from '../models/User.js';
+import {
+  checkPayableAmount,
+  startTransaction,
+  recordTransaction,
+  completeTransaction,
+  failTransaction
+} from './paymentAllocationService.js';
+import { sendEmail, emailTemplates } from '../utils/emailService.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export const MANUAL_METHODS = ['bank_transfer', 'cash'];
+
+// Manual payments waiting in the finance queue, optionally for one payment, client or manual method
+const pendingReview = ({ payment, client, method } = {}) => PaymentTransaction.find({
+  ...(payment && { payment }),
+  ...(client && { client }),
+  method: MANUAL_METHODS.includes(method) ? method : { $in: MANUAL_METHODS },
+  status: 'processing',
+  'review.status': 'pending'
+});
+
+// @desc    Reasons a manual payment cannot be submitted against a payment (empty when it can).
+//          Submissions still awaiting approval count against the balance so it cannot be claimed twice.
+export const checkManualPayment = async (payment, { amount, method, reference, date }) => {
+  if (!MANUAL_METHODS.includes(method)) {
+    return ['Only bank transfers and cash can be recorded by hand'];
+  }
+
+  const problems = checkPayableAmount(payment, amount);
+  if (problems.length > 0) return problems;
+
+  const awaiting = await pendingReview({ payment: payment._id });
+  const reserved = round(awaiting.reduce((sum, transaction) => sum + transaction.amount, 0));
+  if (reserved > 0 && round(amount) > round(payment.amountOutstanding - reserved)) {
+    problems.push(`${reserved.toFixed(2)} ${payment.currency} already submitted on ${payment.invoiceNumber} is awaiting approval`);
+  }
+
+  if (method === 'bank_transfer' && !reference) {
+    problems.push('The bank reference on the transfer slip is required');
+  }
+  if (date && (isNaN(new Date(date)) || new Date(date) > new Date())) {
+    problems.push('Payment date must be a valid date that is not in the future');
+  }
+
+  return problems;
+};
+
+// @desc    Record a bank transfer or cash payment. Submissions wait in the finance queue; finance staff
+//          recording one themselves approve it at once (completing it and sending the receipt).
+export const submitManualPayment = async (payment, { amount, tendered, method, reference, date, bankName, file, recordedBy, notes, approved = false }) => {
+  const proof = {
+    reference,
+    date: date ? new Date(date) : new Date(),
+    bankName,
+    filePath: file?.path,
+    originalName: file?.originalname,
+    mimeType: file?.mimetype,
+    size: file?.size
+  };
+
+  if (approved) {
+    return recordTransaction(payment, {
+      amount,
+      tendered,
+      method,
+      gatewayId: reference,
+      proof,
+      review: { status: 'approved', reviewedBy: recordedBy, reviewedAt: new Date() },
+      paidAt: proof.date,
+      recordedBy,
+      notes
+    });
+  }
+
+  const transaction = await startTransaction(payment, {
+    amount,
+    tendered,
+    method,
+    gatewayId: reference,
+    proof,
+    review: { status: 'pending' },
+    recordedBy,
+    notes
+  });
+  return { transaction, payment: await Payment.findById(payment._id) };
+};
+
+// @desc    The finance approval queue, oldest first
+export const getApprovalQueue = (filter = {}) =>
+  pendingReview(filter)
+    .populate('payment', 'invoiceNumber amount amountPaid currency status dueDate')
+    .populate('client', 'companyName email phone')
+    .populate('recordedBy', 'companyName role')
+    .sort({ createdAt: 1 });
+
+// Take a submission out of the queue (once, however many reviewers act on it); null if already reviewed
+const claimForReview = (transaction, review, extra = {}) =>
+  PaymentTransaction.findOneAndUpdate(
+    { _id: transaction._id, status: 'processing', 'review.status': 'pending' },
+    {
+      $set: {
+        'review.status': review.status,
+        'review.reviewedBy': review.reviewedBy,
+        'review.reviewedAt': new Date(),
+        'review.note': review.note,
+        ...extra
+      }
+    },
+    { new: true }
+  );
+
+// @desc    Confirm a submission, optionally for the amount actually received. Completing it applies it
+//          to the payment, marks the invoice paid once settled and sends the receipt email and SMS.
+export const approveManualPayment = async (transaction, payment, { amount, note, reviewedBy }) => {
+  const confirmedAmount = amount !== undefined ? round(Number(amount)) : transaction.amount;
+
+  const problems = checkPayableAmount(payment, confirmedAmount);
+  if (problems.length > 0) return { problems };
+
+  const claimed = await claimForReview(transaction, { status: 'approved', reviewedBy, note }, { amount: confirmedAmount });
+  if (!claimed) return { problems: ['This submission has already been reviewed'] };
+
+  const settled = await completeTransaction(claimed, { paidAt: claimed.proof?.date });
+  return { problems: [], ...settled };
+};
+
+// @desc    Reject a submission and tell the client why
+export const rejectManualPayment = async (transaction, { reason, reviewedBy }) => {
+  const claimed = await claimForReview(transaction, { status: 'rejected', reviewedBy, note: reason });
+  if (!claimed) return { problems: ['This submission has already been reviewed'] };
+
+  const settled = await failTransaction(claimed, reason);
+
+  const client = await User.findById(claimed.client);
+  if (client?.email) {
+    try {
+      await sendEmail({
+        to: client.email,
+        ...emailTemplates.manualPaymentRejected(settled.transaction, settled.payment, client)
+      });
+    } catch (emailError) {
+      console.log('Payment rejection email failed:', emailError);
+    }
+  }
+
+  return { problems: [], ...settled };
+};
@@ -0,0 +1,264 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import PaymentTransaction from '../models/PaymentTransaction.js';
+import SMSService from './smsService.js';
+import { startTransaction, completeTransaction, failTransaction } from './paymentAllocationService.js';
+import {
+  mobileMoneyConfig,
+  networkPrefixes,
+  mtnMomoConfig,
+  orangeMoneyConfig,
+  simulatorConfig
+} from '../config/mobileMoney.js';
+
+// Every provider answers requestToPay with its own reference (gatewayId) and reports a request as
+// { status: 'pending' | 'successful' | 'failed', reason, transactionId }
+
+const callbackUrl = (provider, reference) =>
+  `${mobileMoneyConfig.callbackBaseUrl}/${provider}${reference ? `?reference=${reference}` : ''}`;
+
+// Lonestar Cell MTN MoMo collection API
+const mtnProvider = {
+  callbackSecret: mtnMomoConfig.callbackSecret,
+
+  async getToken() {
+    const auth = Buffer.from(`${mtnMomoConfig.apiUser}:${mtnMomoConfig.apiKey}`).toString('base64');
+    const response = await axios.post(`${mtnMomoConfig.baseUrl}/collection/token/`, null, {
+      headers: {
+        'Authorization': `Basic ${auth}`,
+        'Ocp-Apim-Subscription-Key': mtnMomoConfig.subscriptionKey
+      }
+    });
+    return response.data.access_token;
+  },
+
+  async requestToPay({ msisdn, amount, currency, externalId, message }) {
+    const reference = crypto.randomUUID();
+    const token = await this.getToken();
+
+    await axios.post(
+      `${mtnMomoConfig.baseUrl}/collection/v1_0/requesttopay`,
+      {
+        amount: amount.toFixed(2),
+        currency,
+        externalId,
+        payer: { partyIdType: 'MSISDN', partyId: msisdn.replace('+', '') },
+        payerMessage: message,
+        payeeNote: externalId
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'X-Reference-Id': reference,
+          'X-Target-Environment': mtnMomoConfig.targetEnvironment,
+          'X-Callback-Url': callbackUrl('mtn', reference),
+          'Ocp-Apim-Subscription-Key': mtnMomoConfig.subscriptionKey
+        }
+      }
+    );
+
+    return { gatewayId: reference };
+  },
+
+  async getStatus(gatewayId) {
+    const token = await this.getToken();
+    const response = await axios.get(`${mtnMomoConfig.baseUrl}/collection/v1_0/requesttopay/${gatewayId}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'X-Target-Environment': mtnMomoConfig.targetEnvironment,
+        'Ocp-Apim-Subscription-Key': mtnMomoConfig.subscriptionKey
+      }
+    });
+
+    const statuses = { SUCCESSFUL: 'successful', FAILED: 'failed', REJECTED: 'failed', TIMEOUT: 'failed' };
+    return {
+      status: statuses[response.data.status] || 'pending',
+      reason: response.data.reason?.message || response.data.reason,
+      transactionId: response.data.financialTransactionId
+    };
+  },
+
+  // MTN calls back to the URL given at initiation, which carries our reference
+  callbackReference: (req) => req.query.reference || req.body.referenceId
+};
+
+// Orange Money merchant payment (USSD push to the subscriber)
+const orangeProvider = {
+  callbackSecret: orangeMoneyConfig.callbackSecret,
+
+  async getToken() {
+    const auth = Buffer.from(`${orangeMoneyConfig.clientId}:${orangeMoneyConfig.clientSecret}`).toString('base64');
+    const response = await axios.post(`${orangeMoneyConfig.baseUrl}/oauth/v3/token`, 'grant_type=client_credentials', {
+      headers: {
+        'Authorization': `Basic ${auth}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+    return response.data.access_token;
+  },
+
+  async requestToPay({ msisdn, amount, currency, externalId, message }) {
+    const token = await this.getToken();
+    const response = await axios.post(
+      `${orangeMoneyConfig.baseUrl}/omcoreapis/1.0.2/mp/pay`,
+      {
+        merchantKey: orangeMoneyConfig.merchantKey,
+        subscriberMsisdn: msisdn.replace('+', ''),
+        amount: amount.toFixed(2),
+        currency,
+        orderId: externalId,
+        description: message,
+        notifUrl: callbackUrl('orange')
+      },
+      { headers: { 'Authorization': `Bearer ${token}` } }
+    );
+
+    return { gatewayId: response.data.data.txnid };
+  },
+
+  async getStatus(gatewayId) {
+    const token = await this.getToken();
+    const response = await axios.get(`${orangeMoneyConfig.baseUrl}/omcoreapis/1.0.2/mp/paymentstatus/${gatewayId}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    const { status, inittxnmessage, txnid } = response.data.data;
+    const statuses = { SUCCESSFULL: 'successful', SUCCESSFUL: 'successful', FAILED: 'failed', EXPIRED: 'failed' };
+    return {
+      status: statuses[status] || 'pending',
+      reason: inittxnmessage,
+      transactionId: txnid
+    };
+  },
+
+  callbackReference: (req) => req.body.txnid || req.body.data?.txnid
+};
+
+// Local simulator for development: the outcome and start time are encoded in the reference,
+// so requests survive restarts without any stored state
+const simulatorProvider = {
+  callbackSecret: simulatorConfig.callbackSecret,
+
+  async requestToPay({ msisdn }) {
+    return { gatewayId: `SIM-${Date.now()}-${msisdn.slice(-1)}-${crypto.randomBytes(3).toString('hex')}` };
+  },
+
+  async getStatus(gatewayId) {
+    const [, startedAt, lastDigit] = gatewayId.split('-');
+    const elapsedSeconds = (Date.now() - Number(startedAt)) / 1000;
+
+    if (lastDigit === '2' || elapsedSeconds < simulatorConfig.approvalDelaySeconds) {
+      return { status: 'pending' };
+    }
+    if (lastDigit === '1') {
+      return { status: 'failed', reason: 'Insufficient balance' };
+    }
+    return { status: 'successful', transactionId: `SIMTX${startedAt}` };
+  },
+
+  callbackReference: (req) => req.query.reference || req.body.reference
+};
+
+export const mobileMoneyProviders = {
+  mtn: mtnProvider,
+  orange: orangeProvider,
+  simulator: simulatorProvider
+};
+
+// @desc    Normalise a client's number to +231XXXXXXXXX (null when it is not a Liberian number)
+export const normalizeMsisdn = (phone) => SMSService.formatLiberianNumber(String(phone || ''));
+
+// @desc    Provider for a number: the configured one, or the client's choice / number prefix under 'auto'
+export const resolveProvider = (msisdn, requested) => {
+  if (mobileMoneyConfig.provider !== 'auto') return mobileMoneyConfig.provider;
+  if (requested) return mobileMoneyProviders[requested] ? requested : null;
+
+  const prefix = msisdn.slice(4, 6);
+  return Object.keys(networkPrefixes).find(provider => networkPrefixes[provider].includes(prefix)) || null;
+};
+
+// @desc    Check a callback's HMAC-SHA256 signature (hex, over the raw body) against the provider secret
+export const verifyCallbackSignature = (provider, rawBody, signature) => {
+  const secret = mobileMoneyProviders[provider]?.callbackSecret;
+  if (!secret || !signature || !rawBody) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const given = String(signature).replace(/^sha256=/, '');
+  return given.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+};
+
+// @desc    Send a request-to-pay for (part of) a payment to the client's handset
+export const requestMobileMoneyPayment = async (payment, { msisdn, provider, amount }) => {
+  const reference = await mobileMoneyProviders[provider].requestToPay({
+    msisdn,
+    amount,
+    currency: payment.currency,
+    externalId: payment.invoiceNumber,
+    message: `LiberiaClear invoice ${payment.invoiceNumber}`
+  });
+
+  const initiatedAt = new Date();
+  return startTransaction(payment, {
+    amount,
+    method: 'mobile_money',
+    gatewayId: reference.gatewayId,
+    details: {
+      provider,
+      msisdn,
+      initiatedAt,
+      expiresAt: new Date(initiatedAt.getTime() + mobileMoneyConfig.timeoutMinutes * 60 * 1000)
+    }
+  });
+};
+
+// @desc    Bring a processing request up to date with its provider, failing it once timed out.
+//          Completion applies the money to the payment and sends the receipt and PAYMENT_RECEIVED SMS.
+//          Returns the transaction as it now stands.
+export const refreshMobileMoneyTransaction = async (transaction) => {
+  if (transaction.method !== 'mobile_money' || transaction.status !== 'processing') return transaction;
+
+  const provider = mobileMoneyProviders[transaction.details?.provider];
+  const expired = new Date() > new Date(transaction.details?.expiresAt);
+
+  let result = { status: 'pending' };
+  try {
+    result = await provider.getStatus(transaction.gatewayId);
+  } catch (error) {
+    console.log(`Mobile money status check for ${transaction.gatewayId} failed:`, error.message);
+  }
+
+  let settled = null;
+  if (result.status === 'successful') {
+    settled = await completeTransaction(transaction, { details: { transactionId: result.transactionId } });
+  } else if (result.status === 'failed') {
+    settled = await failTransaction(transaction, result.reason || 'Declined by the subscriber');
+  } else if (expired) {
+    settled = await failTransaction(transaction, 'Not approved on the handset in time');
+  }
+
+  return settled?.transaction || PaymentTransaction.findById(transaction._id);
+};
+
+// @desc    Handle a verified provider callback: the provider is re-queried rather than trusting the body
+export const handleMobileMoneyCallback = async (provider, req) => {
+  const gatewayId = mobileMoneyProviders[provider].callbackReference(req);
+  if (!gatewayId) return null;
+
+  const transaction = await PaymentTransaction.findOne({ gatewayId, method: 'mobile_money' });
+  if (!transaction) return null;
+
+  return refreshMobileMoneyTransaction(transaction);
+};
+
+// @desc    Poll every outstanding request (callbacks can be lost) and time out the abandoned ones
+export const refreshPendingMobileMoneyPayments = async () => {
+  const pending = await PaymentTransaction.find({ method: 'mobile_money', status: 'processing' });
+
+  let settled = 0;
+  for (const transaction of pending) {
+    const refreshed = await refreshMobileMoneyTransaction(transaction);
+    if (refreshed && refreshed.status !== 'processing') settled++;
+  }
+  return settled;
+};
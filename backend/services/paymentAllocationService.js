@@ -0,0 +1,287 @@
+import Payment from '../models/Payment.js';
+import PaymentTransaction from '../models/PaymentTransaction.js';
+import Invoice from '../models/Invoice.js';
+import { nextSequenceNumber } from './sequenceService.js';
+import { sendPaymentReceipt } from './invoiceService.js';
+import { sendPaymentSMS } from './smsNotificationService.js';
+import { getExchangeRate } from './currencyService.js';
+import { BASE_CURRENCY } from '../config/currencies.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Payments that still accept money
+const PAYABLE_STATUSES = ['pending', 'processing', 'partially_paid', 'failed'];
+
+// @desc    Amount to charge when the client does not name one: what is left on the next installment, else the balance
+export const defaultPayableAmount = (payment) => {
+  const next = payment.installments.find(installment => installment.status !== 'paid');
+  return next ? round(next.amount - next.amountPaid) : payment.amountOutstanding;
+};
+
+// @desc    Reasons an amount cannot be paid towards a payment (empty when it can)
+export const checkPayableAmount = (payment, amount) => {
+  if (!PAYABLE_STATUSES.includes(payment.status)) {
+    return [`Payment ${payment.invoiceNumber} is ${payment.status}`];
+  }
+  if (!(amount > 0)) {
+    return ['Amount must be greater than zero'];
+  }
+  if (round(amount) > payment.amountOutstanding) {
+    return [`Amount exceeds the outstanding balance of ${payment.amountOutstanding.toFixed(2)} ${payment.currency}`];
+  }
+  return [];
+};
+
+// @desc    Spread the amount paid over the installments, earliest due date first
+export const allocateInstallments = (payment, paidAt = new Date()) => {
+  let remaining = payment.amountPaid || 0;
+
+  [...payment.installments]
+    .sort((a, b) => a.dueDate - b.dueDate)
+    .forEach(installment => {
+      const applied = round(Math.min(remaining, installment.amount));
+      remaining = round(remaining - applied);
+
+      installment.amountPaid = applied;
+      if (applied >= installment.amount) {
+        installment.status = 'paid';
+        installment.paidAt = installment.paidAt || paidAt;
+      } else {
+        installment.status = applied > 0 ? 'partially_paid' : 'pending';
+        installment.paidAt = undefined;
+      }
+    });
+};
+
+// @desc    Reasons an installment plan cannot be set (empty when it can). Installments must cover the whole amount.
+export const checkInstallmentPlan = (payment, installments) => {
+  if (['completed', 'refunded', 'cancelled'].includes(payment.status)) {
+    return [`Payment ${payment.invoiceNumber} is ${payment.status}`];
+  }
+
+  const problems = [];
+  installments.forEach((installment, index) => {
+    if (!(Number(installment.amount) > 0)) {
+      problems.push(`Installment ${index + 1}: amount must be greater than zero`);
+    }
+    if (!installment.dueDate || isNaN(new Date(installment.dueDate))) {
+      problems.push(`Installment ${index + 1}: a valid due date is required`);
+    }
+  });
+
+  const total = round(installments.reduce((sum, installment) => sum + (Number(installment.amount) || 0), 0));
+  if (installments.length > 0 && total !== round(payment.amount)) {
+    problems.push(`Installments total ${total.toFixed(2)} but the invoice is ${payment.amount.toFixed(2)} ${payment.currency}`);
+  }
+
+  return problems;
+};
+
+// @desc    Replace a payment's installment plan (an empty list removes it) and re-allocate what has been paid
+export const setInstallmentPlan = async (payment, installments) => {
+  payment.installments = installments
+    .map(({ label, dueDate, amount }) => ({ label, dueDate: new Date(dueDate), amount: round(Number(amount)) }))
+    .sort((a, b) => a.dueDate - b.dueDate);
+
+  if (payment.installments.length > 0) {
+    payment.dueDate = payment.installments[payment.installments.length - 1].dueDate;
+  }
+  allocateInstallments(payment);
+  await payment.save();
+
+  await Invoice.findOneAndUpdate({ payment: payment._id }, { dueDate: payment.dueDate });
+  return payment;
+};
+
+// @desc    Re-derive a payment's amount paid, installments and status from its transactions, and mirror them on the invoice
+export const recalculatePayment = async (paymentId) => {
+  const payment = await Payment.findById(paymentId);
+  const transactions = await PaymentTransaction.find({ payment: paymentId }).sort({ createdAt: 1 });
+
+  const completed = transactions.filter(transaction => transaction.status === 'completed');
+  const latest = transactions[transactions.length - 1];
+  const lastPaidAt = completed.reduce((last, transaction) =>
+    (!last || transaction.paidAt > last ? transaction.paidAt : last), null);
+
+  payment.amountPaid = round(completed.reduce((sum, transaction) => sum + transaction.amount, 0));
+  allocateInstallments(payment, lastPaidAt || new Date());
+  if (latest) payment.paymentMethod = latest.method;
+
+  // Refunds and cancellations are decided by staff, not by the money received
+  if (!['refunded', 'cancelled'].includes(payment.status)) {
+    if (payment.amountPaid >= round(payment.amount)) {
+      payment.status = 'completed';
+      payment.paidAt = payment.paidAt || lastPaidAt;
+    } else if (payment.amountPaid > 0) {
+      payment.status = 'partially_paid';
+    } else if (transactions.some(transaction => transaction.status === 'processing')) {
+      payment.status = 'processing';
+    } else {
+      payment.status = latest?.status === 'failed' ? 'failed' : 'pending';
+    }
+  }
+  await payment.save();
+
+  const invoiceUpdate = { amountPaid: payment.amountPaid };
+  if (payment.status === 'completed') {
+    invoiceUpdate.status = 'paid';
+    invoiceUpdate.paidAt = payment.paidAt;
+  } else if (payment.status === 'partially_paid') {
+    invoiceUpdate.status = 'partially_paid';
+  }
+  await Invoice.findOneAndUpdate({ payment: payment._id }, invoiceUpdate);
+
+  return payment;
+};
+
+// @desc    Open a transaction for money that has been requested (or reported) but not yet confirmed
+export const startTransaction = async (payment, { amount, tendered, method, gatewayId, details, proof, review, recordedBy, notes }) => {
+  const transaction = await PaymentTransaction.create({
+    payment: payment._id,
+    client: payment.client._id || payment.client,
+    amount: round(amount),
+    currency: payment.currency,
+    tendered,
+    method,
+    gatewayId,
+    details,
+    proof,
+    review,
+    recordedBy,
+    notes
+  });
+
+  await recalculatePayment(payment._id);
+  return transaction;
+};
+
+const notifyPaymentReceived = async (payment, transaction) => {
+  try {
+    await sendPaymentReceipt(payment, transaction);
+  } catch (emailError) {
+    console.log('Payment receipt email failed:', emailError);
+  }
+
+  if (process.env.SMS_ENABLED === 'true') {
+    try {
+      await sendPaymentSMS(payment._id, 'received', { amount: transaction.amount });
+    } catch (smsError) {
+      console.log('Payment SMS notification failed:', smsError);
+    }
+  }
+};
+
+// Value of received money in the base currency at the day's rate, falling back to the rate
+// the invoice was issued at when none has been published
+const baseValuation = async (transaction, payment) => {
+  if (transaction.currency === BASE_CURRENCY) {
+    return { baseAmount: transaction.amount };
+  }
+
+  const current = await getExchangeRate(BASE_CURRENCY, transaction.currency, transaction.paidAt);
+  const exchangeRate = current
+    ? { from: current.from, to: current.to, rate: current.rate, date: current.date }
+    : payment.toObject().exchangeRate;
+  if (!exchangeRate?.rate) return {};
+
+  const rate = exchangeRate.from === BASE_CURRENCY ? exchangeRate.rate : 1 / exchangeRate.rate;
+  return { baseAmount: round(transaction.amount / rate), exchangeRate };
+};
+
+// @desc    Mark a transaction received (once, however many callbacks race for it), issue its receipt
+//          number, apply it to the payment and (unless told not to) notify the client. Money beyond the
+//          balance (charges in flight on other methods are not reserved) is flagged on the transaction and
+//          payment for staff to refund or credit. Returns null if it was already settled.
+export const completeTransaction = async (transaction, { details, paidAt, notify = true } = {}) => {
+  const completed = await PaymentTransaction.findOneAndUpdate(
+    { _id: transaction._id, status: 'processing' },
+    {
+      $set: {
+        status: 'completed',
+        paidAt: paidAt || new Date(),
+        details: details ? { ...transaction.details, ...details } : transaction.details
+      }
+    },
+    { new: true }
+  );
+  if (!completed) return null;
+
+  completed.receiptNumber = await nextSequenceNumber('receipt', {
+    model: PaymentTransaction,
+    field: 'receiptNumber'
+  });
+  completed.set(await baseValuation(completed, await Payment.findById(completed.payment)));
+  await completed.save();
+
+  const payment = await recalculatePayment(completed.payment);
+  if (payment.amountOverpaid > 0) {
+    completed.overpayment = Math.min(completed.amount, payment.amountOverpaid);
+    await completed.save();
+    console.warn(`⚠️ ${completed.receiptNumber}: ${completed.overpayment} ${completed.currency} received beyond the balance of ${payment.invoiceNumber}; refund or credit it`);
+  }
+  if (notify) await notifyPaymentReceived(payment, completed);
+
+  console.log(`✅ ${completed.receiptNumber}: ${completed.amount} ${completed.currency} received on ${payment.invoiceNumber}`);
+  return { transaction: completed, payment };
+};
+
+// @desc    Mark a transaction failed (once). Returns null if it was already settled.
+export const failTransaction = async (transaction, reason, details) => {
+  const failed = await PaymentTransaction.findOneAndUpdate(
+    { _id: transaction._id, status: 'processing' },
+    {
+      $set: {
+        status: 'failed',
+        failureReason: reason,
+        details: details ? { ...transaction.details, ...details } : transaction.details
+      }
+    },
+    { new: true }
+  );
+  if (!failed) return null;
+
+  const payment = await recalculatePayment(failed.payment);
+
+  console.log(`❌ ${failed.method} transaction for ${payment.invoiceNumber} failed: ${reason}`);
+  return { transaction: failed, payment };
+};
+
+// @desc    Record money already received (e.g. a bank transfer or cash) against a payment.
+//          `amount` is in the payment's currency; `tendered` records what was handed over in another one.
+export const recordTransaction = async (payment, { amount, tendered, method, gatewayId, details, proof, review, paidAt, recordedBy, notes, notify }) => {
+  const transaction = await PaymentTransaction.create({
+    payment: payment._id,
+    client: payment.client._id || payment.client,
+    amount: round(amount),
+    currency: payment.currency,
+    tendered,
+    method,
+    gatewayId,
+    details,
+    proof,
+    review,
+    recordedBy,
+    notes
+  });
+
+  return completeTransaction(transaction, { paidAt, notify });
+};
+
+// @desc    Transaction for a gateway reference. Charges started before payments were split into
+//          transactions are carried on the payment itself and get a transaction for the balance.
+export const findGatewayTransaction = async (gatewayId) => {
+  const transaction = await PaymentTransaction.findOne({ gatewayId });
+  if (transaction) return transaction;
+
+  const payment = await Payment.findOne({ paymentGatewayId: gatewayId, status: 'processing' });
+  if (!payment) return null;
+
+  return PaymentTransaction.create({
+    payment: payment._id,
+    client: payment.client,
+    amount: payment.amountOutstanding,
+    currency: payment.currency,
+    method: payment.paymentMethod,
+    gatewayId
+  });
+};
@@ -0,0 +1,23 @@
+import cron from 'node-cron';
+import { refreshPendingMobileMoneyPayments } from './mobileMoneyService.js';
+
+// @desc    Poll outstanding mobile money requests in case a provider callback never arrives
+export const scheduleMobileMoneyPolling = () => {
+  // Run every minute
+  cron.schedule('* * * * *', async () => {
+    try {
+      const settled = await refreshPendingMobileMoneyPayments();
+      if (settled > 0) {
+        console.log(`✅ Mobile money requests settled by polling: ${settled}`);
+      }
+    } catch (error) {
+      console.error('Error in mobile money polling scheduler:', error);
+    }
+  });
+};
+
+// @desc    Initialize all payment schedulers
+export const initializePaymentSchedulers = () => {
+  scheduleMobileMoneyPolling();
+  console.log('✅ Payment schedulers initialized');
+};
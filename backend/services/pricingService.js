@@ -0,0 +1,285 @@
+import RateCard from '../models/RateCard.js';
+import { volumetricDivisors, containerTypes } from '../config/freight.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// FCL sea freight rates for cards that have none
+const DEFAULT_CONTAINER_RATES = [
+  { containerType: '20GP', rate: 2800 },
+  { containerType: '40GP', rate: 4200 },
+  { containerType: '40HC', rate: 4500 },
+  { containerType: '20RF', rate: 5200 },
+  { containerType: '40RF', rate: 7800 }
+];
+
+// Starting card used to bootstrap an empty database
+const DEFAULT_RATE_CARD = {
+  name: 'Standard',
+  notes: 'Initial rate card created automatically',
+  lines: [
+    {
+      serviceType: 'clearing',
+      pricingBasis: 'weight_plus_volume',
+      baseCharge: 500,
+      weightBreaks: [{ from: 0, rate: 2.5 }],
+      volumeBreaks: [{ from: 0, rate: 150 }]
+    },
+    {
+      serviceType: 'sea_freight',
+      pricingBasis: 'revenue_ton',
+      baseCharge: 350,
+      volumeBreaks: [{ from: 0, rate: 95 }, { from: 5, rate: 85 }, { from: 15, rate: 75 }],
+      containerRates: DEFAULT_CONTAINER_RATES,
+      minimumCharge: 450
+    },
+    {
+      serviceType: 'air_freight',
+      pricingBasis: 'chargeable_weight',
+      baseCharge: 150,
+      weightBreaks: [{ from: 0, rate: 4.5 }, { from: 100, rate: 4 }, { from: 500, rate: 3.5 }, { from: 1000, rate: 3 }],
+      minimumCharge: 250
+    },
+    {
+      serviceType: 'full_logistics',
+      pricingBasis: 'weight_plus_volume',
+      baseCharge: 1500,
+      weightBreaks: [{ from: 0, rate: 2.5 }],
+      volumeBreaks: [{ from: 0, rate: 150 }]
+    }
+  ],
+  cargoMultipliers: [
+    { cargoType: 'general', multiplier: 1 },
+    { cargoType: 'construction', multiplier: 1.2 },
+    { cargoType: 'vehicles', multiplier: 1.5 },
+    { cargoType: 'perishable', multiplier: 1.8 },
+    { cargoType: 'hazardous', multiplier: 2.2 }
+  ]
+};
+
+// Lines saved before pricing bases existed fall back to the natural basis for their mode
+const DEFAULT_PRICING_BASIS = {
+  air_freight: 'chargeable_weight',
+  sea_freight: 'revenue_ton'
+};
+
+// @desc    Get the rate card in force at a given date
+export const getActiveRateCard = async (date = new Date()) => {
+  const rateCard = await RateCard.findOne({
+    status: 'active',
+    effectiveFrom: { $lte: date },
+    $or: [
+      { effectiveTo: null },
+      { effectiveTo: { $gt: date } }
+    ]
+  }).sort({ effectiveFrom: -1, version: -1 });
+
+  return rateCard;
+};
+
+// @desc    Create the default card on a fresh install so quoting works out of the box. The upsert is keyed
+//          on its name and first version, so instances starting together cannot seed it twice. Returns
+//          whether it was created.
+export const seedDefaultRateCard = async () => {
+  if (await RateCard.exists({})) return false;
+
+  const result = await RateCard.updateOne(
+    { name: DEFAULT_RATE_CARD.name, version: 1 },
+    { $setOnInsert: { ...DEFAULT_RATE_CARD, status: 'active', effectiveFrom: new Date(0) } },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0;
+};
+
+// @desc    Give sea freight lines on live and draft cards created before FCL pricing the default container
+//          rates, so FCL quotes work on them. Retired cards are left as they were. Returns the cards updated.
+export const seedDefaultContainerRates = async () => {
+  const missing = { serviceType: 'sea_freight', containerRates: { $in: [null, []] } };
+
+  const result = await RateCard.updateMany(
+    { status: { $in: ['active', 'draft'] }, lines: { $elemMatch: missing } },
+    { $set: { 'lines.$[line].containerRates': DEFAULT_CONTAINER_RATES } },
+    { arrayFilters: [{ 'line.serviceType': missing.serviceType, 'line.containerRates': missing.containerRates }] }
+  );
+  return result.modifiedCount;
+};
+
+// @desc    Activate a rate card, closing the validity of the card it supersedes
+export const activateRateCard = async (rateCard, effectiveFrom = new Date(), userId = null) => {
+  await RateCard.updateMany(
+    {
+      _id: { $ne: rateCard._id },
+      status: 'active',
+      effectiveFrom: { $lt: effectiveFrom },
+      $or: [
+        { effectiveTo: null },
+        { effectiveTo: { $gt: effectiveFrom } }
+      ]
+    },
+    { effectiveTo: effectiveFrom }
+  );
+
+  // Cards whose validity has already ended are retired
+  await RateCard.updateMany(
+    { status: 'active', effectiveTo: { $lte: new Date() } },
+    { status: 'retired' }
+  );
+
+  rateCard.status = 'active';
+  rateCard.effectiveFrom = effectiveFrom;
+  rateCard.effectiveTo = undefined;
+  rateCard.activatedBy = userId;
+  return rateCard.save();
+};
+
+// Most specific line for the service/origin/cargo combination
+const findRateLine = (rateCard, serviceType, originRegion, cargoType) => {
+  const candidates = rateCard.lines.filter(line =>
+    line.serviceType === serviceType &&
+    (line.originRegion === 'any' || line.originRegion === originRegion) &&
+    (line.cargoType === 'any' || line.cargoType === cargoType)
+  );
+
+  const specificity = (line) =>
+    (line.originRegion !== 'any' ? 2 : 0) + (line.cargoType !== 'any' ? 1 : 0);
+
+  return candidates.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+};
+
+// Rate of the highest break reached by the quantity
+const rateForQuantity = (breaks, quantity) => {
+  const applicable = [...breaks]
+    .sort((a, b) => a.from - b.from)
+    .filter(tier => quantity >= tier.from);
+
+  return applicable.length > 0 ? applicable[applicable.length - 1].rate : 0;
+};
+
+// @desc    Chargeable weight in kg: the greater of actual and volumetric weight
+export const calculateChargeableWeight = (weight, volume, divisor) => {
+  // volume is in m³; divisor is cm³ per kg
+  const volumetricWeight = (volume * 1000000) / divisor;
+
+  return {
+    actualWeight: round(weight),
+    volumetricWeight: round(volumetricWeight),
+    chargeableWeight: round(Math.max(weight, volumetricWeight))
+  };
+};
+
+// Reasons an FCL booking cannot be priced on a line (empty when it can)
+const checkContainers = (line, { cargoType, containerType }) => {
+  const container = containerTypes[containerType];
+
+  if (!container) {
+    return [`Unknown container type ${containerType}`];
+  }
+
+  const problems = [];
+  if (cargoType === 'perishable' && !container.reefer) {
+    problems.push('Perishable cargo must be shipped in a reefer container (20RF or 40RF)');
+  }
+  if (!(line.containerRates || []).some(entry => entry.containerType === containerType)) {
+    problems.push(`No FCL rate for ${containerType} containers on this route`);
+  }
+  return problems;
+};
+
+// @desc    Reasons a cargo cannot be priced against a rate card (empty when it can)
+export const checkPricingRequest = (rateCard, { serviceType, origin, cargoType, loadType, containerType }) => {
+  const line = findRateLine(rateCard, serviceType, origin, cargoType);
+
+  if (!line) {
+    return [`Rate card ${rateCard.name} v${rateCard.version} has no rate for ${serviceType} from ${origin}`];
+  }
+  if (serviceType === 'sea_freight' && loadType === 'FCL') {
+    return checkContainers(line, { cargoType, containerType });
+  }
+  return [];
+};
+
+// Freight for a full-container-load booking
+const priceContainers = (line, { cargoType, containerType, containers }) => {
+  const problems = checkContainers(line, { cargoType, containerType });
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+
+  const containerRate = line.containerRates.find(entry => entry.containerType === containerType);
+  const count = Math.max(parseInt(containers) || 1, 1);
+
+  return {
+    loadType: 'FCL',
+    containerType,
+    containers: count,
+    containerRate: containerRate.rate,
+    containerCharge: containerRate.rate * count
+  };
+};
+
+// @desc    Price freight and service charges for a cargo against a rate card (check it with checkPricingRequest first)
+export const priceWithRateCard = (rateCard, {
+  serviceType,
+  origin,
+  cargoType,
+  weight = 0,
+  volume = 0,
+  loadType,
+  containerType,
+  containers
+}) => {
+  const line = findRateLine(rateCard, serviceType, origin, cargoType);
+
+  if (!line) {
+    throw new Error(`Rate card ${rateCard.name} v${rateCard.version} has no rate for ${serviceType} from ${origin}`);
+  }
+
+  const pricingBasis = line.pricingBasis || DEFAULT_PRICING_BASIS[serviceType] || 'weight_plus_volume';
+  const divisor = line.volumetricDivisor || volumetricDivisors[serviceType] || volumetricDivisors.air_freight;
+
+  let weightCharge = 0;
+  let volumeCharge = 0;
+  let containerCharge = 0;
+  let measurement = {};
+
+  if (serviceType === 'sea_freight' && loadType === 'FCL') {
+    measurement = priceContainers(line, { cargoType, containerType, containers });
+    containerCharge = measurement.containerCharge;
+  } else if (pricingBasis === 'chargeable_weight') {
+    measurement = calculateChargeableWeight(weight, volume, divisor);
+    weightCharge = measurement.chargeableWeight * rateForQuantity(line.weightBreaks, measurement.chargeableWeight);
+  } else if (pricingBasis === 'revenue_ton') {
+    // W/M: one revenue ton is a tonne or a cubic metre, whichever is greater
+    const { chargeableWeight } = calculateChargeableWeight(weight, volume, divisor);
+    const revenueTons = round(chargeableWeight / 1000);
+    measurement = { loadType: 'LCL', revenueTons };
+    volumeCharge = revenueTons * rateForQuantity(line.volumeBreaks, revenueTons);
+  } else {
+    weightCharge = weight * rateForQuantity(line.weightBreaks, weight);
+    volumeCharge = volume * rateForQuantity(line.volumeBreaks, volume);
+  }
+
+  // A line written for a specific cargo type already reflects its handling cost
+  const cargoMultiplier = line.cargoType === 'any'
+    ? (rateCard.cargoMultipliers.find(entry => entry.cargoType === cargoType)?.multiplier ?? 1)
+    : 1;
+
+  const calculated = (line.baseCharge + weightCharge + volumeCharge + containerCharge) * cargoMultiplier;
+  const freight = Math.max(calculated, line.minimumCharge);
+
+  return {
+    rateCard: {
+      id: rateCard._id,
+      name: rateCard.name,
+      version: rateCard.version
+    },
+    pricingBasis: containerCharge > 0 ? 'container' : pricingBasis,
+    measurement,
+    baseCharge: round(line.baseCharge),
+    weightCharge: round(weightCharge),
+    volumeCharge: round(volumeCharge),
+    containerCharge: round(containerCharge),
+    cargoMultiplier,
+    minimumChargeApplied: calculated < line.minimumCharge,
+    freight: round(freight)
+  };
+};
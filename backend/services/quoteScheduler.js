@@ -0,0 +1,21 @@
+import cron from 'node-cron';
+import { expireLapsedQuotes } from './quoteService.js';
+
+// @desc    Schedule nightly expiry of sent quotes past their validity date
+export const scheduleQuoteExpiry = () => {
+  // Run every day at 1:00 AM
+  cron.schedule('0 1 * * *', async () => {
+    try {
+      const expiredCount = await expireLapsedQuotes();
+      console.log(`✅ Quotes expired: ${expiredCount}`);
+    } catch (error) {
+      console.error('Error in quote expiry scheduler:', error);
+    }
+  });
+};
+
+// @desc    Initialize all quote schedulers
+export const initializeQuoteSchedulers = () => {
+  scheduleQuoteExpiry();
+  console.log('✅ Quote schedulers initialized');
+};
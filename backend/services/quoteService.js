@@ -0,0 +1,357 @@
+import Quote, { UNTAXED_CATEGORIES } from '../models/Quote.js';
+import Shipment from '../models/Shipment.js';
+import User from '../models/User.js';
+import Payment from '../models/Payment.js';
+import Invoice from '../models/Invoice.js';
+import RateCard from '../models/RateCard.js';
+import { dutiesToInvoiceItems } from './dutyService.js';
+import { issueInvoice, calculateInvoiceTotals } from './invoiceService.js';
+import { roundMoney } from '../utils/currency.js';
+import { sendQuoteReadySMS } from './smsNotificationService.js';
+import { sendEmail, emailTemplates } from '../utils/emailService.js';
+import { createPDF, resolvePublicPath, drawLetterhead, drawTable } from '../utils/pdfService.js';
+
+// Days a quote stays open after it is sent, unless the admin sets validUntil
+const DEFAULT_VALIDITY_DAYS = 30;
+
+// Printed on every quotation PDF
+const QUOTE_TERMS = [
+  'Prices are quoted in the currency shown and are valid until the date stated above.',
+  'Customs duties and taxes are estimates based on the declared value and HS classification; final amounts are assessed by the Liberia Revenue Authority.',
+  'Storage, demurrage and detention charged by the port or shipping line are not included unless listed.',
+  'Accepting this quotation opens a shipment and issues an invoice for the amounts shown.',
+  'All services are subject to our standard trading conditions.'
+];
+
+const BREAKDOWN_LABELS = [
+  ['freight', 'Freight'],
+  ['customs', 'Customs duties & taxes'],
+  ['handling', 'Handling'],
+  ['insurance', 'Insurance'],
+  ['other', 'Other charges']
+];
+
+// Statuses in which admins may still change pricing
+export const EDITABLE_STATUSES = ['calculated', 'requested', 'draft', 'sent', 'expired'];
+
+// @desc    Seed editable line items from an instant quote's calculated figures
+export const buildInitialLineItems = (quote) => {
+  const lineItems = [];
+
+  if (quote.breakdown?.freight) {
+    lineItems.push({
+      category: 'freight',
+      description: quote.freightPricing?.pricingBasis === 'container'
+        ? `Ocean freight - ${quote.cargoDetails.containers} x ${quote.cargoDetails.containerType}`
+        : `Freight and service charges (${quote.serviceType})`,
+      quantity: 1,
+      unitPrice: quote.breakdown.freight
+    });
+  }
+
+  if (quote.customsDuties?.totals) {
+    dutiesToInvoiceItems(quote.customsDuties).forEach(item => {
+      lineItems.push({
+        category: 'customs',
+        description: item.description,
+        quantity: 1,
+        unitPrice: item.unitPrice
+      });
+    });
+  }
+
+  if (quote.breakdown?.insurance) {
+    lineItems.push({
+      category: 'insurance',
+      description: `Cargo insurance - sum insured ${quote.insurance.insuredValue.toFixed(2)}`,
+      quantity: 1,
+      unitPrice: quote.breakdown.insurance
+    });
+  }
+
+  return lineItems;
+};
+
+// @desc    Keep a copy of the current pricing before it is changed
+export const snapshotRevision = (quote, userId, reason) => {
+  quote.revisions.push({
+    revision: quote.revision,
+    amount: quote.amount,
+    breakdown: quote.breakdown,
+    lineItems: quote.lineItems.map(item => item.toObject()),
+    validUntil: quote.validUntil,
+    notes: quote.notes,
+    reason,
+    revisedBy: userId
+  });
+  quote.revision += 1;
+};
+
+// @desc    Mark a sent quote as expired once its validity has passed
+export const expireQuoteIfLapsed = async (quote) => {
+  if (quote.isExpired) {
+    quote.status = 'expired';
+    await quote.save();
+    return true;
+  }
+  return false;
+};
+
+// @desc    Expire every sent quote past its validity date
+export const expireLapsedQuotes = async () => {
+  const result = await Quote.updateMany(
+    { status: 'sent', validUntil: { $lt: new Date() } },
+    { status: 'expired' }
+  );
+  return result.modifiedCount;
+};
+
+// Emails typed on quote requests are matched regardless of case
+const EMAIL_COLLATION = { locale: 'en', strength: 2 };
+
+// @desc    Link the quotes requested with a client's (verified) email to their account. Returns the number linked.
+export const linkQuotesToClient = async (user) => {
+  const result = await Quote.updateMany(
+    { client: null, 'clientInfo.email': user.email },
+    { $set: { client: user._id } },
+    { collation: EMAIL_COLLATION }
+  );
+  return result.modifiedCount;
+};
+
+// @desc    Send (or re-send) a quote to the client by email and SMS
+export const sendQuoteToClient = async (quote) => {
+  // A request from someone who already has a verified account is issued to that account
+  if (!quote.client && quote.clientInfo?.email) {
+    const account = await User.findOne({ email: quote.clientInfo.email, isVerified: true })
+      .collation(EMAIL_COLLATION);
+    if (account) quote.client = account;
+  }
+
+  if (!quote.validUntil || quote.validUntil < new Date()) {
+    quote.validUntil = new Date(Date.now() + DEFAULT_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  quote.status = 'sent';
+  quote.sentAt = new Date();
+  // Line amounts and totals are worked out on validation; render the PDF from them
+  await quote.validate();
+  quote.pdfUrl = await generateQuotePDF(quote);
+  await quote.save();
+
+  const recipient = quote.client || quote.clientInfo;
+
+  if (recipient?.email) {
+    try {
+      await sendEmail({
+        to: recipient.email,
+        ...emailTemplates.quoteResponse(quote, recipient),
+        attachments: [{
+          filename: `quotation-${quote.quoteNumber || quote._id}.pdf`,
+          path: resolvePublicPath(quote.pdfUrl)
+        }]
+      });
+    } catch (emailError) {
+      console.log('Quote notification email failed:', emailError);
+    }
+  }
+
+  if (process.env.SMS_ENABLED === 'true') {
+    try {
+      await sendQuoteReadySMS(quote._id);
+    } catch (smsError) {
+      console.log('Quote SMS notification failed:', smsError);
+    }
+  }
+
+  return quote;
+};
+
+// @desc    Render the quotation PDF for the quote's current revision
+export const generateQuotePDF = async (quote) => {
+  const filename = `quote-${quote._id}-r${quote.revision}.pdf`;
+  const rateCard = quote.rateCard ? await RateCard.findById(quote.rateCard).select('name version') : null;
+  const recipient = quote.client?.companyName ? quote.client : quote.clientInfo;
+  const money = (value) => `${quote.currency} ${(value || 0).toFixed(2)}`;
+
+  const { url } = await createPDF('quotes', filename, (doc) => {
+    drawLetterhead(doc, 'QUOTATION');
+
+    doc.fontSize(10).fillColor('#666');
+    doc.text(`Quote #: ${quote.quoteNumber || quote._id}`, 300, 72, { width: 250, align: 'right' });
+    doc.text(`Revision: ${quote.revision}`, 300, 84, { width: 250, align: 'right' });
+    doc.text(`Issue Date: ${new Date(quote.sentAt || Date.now()).toLocaleDateString()}`, 300, 96, { width: 250, align: 'right' });
+    doc.text(`Valid Until: ${quote.validUntil ? new Date(quote.validUntil).toLocaleDateString() : 'N/A'}`, 300, 108, { width: 250, align: 'right' });
+
+    // Client info
+    doc.fontSize(12).fillColor('#000').text('Prepared For:', 50, 130);
+    doc.fontSize(10).fillColor('#666').text(recipient?.companyName || 'N/A', 50, 145);
+    doc.text(recipient?.email || '', 50, 157);
+    doc.text(recipient?.phone || '', 50, 169);
+
+    // Shipment summary
+    const cargo = quote.cargoDetails || {};
+    doc.fontSize(12).fillColor('#000').text('Shipment:', 300, 130);
+    doc.fontSize(10).fillColor('#666');
+    doc.text(`Service: ${quote.serviceType || 'N/A'}`, 300, 145);
+    doc.text(`Origin: ${quote.origin || 'N/A'} to Liberia`, 300, 157);
+    doc.text(`Cargo: ${quote.cargoType || 'N/A'}`, 300, 169);
+    doc.text(cargo.loadType === 'FCL'
+      ? `Load: FCL ${cargo.containers} x ${cargo.containerType}`
+      : `Weight: ${cargo.weight || 0} kg | Volume: ${cargo.volume || 0} m³`, 300, 181);
+
+    // Line items
+    const columns = [
+      { key: 'category', label: 'Category', x: 55, width: 70 },
+      { key: 'description', label: 'Description', x: 130, width: 220 },
+      { key: 'quantity', label: 'Qty', x: 355, width: 35 },
+      { key: 'unitPrice', label: 'Unit Price', x: 395, width: 70 },
+      { key: 'amount', label: 'Amount', x: 470, width: 75 }
+    ];
+
+    const rows = quote.lineItems.map(item => ({
+      category: item.category,
+      description: item.description,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice.toFixed(2),
+      amount: item.amount.toFixed(2)
+    }));
+
+    let yPosition = drawTable(doc, 210, columns, rows);
+
+    // Breakdown and total
+    yPosition += 10;
+    doc.fontSize(10).fillColor('#000');
+    BREAKDOWN_LABELS.forEach(([key, label]) => {
+      if (quote.breakdown?.[key]) {
+        doc.text(`${label}: ${money(quote.breakdown[key])}`, 300, yPosition, { width: 250, align: 'right' });
+        yPosition += 15;
+      }
+    });
+    if (quote.taxAmount) {
+      doc.text(`Service tax (${quote.taxRate}%): ${money(quote.taxAmount)}`, 300, yPosition, { width: 250, align: 'right' });
+      yPosition += 15;
+    }
+    doc.fontSize(12).fillColor('#0056b3')
+      .text(`Total: ${money(quote.amount)}`, 300, yPosition, { width: 250, align: 'right' });
+
+    if (rateCard) {
+      yPosition += 25;
+      doc.fontSize(8).fillColor('#666')
+        .text(`Freight priced on rate card "${rateCard.name}" version ${rateCard.version}.`, 50, yPosition);
+    }
+
+    if (quote.notes) {
+      yPosition += 25;
+      doc.fontSize(10).fillColor('#000').text('Notes:', 50, yPosition);
+      doc.fontSize(9).fillColor('#666').text(quote.notes, 50, yPosition + 15, { width: 500 });
+      yPosition = doc.y;
+    }
+
+    // Terms
+    if (yPosition > 620) {
+      doc.addPage();
+      yPosition = 50;
+    } else {
+      yPosition += 30;
+    }
+    doc.fontSize(10).fillColor('#000').text('Terms & Conditions', 50, yPosition);
+    doc.fontSize(8).fillColor('#666');
+    doc.text('', 50, yPosition + 15);
+    QUOTE_TERMS.forEach((term, index) => {
+      doc.text(`${index + 1}. ${term}`, { width: 500 });
+    });
+
+    // Footer
+    doc.moveDown(2);
+    doc.text('LiberiaClearLogistics - Your trusted partner in Liberia', { width: 500 });
+  });
+
+  return url;
+};
+
+// @desc    Open a shipment for an accepted quote
+export const createShipmentFromQuote = async (quote) => {
+  if (quote.shipment) {
+    return Shipment.findById(quote.shipment);
+  }
+
+  const shipment = await Shipment.create({
+    client: quote.client,
+    description: quote.cargoDetails?.description || `${quote.cargoType || 'General'} cargo`,
+    origin: {
+      country: quote.origin
+    },
+    destination: {
+      country: 'Liberia',
+      port: 'Freeport of Monrovia'
+    },
+    cargoDetails: {
+      type: quote.cargoType,
+      weight: quote.cargoDetails?.weight,
+      volume: quote.cargoDetails?.volume,
+      value: quote.cargoDetails?.value,
+      loadType: quote.cargoDetails?.loadType,
+      containerType: quote.cargoDetails?.containerType,
+      containers: quote.cargoDetails?.containers
+    },
+    transportMode: quote.serviceType === 'air_freight' ? 'air' : 'sea',
+    quotes: [{
+      amount: quote.amount,
+      currency: quote.currency,
+      breakdown: quote.breakdown,
+      validUntil: quote.validUntil,
+      status: 'accepted'
+    }],
+    timeline: [{
+      status: 'pending',
+      description: `Shipment opened from accepted quote ${quote.quoteNumber || quote._id}`,
+      location: 'LiberiaClearLogistics'
+    }]
+  });
+
+  quote.shipment = shipment._id;
+  return shipment;
+};
+
+// @desc    Raise the payment and invoice for an accepted quote, matching its line items
+//          (returning the ones already raised when acceptance is retried)
+export const invoiceAcceptedQuote = async (quote, client) => {
+  if (quote.payment) {
+    const payment = await Payment.findById(quote.payment);
+    return { payment, invoice: await Invoice.findOne({ payment: quote.payment }) };
+  }
+
+  const items = quote.lineItems.map(item => ({
+    description: item.description,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+    taxable: !UNTAXED_CATEGORIES.includes(item.category),
+    category: item.category
+  }));
+
+  // The invoice must come to exactly what the client signed for
+  const { totalAmount } = calculateInvoiceTotals(
+    items.map(item => ({ ...item, total: roundMoney(item.quantity * item.unitPrice, quote.currency) })),
+    quote.currency
+  );
+  if (totalAmount !== roundMoney(quote.amount, quote.currency)) {
+    throw new Error(`Invoice for quote ${quote.quoteNumber || quote._id} would total ${totalAmount.toFixed(2)}, not the ${quote.amount.toFixed(2)} quoted`);
+  }
+
+  const { payment, invoice } = await issueInvoice({
+    client,
+    shipmentId: quote.shipment,
+    quoteId: quote._id,
+    items,
+    // Duties are already itemised on the quote; do not recompute them
+    customsLines: [],
+    // Invoiced in the currency quoted, so the total is what was signed for
+    currency: quote.currency,
+    priceCurrency: quote.currency,
+    description: `Services as per accepted quote ${quote.quoteNumber || quote._id}`
+  });
+
+  quote.payment = payment._id;
+  return { payment, invoice };
+};
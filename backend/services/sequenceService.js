@@ -0,0 +1,84 @@
+import Counter from '../models/Counter.js';
+import { sequences } from '../config/sequences.js';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    Luhn check digit over the digits of a value
+export const luhnCheckDigit = (value) => {
+  const digits = String(value).replace(/\D/g, '').split('').map(Number).reverse();
+  const sum = digits.reduce((total, digit, index) => {
+    if (index % 2 !== 0) return total + digit;
+    const doubled = digit * 2;
+    return total + (doubled > 9 ? doubled - 9 : doubled);
+  }, 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+// Everything a number shares before its sequence part, e.g. "INV-2026-"
+const numberHead = (config, year) =>
+  config.format.split('{seq}')[0]
+    .replace('{prefix}', config.prefix)
+    .replace('{year}', year);
+
+// @desc    Render a sequence value in its configured format
+export const formatSequenceNumber = (key, year, seq) => {
+  const config = sequences[key];
+  const padded = seq.toString().padStart(config.padding, '0');
+
+  return config.format
+    .replace('{prefix}', config.prefix)
+    .replace('{year}', year)
+    .replace('{seq}', padded)
+    .replace('{check}', luhnCheckDigit(`${year}${padded}`));
+};
+
+// @desc    Whether a number's check digit matches (numbers without one always pass)
+export const hasValidCheckDigit = (key, value) => {
+  const config = sequences[key];
+  if (!config.format.includes('{check}')) return true;
+
+  const pattern = new RegExp('^' + escapeRegExp(config.format)
+    .replace(escapeRegExp('{prefix}'), escapeRegExp(config.prefix))
+    .replace(escapeRegExp('{year}'), '(\\d{4})')
+    .replace(escapeRegExp('{seq}'), '(\\d+)')
+    .replace(escapeRegExp('{check}'), '(\\d)') + '$', 'i');
+  const match = String(value).trim().match(pattern);
+
+  return !match || luhnCheckDigit(`${match[1]}${match[2]}`) === Number(match[3]);
+};
+
+// Highest sequence already used this year, so a new counter carries on from numbers
+// issued before counters existed
+const highestIssued = async (model, field, head) => {
+  const documents = await model
+    .find({ [field]: new RegExp(`^${escapeRegExp(head)}\\d`) })
+    .select(field)
+    .lean();
+
+  return documents.reduce((highest, document) =>
+    Math.max(highest, parseInt(document[field].slice(head.length)) || 0), 0);
+};
+
+// @desc    Issue the next number in a sequence; atomic across concurrent requests
+export const nextSequenceNumber = async (key, { model, field } = {}) => {
+  if (!sequences[key]) {
+    throw new Error(`Unknown sequence ${key}`);
+  }
+
+  const year = new Date().getFullYear();
+  const id = `${key}:${year}`;
+
+  if (model && !(await Counter.exists({ _id: id }))) {
+    const issued = await highestIssued(model, field, numberHead(sequences[key], year));
+    // $max keeps this safe if several requests seed the counter at once
+    await Counter.updateOne({ _id: id }, { $max: { seq: issued } }, { upsert: true });
+  }
+
+  const counter = await Counter.findOneAndUpdate(
+    { _id: id },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return formatSequenceNumber(key, year, counter.seq);
+};
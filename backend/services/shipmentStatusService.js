@@ -0,0 +1,91 @@
+import Payment from '../models/Payment.js';
+import { getOutstandingDocuments } from './documentService.js';
+import { checkDangerousGoodsForBooking } from './dangerousGoodsService.js';
+import { DUTY_COMPONENTS } from './dutyService.js';
+
+// Allowed moves out of each status. Shipments can only be cancelled before the cargo moves.
+export const SHIPMENT_TRANSITIONS = {
+  pending: ['booked', 'cancelled'],
+  booked: ['in_transit', 'cancelled'],
+  in_transit: ['arrived'],
+  arrived: ['customs_clearance'],
+  customs_clearance: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Duty lines invoiced before they were tagged 'customs' are told apart by their labels
+const LEGACY_DUTY_LINE = new RegExp(`^(${DUTY_COMPONENTS.map(([, label]) => label).join('|')})`);
+
+// Invoices for a shipment that still carry unpaid customs duties
+const findUnpaidDutyInvoices = (shipment) =>
+  Payment.find({
+    shipment: shipment._id,
+    status: { $in: ['pending', 'processing', 'partially_paid', 'failed'] },
+    $or: [
+      { 'items.category': 'customs' },
+      { items: { $elemMatch: { category: null, taxable: false, description: LEGACY_DUTY_LINE } } }
+    ]
+  }).select('invoiceNumber');
+
+// Conditions that must hold before a shipment may enter a status
+const preconditions = {
+  booked: checkDangerousGoodsForBooking,
+  customs_clearance: async (shipment) => {
+    const outstanding = getOutstandingDocuments(shipment);
+    return outstanding.length > 0
+      ? [`Required documents are not approved: ${outstanding.map(entry => entry.label).join(', ')}`]
+      : [];
+  },
+  delivered: async (shipment) => {
+    const problems = await preconditions.customs_clearance(shipment);
+    const unpaid = await findUnpaidDutyInvoices(shipment);
+
+    if (unpaid.length > 0) {
+      problems.push(`Customs duties are unpaid on invoice(s): ${unpaid.map(payment => payment.invoiceNumber).join(', ')}`);
+    }
+    return problems;
+  }
+};
+
+// @desc    Reasons a shipment cannot move to a status (empty when the move is allowed)
+export const checkStatusTransition = async (shipment, status) => {
+  if (!SHIPMENT_TRANSITIONS[status]) {
+    return [`Unknown shipment status ${status}`];
+  }
+
+  // Re-stating the current status just adds a timeline note
+  if (status === shipment.status) {
+    return [];
+  }
+
+  const allowed = SHIPMENT_TRANSITIONS[shipment.status] || [];
+  if (!allowed.includes(status)) {
+    return [allowed.length > 0
+      ? `Cannot change status from ${shipment.status} to ${status} (allowed: ${allowed.join(', ')})`
+      : `Shipment is ${shipment.status} and can no longer change status`];
+  }
+
+  return preconditions[status] ? preconditions[status](shipment) : [];
+};
+
+// @desc    Move a shipment to a new status and record who did it; returns the reasons if not allowed
+export const transitionShipmentStatus = async (shipment, { status, description, location, userId }) => {
+  const problems = await checkStatusTransition(shipment, status);
+
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  shipment.status = status;
+  shipment.timeline.push({
+    status,
+    description: description || `Status updated to ${status}`,
+    location: location || 'Freeport of Monrovia',
+    timestamp: new Date(),
+    updatedBy: userId
+  });
+
+  await shipment.save();
+  return [];
+};
@@ -2,6 +2,9 @@ import SMSService, { smsTemplates } from './smsService.js';
 import User from '../models/User.js';
 import Shipment from '../models/Shipment.js';
 import Payment from '../models/Payment.js';
+import Quote from '../models/Quote.js';
+import { getDocumentsToRequest } from './documentService.js';
+import { formatMoney } from '../utils/currency.js';
 
 // @desc    Send shipment status update SMS
 export const sendShipmentUpdateSMS = async (shipmentId, newStatus) => {
@@ -53,8 +56,97 @@ export const sendShipmentUpdateSMS = async (shipmentId, newStatus) => {
   }
 };
 
+// @desc    Send SMS when a shipment's estimated arrival changes
+export const sendEtaUpdateSMS = async (shipmentId) => {
+  try {
+    const shipment = await Shipment.findById(shipmentId).populate('client');
+
+    if (!shipment || !shipment.client) {
+      throw new Error('Shipment or client not found');
+    }
+
+    const result = await SMSService.sendSMS(
+      shipment.client.phone,
+      smsTemplates.ETA_UPDATE(shipment, shipment.client),
+      'ETA_UPDATE',
+      {
+        shipmentId: shipment._id,
+        trackingNumber: shipment.trackingNumber,
+        estimatedArrival: shipment.estimatedArrival
+      }
+    );
+
+    return result;
+
+  } catch (error) {
+    console.error('Error sending ETA update SMS:', error);
+    throw error;
+  }
+};
+
+// @desc    Send SMS warning that free time at the port is about to run out
+export const sendFreeTimeWarningSMS = async (shipmentId, warnings) => {
+  try {
+    const shipment = await Shipment.findById(shipmentId).populate('client');
+
+    if (!shipment || !shipment.client) {
+      throw new Error('Shipment or client not found');
+    }
+
+    // Warn about the earliest expiry
+    const earliest = [...warnings].sort((a, b) => a.freeTimeEndsAt - b.freeTimeEndsAt)[0];
+
+    const result = await SMSService.sendSMS(
+      shipment.client.phone,
+      smsTemplates.FREE_TIME_WARNING(shipment, shipment.client, earliest.freeTimeEndsAt),
+      'FREE_TIME_WARNING',
+      {
+        shipmentId: shipment._id,
+        trackingNumber: shipment.trackingNumber,
+        warnings
+      }
+    );
+
+    return result;
+
+  } catch (error) {
+    console.error('Error sending free time warning SMS:', error);
+    throw error;
+  }
+};
+
+// @desc    Send SMS listing the documents a shipment still needs
+export const sendDocumentRequestSMS = async (shipmentId, documents) => {
+  try {
+    const shipment = await Shipment.findById(shipmentId).populate('client');
+
+    if (!shipment || !shipment.client) {
+      throw new Error('Shipment or client not found');
+    }
+
+    const message = smsTemplates.DOCUMENT_REQUEST(shipment, shipment.client, documents);
+
+    const result = await SMSService.sendSMS(
+      shipment.client.phone,
+      message,
+      'DOCUMENT_REQUEST',
+      {
+        shipmentId: shipment._id,
+        trackingNumber: shipment.trackingNumber,
+        documents
+      }
+    );
+
+    return result;
+
+  } catch (error) {
+    console.error('Error sending document request SMS:', error);
+    throw error;
+  }
+};
+
 // @desc    Send payment notification SMS
-export const sendPaymentSMS = async (paymentId, notificationType) => {
+export const sendPaymentSMS = async (paymentId, notificationType, details = {}) => {
   try {
     const payment = await Payment.findById(paymentId).populate('client');
     
@@ -66,7 +158,7 @@ export const sendPaymentSMS = async (paymentId, notificationType) => {
     
     switch (notificationType) {
       case 'received':
-        message = smsTemplates.PAYMENT_RECEIVED(payment, payment.client);
+        message = smsTemplates.PAYMENT_RECEIVED(payment, payment.client, details.amount);
         break;
       case 'overdue':
         message = smsTemplates.PAYMENT_OVERDUE(payment, payment.client);
@@ -76,7 +168,7 @@ export const sendPaymentSMS = async (paymentId, notificationType) => {
         message = smsTemplates.PAYMENT_REMINDER(payment, payment.client, daysUntilDue);
         break;
       default:
-        message = `Payment update: Invoice ${payment.invoiceNumber} - $${payment.amount}`;
+        message = `Payment update: Invoice ${payment.invoiceNumber} - ${formatMoney(payment.amount, payment.currency)}`;
     }
 
     const result = await SMSService.sendSMS(
@@ -86,7 +178,7 @@ export const sendPaymentSMS = async (paymentId, notificationType) => {
       {
         paymentId: payment._id,
         invoiceNumber: payment.invoiceNumber,
-        amount: payment.amount
+        amount: details.amount ?? payment.amount
       }
     );
 
@@ -113,9 +205,15 @@ export const sendUrgentAlert = async (shipmentId, alertType, customMessage = nul
       message = customMessage;
     } else {
       switch (alertType) {
-        case 'document_required':
-          message = smsTemplates.DOCUMENT_REQUEST(shipment, shipment.client, ['Additional documents']);
+        case 'document_required': {
+          const documents = getDocumentsToRequest(shipment).map(entry => entry.label);
+          message = smsTemplates.DOCUMENT_REQUEST(
+            shipment,
+            shipment.client,
+            documents.length > 0 ? documents : ['Additional documents']
+          );
           break;
+        }
         case 'customs_issue':
           message = smsTemplates.URGENT_ACTION_REQUIRED(shipment, shipment.client, 'Customs clearance issue needs attention');
           break;
@@ -191,20 +289,23 @@ export const sendBulkNotification = async (clientIds, message, templateType = 'C
 export const sendQuoteReadySMS = async (quoteId) => {
   try {
     const quote = await Quote.findById(quoteId).populate('client');
-    
-    if (!quote || !quote.client) {
+
+    // Visitors who requested a detailed quote may not have an account yet
+    const recipient = quote?.client || quote?.clientInfo;
+
+    if (!quote || !recipient?.phone) {
       throw new Error('Quote or client not found');
     }
 
-    const message = smsTemplates.QUOTE_READY(quote, quote.client);
+    const message = smsTemplates.QUOTE_READY(quote, recipient);
 
     const result = await SMSService.sendSMS(
-      quote.client.phone,
+      recipient.phone,
       message,
       'QUOTE_READY',
       {
         quoteId: quote._id,
-        amount: quote.calculatedAmount
+        amount: quote.amount
       }
     );
 
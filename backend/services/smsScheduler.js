@@ -2,6 +2,8 @@ import cron from 'node-cron';
 import Payment from '../models/Payment.js';
 import { sendPaymentSMS } from './smsNotificationService.js';
 import SMSService from './smsService.js';
+import { sendDocumentRequestFollowUps } from './documentRequestService.js';
+import { sendFreeTimeWarnings } from './freeTimeService.js';
 
 // @desc    Schedule daily payment reminders
 export const schedulePaymentReminders = () => {
@@ -16,7 +18,7 @@ export const schedulePaymentReminders = () => {
 
       // Find payments due in 3 days
       const upcomingPayments = await Payment.find({
-        status: 'pending',
+        status: { $in: ['pending', 'partially_paid'] },
         dueDate: {
           $gte: today,
           $lte: threeDaysFromNow
@@ -49,7 +51,7 @@ export const schedulePaymentReminders = () => {
       console.log('🔄 Running weekly overdue payment SMS...');
       
       const overduePayments = await Payment.find({
-        status: 'pending',
+        status: { $in: ['pending', 'partially_paid'] },
         dueDate: { $lt: new Date() }
       }).populate('client');
 
@@ -103,8 +105,46 @@ export const scheduleBalanceCheck = () => {
   });
 };
 
+// @desc    Schedule follow-ups for missing or rejected shipment documents
+export const scheduleDocumentRequests = () => {
+  // Run every day at 11:00 AM; each shipment is only chased when its cadence is due
+  cron.schedule('0 11 * * *', async () => {
+    try {
+      console.log('🔄 Running document request follow-ups...');
+
+      const { sentCount, errorCount } = await sendDocumentRequestFollowUps();
+
+      console.log(`✅ Document requests sent: ${sentCount}, Errors: ${errorCount}`);
+
+    } catch (error) {
+      console.error('Error in document request scheduler:', error);
+    }
+  });
+};
+
+// @desc    Schedule warnings before demurrage/detention/storage free time expires
+export const scheduleFreeTimeWarnings = () => {
+  // Run every day at 7:00 AM so clients can act the same day
+  cron.schedule('0 7 * * *', async () => {
+    try {
+      console.log('🔄 Running free time warnings...');
+
+      const { sentCount, errorCount } = await sendFreeTimeWarnings();
+
+      console.log(`✅ Free time warnings sent: ${sentCount}, Errors: ${errorCount}`);
+
+    } catch (error) {
+      console.error('Error in free time warning scheduler:', error);
+    }
+  });
+};
+
 // @desc    Initialize all SMS schedulers
 export const initializeSMSSchedulers = () => {
+  // Document requests and free time warnings also go out by email, so they run with SMS disabled
+  scheduleDocumentRequests();
+  scheduleFreeTimeWarnings();
+
   if (process.env.SMS_ENABLED === 'true') {
     schedulePaymentReminders();
     scheduleBalanceCheck();
@@ -1,6 +1,7 @@
 import axios from 'axios';
 import { hubtelConfig, mNotifyConfig, africasTalkingConfig } from '../config/smsGateways.js';
 import SMSLog from '../models/SMSLog.js';
+import { formatMoney } from '../utils/currency.js';
 
 // SMS Templates for different scenarios
 export const smsTemplates = {
@@ -21,25 +22,32 @@ export const smsTemplates = {
     `Success! Shipment ${shipment.trackingNumber} has been delivered. Thank you for choosing LiberiaClearLogistics!`,
 
   // Payment Notifications
-  PAYMENT_RECEIVED: (payment, client) =>
-    `Payment confirmed! We received $${payment.amount} for invoice ${payment.invoiceNumber}. Thank you!`,
+  PAYMENT_RECEIVED: (payment, client, amountReceived = payment.amount) =>
+    `Payment confirmed! We received ${formatMoney(amountReceived, payment.currency)} for invoice ${payment.invoiceNumber}.${payment.amountOutstanding > 0 ? ` Balance due: ${formatMoney(payment.amountOutstanding, payment.currency)}.` : ''} Thank you!`,
 
   PAYMENT_OVERDUE: (payment, client) =>
-    `Reminder: Invoice ${payment.invoiceNumber} for $${payment.amount} is overdue. Please settle to avoid service disruption.`,
+    `Reminder: Invoice ${payment.invoiceNumber} for ${formatMoney(payment.amountOutstanding ?? payment.amount, payment.currency)} is overdue. Please settle to avoid service disruption.`,
 
   PAYMENT_REMINDER: (payment, client, daysUntilDue) =>
-    `Friendly reminder: Invoice ${payment.invoiceNumber} for $${payment.amount} is due in ${daysUntilDue} days.`,
+    `Friendly reminder: Invoice ${payment.invoiceNumber} for ${formatMoney(payment.amountOutstanding ?? payment.amount, payment.currency)} is due in ${daysUntilDue} days.`,
 
   // Quote Responses
   QUOTE_READY: (quote, client) =>
-    `Your quote #${quote._id} is ready! Amount: $${quote.calculatedAmount}. Check your email for details or call us.`,
+    `Your quote ${quote.quoteNumber || `#${quote._id}`} is ready! Amount: ${formatMoney(quote.amount, quote.currency)}, valid until ${new Date(quote.validUntil).toLocaleDateString()}. Check your email for details.`,
 
   // Urgent Alerts
   URGENT_ACTION_REQUIRED: (shipment, client, action) =>
     `URGENT: Action required for shipment ${shipment.trackingNumber}. ${action} Please contact us immediately.`,
 
+  ETA_UPDATE: (shipment, client) =>
+    `Update: Shipment ${shipment.trackingNumber} is now expected at ${shipment.destination?.port || 'port'} on ${new Date(shipment.estimatedArrival).toLocaleDateString()}.`,
+
+  FREE_TIME_WARNING: (shipment, client, freeTimeEndsAt) =>
+    `Reminder: free time for shipment ${shipment.trackingNumber} ends ${new Date(freeTimeEndsAt).toLocaleDateString()}. Collect your cargo to avoid demurrage/storage charges.`,
+
+  // The list goes last so a long one is cut off by the 160-character limit rather than the context
   DOCUMENT_REQUEST: (shipment, client, documents) =>
-    `Required for clearance: ${documents.join(', ')} for shipment ${shipment.trackingNumber}. Please provide ASAP.`,
+    `Shipment ${shipment.trackingNumber} needs documents for clearance (full list emailed): ${documents.join(', ')}`,
 
   // Two-way SMS Responses
   WELCOME_MESSAGE: (client) =>
@@ -49,7 +57,7 @@ export const smsTemplates = {
     `Available commands: STATUS [tracking#] - Check shipment, BILLING - Payment info, AGENT - Speak to representative.`,
 
   STATUS_HELP: () =>
-    `To check status, reply: STATUS followed by your tracking number (e.g., STATUS LCL-2024-001)`,
+    `To check status, reply: STATUS followed by your tracking or container number (e.g., STATUS LCL-2024-001)`,
 
   AGENT_RESPONSE: () =>
     `An agent will contact you shortly. For immediate assistance, call +231-88-123-4567. Thank you!`
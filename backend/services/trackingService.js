@@ -0,0 +1,153 @@
+import jwt from 'jsonwebtoken';
+import { buildDocumentChecklist } from './documentService.js';
+import { documentTypes } from '../config/documents.js';
+
+// Share links are signed with their own key so they can never be used as login tokens
+const shareLinkSecret = () => process.env.TRACKING_LINK_SECRET || `${process.env.JWT_SECRET}:tracking`;
+
+export const DEFAULT_SHARE_LINK_DAYS = 7;
+export const MAX_SHARE_LINK_DAYS = 90;
+
+// Wrong phone digits allowed per tracking number and address before verification is refused for a while
+const VERIFY_ATTEMPT_LIMIT = 5;
+const VERIFY_LOCKOUT_MS = 15 * 60 * 1000;
+
+// Fixed wording for each shipment status; timeline descriptions are staff notes and stay internal
+export const SHIPMENT_STATUS_LABELS = {
+  pending: 'Booking in progress',
+  booked: 'Booked and awaiting departure',
+  in_transit: 'In transit to Liberia',
+  arrived: 'Arrived at port',
+  customs_clearance: 'Customs clearance in progress',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled'
+};
+
+// When the shipment reached each status, newest first
+const milestones = (shipment) =>
+  [...shipment.timeline]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .filter((entry, index, entries) =>
+      SHIPMENT_STATUS_LABELS[entry.status] && (index === 0 || entries[index - 1].status !== entry.status))
+    .map(entry => ({
+      status: entry.status,
+      label: SHIPMENT_STATUS_LABELS[entry.status],
+      timestamp: entry.timestamp
+    }))
+    .reverse();
+
+// @desc    What anyone with a tracking or container number may see
+export const toPublicTracking = (shipment, container = null) => ({
+  trackingNumber: shipment.trackingNumber,
+  status: shipment.status,
+  estimatedArrival: shipment.estimatedArrival,
+  actualArrival: shipment.actualArrival,
+  lastUpdate: shipment.updatedAt,
+  milestones: milestones(shipment),
+  container: container && {
+    containerNumber: container.containerNumber,
+    status: container.status
+  },
+  verified: false
+});
+
+// @desc    Adds routing and container progress once the consignee phone is verified
+export const toVerifiedTracking = (shipment, container = null) => ({
+  ...toPublicTracking(shipment, container),
+  origin: {
+    country: shipment.origin?.country,
+    port: shipment.origin?.port
+  },
+  destination: {
+    country: shipment.destination?.country,
+    port: shipment.destination?.port
+  },
+  carrier: {
+    name: shipment.carrier?.name,
+    vessel: shipment.carrier?.vessel
+  },
+  containers: shipment.containers.map(entry => ({
+    containerNumber: entry.containerNumber,
+    containerType: entry.containerType,
+    status: entry.status,
+    gateOutAt: entry.gateOutAt
+  })),
+  verified: true
+});
+
+// @desc    Read-only view for a consignee holding a share link from the client
+export const toSharedTracking = (shipment) => ({
+  ...toVerifiedTracking(shipment),
+  description: shipment.description,
+  cargo: {
+    type: shipment.cargoDetails?.type,
+    weight: shipment.cargoDetails?.weight,
+    volume: shipment.cargoDetails?.volume,
+    loadType: shipment.cargoDetails?.loadType
+  },
+  containers: shipment.containers.map(entry => ({
+    containerNumber: entry.containerNumber,
+    containerType: entry.containerType,
+    sealNumber: entry.sealNumber,
+    status: entry.status,
+    gateInAt: entry.gateInAt,
+    gateOutAt: entry.gateOutAt,
+    events: entry.events.map(event => ({
+      event: event.event,
+      description: event.description,
+      location: event.location,
+      timestamp: event.timestamp
+    }))
+  })),
+  // Which documents are in place, without the files themselves
+  documents: buildDocumentChecklist(shipment).map(entry => ({
+    // Vehicle documents name only the end of the VIN
+    label: entry.vin ? `${documentTypes[entry.type].label} (…${entry.vin.slice(-6)})` : entry.label,
+    status: entry.status
+  }))
+});
+
+// Failed verifications by tracking number and address: { count, firstAt }
+const failedVerifications = new Map();
+
+const pruneFailedVerifications = (now) => {
+  failedVerifications.forEach((entry, key) => {
+    if (now - entry.firstAt >= VERIFY_LOCKOUT_MS) failedVerifications.delete(key);
+  });
+};
+
+// @desc    Check the digits given against the end of the client's phone number. Returns 'verified', 'failed',
+//          or 'locked' once too many wrong guesses have come from one address for the shipment.
+export const verifyConsigneePhone = (shipment, digits, ipAddress) => {
+  const now = Date.now();
+  const key = `${shipment.trackingNumber}:${ipAddress}`;
+
+  pruneFailedVerifications(now);
+  if ((failedVerifications.get(key)?.count || 0) >= VERIFY_ATTEMPT_LIMIT) {
+    return 'locked';
+  }
+
+  const given = String(digits || '').replace(/\D/g, '');
+  const phone = String(shipment.client?.phone || '').replace(/\D/g, '');
+  if (given.length >= 4 && phone.length >= given.length && phone.endsWith(given)) {
+    failedVerifications.delete(key);
+    return 'verified';
+  }
+
+  const entry = failedVerifications.get(key) || { count: 0, firstAt: now };
+  failedVerifications.set(key, { ...entry, count: entry.count + 1 });
+  return 'failed';
+};
+
+// @desc    Sign a share link token for a link recorded on the shipment
+export const signShareLink = (shipment, link) =>
+  jwt.sign(
+    { shipment: shipment._id.toString(), link: link._id.toString() },
+    shareLinkSecret(),
+    { expiresIn: Math.max(1, Math.floor((link.expiresAt - Date.now()) / 1000)) }
+  );
+
+// @desc    Decode a share link token; throws if it is forged or expired
+export const verifyShareLink = (token) => jwt.verify(token, shareLinkSecret());
+
+export const shareLinkUrl = (token) => `${process.env.CLIENT_URL}/?share=${token}#tracking`;
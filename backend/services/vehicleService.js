@@ -0,0 +1,71 @@
+import { vehicleDutyRules, passengerCarHsCodes } from '../config/vehicles.js';
+import {
+  normalizeVin,
+  isValidVin,
+  requiresCheckDigit,
+  calculateVinCheckDigit,
+  decodeVin
+} from '../utils/vin.js';
+
+const VEHICLE_FIELDS = ['make', 'model', 'year', 'engineCapacity', 'fuelType', 'bodyType', 'color', 'mileage', 'value', 'hsCode'];
+
+// @desc    Passenger car HS heading for a fuel type and engine size (undefined when it cannot be told)
+export const suggestVehicleHsCode = ({ fuelType = 'petrol', engineCapacity }) => {
+  const bands = passengerCarHsCodes[fuelType];
+  if (!bands || (!engineCapacity && bands.length > 1)) return undefined;
+
+  return bands.find(band => band.maxCc === null || engineCapacity <= band.maxCc).hsCode;
+};
+
+// @desc    Vehicle record from submitted fields, filling make, year and HS code from the VIN where missing
+export const buildVehicleRecord = (input, existing = {}) => {
+  const vehicle = { ...existing };
+  VEHICLE_FIELDS.forEach(field => {
+    if (input[field] !== undefined) vehicle[field] = input[field];
+  });
+
+  vehicle.vin = normalizeVin(input.vin ?? existing.vin);
+  vehicle.decoded = decodeVin(vehicle.vin);
+  vehicle.make = vehicle.make || vehicle.decoded.manufacturer || undefined;
+  vehicle.year = vehicle.year ? Number(vehicle.year) : vehicle.decoded.modelYear || undefined;
+  vehicle.hsCode = vehicle.hsCode || suggestVehicleHsCode(vehicle);
+
+  return vehicle;
+};
+
+// @desc    Reasons a vehicle cannot be recorded on a shipment (empty when it can)
+export const checkVehicle = (vehicle, shipment, vehicleId) => {
+  const problems = [];
+
+  if (!isValidVin(vehicle.vin)) {
+    problems.push(vehicle.vin.length === 17 && requiresCheckDigit(vehicle.vin)
+      ? `VIN ${vehicle.vin} fails its check digit (position 9 should be ${calculateVinCheckDigit(vehicle.vin)}); please recheck it`
+      : `${vehicle.vin || 'VIN'} is not a valid 17-character VIN`);
+    return problems;
+  }
+
+  // Outside North America the VIN only narrows the year to one per 30-year cycle; the declared year picks one
+  const candidates = vehicle.decoded.modelYearCandidates || [];
+  if (candidates.length > 0 && vehicle.year && !candidates.includes(vehicle.year)) {
+    problems.push(`Model year ${vehicle.year} does not match the VIN, which decodes to ${candidates.join(' or ')}`);
+  }
+  // The age ban and age surcharge need a year
+  if (!vehicle.year) {
+    problems.push(candidates.length > 1
+      ? `Declare the model year (VIN decodes to ${candidates.join(' or ')})`
+      : 'Declare the model year');
+  }
+
+  const age = vehicle.year ? new Date().getFullYear() - vehicle.year : null;
+  if (vehicleDutyRules.maxAgeYears && age > vehicleDutyRules.maxAgeYears) {
+    problems.push(`A ${vehicle.year} vehicle is ${age} years old; vehicles over ${vehicleDutyRules.maxAgeYears} years cannot be imported`);
+  }
+
+  const duplicate = shipment.vehicles.find(entry =>
+    entry.vin === vehicle.vin && entry._id.toString() !== String(vehicleId));
+  if (duplicate) {
+    problems.push(`VIN ${vehicle.vin} is already on this shipment`);
+  }
+
+  return problems;
+};
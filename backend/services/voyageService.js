@@ -0,0 +1,126 @@
+import Shipment from '../models/Shipment.js';
+import { transitionShipmentStatus } from './shipmentStatusService.js';
+import { sendShipmentUpdateSMS, sendEtaUpdateSMS } from './smsNotificationService.js';
+import { sendEmail, emailTemplates } from '../utils/emailService.js';
+
+// Shipments that no longer follow their vessel's schedule
+const CLOSED_STATUSES = ['delivered', 'cancelled'];
+
+// @desc    Copy a voyage's carrier, vessel and arrival onto a shipment
+export const applyVoyageToShipment = (shipment, voyage) => {
+  shipment.voyage = voyage._id;
+  shipment.carrier = {
+    ...shipment.carrier,
+    name: voyage.carrier || voyage.vessel.carrier,
+    vessel: `${voyage.vessel.name} / ${voyage.voyageNumber}`
+  };
+  shipment.destination = {
+    ...shipment.destination,
+    country: 'Liberia',
+    port: voyage.liberianPort
+  };
+  if (voyage.eta) shipment.estimatedArrival = voyage.eta;
+  if (voyage.ata) shipment.actualArrival = voyage.ata;
+  return shipment;
+};
+
+const notifyClient = async (shipment, smsType) => {
+  if (!shipment.client) return;
+
+  if (process.env.SMS_ENABLED === 'true') {
+    try {
+      if (smsType === 'arrived') {
+        await sendShipmentUpdateSMS(shipment._id, 'arrived');
+      } else {
+        await sendEtaUpdateSMS(shipment._id);
+      }
+    } catch (smsError) {
+      console.log('SMS notification failed:', smsError);
+    }
+  }
+
+  try {
+    await sendEmail({
+      to: shipment.client.email,
+      ...emailTemplates.shipmentUpdate(shipment, shipment.client)
+    });
+  } catch (emailError) {
+    console.log('Notification email failed:', emailError);
+  }
+};
+
+// @desc    Change a voyage's ETA and/or ATA and carry it to every linked shipment
+export const updateVoyageSchedule = async (voyage, { eta, ata, reason, userId, notifyClients = true }) => {
+  const newEta = eta ? new Date(eta) : null;
+  const newAta = ata ? new Date(ata) : null;
+  const etaChanged = newEta && (!voyage.eta || voyage.eta.getTime() !== newEta.getTime());
+
+  if (etaChanged) {
+    voyage.etaHistory.push({
+      eta: newEta,
+      previousEta: voyage.eta,
+      reason,
+      changedBy: userId
+    });
+    voyage.eta = newEta;
+  }
+
+  if (newAta) {
+    voyage.ata = newAta;
+    voyage.status = 'arrived';
+  }
+
+  await voyage.save();
+
+  const shipments = await Shipment.find({
+    voyage: voyage._id,
+    status: { $nin: CLOSED_STATUSES }
+  }).populate('client');
+
+  const vesselName = `${voyage.vessel.name} voy. ${voyage.voyageNumber}`;
+  // notMoved: shipments not in transit, whose status is left for ops to review
+  const results = { updated: 0, arrived: 0, notMoved: [] };
+
+  for (const shipment of shipments) {
+    if (newAta) {
+      if (shipment.actualArrival?.getTime() === newAta.getTime()) continue;
+
+      const description = `${vesselName} arrived at ${voyage.liberianPort}`;
+      shipment.actualArrival = newAta;
+
+      // Cargo on board moves to arrived; other shipments just get the arrival noted
+      if (shipment.status === 'in_transit') {
+        await transitionShipmentStatus(shipment, {
+          status: 'arrived',
+          description,
+          location: voyage.liberianPort,
+          userId
+        });
+        results.arrived++;
+        if (notifyClients) await notifyClient(shipment, 'arrived');
+      } else {
+        shipment.timeline.push({
+          status: shipment.status,
+          description,
+          location: voyage.liberianPort,
+          updatedBy: userId
+        });
+        await shipment.save();
+        results.notMoved.push({ trackingNumber: shipment.trackingNumber, status: shipment.status });
+      }
+    } else if (etaChanged) {
+      shipment.estimatedArrival = newEta;
+      shipment.timeline.push({
+        status: shipment.status,
+        description: `ETA at ${voyage.liberianPort} revised to ${newEta.toLocaleDateString()} (${vesselName})${reason ? `: ${reason}` : ''}`,
+        location: voyage.liberianPort,
+        updatedBy: userId
+      });
+      await shipment.save();
+      results.updated++;
+      if (notifyClients) await notifyClient(shipment, 'eta');
+    }
+  }
+
+  return results;
+};
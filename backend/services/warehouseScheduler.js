@@ -0,0 +1,35 @@
+import cron from 'node-cron';
+import { accrueStorageCharges, invoiceStorageCharges } from './warehouseService.js';
+
+// @desc    Accrue warehouse storage through the previous day every night
+export const scheduleStorageAccrual = () => {
+  // Run every day at 12:30 AM
+  cron.schedule('30 0 * * *', async () => {
+    try {
+      const accruedCount = await accrueStorageCharges();
+      console.log(`✅ Warehouse storage accrued on ${accruedCount} receipt(s)`);
+    } catch (error) {
+      console.error('Error in storage accrual scheduler:', error);
+    }
+  });
+};
+
+// @desc    Invoice last month's accrued storage on the first of each month
+export const scheduleStorageInvoicing = () => {
+  // Run at 2:00 AM on the 1st, after that night's accrual
+  cron.schedule('0 2 1 * *', async () => {
+    try {
+      const invoiced = await invoiceStorageCharges();
+      console.log(`✅ Warehouse storage invoices issued: ${invoiced.length}`);
+    } catch (error) {
+      console.error('Error in storage invoicing scheduler:', error);
+    }
+  });
+};
+
+// @desc    Initialize all warehouse schedulers
+export const initializeWarehouseSchedulers = () => {
+  scheduleStorageAccrual();
+  scheduleStorageInvoicing();
+  console.log('✅ Warehouse schedulers initialized');
+};
@@ -0,0 +1,275 @@
+import WarehouseReceipt from '../models/WarehouseReceipt.js';
+import { warehouseStorageTariff } from '../config/warehouse.js';
+import { issueInvoice } from './invoiceService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Liberia keeps UTC, so storage days and billing months are UTC ones
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const nextDay = (day) => {
+  const next = new Date(day);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next;
+};
+
+const startOfMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+// @desc    Quantity of a receipt line still in the warehouse
+export const quantityOnHand = (item) => item.quantity - item.quantityReleased;
+
+// @desc    Volume still in store (m³), pro rata to the quantity not yet released
+export const volumeOnHand = (receipt) =>
+  Math.round(receipt.items.reduce((sum, item) =>
+    sum + (item.volume || 0) * quantityOnHand(item) / item.quantity, 0) * 1000) / 1000;
+
+// @desc    Volume in store at the start of a day (m³): what is on hand now plus what has been released since
+export const volumeStoredOn = (receipt, day) => {
+  const releasedSince = (item) => receipt.releases
+    .filter(release => release.releasedAt >= day)
+    .reduce((sum, release) => sum + release.items
+      .filter(line => line.item.toString() === item._id.toString())
+      .reduce((lineSum, line) => lineSum + line.quantity, 0), 0);
+
+  return Math.round(receipt.items.reduce((sum, item) =>
+    sum + (item.volume || 0) * (quantityOnHand(item) + releasedSince(item)) / item.quantity, 0) * 1000) / 1000;
+};
+
+// @desc    Storage tariff for a warehouse, falling back to the defaults in config/warehouse.js
+export const getStorageTariff = (warehouse) =>
+  Object.keys(warehouseStorageTariff).reduce((tariff, key) => ({
+    ...tariff,
+    [key]: warehouse?.storageTariff?.[key] ?? warehouseStorageTariff[key]
+  }), {});
+
+// @desc    Reasons the bin codes on receipt lines are not usable in the warehouse
+export const checkItemLocations = (warehouse, items) => {
+  const bins = warehouse.locations.filter(location => location.isActive).map(location => location.code);
+
+  return items
+    .filter(item => item.location && !bins.includes(item.location.toUpperCase()))
+    .map(item => `Location ${item.location} does not exist in warehouse ${warehouse.code}`);
+};
+
+// @desc    Release some or all of a receipt's cargo; returns the reasons if not allowed
+export const releaseCargo = (receipt, { items, releasedTo, reference, notes, userId }) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return ['Please list the items and quantities to release'];
+  }
+
+  const lines = items.map(({ item, quantity }) => ({ item, quantity: Number(quantity) }));
+  const problems = [];
+  lines.forEach(({ item: itemId, quantity }) => {
+    const item = receipt.items.id(itemId);
+
+    if (!item) {
+      problems.push(`Item ${itemId} is not on receipt ${receipt.receiptNumber}`);
+    } else if (!(quantity > 0) || quantity > quantityOnHand(item)) {
+      problems.push(`Cannot release ${quantity} of ${item.description}; ${quantityOnHand(item)} ${item.unit} in store`);
+    }
+  });
+
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  lines.forEach(({ item: itemId, quantity }) => {
+    receipt.items.id(itemId).quantityReleased += quantity;
+  });
+
+  receipt.releases.push({
+    items: lines,
+    releasedTo,
+    reference,
+    notes,
+    releasedBy: userId
+  });
+
+  receipt.status = receipt.items.every(item => quantityOnHand(item) === 0) ? 'released' : 'partially_released';
+  return [];
+};
+
+// @desc    Accrue one day's storage on a receipt (populated warehouse) for the cargo in store at the start of
+//          the day, so cargo released during the day still pays for it; returns the accrual or null
+export const accrueStorageDay = (receipt, date) => {
+  const day = startOfDay(date);
+
+  if (receipt.storageAccruals.some(entry => entry.date.getTime() === day.getTime())) {
+    return null;
+  }
+
+  // Day 1 is the day the cargo was received
+  const tariff = getStorageTariff(receipt.warehouse);
+  const storageDay = Math.round((day - startOfDay(receipt.receivedAt)) / DAY_MS) + 1;
+  if (storageDay <= tariff.freeDays) {
+    return null;
+  }
+
+  const volume = volumeStoredOn(receipt, day);
+  if (volume <= 0) {
+    return null;
+  }
+
+  receipt.storageAccruals.push({
+    date: day,
+    volume,
+    amount: round(Math.max(volume * tariff.ratePerCbmPerDay, tariff.minimumDailyCharge))
+  });
+  return receipt.storageAccruals[receipt.storageAccruals.length - 1];
+};
+
+// First day a receipt has not been accrued for
+const firstUnaccruedDay = (receipt) => {
+  if (receipt.storageAccruedUntil) return startOfDay(receipt.storageAccruedUntil);
+
+  const lastAccrual = receipt.storageAccruals[receipt.storageAccruals.length - 1];
+  return lastAccrual
+    ? nextDay(startOfDay(lastAccrual.date))
+    : startOfDay(receipt.receivedAt);
+};
+
+// @desc    Accrue storage on every receipt for each day not yet accrued, through a date (default yesterday),
+//          so days missed by the nightly run are caught up. Released receipts accrue through their last release day.
+export const accrueStorageCharges = async (through = new Date(Date.now() - DAY_MS)) => {
+  const until = nextDay(startOfDay(through));
+  const receipts = await WarehouseReceipt.find({
+    receivedAt: { $lt: until },
+    $or: [
+      { status: { $ne: 'released' } },
+      { storageAccruedUntil: null },
+      { $expr: { $lt: ['$storageAccruedUntil', { $max: '$releases.releasedAt' }] } }
+    ]
+  }).populate('warehouse');
+
+  let accrued = 0;
+  for (const receipt of receipts) {
+    const lastRelease = receipt.status === 'released'
+      ? new Date(Math.max(...receipt.releases.map(release => release.releasedAt)))
+      : null;
+    const end = lastRelease
+      ? new Date(Math.min(until, nextDay(startOfDay(lastRelease))))
+      : until;
+
+    let day = firstUnaccruedDay(receipt);
+    let accruedDays = 0;
+    for (; day < end; day = nextDay(day)) {
+      if (accrueStorageDay(receipt, day)) accruedDays++;
+    }
+
+    if (!receipt.storageAccruedUntil || day > receipt.storageAccruedUntil) {
+      receipt.storageAccruedUntil = day;
+      await receipt.save();
+    }
+    if (accruedDays > 0) accrued++;
+  }
+
+  return accrued;
+};
+
+// @desc    Invoice each client for storage accrued before a date (default: start of this month)
+export const invoiceStorageCharges = async (before = startOfMonth(new Date())) => {
+  const receipts = await WarehouseReceipt.find({
+    storageAccruals: { $elemMatch: { payment: null, date: { $lt: before } } }
+  }).populate('client');
+
+  const byClient = new Map();
+  receipts.forEach(receipt => {
+    const clientId = receipt.client._id.toString();
+    byClient.set(clientId, [...(byClient.get(clientId) || []), receipt]);
+  });
+
+  const invoiced = [];
+  for (const clientReceipts of byClient.values()) {
+    const client = clientReceipts[0].client;
+    const unbilled = clientReceipts.map(receipt => ({
+      receipt,
+      accruals: receipt.storageAccruals.filter(entry => !entry.payment && entry.date < before)
+    }));
+
+    const items = unbilled.map(({ receipt, accruals }) => ({
+      description: `Warehouse storage ${receipt.receiptNumber} - ${accruals[0].date.toLocaleDateString()} to ${accruals[accruals.length - 1].date.toLocaleDateString()} (${accruals.length} day(s))`,
+      quantity: 1,
+      unitPrice: round(accruals.reduce((sum, entry) => sum + entry.amount, 0))
+    }));
+
+    try {
+      const { payment, invoice } = await issueInvoice({
+        client,
+        items,
+        customsLines: [],
+        description: `Warehouse storage to ${new Date(before - 1).toLocaleDateString()}`
+      });
+
+      for (const { receipt, accruals } of unbilled) {
+        accruals.forEach(entry => {
+          entry.payment = payment._id;
+        });
+        await receipt.save();
+      }
+
+      invoiced.push({ client: client._id, payment, invoice });
+    } catch (error) {
+      console.error(`Storage invoice for ${client.companyName} failed:`, error);
+    }
+  }
+
+  return invoiced;
+};
+
+// @desc    Stock on hand per client from receipts with cargo still in store
+export const buildStockReport = (receipts) => {
+  const clients = new Map();
+
+  receipts.forEach(receipt => {
+    const clientId = receipt.client._id.toString();
+
+    if (!clients.has(clientId)) {
+      clients.set(clientId, {
+        client: {
+          id: receipt.client._id,
+          companyName: receipt.client.companyName
+        },
+        receipts: [],
+        totals: { volume: 0, unbilledStorage: 0 }
+      });
+    }
+
+    const entry = clients.get(clientId);
+    const volume = volumeOnHand(receipt);
+    const unbilledStorage = round(receipt.storageAccruals
+      .filter(accrual => !accrual.payment)
+      .reduce((sum, accrual) => sum + accrual.amount, 0));
+
+    entry.receipts.push({
+      id: receipt._id,
+      receiptNumber: receipt.receiptNumber,
+      warehouse: receipt.warehouse?.code,
+      trackingNumber: receipt.shipment?.trackingNumber,
+      receivedAt: receipt.receivedAt,
+      status: receipt.status,
+      volume,
+      unbilledStorage,
+      items: receipt.items
+        .filter(item => quantityOnHand(item) > 0)
+        .map(item => ({
+          id: item._id,
+          description: item.description,
+          unit: item.unit,
+          location: item.location,
+          quantity: quantityOnHand(item),
+          volume: Math.round((item.volume || 0) * quantityOnHand(item) / item.quantity * 1000) / 1000
+        }))
+    });
+
+    entry.totals.volume = Math.round((entry.totals.volume + volume) * 1000) / 1000;
+    entry.totals.unbilledStorage = round(entry.totals.unbilledStorage + unbilledStorage);
+  });
+
+  return [...clients.values()];
+};
@@ -0,0 +1,63 @@
+// Split a single CSV line, honouring double-quoted fields
+const parseCSVLine = (line) => {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current.trim());
+  return fields;
+};
+
+// Parse CSV text into objects keyed by the (lower-cased) header row
+export const parseCSV = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const headers = parseCSVLine(lines[0]).map(header => header.toLowerCase());
+
+  return lines.slice(1).map(line => {
+    const values = parseCSVLine(line);
+    return headers.reduce((row, header, index) => {
+      row[header] = values[index] ?? '';
+      return row;
+    }, {});
+  });
+};
+
+// Quote a value for CSV output when it contains a delimiter, quote or line break
+const formatCSVField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write objects as CSV text; columns are [key, header] pairs
+export const toCSV = (rows, columns) =>
+  [
+    columns.map(([, header]) => formatCSVField(header)).join(','),
+    ...rows.map(row => columns.map(([key]) => formatCSVField(row[key])).join(','))
+  ].join('\n');
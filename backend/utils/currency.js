@@ -0,0 +1,17 @@
+import { currencies, BASE_CURRENCY } from '../config/currencies.js';
+
+// @desc    Round an amount to its currency's minor unit
+export const roundMoney = (amount, currency = BASE_CURRENCY) => {
+  const factor = 10 ** (currencies[currency]?.decimals ?? 2);
+  return Math.round((Number(amount) || 0) * factor) / factor;
+};
+
+// @desc    Format an amount for display, e.g. "$1,250.00" or "L$240,000.00"
+export const formatMoney = (amount, currency = BASE_CURRENCY) => {
+  const { symbol = `${currency} `, decimals = 2 } = currencies[currency] || {};
+  const formatted = Math.abs(Number(amount) || 0).toLocaleString('en-US', {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  });
+  return `${amount < 0 ? '-' : ''}${symbol}${formatted}`;
+};
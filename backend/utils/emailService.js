@@ -1,5 +1,6 @@
 import nodemailer from 'nodemailer';
 import dotenv from 'dotenv';
+import { formatMoney } from './currency.js';
 
 dotenv.config();
 
@@ -76,6 +77,7 @@ export const emailTemplates = {
             <p><strong>Tracking Number:</strong> ${shipment.trackingNumber}</p>
             <p><strong>Current Status:</strong> <span style="color: #28a745; font-weight: bold;">${shipment.status}</span></p>
             <p><strong>Description:</strong> ${shipment.description}</p>
+            ${shipment.estimatedArrival ? `<p><strong>Estimated Arrival:</strong> ${new Date(shipment.estimatedArrival).toLocaleDateString()}</p>` : ''}
             <p><strong>Last Update:</strong> ${new Date().toLocaleString()}</p>
           </div>
 
@@ -90,12 +92,108 @@ export const emailTemplates = {
     `
   }),
 
+  shipmentDelivered: (shipment, user) => ({
+    subject: `Shipment Delivered: ${shipment.trackingNumber}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #0056b3, #28a745); padding: 30px; text-align: center; color: white;">
+          <h1>Shipment Delivered</h1>
+        </div>
+        <div style="padding: 30px; background: #f8f9fa;">
+          <h2>Hello ${user.companyName},</h2>
+          <p>Your shipment <strong>${shipment.trackingNumber}</strong> has been delivered.</p>
+          
+          <div style="background: white; padding: 20px; border-radius: 10px; margin: 20px 0;">
+            <h3>Delivery Details:</h3>
+            <p><strong>Received By:</strong> ${shipment.delivery.proof.recipientName}</p>
+            <p><strong>Delivered At:</strong> ${new Date(shipment.delivery.proof.deliveredAt).toLocaleString()}</p>
+            ${shipment.delivery.proof.exceptions.length > 0 ? `
+              <p><strong>Exceptions Noted:</strong></p>
+              <ul>
+                ${shipment.delivery.proof.exceptions.map(exception => `
+                  <li>${exception.type}${exception.description ? ` - ${exception.description}` : ''}</li>
+                `).join('')}
+              </ul>
+            ` : ''}
+          </div>
+
+          <p>The signed proof of delivery is attached to this email and saved with your shipment documents.</p>
+          <p>Thank you for choosing LiberiaClearLogistics!</p>
+        </div>
+      </div>
+    `
+  }),
+
+  documentRequest: (shipment, user, documents) => ({
+    subject: `Documents Required: ${shipment.trackingNumber}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #0056b3, #28a745); padding: 30px; text-align: center; color: white;">
+          <h1>Documents Required</h1>
+        </div>
+        <div style="padding: 30px; background: #f8f9fa;">
+          <h2>Hello ${user.companyName},</h2>
+          <p>We need the following documents before shipment <strong>${shipment.trackingNumber}</strong> can clear customs:</p>
+          
+          <div style="background: white; padding: 20px; border-radius: 10px; margin: 20px 0;">
+            <ul>
+              ${documents.map(entry => `
+                <li>
+                  <strong>${entry.label}</strong>
+                  ${entry.status === 'rejected' ? `<br><span style="color: #dc3545;">Rejected: ${entry.rejectionReason}</span>` : ''}
+                </li>
+              `).join('')}
+            </ul>
+          </div>
+
+          <p>Please upload them from your client portal. Delays in providing documents can lead to storage and demurrage charges at the port.</p>
+
+          <div style="text-align: center; margin-top: 30px;">
+            <a href="${process.env.CLIENT_URL}/shipments/${shipment._id}/documents" 
+               style="background: #0056b3; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Upload Documents
+            </a>
+          </div>
+        </div>
+      </div>
+    `
+  }),
+
+  freeTimeWarning: (shipment, user, warnings) => ({
+    subject: `Free Time Ending Soon: ${shipment.trackingNumber}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #0056b3, #28a745); padding: 30px; text-align: center; color: white;">
+          <h1>Free Time Ending Soon</h1>
+        </div>
+        <div style="padding: 30px; background: #f8f9fa;">
+          <h2>Hello ${user.companyName},</h2>
+          <p>Free time for shipment <strong>${shipment.trackingNumber}</strong> is about to run out. Charges start the day after the dates below:</p>
+          
+          <div style="background: white; padding: 20px; border-radius: 10px; margin: 20px 0;">
+            <ul>
+              ${warnings.map(warning => `
+                <li>
+                  <strong>${warning.chargeType}</strong>${warning.containerNumber ? ` - ${warning.containerNumber}` : ''}:
+                  free until ${new Date(warning.freeTimeEndsAt).toLocaleDateString()}
+                  (${warning.daysRemaining} day(s) left)
+                </li>
+              `).join('')}
+            </ul>
+          </div>
+
+          <p>Please arrange collection of your cargo and return of empty containers to avoid demurrage, detention and storage charges.</p>
+        </div>
+      </div>
+    `
+  }),
+
   quoteResponse: (quote, user) => ({
-    subject: `Quote Response: ${quote._id}`,
+    subject: `Your Quotation: ${quote.quoteNumber || quote._id}${quote.revision > 0 ? ` (Revision ${quote.revision})` : ''}`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <div style="background: linear-gradient(135deg, #0056b3, #28a745); padding: 30px; text-align: center; color: white;">
-          <h1>Quote Response</h1>
+          <h1>Your Quotation</h1>
         </div>
         <div style="padding: 30px; background: #f8f9fa;">
           <h2>Dear ${user.companyName},</h2>
@@ -103,19 +201,135 @@ export const emailTemplates = {
           
           <div style="background: white; padding: 20px; border-radius: 10px; margin: 20px 0;">
             <h3>Quote Details:</h3>
-            <p><strong>Service Type:</strong> ${quote.serviceType}</p>
-            <p><strong>Origin:</strong> ${quote.origin}</p>
-            <p><strong>Cargo Type:</strong> ${quote.cargoType}</p>
-            <p><strong>Estimated Amount:</strong> $${quote.calculatedAmount} USD</p>
-            <p><strong>Quote ID:</strong> ${quote._id}</p>
+            <p><strong>Service Type:</strong> ${quote.serviceType || 'N/A'}</p>
+            <p><strong>Origin:</strong> ${quote.origin || 'N/A'}</p>
+            <p><strong>Cargo Type:</strong> ${quote.cargoType || 'N/A'}</p>
+            ${(quote.lineItems || []).map(item => `
+              <p>${item.description}: ${formatMoney(item.amount, quote.currency)}</p>
+            `).join('')}
+            <p><strong>Total Amount:</strong> ${formatMoney(quote.amount, quote.currency)} ${quote.currency}</p>
+            <p><strong>Valid Until:</strong> ${quote.validUntil ? new Date(quote.validUntil).toLocaleDateString() : 'N/A'}</p>
+            <p><strong>Quote Number:</strong> ${quote.quoteNumber || quote._id}</p>
+          </div>
+
+          <p>You can review, accept or decline this quotation online. Accepting it opens your shipment and issues the invoice.</p>
+          
+          <div style="text-align: center; margin-top: 30px;">
+            <a href="${process.env.CLIENT_URL}/quotes/${quote._id}" 
+               style="background: #0056b3; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Review Quotation
+            </a>
+          </div>
+        </div>
+      </div>
+    `
+  }),
+
+  insurancePolicy: (policy, shipment, user) => ({
+    subject: `Insurance Certificate: ${policy.policyNumber} for ${shipment.trackingNumber}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #0056b3, #28a745); padding: 30px; text-align: center; color: white;">
+          <h1>Your Cargo Is Insured</h1>
+        </div>
+        <div style="padding: 30px; background: #f8f9fa;">
+          <h2>Hello ${user.companyName},</h2>
+          <p>Your shipment <strong>${shipment.trackingNumber}</strong> is now covered by cargo insurance.</p>
+          
+          <div style="background: white; padding: 20px; border-radius: 10px; margin: 20px 0;">
+            <h3>Policy Details:</h3>
+            <p><strong>Policy Number:</strong> ${policy.policyNumber}</p>
+            <p><strong>Sum Insured:</strong> ${policy.currency} ${policy.insuredValue.toFixed(2)}</p>
+            <p><strong>Premium:</strong> ${policy.currency} ${policy.premium.toFixed(2)}</p>
+            <p><strong>Deductible:</strong> ${policy.currency} ${(policy.deductible || 0).toFixed(2)} per claim</p>
           </div>
 
-          <p>Our team will contact you shortly to discuss the details.</p>
+          <p>Your certificate of insurance is attached. If your cargo arrives damaged or short, note it on the delivery receipt and file a claim from your account.</p>
+        </div>
+      </div>
+    `
+  }),
+
+  insuranceClaimUpdate: (claim, user) => ({
+    subject: `Insurance Claim ${claim.claimNumber}: ${claim.status.replace(/_/g, ' ')}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #0056b3, #28a745); padding: 30px; text-align: center; color: white;">
+          <h1>Claim Update</h1>
+        </div>
+        <div style="padding: 30px; background: #f8f9fa;">
+          <h2>Hello ${user.companyName},</h2>
+          <p>Your insurance claim <strong>${claim.claimNumber}</strong> is now <strong>${claim.status.replace(/_/g, ' ')}</strong>.</p>
           
+          <div style="background: white; padding: 20px; border-radius: 10px; margin: 20px 0;">
+            <p><strong>Amount Claimed:</strong> ${claim.amountClaimed.toFixed(2)}</p>
+            ${claim.assessment?.approvedAmount !== undefined ? `<p><strong>Approved Amount:</strong> ${claim.assessment.approvedAmount.toFixed(2)}</p>` : ''}
+            ${claim.assessment?.findings ? `<p><strong>Findings:</strong> ${claim.assessment.findings}</p>` : ''}
+            ${claim.settlement?.amount !== undefined ? `<p><strong>Settled:</strong> ${claim.settlement.amount.toFixed(2)}${claim.settlement.reference ? ` (ref ${claim.settlement.reference})` : ''}</p>` : ''}
+            ${claim.statusHistory.length > 0 && claim.statusHistory[claim.statusHistory.length - 1].note ? `<p><strong>Note:</strong> ${claim.statusHistory[claim.statusHistory.length - 1].note}</p>` : ''}
+          </div>
+
+          <div style="text-align: center; margin-top: 30px;">
+            <a href="${process.env.CLIENT_URL}/insurance/claims/${claim._id}" 
+               style="background: #0056b3; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              View Claim
+            </a>
+          </div>
+        </div>
+      </div>
+    `
+  }),
+
+  creditNote: (creditNote, user) => ({
+    subject: `Credit Note ${creditNote.creditNoteNumber} for Invoice ${creditNote.invoiceNumber}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #0056b3, #28a745); padding: 30px; text-align: center; color: white;">
+          <h1>CREDIT NOTE</h1>
+        </div>
+        <div style="padding: 30px; background: #f8f9fa;">
+          <h2>Dear ${user.companyName},</h2>
+          <p>We have issued a credit note against invoice <strong>${creditNote.invoiceNumber}</strong>. The credit note is attached.</p>
+          
+          <div style="background: white; padding: 20px; border-radius: 10px; margin: 20px 0;">
+            <p><strong>Credit Note Number:</strong> ${creditNote.creditNoteNumber}</p>
+            <p><strong>Amount:</strong> ${formatMoney(creditNote.amount, creditNote.currency)} ${creditNote.currency}</p>
+            <p><strong>Reason:</strong> ${creditNote.reason}</p>
+            <p><strong>Settlement:</strong> ${creditNote.settlement === 'refund'
+              ? `Refund${creditNote.status === 'pending_refund' ? ' (on its way, usually within 5-10 working days)' : ''}`
+              : 'Held on your account and applied automatically to your next invoices'}</p>
+          </div>
+
+          <p>If you have any questions about this credit note, please contact our accounts team.</p>
+        </div>
+      </div>
+    `
+  }),
+
+  manualPaymentRejected: (transaction, payment, user) => ({
+    subject: `Payment Not Confirmed: Invoice ${payment.invoiceNumber}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #ffc107, #fd7e14); padding: 30px; text-align: center; color: white;">
+          <h1>Payment Not Confirmed</h1>
+        </div>
+        <div style="padding: 30px; background: #f8f9fa;">
+          <h2>Dear ${user.companyName},</h2>
+          <p>We could not confirm the ${transaction.method === 'cash' ? 'cash payment' : 'bank transfer'} recorded against invoice <strong>${payment.invoiceNumber}</strong>.</p>
+          
+          <div style="background: white; padding: 20px; border-radius: 10px; margin: 20px 0;">
+            <p><strong>Amount:</strong> ${formatMoney(transaction.amount, transaction.currency)} ${transaction.currency}</p>
+            ${transaction.proof?.reference ? `<p><strong>Reference:</strong> ${transaction.proof.reference}</p>` : ''}
+            <p><strong>Reason:</strong> ${transaction.failureReason}</p>
+            <p><strong>Balance Outstanding:</strong> ${formatMoney(payment.amountOutstanding, payment.currency)} ${payment.currency}</p>
+          </div>
+
+          <p>Please check the details and submit the transfer again, or contact our accounts team.</p>
+
           <div style="text-align: center; margin-top: 30px;">
-            <a href="${process.env.CLIENT_URL}/#contact" 
+            <a href="${process.env.CLIENT_URL}/payments" 
                style="background: #0056b3; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
-              Contact Us
+              View Invoice
             </a>
           </div>
         </div>
@@ -134,6 +348,7 @@ export const sendEmail = async (emailData) => {
       to: emailData.to,
       subject: emailData.subject,
       html: emailData.html,
+      attachments: emailData.attachments
     };
 
     const result = await transporter.sendMail(mailOptions);
@@ -0,0 +1,36 @@
+// ISO 6346 freight container numbers: 3-letter owner code, equipment category (U, J or Z),
+// 6-digit serial number and a check digit, e.g. CSQU3054383
+
+const CONTAINER_NUMBER_PATTERN = /^[A-Z]{3}[UJZ]\d{6}\d$/;
+
+// Letter values skip multiples of 11 (A=10, B=12 ... Z=38)
+const letterValue = (letter) => {
+  let value = 10;
+  for (let code = 'A'.charCodeAt(0); code < letter.charCodeAt(0); code++) {
+    value++;
+    if (value % 11 === 0) value++;
+  }
+  return value;
+};
+
+// Strip spaces and dashes so "CSQU 305438-3" and "csqu3054383" compare equal
+export const normalizeContainerNumber = (containerNumber) =>
+  String(containerNumber || '').replace(/[\s-]/g, '').toUpperCase();
+
+export const calculateCheckDigit = (containerNumber) => {
+  const sum = normalizeContainerNumber(containerNumber)
+    .slice(0, 10)
+    .split('')
+    .reduce((total, char, index) => {
+      const value = /\d/.test(char) ? Number(char) : letterValue(char);
+      return total + value * Math.pow(2, index);
+    }, 0);
+
+  return (sum % 11) % 10;
+};
+
+export const isValidContainerNumber = (containerNumber) => {
+  const normalized = normalizeContainerNumber(containerNumber);
+  return CONTAINER_NUMBER_PATTERN.test(normalized) &&
+    calculateCheckDigit(normalized) === Number(normalized[10]);
+};
@@ -0,0 +1,89 @@
+import PDFDocument from 'pdfkit';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PUBLIC_DIR = path.join(__dirname, '../public');
+
+// Render a PDF to a file on disk and resolve with the file path
+export const writePDF = (filepath, render) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ margin: 50 });
+
+      // Ensure directory exists
+      const dir = path.dirname(filepath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const stream = fs.createWriteStream(filepath);
+      doc.pipe(stream);
+
+      render(doc);
+
+      doc.end();
+
+      stream.on('finish', () => {
+        resolve(filepath);
+      });
+
+      stream.on('error', reject);
+
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+// Render a PDF into public/<folder>/<filename> and resolve with its file path and public URL
+export const createPDF = async (folder, filename, render) => {
+  const filepath = await writePDF(path.join(PUBLIC_DIR, folder, filename), render);
+  return { filepath, url: `/${folder}/${filename}` };
+};
+
+// Resolve a public URL (e.g. /invoices/x.pdf) back to its path on disk
+export const resolvePublicPath = (url) => path.join(PUBLIC_DIR, url);
+
+// Company letterhead shared by all generated documents
+export const drawLetterhead = (doc, title) => {
+  doc.fontSize(20).fillColor('#0056b3').text('LIBERIACLEARLOGISTICS', 50, 50);
+  doc.fontSize(10).fillColor('#666').text('Professional Clearing & Forwarding Services', 50, 75);
+  doc.fontSize(8).text('Freeport of Monrovia Area, Monrovia, Liberia', 50, 90);
+  doc.text('Phone: +231-88-123-4567 | Email: info@liberiacclearlogistics.com', 50, 102);
+
+  doc.fontSize(16).fillColor('#000').text(title, 350, 50, { width: 200, align: 'right' });
+};
+
+// Draw a simple table and return the y position after the last row
+export const drawTable = (doc, y, columns, rows) => {
+  doc.fontSize(9).fillColor('#fff');
+  doc.rect(50, y, 500, 20).fill('#0056b3');
+  doc.fillColor('#fff');
+  columns.forEach(column => {
+    doc.text(column.label, column.x, y + 6, { width: column.width });
+  });
+
+  y += 20;
+
+  doc.fillColor('#000');
+  rows.forEach(row => {
+    if (y > 700) {
+      doc.addPage();
+      y = 50;
+    }
+
+    let rowHeight = 20;
+    columns.forEach(column => {
+      const value = row[column.key] !== undefined && row[column.key] !== null ? String(row[column.key]) : '';
+      doc.text(value, column.x, y + 5, { width: column.width });
+      rowHeight = Math.max(rowHeight, doc.heightOfString(value, { width: column.width }) + 10);
+    });
+    y += rowHeight;
+  });
+
+  return y;
+};
@@ -0,0 +1,12 @@
+import Shipment from '../models/Shipment.js';
+
+// Load the shipment in req.params.id if the current user may see it (clients only see their own)
+export const findAccessibleShipment = async (req) => {
+  const query = { _id: req.params.id };
+
+  if (req.user.role === 'client') {
+    query.client = req.user.id;
+  }
+
+  return Shipment.findOne(query).populate('client');
+};
@@ -0,0 +1,76 @@
+// Vehicle identification numbers (ISO 3779): 17 characters without I, O or Q.
+// Positions 1-3 are the manufacturer (WMI), 9 the check digit and 10 the model year.
+import { vinRegions, checkDigitRegions, wmiManufacturers } from '../config/vehicles.js';
+
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Model year codes repeat every 30 years (A = 1980 or 2010)
+const MODEL_YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+
+// Strip spaces and dashes so "1HG CM826-63A004352" and "1hgcm82633a004352" compare equal
+export const normalizeVin = (vin) =>
+  String(vin || '').replace(/[\s-]/g, '').toUpperCase();
+
+export const calculateVinCheckDigit = (vin) => {
+  const sum = normalizeVin(vin)
+    .split('')
+    .reduce((total, char, index) =>
+      total + (/\d/.test(char) ? Number(char) : TRANSLITERATION[char] || 0) * WEIGHTS[index], 0);
+
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+};
+
+// Only North American and Chinese VINs are required to carry a check digit
+export const requiresCheckDigit = (vin) => checkDigitRegions.includes(normalizeVin(vin)[0]);
+
+export const isValidVin = (vin) => {
+  const normalized = normalizeVin(vin);
+  return VIN_PATTERN.test(normalized) &&
+    (!requiresCheckDigit(normalized) || calculateVinCheckDigit(normalized) === normalized[8]);
+};
+
+// @desc    Years position 10 can stand for. North American VINs show the 30-year cycle in position 7
+//          (a digit before 2010, a letter from 2010); other VINs do not, so every cycle up to next year is possible.
+export const decodeModelYearCandidates = (vin, now = new Date()) => {
+  const normalized = normalizeVin(vin);
+  const index = MODEL_YEAR_CODES.indexOf(normalized[9]);
+  if (index < 0) return [];
+
+  if (/[1-5]/.test(normalized[0])) {
+    return [1980 + index + (/\d/.test(normalized[6]) ? 0 : 30)];
+  }
+
+  const latest = now.getFullYear() + 1;
+  const years = [];
+  for (let year = 1980 + index; year <= latest; year += 30) years.push(year);
+  return years;
+};
+
+// @desc    Model year from position 10, or null when the VIN does not settle which cycle it is in
+export const decodeModelYear = (vin, now = new Date()) => {
+  const years = decodeModelYearCandidates(vin, now);
+  return years.length === 1 ? years[0] : null;
+};
+
+// @desc    Offline decode of a VIN: manufacturer, region and model year
+export const decodeVin = (vin, now = new Date()) => {
+  const normalized = normalizeVin(vin);
+
+  return {
+    wmi: normalized.slice(0, 3),
+    manufacturer: wmiManufacturers[normalized.slice(0, 3)] || null,
+    region: vinRegions[normalized[0]] || null,
+    modelYear: decodeModelYear(normalized, now),
+    modelYearCandidates: decodeModelYearCandidates(normalized, now),
+    serialNumber: normalized.slice(11)
+  };
+};
@@ -25,12 +25,27 @@ import emailRoutes from './backend/routes/email.js';
 import paymentRoutes from './backend/routes/payment.js';
 import paymentReportRoutes from './backend/routes/paymentReports.js';
 import smsRoutes from './backend/routes/sms.js';
+import vesselRoutes from './backend/routes/vessels.js';
+import voyageRoutes from './backend/routes/voyages.js';
+import warehouseRoutes from './backend/routes/warehouses.js';
+import consolidationRoutes from './backend/routes/consolidations.js';
+import insuranceRoutes from './backend/routes/insurance.js';
 import { initializeSMSSchedulers } from './backend/services/smsScheduler.js';
+import { initializeQuoteSchedulers } from './backend/services/quoteScheduler.js';
+import { initializeWarehouseSchedulers } from './backend/services/warehouseScheduler.js';
+import { initializePaymentSchedulers } from './backend/services/paymentScheduler.js';
+import { seedDefaultRateCard, seedDefaultContainerRates } from './backend/services/pricingService.js';
 
 const app = express();
 
 // Body parser middleware
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept for verifying signed payment callbacks
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Enable CORS
@@ -48,6 +63,11 @@ app.use('/api/email', emailRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/payment-reports', paymentReportRoutes);
 app.use('/api/sms', smsRoutes);
+app.use('/api/vessels', vesselRoutes);
+app.use('/api/voyages', voyageRoutes);
+app.use('/api/warehouses', warehouseRoutes);
+app.use('/api/consolidations', consolidationRoutes);
+app.use('/api/insurance', insuranceRoutes);
 
 // Home route
 app.get('/', (req, res) => {
@@ -113,6 +133,26 @@ const connectDB = async () => {
     process.exit(1);
   }
 
+  if (dbConnected) {
+    try {
+      if (await seedDefaultRateCard()) {
+        console.log('📦 Created the default rate card');
+      }
+    } catch (error) {
+      console.error('❌ Default rate card seeding failed:', error.message);
+    }
+
+    // Rate cards from before FCL pricing have no container rates
+    try {
+      const updated = await seedDefaultContainerRates();
+      if (updated > 0) {
+        console.log(`📦 Added default container rates to ${updated} rate card(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Container rate migration failed:', error.message);
+    }
+  }
+
   const PORT = process.env.PORT || 5000;
   
   app.listen(PORT, '0.0.0.0', () => {
@@ -127,6 +167,9 @@ const connectDB = async () => {
 
     // Initialize SMS schedulers
     initializeSMSSchedulers();
+    initializeQuoteSchedulers();
+    initializeWarehouseSchedulers();
+    initializePaymentSchedulers();
   });
 })();
 